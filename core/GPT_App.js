@@ -10,14 +10,17 @@
  */
 import THREE from '../external-libs/three-global'
 import GPT_Renderer from './GPT_Renderer'
+import GPT_Clock from './GPT_Clock'
 
 /**
  * Creates Our app object. The app will finish when "done = true", and the animation will stop while "paused = true" (that means
  * all the transformations are ignored until "paused = false")
  * It is important to pass the gpt_r GPT_Renderer object. It will be used in the animation loop
+ * The app owns the GPT_Clock shared with the renderer and the scene. While "paused = true" the clock is frozen too
  * @param {GPT_Renderer} gpt_r
+ * @param {GPT_Clock} clock_ optional clock (ex: manual clock for tests). By default a real clock is created
  */
-function GPT_App(gpt_r) {
+function GPT_App(gpt_r, clock_) {
     this.done = false;
     this.paused = false;
     this.currentFrameNumber = 0;
@@ -29,49 +32,265 @@ function GPT_App(gpt_r) {
     this.lastPeriodTS = undefined;  // used with long period commonly 2000 ms
     this.MAX_PERIOD_MS = 5000;
 
+    // fixed-timestep mode (disabled by default, see useFixedTimestep)
+    this.fixedStep = false;
+    this.FIXED_STEP_MS = 1000 / 60;
+    this.MAX_SUBSTEPS = 5;
+    this.accumulatorMS = 0;
+    this.alpha = 1.0;
+
+    // render-on-demand mode (disabled by default, see useRenderOnDemand)
+    this.renderOnDemand = false;
+
+    // true while the page is not visible (see setHidden). The loop is stopped and the clock frozen
+    this.hidden = false;
+    this.running = false;
+
+    // true once init finished (assets loaded and scene set up)
+    this.initialized = false;
+
     this.gpt_render = gpt_r;
     if (this.gpt_render === undefined) {
         console.error("GPT_Renderer is undefined. You must pass one valid")
+        return;
     }
+
+    this.clock = (clock_ !== undefined) ? clock_ : new GPT_Clock();
+    this.gpt_render.setClock(this.clock);
 }
 
 /**
- * Calls all setup methods for generating geometry (loading models and textures) and attaches events for resizing the window.
- * Using arrow function because it does not have it's own "this" value. It's "this" is lexically bound to the enclosing scope.
+ * Waits for the assets of the scene (see GPT_Scene.getAssetManager) and then calls all setup methods for generating geometry.
+ * The renderer tracks the size of the container itself (see GPT_Renderer.trackContainerSize)
+ * The loop is paused while the page is hidden (document "visibilitychange")
+ *
+ *      app.init("container").then((report) => { app.run(); });
+ *
+ * @param {String} _container_name id of the element containing the canvas (nothing when headless)
+ * @returns {Promise} resolved when the app is ready to run, with the report of the asset manager (undefined without assets)
  */
 GPT_App.prototype.init = function (_container_name) {
     console.debug("GPT_App.init")
 
-    this.gpt_render.setup(_container_name);
-    window.addEventListener("resize", () => { this.gpt_render.reshape(); });
+    const _assets = this.gpt_render.gpt_scene.getAssetManager();
+    const _loading = (_assets !== undefined) ? _assets.load() : Promise.resolve(undefined);
+
+    return _loading.then((report_) => {
+        if (this.done) {
+            // disposed while loading
+            return report_;
+        }
+
+        this.gpt_render.setup(_container_name);
+        this.initialized = true;
+
+        if (!this.gpt_render.headless && typeof (document) !== "undefined") {
+            this._on_visibility_change = () => { this.setHidden(document.visibilityState === "hidden"); };
+            document.addEventListener("visibilitychange", this._on_visibility_change);
+            this.setHidden(document.visibilityState === "hidden");
+        }
+
+        return report_;
+    });
+}
+
+/**
+ * Switches the renderer to another registered scene (see GPT_Renderer.registerScene / switchScene)
+ * Its assets are loaded before starting the transition, so the next scene appears with its textures
+ *
+ *      gpt_r.registerScene("arena", new SceneDragon());
+ *      app.switchScene("arena", { type: "fade", duration_ms: 1000 });
+ *
+ * @param {String} name_ registered scene
+ * @param {Object} transition_desc_ optional transition (see GPT_Transition). Default "cut"
+ * @returns {Promise} resolved when the transition started (false when the scene does not exist or the app was disposed)
+ */
+GPT_App.prototype.switchScene = function (name_, transition_desc_) {
+    const _sce = this.gpt_render.getScene(name_);
+    if (_sce === undefined) {
+        console.error("GPT_App.switchScene: scene '" + name_ + "' not found");
+        return Promise.resolve(false);
+    }
+
+    const _assets = _sce.getAssetManager();
+    const _loading = (_assets !== undefined) ? _assets.load() : Promise.resolve(undefined);
+
+    return _loading.then(() => {
+        if (this.done) {
+            return false;
+        }
+
+        this.gpt_render.switchScene(name_, transition_desc_);
+        return true;
+    });
+}
+
+/**
+ * Enables (or disables) the render-on-demand mode for saving battery. The simulation keeps updating every frame
+ * but a frame is only rendered when:
+ *      the scene marked itself dirty (GPT_Scene.markDirty) or a render was requested (GPT_Renderer.requestRender)
+ *      any camera controller emitted "change" (ex: user orbiting)
+ *      an animation is active (GPT_Scene.isAnimating)
+ * @param {Bool} enabled_ default true
+ */
+GPT_App.prototype.useRenderOnDemand = function (enabled_) {
+    this.renderOnDemand = (enabled_ !== false);
+    this.gpt_render.requestRender();
+    console.debug("GPT_App: render on demand " + (this.renderOnDemand ? "enabled" : "disabled"));
+}
+
+/**
+ * Stops the loop and freezes the clock while hidden. When visible again the loop is restarted from the current
+ * clock time, so the first frame after resuming does not get the time spent in background as elapsed time
+ * @param {Bool} hidden_ true when the page is not visible
+ */
+GPT_App.prototype.setHidden = function (hidden_) {
+    if (this.hidden === hidden_) {
+        return;
+    }
+    this.hidden = hidden_;
+
+    if (this.hidden) {
+        if (this.requestAF !== undefined && typeof (window) !== "undefined") {
+            window.cancelAnimationFrame(this.requestAF);
+        }
+        this.requestAF = undefined;
+        this.clock.setPaused(true);
+
+        console.debug("GPT_App: hidden, loop stopped");
+        return;
+    }
+
+    this.clock.setPaused(this.paused);
+    this.lastTS = this.clock.now();
+    this.accumulatorMS = 0;
+    this.gpt_render.requestRender();
+
+    console.debug("GPT_App: visible, loop resumed");
+
+    if (this.running && !this.done && !this.gpt_render.headless) {
+        this.requestAF = window.requestAnimationFrame((ts) => { this.drawFrame(ts); });
+    }
+}
+
+/**
+ * Enables the fixed-timestep mode. The simulation (update) always advances in steps of `step_ms_`
+ * no matter the refresh rate of the monitor, and the remaining time is used as interpolation alpha when rendering.
+ * At most `max_substeps_` updates are performed per frame, so a long stall (ex: tab in background) does not
+ * create a burst of updates nor one huge step
+ * @param {Number} step_ms_ duration of one simulation step in milliseconds. Default 16.67 ms (60 Hz)
+ * @param {Number} max_substeps_ maximum number of simulation steps per rendered frame. Default 5
+ */
+GPT_App.prototype.useFixedTimestep = function (step_ms_, max_substeps_) {
+    if (step_ms_ !== undefined) {
+        if (!(step_ms_ > 0)) {
+            console.error("GPT_App.useFixedTimestep: 'step_ms' must be greater than 0. Found: " + step_ms_);
+            return;
+        }
+        this.FIXED_STEP_MS = step_ms_;
+    }
+
+    if (max_substeps_ !== undefined) {
+        if (!(max_substeps_ >= 1)) {
+            console.error("GPT_App.useFixedTimestep: 'max_substeps' must be at least 1. Found: " + max_substeps_);
+            return;
+        }
+        this.MAX_SUBSTEPS = Math.floor(max_substeps_);
+    }
+
+    this.fixedStep = true;
+    this.accumulatorMS = 0;
+    console.debug("GPT_App: fixed timestep " + this.FIXED_STEP_MS + " ms, max substeps " + this.MAX_SUBSTEPS);
+}
+
+/**
+ * Goes back to the variable-timestep mode (one update per frame using the raw frame delta)
+ */
+GPT_App.prototype.useVariableTimestep = function () {
+    this.fixedStep = false;
+    this.accumulatorMS = 0;
+    this.alpha = 1.0;
+}
+
+/**
+ * Advances the simulation by `elapsed_ms_`
+ *      Variable timestep: one update with the whole elapsed time, alpha is always 1.0
+ *      Fixed timestep: accumulates the elapsed time and consumes it in steps of FIXED_STEP_MS (up to MAX_SUBSTEPS).
+ *          The remaining time (less than one step) gives the interpolation alpha in range [0.0, 1.0)
+ * @param {Number} elapsed_ms_ milliseconds passed since previous frame
+ */
+GPT_App.prototype.step = function (elapsed_ms_) {
+    if (!this.fixedStep) {
+        this.gpt_render.update(elapsed_ms_);
+        this.alpha = 1.0;
+        return;
+    }
+
+    this.accumulatorMS += elapsed_ms_;
+
+    let _substeps = 0;
+    while (this.accumulatorMS >= this.FIXED_STEP_MS && _substeps < this.MAX_SUBSTEPS) {
+        this.gpt_render.update(this.FIXED_STEP_MS);
+        this.accumulatorMS -= this.FIXED_STEP_MS;
+        _substeps++;
+    }
+
+    // too much time to catch up (ex: long stall), drop it instead of spiraling
+    if (this.accumulatorMS >= this.FIXED_STEP_MS) {
+        console.debug("GPT_App: dropped " + (this.accumulatorMS - this.accumulatorMS % this.FIXED_STEP_MS).toFixed(1) + " ms after " + _substeps + " substeps");
+        this.accumulatorMS = this.accumulatorMS % this.FIXED_STEP_MS;
+    }
+
+    this.alpha = this.accumulatorMS / this.FIXED_STEP_MS;
 }
 
 /**
  * Performs all the steps needed for drawing a frame (animate and render). Continously running until "done = true". When "paused = true" models won't be animated (transformed)
  * Using arrow function because it does not have it's own "this" value. It's "this" is lexically bound to the enclosing scope.
+ * Elapsed time between frames is read from the GPT_Clock, so it is scaled, frozen while paused and steppable by hand
  * @param {Number} timestamp DOMHighResTimeStamp which indicates the current time (based on the number of milliseconds since time origin)
  */
 GPT_App.prototype.drawFrame = function (timestamp) {
-    let nowTS = timestamp;
+    // keep the clock frozen while paused (or hidden) so timers (FSM, interpolations) do not expire
+    const _frozen = this.paused || this.hidden;
+    if (this.clock.paused !== _frozen) {
+        this.clock.setPaused(_frozen);
+    }
+
+    let nowTS = this.clock.now();
     if (!this.paused) {
         this.frameElapsedMS = nowTS - this.lastTS;
 
         // 1. update (transform, translate) models
-        this.gpt_render.update(this.frameElapsedMS);
+        this.step(this.frameElapsedMS);
     }
     this.lastTS = nowTS;
 
-    // 2. render scene into a webGL frame
-    this.gpt_render.renderFrame();
-    this.currentFrameNumber++;
+    // 2. render scene into a webGL frame (blending the last 2 simulation steps with alpha).
+    // In render-on-demand mode only when something changed
+    if (!this.renderOnDemand || this.gpt_render.needsRender()) {
+        this.gpt_render.renderFrame(this.alpha);
+        this.currentFrameNumber++;
+    }
 
     // Trigger actions periodically (with periods higher than 1 second)
-    let periodElapsedMS = nowTS - this.lastPeriodTS;
+    let periodElapsedMS = timestamp - this.lastPeriodTS;
     if (periodElapsedMS > this.MAX_PERIOD_MS) {
-        this.lastPeriodTS = nowTS;
+        this.lastPeriodTS = timestamp;
         console.log("GPT_App: Rendered Frames: " + this.currentFrameNumber + " TS: " + timestamp);
     }
 
+    if (this.gpt_render.headless) {
+        // 3. No browser loop when headless: next frame is triggered by calling drawFrame again (ex: after clock.advance)
+        return;
+    }
+
+    if (this.hidden) {
+        // 3. Restarted by setHidden(false)
+        this.requestAF = undefined;
+        return;
+    }
+
     if (!this.done) {
         // 3. Trigger callback for next frame as fast as webbrowser allows (commonly 16 ms)
         this.requestAF = window.requestAnimationFrame((ts) => { this.drawFrame(ts); });
@@ -88,9 +307,17 @@ GPT_App.prototype.drawFrame = function (timestamp) {
 GPT_App.prototype.run = function () {
     console.debug("GPT_APP.run")
 
+    if (!this.initialized) {
+        console.error("GPT_App.run: not initialized. Call it when the promise of 'init' is resolved");
+        return;
+    }
+
+    this.running = true;
     this.currentFrameNumber = 0;
-    this.lastTS = performance.now();
+    this.lastTS = this.clock.now();
     this.frameElapsedMS = 0;
+    this.accumulatorMS = 0;
+    this.alpha = 1.0;
 
     this.lastPeriodTS = performance.now();
 
@@ -98,4 +325,28 @@ GPT_App.prototype.run = function () {
     this.drawFrame(performance.now());
 }
 
+/**
+ * Destroys the app so the page (ex: a SPA changing its route) can release everything:
+ * stops the loop, unhooks the document events and disposes the renderer, the scene and the canvas (see GPT_Renderer.dispose)
+ * @returns {Object} leak report of the renderer {geometries, textures, programs, leaked, disposed}
+ */
+GPT_App.prototype.dispose = function () {
+    console.debug("GPT_App.dispose")
+
+    this.done = true;
+    this.running = false;
+
+    if (this.requestAF !== undefined && typeof (window) !== "undefined") {
+        window.cancelAnimationFrame(this.requestAF);
+    }
+    this.requestAF = undefined;
+
+    if (this._on_visibility_change !== undefined) {
+        document.removeEventListener("visibilitychange", this._on_visibility_change);
+        this._on_visibility_change = undefined;
+    }
+
+    return this.gpt_render.dispose();
+}
+
 export default GPT_App;
\ No newline at end of file
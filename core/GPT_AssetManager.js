@@ -0,0 +1,378 @@
+/**
+ * @module libgptjs Graphical Programming with ThreeJS (GPT)
+ * @class GPT_AssetManager
+ * @summary
+ *      Preloads the textures of a manifest before the scene is created (GPT_App.init waits for it).
+ *      Images are downloaded once per URL and shared by every texture using them. Progress and errors are
+ *      reported per asset, and a failed image is replaced by a placeholder so the scene can still be rendered
+ */
+
+/**
+ * Importing object THREE from our costumized global script
+ */
+import THREE from '../external-libs/three-global'
+
+/**
+ * Side (in pixels) and colors of the checkerboard used when an image fails to load
+ */
+const PLACEHOLDER_SIZE = 8;
+const PLACEHOLDER_COLORS = [[255, 0, 255, 255], [0, 0, 0, 255]];
+
+/**
+ * Creates the manager. Nothing is downloaded until `load` (or `get`) is called
+ *
+ * Manifest:
+ *
+ *      {
+ *          textures: { floor: "./assets/images/wood1.jpg", ... },
+ *          cube_textures: { skybox_cube: { path: "./assets/images/Yokohama3/", images: ["posx.jpg", "negx.jpg", "posy.jpg", "negy.jpg", "posz.jpg", "negz.jpg"] } }
+ *      }
+ *
+ * @param {Object} manifest_ optional manifest (more entries can be added with addManifest)
+ * @param {Bool} headless_ true for not loading images (empty textures, as without DOM). Default: true when there is no `document`
+ */
+function GPT_AssetManager(manifest_, headless_) {
+    this.headless = (headless_ === true) || (typeof (document) === "undefined");
+
+    // name -> url (textures) or { path, images } (cube textures)
+    this.manifest = { textures: {}, cube_textures: {} };
+
+    // url -> { url, promise, image, error, done } downloads shared by all the textures of the same url
+    this.images = new Map();
+
+    // name -> THREE.Texture / THREE.CubeTexture of the manifest
+    this.textures = new Map();
+
+    // counters of images (each url counts once). `loaded` counts the finished ones, failed included
+    this.total = 0;
+    this.loaded = 0;
+    this.failed = [];
+
+    // callbacks fired with (loaded, total, url) and (url, message). See addProgressListener / addErrorListener
+    this.progressListeners = [];
+    this.errorListeners = [];
+
+    this.imageLoader = this.headless ? undefined : new THREE.ImageLoader();
+    // placeholders by size ("w x h"): the faces of a cube map must all have the same size
+    this.placeholderImages = new Map();
+
+    if (manifest_ !== undefined) {
+        this.addManifest(manifest_);
+    }
+}
+
+/**
+ * Adds the entries of a manifest. Wrong entries and names already in use are reported and skipped
+ * @param {Object} manifest_ { textures, cube_textures }
+ */
+GPT_AssetManager.prototype.addManifest = function (manifest_) {
+    const _textures = (manifest_.textures !== undefined) ? manifest_.textures : {};
+    for (let _name of Object.keys(_textures)) {
+        if (this.has(_name)) {
+            console.error("GPT_AssetManager.addManifest: '" + _name + "' already exists");
+            continue;
+        }
+        if (typeof (_textures[_name]) !== "string") {
+            console.error("GPT_AssetManager.addManifest: textures." + _name + ": expected a path (string)");
+            continue;
+        }
+        this.manifest.textures[_name] = _textures[_name];
+    }
+
+    const _cubes = (manifest_.cube_textures !== undefined) ? manifest_.cube_textures : {};
+    for (let _name of Object.keys(_cubes)) {
+        if (this.has(_name)) {
+            console.error("GPT_AssetManager.addManifest: '" + _name + "' already exists");
+            continue;
+        }
+        const _desc = _cubes[_name];
+        if (_desc === null || typeof (_desc) !== "object" || !Array.isArray(_desc.images) || _desc.images.length !== 6) {
+            console.error("GPT_AssetManager.addManifest: cube_textures." + _name + ": expected { path, images: [6 image names] }");
+            continue;
+        }
+        this.manifest.cube_textures[_name] = { path: (_desc.path !== undefined) ? _desc.path : "", images: _desc.images.slice() };
+    }
+}
+
+/**
+ * @param {String} name_
+ * @returns {Bool} true when the name is in the manifest
+ */
+GPT_AssetManager.prototype.has = function (name_) {
+    return this.manifest.textures[name_] !== undefined || this.manifest.cube_textures[name_] !== undefined;
+}
+
+/**
+ * Registers a callback fired every time an image finishes (loaded or failed). Useful for a loading screen
+ *
+ *      assets.addProgressListener((loaded, total, url) => { bar.style.width = (100 * loaded / total) + "%"; });
+ *
+ * @param {Function} cb_ (loaded, total, url)
+ */
+GPT_AssetManager.prototype.addProgressListener = function (cb_) {
+    if (typeof (cb_) !== "function") {
+        console.error("GPT_AssetManager.addProgressListener: callback is not a function");
+        return;
+    }
+    this.progressListeners.push(cb_);
+}
+
+/**
+ * @param {Function} cb_ callback previously passed to addProgressListener
+ */
+GPT_AssetManager.prototype.removeProgressListener = function (cb_) {
+    const _i = this.progressListeners.indexOf(cb_);
+    if (_i >= 0) {
+        this.progressListeners.splice(_i, 1);
+    }
+}
+
+/**
+ * Registers a callback fired when an image can not be loaded (the placeholder is used instead)
+ * @param {Function} cb_ (url, message)
+ */
+GPT_AssetManager.prototype.addErrorListener = function (cb_) {
+    if (typeof (cb_) !== "function") {
+        console.error("GPT_AssetManager.addErrorListener: callback is not a function");
+        return;
+    }
+    this.errorListeners.push(cb_);
+}
+
+/**
+ * @param {Function} cb_ callback previously passed to addErrorListener
+ */
+GPT_AssetManager.prototype.removeErrorListener = function (cb_) {
+    const _i = this.errorListeners.indexOf(cb_);
+    if (_i >= 0) {
+        this.errorListeners.splice(_i, 1);
+    }
+}
+
+/**
+ * @returns {Number} fraction of images finished (loaded or failed), range [0.0, 1.0]. 1.0 when nothing was requested
+ */
+GPT_AssetManager.prototype.getProgress = function () {
+    return (this.total > 0) ? this.loaded / this.total : 1.0;
+}
+
+/**
+ * Starts loading every texture of the manifest (already loaded ones are not downloaded again)
+ * The promise never rejects: failed images are listed in the report and replaced by the placeholder
+ * @returns {Promise} resolved with the report { total, loaded, failed: [{ url, error }] } when every image finished
+ */
+GPT_AssetManager.prototype.load = function () {
+    const _promises = [];
+
+    for (let _name of Object.keys(this.manifest.textures)) {
+        this.get(_name);
+        _promises.push(this.images.get(this.manifest.textures[_name]).promise);
+    }
+
+    for (let _name of Object.keys(this.manifest.cube_textures)) {
+        this.get(_name);
+        for (let _url of this.getCubeURLs(_name)) {
+            _promises.push(this.images.get(_url).promise);
+        }
+    }
+
+    return Promise.all(_promises).then(() => {
+        console.debug("GPT_AssetManager: loaded " + this.loaded + " images, " + this.failed.length + " failed");
+        return { total: this.total, loaded: this.loaded - this.failed.length, failed: this.failed.slice() };
+    });
+}
+
+/**
+ * Texture (or cube texture) of the manifest. The same object is returned on every call.
+ * When it was not loaded yet, the download starts now and the image is set when it arrives
+ * @param {String} name_ name in the manifest
+ * @returns {THREE.Texture} texture or undefined when the name is not in the manifest
+ */
+GPT_AssetManager.prototype.get = function (name_) {
+    let _tex = this.textures.get(name_);
+    if (_tex !== undefined) {
+        return _tex;
+    }
+
+    if (this.manifest.textures[name_] !== undefined) {
+        _tex = this.createTexture(this.manifest.textures[name_]);
+    }
+    else if (this.manifest.cube_textures[name_] !== undefined) {
+        _tex = this.createCubeTexture(this.getCubeURLs(name_));
+    }
+    else {
+        console.error("GPT_AssetManager.get: '" + name_ + "' is not in the manifest");
+        return undefined;
+    }
+
+    _tex.name = name_;
+    this.textures.set(name_, _tex);
+    return _tex;
+}
+
+/**
+ * @param {String} name_ cube texture name in the manifest
+ * @returns {Array} urls of the 6 faces
+ */
+GPT_AssetManager.prototype.getCubeURLs = function (name_) {
+    const _desc = this.manifest.cube_textures[name_];
+    return _desc.images.map((img_) => { return _desc.path + img_; });
+}
+
+/**
+ * New texture showing the image of `url_` (downloaded only once, see requestImage).
+ * Each call returns a different texture, so wrapping / repeat can be changed without affecting other users of the image
+ * @param {String} url_ image path
+ * @returns {THREE.Texture}
+ */
+GPT_AssetManager.prototype.createTexture = function (url_) {
+    const _tex = new THREE.Texture();
+    _tex.name = url_;
+
+    const _entry = this.requestImage(url_);
+    const _apply = () => {
+        if (_entry.image !== undefined) {
+            _tex.image = _entry.image;
+            _tex.needsUpdate = true;
+        }
+    };
+
+    // already downloaded: the texture is ready for the first frame
+    if (_entry.done) {
+        _apply();
+    }
+    else {
+        _entry.promise.then(_apply);
+    }
+
+    return _tex;
+}
+
+/**
+ * New cube texture with the images of `urls_` (set all together when the 6 faces finished)
+ * @param {Array} urls_ urls of the faces in order +x, -x, +y, -y, +z, -z
+ * @returns {THREE.CubeTexture}
+ */
+GPT_AssetManager.prototype.createCubeTexture = function (urls_) {
+    const _tex = new THREE.CubeTexture();
+
+    const _entries = urls_.map((url_) => { return this.requestImage(url_); });
+    const _apply = () => {
+        if (_entries.some((e_) => { return e_.image === undefined; })) {
+            return;
+        }
+        // a failed face gets a placeholder as big as a loaded one, otherwise the cube map is incomplete
+        const _loaded = _entries.find((e_) => { return e_.error === undefined; });
+        _tex.images = _entries.map((e_) => {
+            if (e_.error === undefined || _loaded === undefined) {
+                return e_.image;
+            }
+            return this.getPlaceholderImage(_loaded.image.width, _loaded.image.height);
+        });
+        _tex.needsUpdate = true;
+    };
+
+    if (_entries.every((e_) => { return e_.done; })) {
+        _apply();
+    }
+    else {
+        Promise.all(_entries.map((e_) => { return e_.promise; })).then(_apply);
+    }
+
+    return _tex;
+}
+
+/**
+ * Starts the download of an image, or returns the one already requested for the same url
+ * Without DOM (headless) nothing is downloaded and the image stays undefined
+ * @param {String} url_
+ * @returns {Object} { url, promise, image, error, done }. The promise is resolved (never rejected) with the entry
+ */
+GPT_AssetManager.prototype.requestImage = function (url_) {
+    let _entry = this.images.get(url_);
+    if (_entry !== undefined) {
+        return _entry;
+    }
+
+    _entry = { url: url_, promise: undefined, image: undefined, error: undefined, done: false };
+    this.images.set(url_, _entry);
+    this.total++;
+
+    if (this.headless) {
+        this.finishImage(_entry);
+        _entry.promise = Promise.resolve(_entry);
+        return _entry;
+    }
+
+    _entry.promise = new Promise((resolve_) => {
+        this.imageLoader.load(url_,
+            (image_) => {
+                _entry.image = image_;
+                this.finishImage(_entry);
+                resolve_(_entry);
+            },
+            undefined,
+            () => {
+                _entry.error = "could not load '" + url_ + "'";
+                _entry.image = this.getPlaceholderImage();
+                this.finishImage(_entry);
+                resolve_(_entry);
+            });
+    });
+
+    return _entry;
+}
+
+/**
+ * Counts a finished image and notifies the listeners
+ * @param {Object} entry_ image entry (see requestImage)
+ */
+GPT_AssetManager.prototype.finishImage = function (entry_) {
+    entry_.done = true;
+    this.loaded++;
+
+    if (entry_.error !== undefined) {
+        console.error("GPT_AssetManager: " + entry_.error + ". Using placeholder");
+        this.failed.push({ url: entry_.url, error: entry_.error });
+
+        for (let _cb of this.errorListeners) {
+            _cb(entry_.url, entry_.error);
+        }
+    }
+
+    for (let _cb of this.progressListeners) {
+        _cb(this.loaded, this.total, entry_.url);
+    }
+}
+
+/**
+ * Magenta / black checkerboard shown instead of images that failed (created once per size)
+ * @param {Number} width_ optional, PLACEHOLDER_SIZE by default
+ * @param {Number} height_ optional, PLACEHOLDER_SIZE by default
+ * @returns {ImageData} always PLACEHOLDER_SIZE x PLACEHOLDER_SIZE cells, whatever the size
+ */
+GPT_AssetManager.prototype.getPlaceholderImage = function (width_, height_) {
+    const _w = width_ || PLACEHOLDER_SIZE;
+    const _h = height_ || PLACEHOLDER_SIZE;
+    const _key = _w + "x" + _h;
+
+    let _image = this.placeholderImages.get(_key);
+    if (_image !== undefined) {
+        return _image;
+    }
+
+    const _data = new Uint8ClampedArray(_w * _h * 4);
+    for (let y = 0; y < _h; y++) {
+        const _cell_y = Math.floor(y * PLACEHOLDER_SIZE / _h);
+        for (let x = 0; x < _w; x++) {
+            const _cell_x = Math.floor(x * PLACEHOLDER_SIZE / _w);
+            _data.set(PLACEHOLDER_COLORS[(_cell_x + _cell_y) % 2], (y * _w + x) * 4);
+        }
+    }
+
+    _image = new ImageData(_data, _w, _h);
+    this.placeholderImages.set(_key, _image);
+    return _image;
+}
+
+export default GPT_AssetManager;
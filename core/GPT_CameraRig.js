@@ -0,0 +1,339 @@
+/**
+ * @module libgptjs Graphical Programming with ThreeJS (GPT)
+ * @class GPT_CameraRig
+ * @summary
+ *      Builds a THREE.Camera from a description (perspective / orthographic, pose, target, near / far)
+ *      and attaches a pluggable controller (orbit, fly, fixed, follow-target or a custom one)
+ */
+
+/**
+ * Importing object THREE from our costumized global script
+ */
+import THREE from '../external-libs/three-global'
+import { OrbitControls } from "three/examples/jsm/controls/OrbitControls"
+import { FlyControls } from "three/examples/jsm/controls/FlyControls"
+
+/**
+ * Default values of a camera description
+ */
+const CAMERA_DEFAULTS = Object.freeze(
+    {
+        type: "perspective",
+        fov: 75,
+        near: 0.1,
+        far: 5000,
+        // orthographic: visible height in world units (width is computed with the aspect)
+        height: 1000,
+        position: [0, 0, 10],
+        target: [0, 0, 0],
+        controller: { type: "orbit" }
+    }
+);
+
+/**
+ * Accepts THREE.Vector3, {x, y, z} or [x, y, z]
+ * @param {*} v_
+ * @returns {THREE.Vector3} new vector
+ */
+function toVector3(v_) {
+    if (Array.isArray(v_)) {
+        return new THREE.Vector3(v_[0], v_[1], v_[2]);
+    }
+    return new THREE.Vector3(v_.x, v_.y, v_.z);
+}
+
+/**
+ * Creates the camera and its controller
+ *
+ * Camera description (missing fields take CAMERA_DEFAULTS):
+ *
+ *      {
+ *          type: "perspective" | "orthographic",
+ *          fov: 75, near: 0.1, far: 5000,      // fov only for perspective
+ *          height: 1000,                       // only for orthographic
+ *          position: [0, 275, 700],            // Vector3, {x, y, z} or [x, y, z]
+ *          target: [0, 80, 0],                 // point the camera looks at
+ *          controller: { type: "orbit" }       // see setController
+ *      }
+ *
+ * @param {Object} camera_desc_ camera description
+ * @param {Number} aspect_ width / height of the canvas
+ * @param {HTMLElement} dom_element_ canvas listening to user input (orbit, fly). Can be null when headless
+ */
+function GPT_CameraRig(camera_desc_, aspect_, dom_element_) {
+    this.desc = Object.assign({}, CAMERA_DEFAULTS, camera_desc_);
+    this.aspect = aspect_;
+    this.dom_element = dom_element_;
+
+    this.camera = this.createCamera();
+    if (this.camera === undefined) {
+        return;
+    }
+
+    // true when the camera moved since the last call to consumeChanged (render-on-demand)
+    this.changed = true;
+    this._on_controller_change = () => { this.changed = true; };
+
+    this.controller = undefined;
+    this.setController(this.desc.controller);
+}
+
+/**
+ * @returns {THREE.Camera} perspective or orthographic camera placed at `position` and looking at `target`
+ */
+GPT_CameraRig.prototype.createCamera = function () {
+    let _camera = undefined;
+
+    switch (this.desc.type) {
+        case "perspective":
+            _camera = new THREE.PerspectiveCamera(this.desc.fov, this.aspect, this.desc.near, this.desc.far);
+            break;
+
+        case "orthographic": {
+            const _hh = this.desc.height / 2;
+            const _hw = _hh * this.aspect;
+            _camera = new THREE.OrthographicCamera(-_hw, _hw, _hh, -_hh, this.desc.near, this.desc.far);
+            break;
+        }
+
+        default:
+            console.error("GPT_CameraRig.createCamera: unknown camera type '" + this.desc.type + "'");
+            return undefined;
+    }
+
+    _camera.position.copy(toVector3(this.desc.position));
+    this.target = toVector3(this.desc.target);
+    _camera.lookAt(this.target);
+
+    return _camera;
+}
+
+/**
+ * Replaces the current controller (the previous one is disposed)
+ *
+ * Controller description:
+ *
+ *      { type: "orbit", target: [0, 100, 0], options: { enableDamping: true } }
+ *      { type: "fly", options: { movementSpeed: 100, rollSpeed: 0.5 } }
+ *      { type: "fixed" }
+ *      { type: "follow", object: THREE.Object3D | Function, offset: [0, 100, 300], look_offset: [0, 0, 0], smoothing: 0.005 }
+ *      function (camera, dom_element) { return { update(ms) {}, dispose() {} }; }   // custom controller
+ *
+ * `options` are copied as they are into the controller (ex: OrbitControls properties).
+ * Orbit and fly need a canvas element, without it (headless) a fixed controller is used.
+ * Camera movements are detected with the "change" event of the controller (three.js controls) or,
+ * for controllers without events, with a `changed` flag set to true by the controller itself
+ *
+ * @param {Object|Function} controller_desc_ controller description or factory of a custom controller
+ */
+GPT_CameraRig.prototype.setController = function (controller_desc_) {
+    this.disposeController();
+    this.changed = true;
+
+    if (typeof (controller_desc_) === "function") {
+        this.controller = controller_desc_(this.camera, this.dom_element);
+        this.listenController();
+        return;
+    }
+
+    const _desc = (controller_desc_ !== undefined) ? controller_desc_ : { type: "fixed" };
+    let _type = _desc.type;
+
+    if ((_type === "orbit" || _type === "fly") && !this.dom_element) {
+        console.info("GPT_CameraRig.setController: no canvas element for '" + _type + "', using 'fixed'");
+        _type = "fixed";
+    }
+
+    switch (_type) {
+        case "orbit":
+            this.controller = new OrbitControls(this.camera, this.dom_element);
+            this.controller.target.copy((_desc.target !== undefined) ? toVector3(_desc.target) : this.target);
+            break;
+
+        case "fly":
+            this.controller = new FlyControls(this.camera, this.dom_element);
+            break;
+
+        case "fixed":
+            this.controller = new FixedController(this.camera, this.target);
+            break;
+
+        case "follow":
+            this.controller = new FollowController(this.camera, _desc);
+            break;
+
+        default:
+            console.error("GPT_CameraRig.setController: unknown controller type '" + _type + "'");
+            return;
+    }
+
+    if (_desc.options !== undefined) {
+        Object.assign(this.controller, _desc.options);
+    }
+
+    this.controller_type = _type;
+    this.listenController();
+}
+
+/**
+ * Subscribes to the "change" event of controllers dispatching events (OrbitControls, FlyControls)
+ */
+GPT_CameraRig.prototype.listenController = function () {
+    if (this.controller !== undefined && typeof (this.controller.addEventListener) === "function") {
+        this.controller.addEventListener("change", this._on_controller_change);
+    }
+}
+
+/**
+ * @returns {Bool} true when the camera moved (or its projection changed) since the previous call
+ */
+GPT_CameraRig.prototype.consumeChanged = function () {
+    let _changed = this.changed;
+    this.changed = false;
+
+    if (this.controller !== undefined && this.controller.changed === true) {
+        this.controller.changed = false;
+        _changed = true;
+    }
+
+    return _changed;
+}
+
+/**
+ * Per-frame update of the controller
+ * @param {Number} ms milliseconds passed since last frame
+ */
+GPT_CameraRig.prototype.update = function (ms) {
+    if (this.controller === undefined) {
+        return;
+    }
+
+    // FlyControls expects seconds. OrbitControls.update takes no time: autoRotate and damping advance once per frame
+    if (this.controller_type === "fly") {
+        this.controller.update(ms / 1000);
+    }
+    else {
+        this.controller.update(ms);
+    }
+}
+
+/**
+ * Updates the projection when the canvas changes its size
+ * @param {Number} aspect_ width / height
+ */
+GPT_CameraRig.prototype.setAspect = function (aspect_) {
+    this.aspect = aspect_;
+
+    if (this.camera.isPerspectiveCamera) {
+        this.camera.aspect = aspect_;
+    }
+    else {
+        const _hh = this.desc.height / 2;
+        const _hw = _hh * aspect_;
+        this.camera.left = -_hw;
+        this.camera.right = _hw;
+        this.camera.top = _hh;
+        this.camera.bottom = -_hh;
+    }
+
+    this.camera.updateProjectionMatrix();
+    this.changed = true;
+}
+
+GPT_CameraRig.prototype.disposeController = function () {
+    if (this.controller !== undefined && typeof (this.controller.removeEventListener) === "function") {
+        this.controller.removeEventListener("change", this._on_controller_change);
+    }
+
+    if (this.controller !== undefined && typeof (this.controller.dispose) === "function") {
+        this.controller.dispose();
+    }
+    this.controller = undefined;
+    this.controller_type = undefined;
+}
+
+GPT_CameraRig.prototype.dispose = function () {
+    this.disposeController();
+    this.camera = undefined;
+    this.dom_element = undefined;
+}
+
+/**
+ * Camera does not move, keeps looking at the target
+ * @param {THREE.Camera} camera_
+ * @param {THREE.Vector3} target_
+ */
+function FixedController(camera_, target_) {
+    this.camera = camera_;
+    this.target = target_.clone();
+}
+
+FixedController.prototype.update = function (ms) {
+    this.camera.lookAt(this.target);
+}
+
+/**
+ * Camera follows an Object3D keeping an offset and looking at it
+ *      object: the Object3D, or a function returning it (resolved every update, ex: objects re-created at runtime).
+ *          The camera stays still while it is undefined
+ *      offset: position of the camera relative to the object (world axes). Default (0, 100, 300)
+ *      look_offset: point looked at, relative to the object. Default (0, 0, 0)
+ *      smoothing: factor per millisecond to approach the desired position, 0 to move instantly. Default 0.005
+ * @param {THREE.Camera} camera_
+ * @param {Object} desc_ { object, offset, look_offset, smoothing }
+ */
+function FollowController(camera_, desc_) {
+    this.camera = camera_;
+
+    this.object = desc_.object;
+    if (this.object === undefined) {
+        console.error("GPT_CameraRig: 'follow' controller needs an 'object'");
+    }
+
+    this.offset = toVector3((desc_.offset !== undefined) ? desc_.offset : [0, 100, 300]);
+    this.look_offset = toVector3((desc_.look_offset !== undefined) ? desc_.look_offset : [0, 0, 0]);
+    this.smoothing = (desc_.smoothing !== undefined) ? desc_.smoothing : 0.005;
+
+    this._obj_pos = new THREE.Vector3();
+    this._desired = new THREE.Vector3();
+    this._prev_pos = new THREE.Vector3();
+
+    // set when the camera moved (read by GPT_CameraRig.consumeChanged)
+    this.changed = false;
+}
+
+FollowController.prototype.update = function (ms) {
+    const _obj = (typeof (this.object) === "function") ? this.object() : this.object;
+    if (_obj === undefined || _obj === null) {
+        return;
+    }
+
+    _obj.getWorldPosition(this._obj_pos);
+    this._desired.copy(this._obj_pos).add(this.offset);
+    this._prev_pos.copy(this.camera.position);
+
+    if (this.smoothing > 0 && ms !== undefined) {
+        // frame-rate independent exponential approach
+        const _t = 1.0 - Math.exp(-this.smoothing * ms);
+        this.camera.position.lerp(this._desired, _t);
+    }
+    else {
+        this.camera.position.copy(this._desired);
+    }
+
+    this.camera.lookAt(this._obj_pos.add(this.look_offset));
+
+    if (this._prev_pos.distanceToSquared(this.camera.position) > 1e-8) {
+        this.changed = true;
+    }
+}
+
+/**
+ * @param {THREE.Object3D} object_ new object to follow
+ */
+FollowController.prototype.setObject = function (object_) {
+    this.object = object_;
+}
+
+export { CAMERA_DEFAULTS, toVector3 };
+export default GPT_CameraRig;
@@ -0,0 +1,101 @@
+/**
+ * @module libgptjs Graphical Programming with ThreeJS (GPT)
+ * @class GPT_Clock
+ * @summary
+ *      Single source of time for the application. It is owned by GPT_App and
+ *      read by every time-dependent object (state machines, interpolations, etc.)
+ *      instead of calling performance.now() directly
+ */
+
+/**
+ * Creates a clock that measures time in milliseconds starting at 0
+ *
+ *      real: (default) advances with the time source (performance.now)
+ *      paused-aware: while paused the time does not advance, and it resumes without a jump
+ *      time-scaled: elapsed time is multiplied by `timeScale` (0.5 slow motion, 2.0 fast forward)
+ *      manual: only advances when calling `advance(ms)`. Intended for deterministic tests
+ *
+ * @param {Bool} manual_ true for a manual (steppable) clock, false or undefined for a real clock
+ * @param {Function} time_source_ function returning the current time in ms. Default performance.now
+ */
+function GPT_Clock(manual_, time_source_) {
+    this.manual = (manual_ === true);
+
+    this.time_source = time_source_;
+    if (this.time_source === undefined) {
+        this.time_source = () => { return performance.now(); };
+    }
+
+    this.paused = false;
+    this.timeScale = 1.0;
+
+    // clock time (ms) and last reading of the time source
+    this.elapsedMS = 0;
+    this.lastSourceTS = this.manual ? undefined : this.time_source();
+}
+
+/**
+ * Brings the clock time up to date with the time source (only real clocks)
+ */
+GPT_Clock.prototype.sync = function () {
+    if (this.manual) {
+        return;
+    }
+
+    const _source_ts = this.time_source();
+    if (!this.paused) {
+        this.elapsedMS += (_source_ts - this.lastSourceTS) * this.timeScale;
+    }
+    this.lastSourceTS = _source_ts;
+}
+
+/**
+ * @returns {Number} current clock time in milliseconds
+ */
+GPT_Clock.prototype.now = function () {
+    this.sync();
+    return this.elapsedMS;
+}
+
+/**
+ * Advances the clock by `ms` milliseconds (scaled by `timeScale`). Ignored while paused
+ * It is the only way to move a manual clock forward, but it also works with real clocks
+ * @param {Number} ms milliseconds to advance
+ */
+GPT_Clock.prototype.advance = function (ms) {
+    if (!(ms >= 0)) {
+        console.error("GPT_Clock.advance: 'ms' must be a positive number. Found: " + ms);
+        return;
+    }
+
+    this.sync();
+    if (!this.paused) {
+        this.elapsedMS += ms * this.timeScale;
+    }
+}
+
+/**
+ * Freezes (true) or unfreezes (false) the clock. The time passed while paused is never counted
+ * @param {Bool} paused_
+ */
+GPT_Clock.prototype.setPaused = function (paused_) {
+    // account the time passed until now with the previous state
+    this.sync();
+    this.paused = paused_;
+}
+
+/**
+ * @param {Number} scale_ factor applied to the elapsed time (1.0 real time)
+ */
+GPT_Clock.prototype.setTimeScale = function (scale_) {
+    if (!(scale_ >= 0)) {
+        console.error("GPT_Clock.setTimeScale: 'scale' must be a positive number. Found: " + scale_);
+        return;
+    }
+
+    // time passed until now keeps the previous scale
+    this.sync();
+    this.timeScale = scale_;
+}
+
+export default GPT_Clock;
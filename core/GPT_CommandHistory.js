@@ -0,0 +1,684 @@
+/**
+ * @module libgptjs Graphical Programming with ThreeJS (GPT)
+ * @class GPT_CommandHistory
+ * @summary
+ *      Undo / redo layer over the runtime edits of a GPT_Scene: adding and removing models, transforms,
+ *      material and light parameters. Edits can be grouped in transactions (undone at once), and every
+ *      executed edit is recorded in a log that can be replayed to reproduce the same scene.
+ *      Library API: the scenes of this repo do not create one, only the edits made through it can be undone
+ *      (ex: the dat.gui controllers of SceneDragon change the scene directly and are not recorded)
+ */
+
+/**
+ * Transform properties accepted by setTransform
+ */
+const TRANSFORM_KEYS = Object.freeze(["position", "rotation", "scale"]);
+
+/**
+ * Default maximum number of entries (commands or groups) that can be undone
+ */
+const DEFAULT_MAX_SIZE = 100;
+
+/**
+ * Creates an empty history
+ *
+ *      const history = new GPT_CommandHistory(gpt_scene);
+ *      history.setTransform("dragon", { position: [0, 50, 0], rotation: [0, Math.PI, 0] });
+ *      history.group("paint robot", () => {
+ *          history.setMaterial("robot", { color: 0xff0000, shininess: 10 });
+ *          history.setLight("lFocal", { intensity: 5 });
+ *      });
+ *      history.undo();     // both changes of the group
+ *      history.redo();
+ *
+ * @param {GPT_Scene} gpt_scene_ scene the commands are applied to
+ * @param {Number} max_size_ optional number of entries that can be undone. Default 100
+ */
+function GPT_CommandHistory(gpt_scene_, max_size_) {
+    if (gpt_scene_ === undefined) {
+        console.error("GPT_CommandHistory: scene is undefined");
+        return;
+    }
+
+    this.gpt_scene = gpt_scene_;
+    this.max_size = (max_size_ !== undefined) ? Math.max(max_size_, 1) : DEFAULT_MAX_SIZE;
+
+    this.undo_stack = [];
+    this.redo_stack = [];
+
+    // open transaction (see beginGroup) and its nesting depth
+    this.current_group = undefined;
+    this.group_depth = 0;
+
+    // records of every executed command, group, undo and redo in order (see getLog / replay)
+    this.log = [];
+}
+
+/**
+ * Adds a model at runtime (see GPT_Scene.AddModelToScene). Undo removes it without disposing it, so it can be redone
+ * @param {String} name_ unique model name
+ * @param {THREE.Object3D|GPT_Model} object_ mesh or registered model
+ * @param {Number} priority_ optional update priority of a GPT_Model
+ * @returns {Bool} true when it was added
+ */
+GPT_CommandHistory.prototype.addModel = function (name_, object_, priority_) {
+    if (object_ === undefined) {
+        console.error("GPT_CommandHistory.addModel: '" + name_ + "' is undefined");
+        return false;
+    }
+    return this.execute(new AddCommand(name_, object_, priority_));
+}
+
+/**
+ * Removes a model at runtime. Its resources are kept while the command can be undone
+ * @param {String} name_ model name
+ * @returns {Bool} true when it was removed
+ */
+GPT_CommandHistory.prototype.removeModel = function (name_) {
+    return this.execute(new RemoveCommand(name_));
+}
+
+/**
+ * Changes the transform of a model or light
+ * @param {String} name_ model or light name
+ * @param {Object} values_ any of { position: [x, y, z], rotation: [x, y, z], scale: [x, y, z] } (arrays, vectors or eulers)
+ * @returns {Bool} true when it was changed
+ */
+GPT_CommandHistory.prototype.setTransform = function (name_, values_) {
+    for (let _key of Object.keys(values_)) {
+        if (!TRANSFORM_KEYS.includes(_key)) {
+            console.error("GPT_CommandHistory.setTransform: unknown transform '" + _key + "'. Expected: " + TRANSFORM_KEYS.join(", "));
+            return false;
+        }
+    }
+    return this.execute(new PropertyCommand("transform", name_, values_));
+}
+
+/**
+ * Changes parameters of the material of a model. Colors can be numbers, strings or THREE.Color
+ * @param {String} name_ model name
+ * @param {Object} values_ material parameters, ex: { color: 0xff0000, opacity: 0.5, flatShading: true }
+ * @param {Number} index_ optional material index when the model has an array of materials. Default 0
+ * @returns {Bool} true when it was changed
+ */
+GPT_CommandHistory.prototype.setMaterial = function (name_, values_, index_) {
+    return this.execute(new PropertyCommand("material", name_, values_, (index_ !== undefined) ? index_ : 0));
+}
+
+/**
+ * Changes parameters of a light
+ * @param {String} name_ light name
+ * @param {Object} values_ light parameters, ex: { intensity: 5, color: "#ffffff", angle: 0.4 }
+ * @returns {Bool} true when it was changed
+ */
+GPT_CommandHistory.prototype.setLight = function (name_, values_) {
+    return this.execute(new PropertyCommand("light", name_, values_));
+}
+
+/**
+ * Applies a command and pushes it to the undo stack (or to the open group). The redo stack is discarded
+ * @param {Object} cmd_ command with do / undo / discard / toRecord
+ * @returns {Bool} true when the command was applied
+ */
+GPT_CommandHistory.prototype.execute = function (cmd_) {
+    if (!cmd_.do(this.gpt_scene)) {
+        return false;
+    }
+    this.gpt_scene.markDirty();
+
+    if (this.current_group !== undefined) {
+        this.current_group.commands.push(cmd_);
+        return true;
+    }
+
+    this.push(cmd_);
+    this.log.push(cmd_.toRecord());
+    return true;
+}
+
+/**
+ * Pushes an executed entry, discarding the redo stack and the oldest entries over `max_size`
+ * @param {Object} cmd_ command or group
+ */
+GPT_CommandHistory.prototype.push = function (cmd_) {
+    this.discardAll(this.redo_stack);
+
+    this.undo_stack.push(cmd_);
+    while (this.undo_stack.length > this.max_size) {
+        this.undo_stack.shift().discard(this.gpt_scene);
+    }
+}
+
+/**
+ * Opens a transaction: commands executed until the matching endGroup are undone and redone at once
+ * Groups can be nested (only the outermost one is kept)
+ * @param {String} label_ optional description
+ */
+GPT_CommandHistory.prototype.beginGroup = function (label_) {
+    if (this.group_depth === 0) {
+        this.current_group = new GroupCommand(label_);
+    }
+    this.group_depth++;
+}
+
+/**
+ * Closes the transaction opened with beginGroup. Empty groups are not recorded
+ */
+GPT_CommandHistory.prototype.endGroup = function () {
+    if (this.group_depth === 0) {
+        console.error("GPT_CommandHistory.endGroup: there is no open group");
+        return;
+    }
+
+    this.group_depth--;
+    if (this.group_depth > 0) {
+        return;
+    }
+
+    const _group = this.current_group;
+    this.current_group = undefined;
+
+    if (_group.commands.length > 0) {
+        this.push(_group);
+        this.log.push(_group.toRecord());
+    }
+}
+
+/**
+ * Runs `fn_` inside a transaction (closed even when `fn_` throws)
+ * @param {String} label_ description
+ * @param {Function} fn_ function executing the commands
+ */
+GPT_CommandHistory.prototype.group = function (label_, fn_) {
+    this.beginGroup(label_);
+    try {
+        fn_();
+    }
+    finally {
+        this.endGroup();
+    }
+}
+
+/**
+ * @returns {Bool} true when there is something to undo (and no open group)
+ */
+GPT_CommandHistory.prototype.canUndo = function () {
+    return this.group_depth === 0 && this.undo_stack.length > 0;
+}
+
+/**
+ * @returns {Bool} true when there is something to redo (and no open group)
+ */
+GPT_CommandHistory.prototype.canRedo = function () {
+    return this.group_depth === 0 && this.redo_stack.length > 0;
+}
+
+/**
+ * Reverts the last command or group
+ * @returns {Bool} true when something was undone
+ */
+GPT_CommandHistory.prototype.undo = function () {
+    if (this.group_depth > 0) {
+        console.error("GPT_CommandHistory.undo: close the open group first");
+        return false;
+    }
+
+    const _cmd = this.undo_stack.pop();
+    if (_cmd === undefined) {
+        return false;
+    }
+
+    _cmd.undo(this.gpt_scene);
+    this.redo_stack.push(_cmd);
+    this.gpt_scene.markDirty();
+
+    this.log.push({ type: "undo" });
+    return true;
+}
+
+/**
+ * Applies again the last undone command or group
+ * If it fails (e.g. the name of an added model is in use again) it stays in the redo stack
+ * @returns {Bool} true when something was redone
+ */
+GPT_CommandHistory.prototype.redo = function () {
+    if (this.group_depth > 0) {
+        console.error("GPT_CommandHistory.redo: close the open group first");
+        return false;
+    }
+
+    const _cmd = this.redo_stack.pop();
+    if (_cmd === undefined) {
+        return false;
+    }
+
+    if (!_cmd.do(this.gpt_scene)) {
+        this.redo_stack.push(_cmd);
+        return false;
+    }
+    this.undo_stack.push(_cmd);
+    this.gpt_scene.markDirty();
+
+    this.log.push({ type: "redo" });
+    return true;
+}
+
+/**
+ * Empties both stacks and the log. Models that are out of the scene because of the discarded commands
+ * (removed, or added and then undone) get their resources disposed
+ */
+GPT_CommandHistory.prototype.clear = function () {
+    this.discardAll(this.undo_stack);
+    this.discardAll(this.redo_stack);
+    this.log = [];
+}
+
+/**
+ * @param {Array} stack_ undo or redo stack (emptied)
+ */
+GPT_CommandHistory.prototype.discardAll = function (stack_) {
+    for (let _cmd of stack_) {
+        _cmd.discard(this.gpt_scene);
+    }
+    stack_.length = 0;
+}
+
+/**
+ * Records of every executed command in order. JSON friendly except the added objects, which are kept
+ * in a non-enumerable `object` field (JSON.stringify leaves them out, replay asks for them again)
+ *
+ *      { type: "add", name, priority }
+ *      { type: "remove", name }
+ *      { type: "transform" | "material" | "light", name, values, index }
+ *      { type: "group", label, commands: [records] }
+ *      { type: "undo" }, { type: "redo" }
+ *
+ * @returns {Array} copy of the log
+ */
+GPT_CommandHistory.prototype.getLog = function () {
+    return this.log.slice();
+}
+
+/**
+ * Executes the records of a log (see getLog) in this history, reproducing the edits of another session
+ * @param {Array} log_ records, or the JSON string of them
+ * @param {Function} create_object_ optional (record) => Object3D or GPT_Model for "add" records without object (ex: parsed from JSON)
+ * @returns {Bool} true when every record was applied
+ */
+GPT_CommandHistory.prototype.replay = function (log_, create_object_) {
+    let _log = log_;
+    if (typeof (_log) === "string") {
+        try {
+            _log = JSON.parse(_log);
+        }
+        catch (e_) {
+            console.error("GPT_CommandHistory.replay: invalid JSON. " + e_.message);
+            return false;
+        }
+    }
+
+    if (!Array.isArray(_log)) {
+        console.error("GPT_CommandHistory.replay: expected an array of records");
+        return false;
+    }
+
+    let _ok = true;
+    for (let _record of _log) {
+        _ok = this.replayRecord(_record, create_object_) && _ok;
+    }
+    return _ok;
+}
+
+/**
+ * @param {Object} record_ one record of the log
+ * @param {Function} create_object_ see replay
+ * @returns {Bool} true when the record was applied
+ */
+GPT_CommandHistory.prototype.replayRecord = function (record_, create_object_) {
+    switch (record_.type) {
+        case "add": {
+            let _obj = record_.object;
+            if (_obj === undefined && create_object_ !== undefined) {
+                _obj = create_object_(record_);
+            }
+            return this.addModel(record_.name, _obj, record_.priority);
+        }
+        case "remove":
+            return this.removeModel(record_.name);
+        case "transform":
+            return this.setTransform(record_.name, record_.values);
+        case "material":
+            return this.setMaterial(record_.name, record_.values, record_.index);
+        case "light":
+            return this.setLight(record_.name, record_.values);
+        case "group": {
+            let _ok = true;
+            this.group(record_.label, () => {
+                for (let _r of record_.commands) {
+                    _ok = this.replayRecord(_r, create_object_) && _ok;
+                }
+            });
+            return _ok;
+        }
+        case "undo":
+            return this.undo();
+        case "redo":
+            return this.redo();
+    }
+
+    console.error("GPT_CommandHistory.replay: unknown record type '" + record_.type + "'");
+    return false;
+}
+
+/**
+ * Adds a model (see GPT_CommandHistory.addModel)
+ */
+function AddCommand(name_, object_, priority_) {
+    this.name = name_;
+    this.object = object_;
+    this.priority = priority_;
+    this.done = false;
+}
+
+AddCommand.prototype.do = function (gpt_scene_) {
+    if (gpt_scene_.getObject(this.name) !== undefined) {
+        console.error("GPT_CommandHistory: could not add '" + this.name + "'. Name already in use");
+        return false;
+    }
+
+    gpt_scene_.AddModelToScene(this.name, this.object, this.priority);
+    this.done = true;
+    return true;
+}
+
+AddCommand.prototype.undo = function (gpt_scene_) {
+    gpt_scene_.removeModelFromScene(this.name, false);
+    this.done = false;
+}
+
+/**
+ * Discarded while undone: the object will not come back to the scene
+ */
+AddCommand.prototype.discard = function (gpt_scene_) {
+    if (!this.done) {
+        disposeRemoved(gpt_scene_, this.object);
+    }
+}
+
+AddCommand.prototype.toRecord = function () {
+    const _record = { type: "add", name: this.name, priority: this.priority };
+    Object.defineProperty(_record, "object", { value: this.object, enumerable: false });
+    return _record;
+}
+
+/**
+ * Removes a model keeping what is needed to add it back: registered model and priority, tags, layer and interpolation
+ */
+function RemoveCommand(name_) {
+    this.name = name_;
+    this.done = false;
+}
+
+RemoveCommand.prototype.do = function (gpt_scene_) {
+    const _obj = gpt_scene_.gpt_models.get(this.name);
+    if (_obj === undefined) {
+        console.error("GPT_CommandHistory: could not remove '" + this.name + "'. Model not found");
+        return false;
+    }
+
+    const _entry = gpt_scene_.registered_models.get(this.name);
+    this.object = (_entry !== undefined) ? _entry.model : _obj;
+    this.mesh = _obj;
+    this.priority = (_entry !== undefined) ? _entry.priority : undefined;
+    this.tags = gpt_scene_.getTags(this.name);
+    this.layer = gpt_scene_.getObjectLayer(this.name);
+    this.interpolated = gpt_scene_.interpolated.has(_obj);
+
+    gpt_scene_.removeModelFromScene(this.name, false);
+    if (gpt_scene_.gpt_models.has(this.name)) {
+        return false;
+    }
+
+    this.done = true;
+    return true;
+}
+
+RemoveCommand.prototype.undo = function (gpt_scene_) {
+    gpt_scene_.AddModelToScene(this.name, this.object, this.priority);
+
+    if (this.tags.length > 0) {
+        gpt_scene_.addTag(this.name, this.tags);
+    }
+    if (this.layer !== "default") {
+        gpt_scene_.setLayer(this.name, this.layer);
+    }
+    if (this.interpolated && !gpt_scene_.interpolated.has(this.mesh)) {
+        gpt_scene_.addInterpolatedObject(this.mesh);
+    }
+
+    this.done = false;
+}
+
+/**
+ * Discarded while done: the object will not come back to the scene
+ */
+RemoveCommand.prototype.discard = function (gpt_scene_) {
+    if (this.done) {
+        disposeRemoved(gpt_scene_, this.mesh);
+    }
+}
+
+RemoveCommand.prototype.toRecord = function () {
+    return { type: "remove", name: this.name };
+}
+
+/**
+ * Changes properties of the transform, the material or a light. Previous values are read when it is done the first time
+ * @param {String} type_ "transform", "material" or "light"
+ * @param {String} name_ model or light name
+ * @param {Object} values_ property -> new value
+ * @param {Number} index_ material index ("material" only)
+ */
+function PropertyCommand(type_, name_, values_, index_) {
+    this.type = type_;
+    this.name = name_;
+    this.values = values_;
+    this.index = index_;
+    this.prev = undefined;
+}
+
+/**
+ * @param {GPT_Scene} gpt_scene_
+ * @returns {Object} object whose properties are changed, undefined when not found
+ */
+PropertyCommand.prototype.getTarget = function (gpt_scene_) {
+    const _obj = (this.type === "light") ? gpt_scene_.gpt_lights.get(this.name) : gpt_scene_.getObject(this.name);
+    if (_obj === undefined) {
+        console.error("GPT_CommandHistory: " + this.type + " of '" + this.name + "': object not found");
+        return undefined;
+    }
+
+    if (this.type !== "material") {
+        return _obj;
+    }
+
+    const _mat = Array.isArray(_obj.material) ? _obj.material[this.index] : _obj.material;
+    if (_mat === undefined || _mat === null) {
+        console.error("GPT_CommandHistory: material of '" + this.name + "': no material at index " + this.index);
+        return undefined;
+    }
+    return _mat;
+}
+
+PropertyCommand.prototype.do = function (gpt_scene_) {
+    const _target = this.getTarget(gpt_scene_);
+    if (_target === undefined) {
+        return false;
+    }
+
+    if (this.prev === undefined) {
+        for (let _key of Object.keys(this.values)) {
+            if (_target[_key] === undefined) {
+                console.error("GPT_CommandHistory: " + this.type + " of '" + this.name + "' has no property '" + _key + "'");
+                return false;
+            }
+        }
+
+        this.prev = readValues(_target, Object.keys(this.values));
+        writeValues(_target, this.values);
+
+        // normalized (JSON friendly) values for the log
+        this.values = readValues(_target, Object.keys(this.values));
+    }
+    else {
+        writeValues(_target, this.values);
+    }
+
+    this.applied(gpt_scene_, _target);
+    return true;
+}
+
+PropertyCommand.prototype.undo = function (gpt_scene_) {
+    const _target = this.getTarget(gpt_scene_);
+    if (_target === undefined) {
+        return;
+    }
+
+    writeValues(_target, this.prev);
+    this.applied(gpt_scene_, _target);
+}
+
+/**
+ * Makes the change visible: recompiles materials and moves the interpolated objects to the new pose
+ */
+PropertyCommand.prototype.applied = function (gpt_scene_, target_) {
+    if (this.type === "material") {
+        target_.needsUpdate = true;
+    }
+    else if (this.type === "transform" && gpt_scene_.interpolated.has(target_)) {
+        // otherwise restoreInterpolated would put back the pose of the last simulation step
+        gpt_scene_.addInterpolatedObject(target_);
+    }
+}
+
+PropertyCommand.prototype.discard = function (gpt_scene_) {
+}
+
+PropertyCommand.prototype.toRecord = function () {
+    const _record = { type: this.type, name: this.name, values: this.values };
+    if (this.type === "material") {
+        _record.index = this.index;
+    }
+    return _record;
+}
+
+/**
+ * Commands undone and redone at once (see GPT_CommandHistory.beginGroup)
+ * @param {String} label_
+ */
+function GroupCommand(label_) {
+    this.label = label_;
+    this.commands = [];
+}
+
+/**
+ * All or nothing: when a command fails the ones already done are undone
+ */
+GroupCommand.prototype.do = function (gpt_scene_) {
+    for (let i = 0; i < this.commands.length; i++) {
+        if (!this.commands[i].do(gpt_scene_)) {
+            for (let j = i - 1; j >= 0; j--) {
+                this.commands[j].undo(gpt_scene_);
+            }
+            return false;
+        }
+    }
+    return true;
+}
+
+GroupCommand.prototype.undo = function (gpt_scene_) {
+    for (let i = this.commands.length - 1; i >= 0; i--) {
+        this.commands[i].undo(gpt_scene_);
+    }
+}
+
+GroupCommand.prototype.discard = function (gpt_scene_) {
+    for (let _cmd of this.commands) {
+        _cmd.discard(gpt_scene_);
+    }
+}
+
+GroupCommand.prototype.toRecord = function () {
+    return { type: "group", label: this.label, commands: this.commands.map((c_) => { return c_.toRecord(); }) };
+}
+
+/**
+ * @param {Object} target_ Object3D, material or light
+ * @param {Array} keys_ property names
+ * @returns {Object} property -> value. Colors as hex numbers, vectors and eulers as arrays
+ */
+function readValues(target_, keys_) {
+    const _values = {};
+    for (let _key of keys_) {
+        const _v = target_[_key];
+        if (_v !== null && _v.isColor) {
+            _values[_key] = _v.getHex();
+        }
+        else if (_v !== null && typeof (_v.toArray) === "function") {
+            _values[_key] = _v.toArray();
+        }
+        else {
+            _values[_key] = _v;
+        }
+    }
+    return _values;
+}
+
+/**
+ * @param {Object} target_ Object3D, material or light
+ * @param {Object} values_ property -> value (see readValues). Colors also as strings or THREE.Color, vectors as {x, y, z}
+ */
+function writeValues(target_, values_) {
+    for (let _key of Object.keys(values_)) {
+        const _v = values_[_key];
+        const _current = target_[_key];
+
+        if (_current !== null && _current.isColor) {
+            _current.set(_v);
+        }
+        else if (_current !== null && typeof (_current.fromArray) === "function") {
+            if (Array.isArray(_v)) {
+                _current.fromArray(_v);
+            }
+            else {
+                _current.set(_v.x, _v.y, _v.z);
+            }
+        }
+        else {
+            target_[_key] = _v;
+        }
+    }
+}
+
+/**
+ * Disposes the resources of an object that left the scene for good, except the ones still used by other models
+ * (retained once more and released, so only the resources without other users reach 0 references)
+ * @param {GPT_Scene} gpt_scene_
+ * @param {THREE.Object3D|GPT_Model} object_
+ */
+function disposeRemoved(gpt_scene_, object_) {
+    let _obj = object_;
+    if (object_.isObject3D !== true) {
+        // same as GPT_Scene.registerModel: THREE.LOD of models with levels of detail
+        _obj = (typeof (object_.getRoot) === "function") ? object_.getRoot() : object_.mesh;
+    }
+    if (_obj === undefined || _obj.parent !== null) {
+        return;
+    }
+
+    gpt_scene_.retainResources(_obj);
+    gpt_scene_.releaseResources(_obj, true);
+}
+
+export { TRANSFORM_KEYS };
+export default GPT_CommandHistory;
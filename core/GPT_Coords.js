@@ -8,6 +8,62 @@
 
 import THREE from "../external-libs/three-global";
 
+/**
+ * How the normals of the faces around a vertex are averaged (see getNormalsLayout)
+ */
+const NORMAL_WEIGHTINGS = Object.freeze(["area", "angle"]);
+
+/**
+ * UV projections (see getUVLayout) and their default axis
+ */
+const UV_MODES = Object.freeze({
+    planar: "z",
+    box: "z",
+    cylindrical: "y",
+    spherical: "y"
+});
+
+/**
+ * Distance to the axis (fraction of the bounding box diagonal) under which a vertex is on the axis of cylindrical / spherical UVs
+ */
+const AXIS_EPSILON = 1e-6;
+
+/**
+ * Offsets of a cell of the grid and the 26 around it (see findDuplicatedVertices)
+ */
+const NEIGHBOR_CELLS = [];
+for (let x = -1; x <= 1; x++) {
+    for (let y = -1; y <= 1; y++) {
+        for (let z = -1; z <= 1; z++) {
+            NEIGHBOR_CELLS.push([x, y, z]);
+        }
+    }
+}
+
+/**
+ * Weight of the planes along seams and borders (see getDecimatedLayout), relative to the planes of the faces
+ */
+const SEAM_QUADRIC_WEIGHT = 10;
+
+/**
+ * Minimum cosine between the normal of a face before and after a collapse (see getDecimatedLayout). Lower: the face folds
+ */
+const COLLAPSE_MIN_COS = 0.2;
+
+/**
+ * Determinant under which the quadric of a collapse has no single optimal position (flat or straight surfaces)
+ */
+const QUADRIC_MIN_DETERMINANT = 1e-12;
+
+/**
+ * Axes of the plane perpendicular to each axis: planar projection (u, v), or the plane where the angle around the axis is measured
+ */
+const UV_PLANES = Object.freeze({
+    x: ["z", "y"],
+    y: ["x", "z"],
+    z: ["x", "y"]
+});
+
 /**
  * Class to manipulate / load vertices coordinates and edges among them
  * It is intended to create geometry from low level triangles and operations for computing normals, etc.
@@ -16,6 +72,8 @@ import THREE from "../external-libs/three-global";
  * @param {Int32Array} edges_indices contains all the edges by referencing the indices of `vertices_coordinates` array (avoids to save duplicated vertices on disk) 
  * @param {Array} points3d array of Vector3-items containing all 3d-points from `vertices_coordinates`
  * @param {Array} triangles_indices array of Vector3-items containing all triangles-indices from `edges_indices`
+ * @param {Float32Array} face_normals normal of every triangle
+ * @param {Float32Array} normals smooth normal of every vertex (same layout as `vertices_coordinates`). See getNormalsLayout for creases
  * 
  * It also calculates triangles and normals (check at the end of this file)
  */
@@ -23,6 +81,7 @@ function GPT_Coords() {
     // initialization empty values (will be filled when calculateNormals)
     this.points3d = undefined;
     this.triangles_indices = undefined;
+    this.face_normals = undefined;
 
     // initial operations
     this.vertices_coordinates = this.getArrayVertices();
@@ -49,14 +108,12 @@ GPT_Coords.prototype.getArrayEdges = function () {
 }
 
 /**
- * Calculates normal vector for each face (triangle). Normals in threejs
- * are clockwise by default
- * 
- * Builds triangles taking 3D points from vertices array and edges array
- * 
+ * Builds triangles taking 3D points from vertices array and edges array, then computes
+ * the normal of each face (`this.face_normals`) and the smooth normal of each vertex
+ *
  * @param { [THREE.Vector3] } this.points3d array of Vector3 formed from this.vertices_coordinates
  * @param { [myVec3] } this.triangles_indices array of myVec3 formed from this.edges_indices. 3 components form a triangle
- * @returns { [Float32Array] } Array of values of the computed normal vectors packed all together to be set in a BufferArray
+ * @returns { [Float32Array] } normal vector of every vertex (area weighted, without creases) packed all together to be set in a BufferArray
  */
 GPT_Coords.prototype.calculateNormals = function () {
 
@@ -90,36 +147,55 @@ GPT_Coords.prototype.calculateNormals = function () {
         );
     }
 
-    // size of this.normals is num_triagles * 3 (since 3 floats per normal)
+    this.face_normals = this.calculateFaceNormals();
+
+    // same layout as the vertices: one normal per vertex
+    return this.getNormalsLayout().normals;
+}
+
+/**
+ * Calculates normal vector for each face (triangle). Front faces are counter-clockwise in threejs
+ * @returns { [Float32Array] } 3 floats per triangle, unit vectors (zero for degenerated triangles)
+ */
+GPT_Coords.prototype.calculateFaceNormals = function () {
+    // size of this.face_normals is num_triagles * 3 (since 3 floats per normal)
     const _normals = new Float32Array(3 * this.triangles_indices.length);
 
-    // compute normals: in threejs normals are clockwise by default
+    // triangles with indices out of range or NaN vertices
+    let _broken = 0;
+
     for (let i = 0, n = 0; i < this.triangles_indices.length; i++, n += 3) {
         const p1 = this.points3d[this.triangles_indices[i].a];
         const p2 = this.points3d[this.triangles_indices[i].b];
         const p3 = this.points3d[this.triangles_indices[i].c];
 
+        if (p1 === undefined || p2 === undefined || p3 === undefined) {
+            _broken++;
+            continue;
+        }
+
         // v1 = p2 - p1 = destination - origin
         const v1 = new THREE.Vector3(p2.x - p1.x, p2.y - p1.y, p2.z - p1.z);
 
         // v2 = p3 - p2
         const v2 = new THREE.Vector3(p3.x - p2.x, p3.y - p2.y, p3.z - p2.z);
 
-        // Cross Product of Two Vectors in the Three-Dimensional Cartesian Coordinate System 
+        // Cross Product of Two Vectors in the Three-Dimensional Cartesian Coordinate System
         const normal = new THREE.Vector3(
             v1.y * v2.z - v1.z * v2.y,
-            v1.x * v2.z - v1.z * v2.x,
+            v1.z * v2.x - v1.x * v2.z,
             v1.x * v2.y - v1.y * v2.x
         );
 
-        const mod = Math.sqrt(
-            normal.x * normal.x + normal.y * normal.y + normal.z * normal.z
-        );
-
-        // apply module
-        normal.x = normal.x / mod;
-        normal.y = normal.y / mod;
-        normal.z = normal.z / mod;
+        const mod = normal.length();
+        if (!Number.isFinite(mod)) {
+            _broken++;
+            continue;
+        }
+        if (mod > 0) {
+            // apply module
+            normal.divideScalar(mod);
+        }
 
         // pack all normals-coordinates adjacently for attributeBuffer
         _normals[n] = normal.x;
@@ -127,51 +203,1448 @@ GPT_Coords.prototype.calculateNormals = function () {
         _normals[n + 2] = normal.z;
     }
 
+    if (_broken > 0) {
+        console.error("GPT_Coords.calculateFaceNormals: " + _broken + " triangles with indices out of range or NaN vertices get a zero normal (see validate and repair)");
+    }
+
     return _normals;
 }
 
 /**
- * Calculates UV for planar surface (x, y, z) where z = 0.
- * Computes the UV values for each face (triangle)
- * Assumes `get_geometry()` is finished so input param `_geom` is used
- * 
- * @param {Array} this.points3d reusing to compute uvs
- * @param {Array} this.triangles_indices reusing to compute uvs
+ * Vertices, normals and triangles ready for a THREE.BufferGeometry:
+ *
+ *      const layout = coords.getNormalsLayout({ weighting: "angle", crease_angle: Math.PI / 3 });
+ *      geom.setAttribute("position", new THREE.BufferAttribute(layout.vertices, 3));
+ *      geom.setAttribute("normal", new THREE.BufferAttribute(layout.normals, 3));
+ *      geom.setIndex(new THREE.BufferAttribute(layout.indices, 1));
+ *
+ * The normal of a vertex is the weighted average of the normals of its faces. Faces meeting at an angle
+ * greater than `crease_angle` are not averaged (hard edge): the vertex is split, one copy per side.
+ * Without creases (default) the vertices are the same as `vertices_coordinates`
+ *
+ * @param {Object} options_ optional {
+ *      weighting: "area" (bigger faces count more, default) or "angle" (angle of the face at the vertex),
+ *      crease_angle: radians between face normals above which the edge stays sharp (default Math.PI: everything smooth),
+ *      flat: true for one vertex per triangle corner with the face normal (flat shading, non-indexed). Default false }
+ * @returns {Object} { vertices, normals, indices, source: index in `vertices_coordinates` of every vertex }
+ */
+GPT_Coords.prototype.getNormalsLayout = function (options_) {
+    const _options = Object.assign({ weighting: "area", crease_angle: Math.PI, flat: false }, options_);
+    if (!NORMAL_WEIGHTINGS.includes(_options.weighting)) {
+        console.error("GPT_Coords.getNormalsLayout: unknown weighting '" + _options.weighting + "'. Expected one of: " + NORMAL_WEIGHTINGS.join(", "));
+        return undefined;
+    }
+
+    const _num_corners = 3 * this.triangles_indices.length;
+
+    // vertex of every corner of every triangle
+    const _corner_vertex = new Uint32Array(_num_corners);
+    for (let i = 0; i < this.triangles_indices.length; i++) {
+        _corner_vertex[3 * i] = this.triangles_indices[i].a;
+        _corner_vertex[3 * i + 1] = this.triangles_indices[i].b;
+        _corner_vertex[3 * i + 2] = this.triangles_indices[i].c;
+    }
+
+    if (_options.flat) {
+        const _vertices = new Float32Array(3 * _num_corners);
+        const _normals = new Float32Array(3 * _num_corners);
+        for (let c = 0; c < _num_corners; c++) {
+            if (this.points3d[_corner_vertex[c]] !== undefined) {
+                this.points3d[_corner_vertex[c]].toArray(_vertices, 3 * c);
+            }
+            _normals.set(this.face_normals.subarray(3 * Math.floor(c / 3), 3 * Math.floor(c / 3) + 3), 3 * c);
+        }
+
+        const _indices = new Uint32Array(_num_corners);
+        _indices.forEach((v_, i_) => { _indices[i_] = i_; });
+        return { vertices: _vertices, normals: _normals, indices: _indices, source: _corner_vertex.slice() };
+    }
+
+    const _weights = this.getCornerWeights(_options.weighting);
+
+    // corners around every vertex (compressed lists: corners of vertex v are _corners[_first[v]] .. _corners[_first[v + 1] - 1])
+    const _num_vertices = this.points3d.length;
+    const _first = new Uint32Array(_num_vertices + 1);
+    // corners out of range are left out (see validate)
+    for (let c = 0; c < _num_corners; c++) {
+        if (_corner_vertex[c] < _num_vertices) {
+            _first[_corner_vertex[c] + 1]++;
+        }
+    }
+    for (let v = 0; v < _num_vertices; v++) {
+        _first[v + 1] += _first[v];
+    }
+    const _corners = new Uint32Array(_num_corners);
+    const _filled = _first.slice(0, _num_vertices);
+    for (let c = 0; c < _num_corners; c++) {
+        if (_corner_vertex[c] < _num_vertices) {
+            _corners[_filled[_corner_vertex[c]]++] = c;
+        }
+    }
+
+    // faces closer than the crease angle are averaged. Math.PI or more: every face of the vertex
+    const _min_cos = (_options.crease_angle >= Math.PI) ? -Infinity : Math.cos(_options.crease_angle);
+
+    const _normals = [];
+    const _source = [];
+    const _indices = new Uint32Array(_num_corners);
+    const _normal = new THREE.Vector3();
+    const _face = new THREE.Vector3();
+    const _other = new THREE.Vector3();
+
+    // the first normal of every vertex keeps its index, the split copies are added at the end
+    const _split = [];
+    for (let v = 0; v < _num_vertices; v++) {
+        _normals.push(0, 0, 0);
+        _source.push(v);
+    }
+
+    for (let v = 0; v < _num_vertices; v++) {
+        // normal -> vertex with that normal, for reusing the same vertex among the corners of the same side
+        const _found = new Map();
+
+        for (let i = _first[v]; i < _first[v + 1]; i++) {
+            const _c = _corners[i];
+            _face.fromArray(this.face_normals, 3 * Math.floor(_c / 3));
+
+            _normal.set(0, 0, 0);
+            for (let j = _first[v]; j < _first[v + 1]; j++) {
+                const _d = _corners[j];
+                _other.fromArray(this.face_normals, 3 * Math.floor(_d / 3));
+                if (_face.dot(_other) >= _min_cos) {
+                    _normal.addScaledVector(_other, _weights[_d]);
+                }
+            }
+            _normal.normalize();
+
+            const _key = _normal.x + "," + _normal.y + "," + _normal.z;
+            let _index = _found.get(_key);
+            if (_index === undefined) {
+                _index = (_found.size === 0) ? v : _num_vertices + _split.length;
+                if (_index !== v) {
+                    _split.push(v);
+                    _normals.push(0, 0, 0);
+                    _source.push(v);
+                }
+                _normal.toArray(_normals, 3 * _index);
+                _found.set(_key, _index);
+            }
+            _indices[_c] = _index;
+        }
+    }
+
+    const _vertices = new Float32Array(3 * _source.length);
+    _vertices.set(this.vertices_coordinates.subarray(0, 3 * _num_vertices));
+    for (let i = 0; i < _split.length; i++) {
+        this.points3d[_split[i]].toArray(_vertices, 3 * (_num_vertices + i));
+    }
+
+    return { vertices: _vertices, normals: new Float32Array(_normals), indices: _indices, source: new Uint32Array(_source) };
+}
+
+/**
+ * Weight of every face at each of its corners, for averaging the normals around a vertex
+ * @param {String} weighting_ "area" or "angle" (see getNormalsLayout)
+ * @returns {Float32Array} 3 weights per triangle (one per corner)
+ */
+GPT_Coords.prototype.getCornerWeights = function (weighting_) {
+    const _weights = new Float32Array(3 * this.triangles_indices.length);
+    const _e1 = new THREE.Vector3();
+    const _e2 = new THREE.Vector3();
+
+    for (let i = 0; i < this.triangles_indices.length; i++) {
+        const _t = this.triangles_indices[i];
+        const _points = [this.points3d[_t.a], this.points3d[_t.b], this.points3d[_t.c]];
+        if (_points.some((p_) => { return p_ === undefined || !Number.isFinite(p_.x + p_.y + p_.z); })) {
+            continue;
+        }
+
+        if ("area" === weighting_) {
+            _e1.subVectors(_points[1], _points[0]);
+            _e2.subVectors(_points[2], _points[0]);
+            _weights.fill(0.5 * _e1.cross(_e2).length(), 3 * i, 3 * i + 3);
+            continue;
+        }
+
+        for (let k = 0; k < 3; k++) {
+            _e1.subVectors(_points[(k + 1) % 3], _points[k]);
+            _e2.subVectors(_points[(k + 2) % 3], _points[k]);
+            const _lengths = _e1.length() * _e2.length();
+            _weights[3 * i + k] = (_lengths > 0) ? _e1.angleTo(_e2) : 0;
+        }
+    }
+
+    return _weights;
+}
+
+/**
+ * UVs of the 3 vertices of every face (triangle), for non-indexed geometries (see getNormalsLayout `flat`).
+ * Default projection of getUVLayout: planar along Z (x, y) for GPT_Coords
+ *
+ * @param {THREE.BufferGeometry} geom_ geometry of these coordinates (kept for compatibility, the bounding box is computed from `points3d`)
  * @return {Float32Array} Array containing all UVs for all faces to be ready to copy in a THREE.BufferArray
  */
 GPT_Coords.prototype.getUVs = function (geom_) {
-    if (geom_ === undefined) {
-        console.error("GPT_Coords.getUVs: 'geom_' is undefined");
-        return;
+    return this.getUVLayout(this.getNormalsLayout({ flat: true })).uvs;
+}
+
+/**
+ * Adds texture coordinates to a layout of getNormalsLayout:
+ *
+ *      const layout = coords.getUVLayout(coords.getNormalsLayout(), { mode: "cylindrical", axis: "y" });
+ *      geom.setAttribute("uv", new THREE.BufferAttribute(layout.uvs, 2));
+ *
+ * Modes (see UV_MODES):
+ *      planar: projection along `axis` (default "z", the x, y plane), range [0, 1] in the bounding box
+ *      box: tri-planar, every triangle projected along the axis its normal is closest to
+ *      cylindrical: u around `axis` (default "y"), v along it
+ *      spherical: u around `axis` (default "y"), v from one pole to the other
+ *
+ * Every triangle gets its own UVs: around the seam (u = 0 / 1) of cylindrical and spherical, u continues above 1
+ * (textures need THREE.RepeatWrapping), and vertices on the axis take the u of the rest of the triangle.
+ * Vertices shared by triangles with different UVs are split, one copy per value
+ *
+ * @param {Object} layout_ { vertices, normals, indices, source } (see getNormalsLayout)
+ * @param {Object} options_ optional { mode, axis }. Default { mode: "planar", axis: "z" }
+ * @returns {Object} new layout { vertices, normals, uvs, indices, source }
+ */
+GPT_Coords.prototype.getUVLayout = function (layout_, options_) {
+    const _mode = (options_ !== undefined && options_.mode !== undefined) ? options_.mode : "planar";
+    if (!Object.keys(UV_MODES).includes(_mode)) {
+        console.error("GPT_Coords.getUVLayout: unknown mode '" + _mode + "'. Expected one of: " + Object.keys(UV_MODES).join(", "));
+        return undefined;
     }
 
-    geom_.computeBoundingBox();
+    const _axis = (options_ !== undefined && options_.axis !== undefined) ? options_.axis : UV_MODES[_mode];
+    if (UV_PLANES[_axis] === undefined) {
+        console.error("GPT_Coords.getUVLayout: unknown axis '" + _axis + "'. Expected one of: " + Object.keys(UV_PLANES).join(", "));
+        return undefined;
+    }
 
-    const max = geom_.boundingBox.max;
-    const min = geom_.boundingBox.min;
-    const offset = new THREE.Vector2(0 - min.x, 0 - min.y);
-    const range = new THREE.Vector2(max.x - min.x, max.y - min.y);
+    const _box = new THREE.Box3().setFromPoints(this.points3d);
+    const _uvs = [];
+    const _triangle = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
 
-    // each UV has 2 coordinates, each face (triangle) has 3 vertice, one UV per face
-    const _uvs = new Float32Array(6 * this.triangles_indices.length);
+    for (let i = 0; i < layout_.indices.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            _triangle[k].fromArray(layout_.vertices, 3 * layout_.indices[i + k]);
+        }
 
-    for (let i = 0, n = 0; i < this.triangles_indices.length; i++, n += 6) {
-        const p1 = this.points3d[this.triangles_indices[i].a];
-        const p2 = this.points3d[this.triangles_indices[i].b];
-        const p3 = this.points3d[this.triangles_indices[i].c];
+        // box: plane of the axis closest to the face normal
+        let _face_axis = _axis;
+        if ("box" === _mode) {
+            const _n = this.face_normals.subarray(i, i + 3).map(Math.abs);
+            _face_axis = (_n[0] >= _n[1] && _n[0] >= _n[2]) ? "x" : (_n[1] >= _n[2]) ? "y" : "z";
+        }
+
+        _uvs.push(...projectTriangleUVs(_triangle, ("box" === _mode) ? "planar" : _mode, _face_axis, _box));
+    }
 
-        // pack all UV together for bufferAtrribute
-        _uvs[n] = (p1.x + offset.x) / range.x;
-        _uvs[n + 1] = (p1.y + offset.y) / range.y;
+    return splitLayout(layout_, _uvs);
+}
+
+/**
+ * Adds tangents and bitangents to a layout with normals and UVs (see getUVLayout), for normal / bump mapping:
+ *
+ *      const layout = coords.getTangentLayout(coords.getUVLayout(coords.getNormalsLayout()));
+ *      geom.setAttribute("tangent", new THREE.BufferAttribute(layout.tangents, 4));
+ *
+ * Same conventions as MikkTSpace (and the threejs shaders): the tangent follows the direction of u, is orthogonal
+ * to the normal, and its 4th component is the handedness, so bitangent = w * cross(normal, tangent).
+ * The directions of the faces around a vertex are weighted by the angle of each face at the vertex.
+ * Faces with degenerated UVs do not contribute, vertices without any other face get a tangent orthogonal to the normal
+ *
+ * @param {Object} layout_ { vertices, normals, uvs, indices, source }
+ * @returns {Object} new layout adding { tangents: 4 floats per vertex (x, y, z, w), bitangents: 3 floats per vertex }
+ */
+GPT_Coords.prototype.getTangentLayout = function (layout_) {
+    if (layout_ === undefined || layout_.normals === undefined || layout_.uvs === undefined) {
+        console.error("GPT_Coords.getTangentLayout: the layout needs normals and uvs (see getUVLayout)");
+        return undefined;
+    }
+
+    const _num_vertices = layout_.vertices.length / 3;
+    const _weights = this.getCornerWeights("angle");
 
-        _uvs[n + 2] = (p2.x + offset.x) / range.x;
-        _uvs[n + 3] = (p2.y + offset.y) / range.y;
+    // accumulated directions of u (tangent) and v (bitangent) of the faces around every vertex
+    const _sdirs = new Float32Array(3 * _num_vertices);
+    const _tdirs = new Float32Array(3 * _num_vertices);
 
-        _uvs[n + 4] = (p3.x + offset.x) / range.x;
-        _uvs[n + 5] = (p3.y + offset.y) / range.y;
+    const _p = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    const _uv = [new THREE.Vector2(), new THREE.Vector2(), new THREE.Vector2()];
+    const _e1 = new THREE.Vector3();
+    const _e2 = new THREE.Vector3();
+    const _sdir = new THREE.Vector3();
+    const _tdir = new THREE.Vector3();
+
+    for (let i = 0; i < layout_.indices.length; i += 3) {
+        for (let k = 0; k < 3; k++) {
+            _p[k].fromArray(layout_.vertices, 3 * layout_.indices[i + k]);
+            _uv[k].fromArray(layout_.uvs, 2 * layout_.indices[i + k]);
+        }
+
+        _e1.subVectors(_p[1], _p[0]);
+        _e2.subVectors(_p[2], _p[0]);
+        const _du1 = _uv[1].x - _uv[0].x;
+        const _dv1 = _uv[1].y - _uv[0].y;
+        const _du2 = _uv[2].x - _uv[0].x;
+        const _dv2 = _uv[2].y - _uv[0].y;
+
+        const _det = _du1 * _dv2 - _du2 * _dv1;
+        if (Math.abs(_det) < Number.EPSILON) {
+            continue;
+        }
+
+        _sdir.copy(_e1).multiplyScalar(_dv2).addScaledVector(_e2, -_dv1).divideScalar(_det);
+        _tdir.copy(_e2).multiplyScalar(_du1).addScaledVector(_e1, -_du2).divideScalar(_det);
+
+        for (let k = 0; k < 3; k++) {
+            const _v = layout_.indices[i + k];
+            for (let a = 0; a < 3; a++) {
+                _sdirs[3 * _v + a] += _weights[i + k] * _sdir.getComponent(a);
+                _tdirs[3 * _v + a] += _weights[i + k] * _tdir.getComponent(a);
+            }
+        }
     }
 
-    return _uvs;
+    const _tangents = new Float32Array(4 * _num_vertices);
+    const _bitangents = new Float32Array(3 * _num_vertices);
+    const _n = new THREE.Vector3();
+    const _t = new THREE.Vector3();
+    const _b = new THREE.Vector3();
+
+    for (let v = 0; v < _num_vertices; v++) {
+        _n.fromArray(layout_.normals, 3 * v);
+        _sdir.fromArray(_sdirs, 3 * v);
+        _tdir.fromArray(_tdirs, 3 * v);
+
+        // Gram-Schmidt: tangent orthogonal to the normal
+        _t.copy(_sdir).addScaledVector(_n, -_n.dot(_sdir));
+        if (_t.lengthSq() < Number.EPSILON) {
+            anyOrthogonal(_n, _t);
+        }
+        _t.normalize();
+
+        // handedness: mirrored UVs have the bitangent on the other side
+        _b.crossVectors(_n, _t);
+        const _w = (_b.dot(_tdir) < 0) ? -1 : 1;
+        _b.multiplyScalar(_w);
+
+        _t.toArray(_tangents, 4 * v);
+        _tangents[4 * v + 3] = _w;
+        _b.toArray(_bitangents, 3 * v);
+    }
+
+    return Object.assign({}, layout_, { tangents: _tangents, bitangents: _bitangents });
+}
+
+/**
+ * Simplified copy of these coordinates by edge collapses (quadric error metrics), for lighter variants of a model,
+ * offline (see toJSON), at runtime (ex: on mobile devices) or for lower levels of detail (see GPT_Model.get_lod_geometry):
+ *
+ *      const light = new CoordsDragon().decimate({ target_triangles: 1000, normals: Common.DRAGON_NORMALS, uv: Common.DRAGON_UVS });
+ *
+ * The vertices follow the surface and the sharp edges / UV seams of the given layouts are kept
+ *
+ * The seams are only kept in the shape of the triangles: the result has positions and indices only,
+ * so normals and UVs are built again from it (ex: getNormalsLayout / getUVLayout projections). ImportedCoords keeps the ones of the file
+ *
+ * @param {Object} options_ { target_triangles, max_error, normals, uv } (see getDecimatedLayout)
+ * @returns {InlineCoords} new coordinates (positions and indices)
+ */
+GPT_Coords.prototype.decimate = function (options_) {
+    const _layout = this.getDecimatedLayout(options_);
+    if (_layout === undefined) {
+        return undefined;
+    }
+    return new InlineCoords(_layout.vertices, _layout.indices);
+}
+
+/**
+ * Vertices and triangles of decimate. Every collapse merges the 2 vertices of an edge into the point closest to the planes
+ * of the original faces around them; its error is the sum of the squared distances to those planes.
+ * The cheapest collapses go first until `target_triangles` is reached or the next one has an error above `max_error`:
+ * with both limits, the first one reached stops it
+ *
+ * Seams are kept: borders, edges shared by more than 2 faces, and edges where the layout of `normals` / `uv` splits
+ * the vertices (sharp edges, borders between UV projections). A vertex of a seam only moves along it onto the next one,
+ * and the vertices where seams meet or end are never removed. Collapses folding faces or joining parts of the surface are skipped,
+ * so the holes and handles stay and `target_triangles` may not be reached
+ *
+ * @param {Object} options_ {
+ *      target_triangles: number of triangles to reach (default 0: only max_error),
+ *      max_error: greatest error of a collapse, as a distance in the units of the vertices (default Infinity: only target_triangles),
+ *      normals: optional options of getNormalsLayout whose sharp edges are kept,
+ *      uv: optional options of getUVLayout whose seams are kept }
+ * @returns {Object} { vertices, indices, source: index in `vertices_coordinates` of every vertex, error: greatest error of the collapses done }
+ */
+GPT_Coords.prototype.getDecimatedLayout = function (options_) {
+    if (options_ === undefined || (options_.target_triangles === undefined && options_.max_error === undefined)) {
+        console.error("GPT_Coords.getDecimatedLayout: expected 'target_triangles' or 'max_error'");
+        return undefined;
+    }
+
+    const _options = Object.assign({ target_triangles: 0, max_error: Infinity }, options_);
+    if (!(_options.target_triangles >= 0) || !(_options.max_error >= 0)) {
+        console.error("GPT_Coords.getDecimatedLayout: 'target_triangles' and 'max_error' must be positive, found " +
+            _options.target_triangles + ", " + _options.max_error);
+        return undefined;
+    }
+
+    if (!this.validate().valid) {
+        console.error("GPT_Coords.getDecimatedLayout: indices out of range or NaN vertices (see validate / repair)");
+        return undefined;
+    }
+
+    // vertex of every triangle corner in the layout with normals / UVs: different copies at the sides of an edge make a seam
+    let _corner_copies = undefined;
+    if (_options.normals !== undefined || _options.uv !== undefined) {
+        let _layout = this.getNormalsLayout(_options.normals);
+        if (_layout !== undefined && _options.uv !== undefined) {
+            _layout = this.getUVLayout(_layout, _options.uv);
+        }
+        if (_layout === undefined) {
+            return undefined;
+        }
+        _corner_copies = _layout.indices;
+    }
+
+    const _collapser = new EdgeCollapser(this.vertices_coordinates, this.edges_indices, _corner_copies);
+    _collapser.run(Math.floor(_options.target_triangles), _options.max_error);
+
+    return _collapser.getLayout();
+}
+
+/**
+ * Vertices and triangles as a "coords" geometry of GPT_SceneLoader, for saving lighter variants offline:
+ *
+ *      fs.writeFileSync("dragon_light.json", JSON.stringify(new CoordsDragon().decimate({ target_triangles: 1000 })));
+ *
+ * @returns {Object} { type: "coords", vertices, indices }
+ */
+GPT_Coords.prototype.toJSON = function () {
+    return {
+        type: "coords",
+        vertices: Array.from(this.vertices_coordinates),
+        indices: Array.from(this.edges_indices)
+    };
+}
+
+/**
+ * Checks the vertices and triangles. Nothing is changed (see repair)
+ *
+ *      const report = new CoordsDragon().validate();
+ *      if (!report.valid) {
+ *          console.log(report.out_of_range, report.nan_vertices);
+ *      }
+ *
+ * @param {Number} epsilon_ optional distance under which two vertices are duplicated. Default 0 (same position)
+ * @returns {Object} report {
+ *      valid: false when there are indices out of range or NaN vertices (they break normals, UVs, etc.),
+ *      clean: true when every list is empty,
+ *      vertices, triangles: counts,
+ *      out_of_range: triangles with an index that is not a vertex,
+ *      nan_vertices: vertices with a coordinate that is not a finite number,
+ *      degenerate: triangles with a repeated index or without area,
+ *      duplicated: [{ vertex, same_as }] vertices at the position of a previous one,
+ *      inconsistent_winding: [{ edge: [a, b], triangles: [t1, t2] }] neighbor triangles with opposite winding,
+ *      non_manifold: [{ edge: [a, b], triangles }] edges shared by more than 2 triangles }
+ */
+GPT_Coords.prototype.validate = function (epsilon_) {
+    const _num_vertices = Math.floor(this.vertices_coordinates.length / 3);
+    const _num_triangles = Math.floor(this.edges_indices.length / 3);
+
+    const _report = {
+        valid: true,
+        clean: true,
+        vertices: _num_vertices,
+        triangles: _num_triangles,
+        out_of_range: [],
+        nan_vertices: [],
+        degenerate: [],
+        duplicated: [],
+        inconsistent_winding: [],
+        non_manifold: []
+    };
+
+    for (let v = 0; v < _num_vertices; v++) {
+        if (!isFiniteVertex(this.vertices_coordinates, v)) {
+            _report.nan_vertices.push(v);
+        }
+    }
+
+    for (let t = 0; t < _num_triangles; t++) {
+        const _tri = this.edges_indices.subarray(3 * t, 3 * t + 3);
+        if (!_tri.every((i_) => { return Number.isInteger(i_) && i_ >= 0 && i_ < _num_vertices; })) {
+            _report.out_of_range.push(t);
+        }
+        else if (isDegenerateTriangle(this.vertices_coordinates, _tri)) {
+            _report.degenerate.push(t);
+        }
+    }
+
+    const _same_as = this.findDuplicatedVertices(epsilon_);
+    _same_as.forEach((s_, v_) => {
+        if (s_ !== v_) {
+            _report.duplicated.push({ vertex: v_, same_as: s_ });
+        }
+    });
+
+    const _skip = new Set(_report.out_of_range.concat(_report.degenerate));
+    for (let [_key, _sides] of getEdgeTriangles(this.edges_indices, _skip)) {
+        const _edge = _key.split(",").map(Number);
+        const _triangles = _sides.map((s_) => { return s_.triangle; });
+        if (_sides.length > 2) {
+            _report.non_manifold.push({ edge: _edge, triangles: _triangles });
+        }
+        else if (_sides.length === 2 && _sides[0].forward === _sides[1].forward) {
+            // a consistent neighbor goes along the shared edge in the opposite direction
+            _report.inconsistent_winding.push({ edge: _edge, triangles: _triangles });
+        }
+    }
+
+    _report.valid = (_report.out_of_range.length === 0 && _report.nan_vertices.length === 0);
+    _report.clean = _report.valid && ["degenerate", "duplicated", "inconsistent_winding", "non_manifold"].every((k_) => {
+        return _report[k_].length === 0;
+    });
+
+    return _report;
+}
+
+/**
+ * Fixes the vertices and triangles, then computes again triangles, normals, etc. Run it before building the model:
+ *
+ *      this.coords = new CoordsDragon();
+ *      this.coords.repair({ weld: 0.0001 });
+ *      GPT_Model.call(this);
+ *
+ * Operations, in this order (all enabled by default):
+ *      fix_indices: drops the triangles with indices out of range
+ *      weld: merges the vertices closer than this distance (0: same position, false: disabled)
+ *      drop_degenerates: drops the triangles with a repeated index, without area or with NaN vertices
+ *      unify_winding: flips triangles so neighbors have the same winding as the first triangle of their part of the mesh
+ * Finally the vertices not used by any triangle are removed (the others keep their order)
+ *
+ * @param {Object} options_ optional { fix_indices, weld, drop_degenerates, unify_winding }
+ * @returns {Object} changes { out_of_range: triangles dropped, welded: vertices merged, degenerate: triangles dropped, flipped: triangles flipped }
+ */
+GPT_Coords.prototype.repair = function (options_) {
+    const _options = Object.assign({ fix_indices: true, weld: 0, drop_degenerates: true, unify_winding: true }, options_);
+    const _changes = { out_of_range: 0, welded: 0, degenerate: 0, flipped: 0 };
+
+    let _vertices = this.vertices_coordinates;
+    let _num_vertices = Math.floor(_vertices.length / 3);
+    let _triangles = [];
+    for (let t = 0; t < Math.floor(this.edges_indices.length / 3); t++) {
+        _triangles.push(Array.from(this.edges_indices.subarray(3 * t, 3 * t + 3)));
+    }
+
+    if (_options.fix_indices) {
+        const _count = _triangles.length;
+        _triangles = _triangles.filter((t_) => {
+            return t_.every((i_) => { return Number.isInteger(i_) && i_ >= 0 && i_ < _num_vertices; });
+        });
+        _changes.out_of_range = _count - _triangles.length;
+    }
+
+    if (_options.weld !== false) {
+        const _same_as = this.findDuplicatedVertices(_options.weld);
+        _triangles = _triangles.map((t_) => { return t_.map((i_) => { return (i_ < _num_vertices) ? _same_as[i_] : i_; }); });
+        _changes.welded = _same_as.filter((s_, v_) => { return s_ !== v_; }).length;
+    }
+
+    if (_options.drop_degenerates) {
+        const _count = _triangles.length;
+        _triangles = _triangles.filter((t_) => {
+            return t_.some((i_) => { return i_ >= _num_vertices; }) || !isDegenerateTriangle(_vertices, t_);
+        });
+        _changes.degenerate = _count - _triangles.length;
+    }
+
+    // only the vertices still used, in the same order. Indices out of range (fix_indices disabled) stay out of range
+    const _new_index = new Int32Array(_num_vertices).fill(-1);
+    for (let _t of _triangles) {
+        for (let _i of _t) {
+            if (_i < _num_vertices) {
+                _new_index[_i] = 0;
+            }
+        }
+    }
+    const _kept = [];
+    for (let v = 0; v < _num_vertices; v++) {
+        if (_new_index[v] === 0) {
+            _new_index[v] = _kept.length;
+            _kept.push(v);
+        }
+    }
+
+    _vertices = new Float32Array(3 * _kept.length);
+    _kept.forEach((v_, i_) => { _vertices.set(this.vertices_coordinates.subarray(3 * v_, 3 * v_ + 3), 3 * i_); });
+    const _indices = new Uint32Array([].concat(..._triangles.map((t_) => {
+        return t_.map((i_) => { return (i_ < _num_vertices) ? _new_index[i_] : _kept.length + i_; });
+    })));
+    _num_vertices = _kept.length;
+
+    if (_options.unify_winding) {
+        _changes.flipped = unifyWinding(_indices);
+    }
+
+    this.vertices_coordinates = _vertices;
+    this.edges_indices = _indices;
+    this.normals = this.calculateNormals();
+
+    return _changes;
+}
+
+/**
+ * @param {Number} epsilon_ optional distance under which two vertices are the same. Default 0 (same position)
+ * @returns {Int32Array} for every vertex, the first vertex at its position (itself when it is the first one)
+ */
+GPT_Coords.prototype.findDuplicatedVertices = function (epsilon_) {
+    const _epsilon = (epsilon_ > 0) ? epsilon_ : 0;
+    const _num_vertices = Math.floor(this.vertices_coordinates.length / 3);
+    const _same_as = new Int32Array(_num_vertices);
+
+    // grid of cells of side epsilon: a duplicate is in the same cell or in one of the 26 around it
+    const _cell_size = (_epsilon > 0) ? _epsilon : 1;
+    const _cells = new Map();
+    const _cell = (v_, d_) => {
+        return [0, 1, 2].map((a_) => {
+            const _c = this.vertices_coordinates[3 * v_ + a_];
+            return ((_epsilon > 0) ? Math.floor(_c / _cell_size) + d_[a_] : _c);
+        }).join(",");
+    };
+
+    const _around = (_epsilon > 0) ? NEIGHBOR_CELLS : [[0, 0, 0]];
+    for (let v = 0; v < _num_vertices; v++) {
+        _same_as[v] = v;
+        if (!isFiniteVertex(this.vertices_coordinates, v)) {
+            continue;
+        }
+
+        for (let _d of _around) {
+            const _candidates = _cells.get(_cell(v, _d)) || [];
+            const _first = _candidates.find((c_) => { return distanceSq(this.vertices_coordinates, v, c_) <= _epsilon * _epsilon; });
+            if (_first !== undefined && (_same_as[v] === v || _first < _same_as[v])) {
+                _same_as[v] = _first;
+            }
+        }
+
+        // only the first vertex of every position is a candidate
+        if (_same_as[v] === v) {
+            const _key = _cell(v, [0, 0, 0]);
+            _cells.set(_key, (_cells.get(_key) || []).concat(v));
+        }
+    }
+
+    return _same_as;
+}
+
+/**
+ * UVs of the 3 corners of a triangle
+ * @param {Array} triangle_ 3 THREE.Vector3
+ * @param {String} mode_ "planar", "cylindrical" or "spherical"
+ * @param {String} axis_ "x", "y" or "z"
+ * @param {THREE.Box3} box_ bounding box of the coordinates
+ * @returns {Array} u, v of every corner (6 numbers)
+ */
+function projectTriangleUVs(triangle_, mode_, axis_, box_) {
+    const _plane = UV_PLANES[axis_];
+    const _size = box_.getSize(new THREE.Vector3());
+    const _center = box_.getCenter(new THREE.Vector3());
+
+    // range [0, 1] in the bounding box (0 for flat boxes)
+    const _normalized = (p_, a_) => { return (_size[a_] > 0) ? (p_[a_] - box_.min[a_]) / _size[a_] : 0; };
+
+    const _uvs = triangle_.map((p_) => {
+        if ("planar" === mode_) {
+            return [_normalized(p_, _plane[0]), _normalized(p_, _plane[1])];
+        }
+
+        const _x = p_[_plane[0]] - _center[_plane[0]];
+        const _y = p_[_plane[1]] - _center[_plane[1]];
+        // on the axis (rounding errors included) the angle is meaningless
+        const _around = (Math.hypot(_x, _y) > AXIS_EPSILON * _size.length()) ? Math.atan2(_y, _x) / (2 * Math.PI) + 0.5 : undefined;
+
+        if ("cylindrical" === mode_) {
+            return [_around, _normalized(p_, axis_)];
+        }
+
+        // spherical
+        const _radius = p_.distanceTo(_center);
+        const _polar = (_radius > 0) ? Math.acos(THREE.MathUtils.clamp((p_[axis_] - _center[axis_]) / _radius, -1, 1)) : 0;
+        return [_around, 1 - _polar / Math.PI];
+    });
+
+    if ("planar" !== mode_) {
+        fixSeam(_uvs);
+    }
+
+    return [].concat(..._uvs);
+}
+
+/**
+ * Makes u continuous in a triangle crossing the seam (u = 0 / 1) and gives u to its corners on the axis (u undefined)
+ * @param {Array} uvs_ [u, v] of the 3 corners, changed in place
+ */
+function fixSeam(uvs_) {
+    const _defined = uvs_.filter((uv_) => { return uv_[0] !== undefined; });
+
+    // wider than half a turn: the corners near 0 continue above 1
+    const _us = _defined.map((uv_) => { return uv_[0]; });
+    if (Math.max(..._us) - Math.min(..._us) > 0.5) {
+        for (let _uv of _defined) {
+            _uv[0] += (_uv[0] < 0.5) ? 1 : 0;
+        }
+    }
+
+    // on the axis (ex: poles of a sphere): middle of the other corners
+    const _mean = (_defined.length > 0) ? _defined.reduce((sum_, uv_) => { return sum_ + uv_[0]; }, 0) / _defined.length : 0;
+    for (let _uv of uvs_) {
+        _uv[0] = (_uv[0] !== undefined) ? _uv[0] : _mean;
+    }
+}
+
+/**
+ * @param {ArrayLike} vertices_ x, y, z of every vertex
+ * @param {Number} v_ vertex index
+ * @returns {Bool} true when the 3 coordinates are finite numbers
+ */
+function isFiniteVertex(vertices_, v_) {
+    return Number.isFinite(vertices_[3 * v_]) && Number.isFinite(vertices_[3 * v_ + 1]) && Number.isFinite(vertices_[3 * v_ + 2]);
+}
+
+/**
+ * @param {ArrayLike} vertices_ x, y, z of every vertex
+ * @param {Number} a_ vertex index
+ * @param {Number} b_ vertex index
+ * @returns {Number} squared distance between the vertices
+ */
+function distanceSq(vertices_, a_, b_) {
+    let _sum = 0;
+    for (let k = 0; k < 3; k++) {
+        const _d = vertices_[3 * a_ + k] - vertices_[3 * b_ + k];
+        _sum += _d * _d;
+    }
+    return _sum;
+}
+
+/**
+ * @param {ArrayLike} vertices_ x, y, z of every vertex
+ * @param {ArrayLike} triangle_ 3 vertex indices (in range)
+ * @returns {Bool} true when an index is repeated, a vertex is NaN or the triangle has no area
+ */
+function isDegenerateTriangle(vertices_, triangle_) {
+    const [_a, _b, _c] = triangle_;
+    if (_a === _b || _b === _c || _a === _c || ![_a, _b, _c].every((v_) => { return isFiniteVertex(vertices_, v_); })) {
+        return true;
+    }
+
+    const _e1 = new THREE.Vector3(vertices_[3 * _b] - vertices_[3 * _a], vertices_[3 * _b + 1] - vertices_[3 * _a + 1], vertices_[3 * _b + 2] - vertices_[3 * _a + 2]);
+    const _e2 = new THREE.Vector3(vertices_[3 * _c] - vertices_[3 * _a], vertices_[3 * _c + 1] - vertices_[3 * _a + 1], vertices_[3 * _c + 2] - vertices_[3 * _a + 2]);
+    return _e1.cross(_e2).lengthSq() === 0;
+}
+
+/**
+ * Triangles around every edge
+ * @param {ArrayLike} indices_ 3 vertex indices per triangle
+ * @param {Set} skip_ optional triangles left out
+ * @returns {Map} "a,b" (a < b) -> [{ triangle, forward: true when the triangle goes from a to b }]
+ */
+function getEdgeTriangles(indices_, skip_) {
+    const _edges = new Map();
+
+    for (let t = 0; t < Math.floor(indices_.length / 3); t++) {
+        if (skip_ !== undefined && skip_.has(t)) {
+            continue;
+        }
+        for (let k = 0; k < 3; k++) {
+            const _from = indices_[3 * t + k];
+            const _to = indices_[3 * t + (k + 1) % 3];
+            if (_from === _to) {
+                continue;
+            }
+
+            const _key = Math.min(_from, _to) + "," + Math.max(_from, _to);
+            if (!_edges.has(_key)) {
+                _edges.set(_key, []);
+            }
+            _edges.get(_key).push({ triangle: t, forward: _from < _to });
+        }
+    }
+
+    return _edges;
+}
+
+/**
+ * Flips triangles (in place) so that neighbors sharing a manifold edge have the same winding.
+ * The first triangle of every connected part keeps its winding
+ * @param {Uint32Array} indices_ 3 vertex indices per triangle
+ * @returns {Number} flipped triangles
+ */
+function unifyWinding(indices_) {
+    const _num_triangles = indices_.length / 3;
+    const _edges = getEdgeTriangles(indices_);
+    const _visited = new Uint8Array(_num_triangles);
+    let _flipped = 0;
+
+    const _forward = (t_, key_) => {
+        const _pair = key_.split(",").map(Number);
+        for (let k = 0; k < 3; k++) {
+            if (indices_[3 * t_ + k] === _pair[0] && indices_[3 * t_ + (k + 1) % 3] === _pair[1]) {
+                return true;
+            }
+        }
+        return false;
+    };
+
+    for (let _start = 0; _start < _num_triangles; _start++) {
+        if (_visited[_start]) {
+            continue;
+        }
+
+        // breadth first through the edges shared by exactly 2 triangles
+        _visited[_start] = 1;
+        const _queue = [_start];
+        while (_queue.length > 0) {
+            const _t = _queue.shift();
+            for (let k = 0; k < 3; k++) {
+                const _a = indices_[3 * _t + k];
+                const _b = indices_[3 * _t + (k + 1) % 3];
+                const _key = Math.min(_a, _b) + "," + Math.max(_a, _b);
+                const _sides = _edges.get(_key);
+                if (_sides === undefined || _sides.length !== 2) {
+                    continue;
+                }
+
+                const _other = (_sides[0].triangle === _t) ? _sides[1].triangle : _sides[0].triangle;
+                if (_visited[_other]) {
+                    continue;
+                }
+                _visited[_other] = 1;
+
+                // same direction along the shared edge: opposite winding
+                if (_forward(_t, _key) === _forward(_other, _key)) {
+                    const _tmp = indices_[3 * _other + 1];
+                    indices_[3 * _other + 1] = indices_[3 * _other + 2];
+                    indices_[3 * _other + 2] = _tmp;
+                    _flipped++;
+                }
+                _queue.push(_other);
+            }
+        }
+    }
+
+    return _flipped;
+}
+
+/**
+ * Unit vector orthogonal to another one (for vertices without a tangent direction)
+ * @param {THREE.Vector3} n_ normal
+ * @param {THREE.Vector3} target_ vector where the result is written
+ * @returns {THREE.Vector3} target_
+ */
+function anyOrthogonal(n_, target_) {
+    // cross product with the axis less aligned to the normal
+    const _axis = (Math.abs(n_.x) < 0.9) ? new THREE.Vector3(1, 0, 0) : new THREE.Vector3(0, 1, 0);
+    return target_.crossVectors(_axis, n_).normalize();
+}
+
+/**
+ * Copies a layout adding the UV of every triangle corner. A vertex keeps its index for the first UV it gets,
+ * the other UVs get new vertices at the end (same position and normal)
+ * @param {Object} layout_ { vertices, normals, indices, source }
+ * @param {Array} corner_uvs_ u, v of every corner (2 numbers per index of layout_.indices)
+ * @returns {Object} { vertices, normals, uvs, indices, source }
+ */
+function splitLayout(layout_, corner_uvs_) {
+    const _num_vertices = layout_.vertices.length / 3;
+    const _uvs = new Array(2 * _num_vertices).fill(0);
+    const _extra = [];
+    const _indices = new Uint32Array(layout_.indices.length);
+
+    // vertex -> (uv -> vertex with that uv)
+    const _found = new Map();
+
+    for (let c = 0; c < layout_.indices.length; c++) {
+        const _v = layout_.indices[c];
+        const _key = corner_uvs_[2 * c] + "," + corner_uvs_[2 * c + 1];
+
+        let _copies = _found.get(_v);
+        if (_copies === undefined) {
+            _copies = new Map();
+            _found.set(_v, _copies);
+        }
+
+        let _index = _copies.get(_key);
+        if (_index === undefined) {
+            _index = (_copies.size === 0) ? _v : _num_vertices + _extra.length;
+            if (_index !== _v) {
+                _extra.push(_v);
+                _uvs.push(0, 0);
+            }
+            _uvs[2 * _index] = corner_uvs_[2 * c];
+            _uvs[2 * _index + 1] = corner_uvs_[2 * c + 1];
+            _copies.set(_key, _index);
+        }
+        _indices[c] = _index;
+    }
+
+    const _total = _num_vertices + _extra.length;
+    const _vertices = new Float32Array(3 * _total);
+    const _normals = new Float32Array(3 * _total);
+    const _source = new Uint32Array(_total);
+    _vertices.set(layout_.vertices);
+    _normals.set(layout_.normals);
+    _source.set(layout_.source);
+    for (let i = 0; i < _extra.length; i++) {
+        _vertices.set(layout_.vertices.subarray(3 * _extra[i], 3 * _extra[i] + 3), 3 * (_num_vertices + i));
+        _normals.set(layout_.normals.subarray(3 * _extra[i], 3 * _extra[i] + 3), 3 * (_num_vertices + i));
+        _source[_num_vertices + i] = layout_.source[_extra[i]];
+    }
+
+    return { vertices: _vertices, normals: _normals, uvs: new Float32Array(_uvs), indices: _indices, source: _source };
+}
+
+/**
+ * Edge collapses of getDecimatedLayout. Collapses are kept in a min-heap by error and checked again when taken:
+ * a collapse is outdated when one of its vertices changed since it was computed (see `versions`)
+ * @param {ArrayLike} vertices_ x, y, z of every vertex
+ * @param {ArrayLike} indices_ 3 vertex indices per triangle (in range)
+ * @param {ArrayLike} corner_copies_ optional vertex of every triangle corner in a layout with normals / UVs
+ */
+function EdgeCollapser(vertices_, indices_, corner_copies_) {
+    this.num_vertices = Math.floor(vertices_.length / 3);
+    this.positions = Float64Array.from(vertices_);
+    this.triangles = Uint32Array.from(indices_.subarray(0, 3 * Math.floor(indices_.length / 3)));
+
+    // triangles with a repeated index are left out
+    this.alive = new Uint8Array(this.triangles.length / 3);
+    this.vertex_triangles = Array.from({ length: this.num_vertices }, () => { return new Set(); });
+    this.triangle_count = 0;
+    for (let t = 0; t < this.alive.length; t++) {
+        const [_a, _b, _c] = this.triangles.subarray(3 * t, 3 * t + 3);
+        if (_a !== _b && _b !== _c && _a !== _c) {
+            this.alive[t] = 1;
+            this.triangle_count++;
+            [_a, _b, _c].forEach((v_) => { this.vertex_triangles[v_].add(t); });
+        }
+    }
+
+    this.removed = new Uint8Array(this.num_vertices);
+    this.versions = new Uint32Array(this.num_vertices);
+    this.quadrics = new Float64Array(10 * this.num_vertices);
+
+    // seam edges ("a,b", a < b) and number of them at every vertex
+    this.seams = new Set();
+    this.seam_degree = new Uint32Array(this.num_vertices);
+
+    this.heap = [];
+    this.error = 0;
+
+    this._p = [new THREE.Vector3(), new THREE.Vector3(), new THREE.Vector3()];
+    this._n = new THREE.Vector3();
+    this._q = new Float64Array(10);
+
+    this.addFaceQuadrics();
+    this.addSeams(corner_copies_);
+}
+
+/**
+ * Adds the plane of every triangle to the quadrics of its vertices
+ */
+EdgeCollapser.prototype.addFaceQuadrics = function () {
+    for (let t = 0; t < this.alive.length; t++) {
+        if (!this.alive[t] || this.getFaceNormal(t, this._n).lengthSq() === 0) {
+            continue;
+        }
+
+        this._n.normalize();
+        const _d = -this._n.dot(this._p[0]);
+        for (let k = 0; k < 3; k++) {
+            addPlaneQuadric(this.quadrics, this.triangles[3 * t + k], this._n, _d, 1);
+        }
+    }
+}
+
+/**
+ * Finds the seams and adds to their vertices the planes perpendicular to the faces along them,
+ * so collapses moving a seam away from its place cost more
+ * @param {ArrayLike} corner_copies_ optional vertex of every triangle corner in a layout with normals / UVs
+ */
+EdgeCollapser.prototype.addSeams = function (corner_copies_) {
+    const _skip = new Set();
+    this.alive.forEach((a_, t_) => { if (!a_) { _skip.add(t_); } });
+
+    const _copy = (t_, v_) => {
+        return corner_copies_[3 * t_ + this.triangles.subarray(3 * t_, 3 * t_ + 3).indexOf(v_)];
+    };
+
+    const _edge = new THREE.Vector3();
+    for (let [_key, _sides] of getEdgeTriangles(this.triangles, _skip)) {
+        const [_a, _b] = _key.split(",").map(Number);
+        let _seam = (_sides.length !== 2);
+        if (!_seam && corner_copies_ !== undefined) {
+            const [_t1, _t2] = [_sides[0].triangle, _sides[1].triangle];
+            _seam = (_copy(_t1, _a) !== _copy(_t2, _a)) || (_copy(_t1, _b) !== _copy(_t2, _b));
+        }
+        if (!_seam) {
+            continue;
+        }
+
+        this.seams.add(_key);
+        this.seam_degree[_a]++;
+        this.seam_degree[_b]++;
+
+        for (let _side of _sides) {
+            if (this.getFaceNormal(_side.triangle, this._n).lengthSq() === 0) {
+                continue;
+            }
+            this.getPosition(_b, _edge).sub(this.getPosition(_a, this._p[0]));
+            this._n.cross(_edge).normalize();
+            addPlaneQuadric(this.quadrics, _a, this._n, -this._n.dot(this._p[0]), SEAM_QUADRIC_WEIGHT);
+            addPlaneQuadric(this.quadrics, _b, this._n, -this._n.dot(this._p[0]), SEAM_QUADRIC_WEIGHT);
+        }
+    }
+}
+
+/**
+ * @param {Number} v_ vertex index
+ * @param {THREE.Vector3} target_ vector where the position is written
+ * @returns {THREE.Vector3} target_
+ */
+EdgeCollapser.prototype.getPosition = function (v_, target_) {
+    return target_.fromArray(this.positions, 3 * v_);
+}
+
+/**
+ * Not normalized normal of a triangle (zero without area). Its corners are left in `this._p`
+ * @param {Number} t_ triangle index
+ * @param {THREE.Vector3} target_ vector where the normal is written
+ * @param {Number} moved_ optional vertex placed at `position_` instead of its position
+ * @param {THREE.Vector3} position_ optional
+ * @returns {THREE.Vector3} target_
+ */
+EdgeCollapser.prototype.getFaceNormal = function (t_, target_, moved_, position_) {
+    for (let k = 0; k < 3; k++) {
+        const _v = this.triangles[3 * t_ + k];
+        if (_v === moved_) {
+            this._p[k].copy(position_);
+        }
+        else {
+            this.getPosition(_v, this._p[k]);
+        }
+    }
+
+    this._p[1].sub(this._p[0]);
+    this._p[2].sub(this._p[0]);
+    target_.crossVectors(this._p[1], this._p[2]);
+    this._p[1].add(this._p[0]);
+    this._p[2].add(this._p[0]);
+    return target_;
+}
+
+/**
+ * @param {Number} v_ vertex index
+ * @returns {Set} vertices sharing a triangle with v_
+ */
+EdgeCollapser.prototype.getNeighbors = function (v_) {
+    const _neighbors = new Set();
+    for (let _t of this.vertex_triangles[v_]) {
+        this.triangles.subarray(3 * _t, 3 * _t + 3).forEach((w_) => {
+            if (w_ !== v_) {
+                _neighbors.add(w_);
+            }
+        });
+    }
+    return _neighbors;
+}
+
+/**
+ * @param {Number} from_ vertex removed by the collapse
+ * @param {Number} to_ vertex kept
+ * @returns {Bool} true when `from_` is not on a seam, or goes along its seam (it is not an end or a meeting point)
+ */
+EdgeCollapser.prototype.canRemove = function (from_, to_) {
+    return this.seam_degree[from_] === 0 || (this.seam_degree[from_] === 2 && this.seams.has(getEdgeKey(from_, to_)));
+}
+
+/**
+ * Cheapest collapse of an edge
+ * @param {Number} a_ vertex index
+ * @param {Number} b_ vertex index
+ * @returns {Object} { cost, from, to, position, versions } or undefined when the seams do not allow it
+ */
+EdgeCollapser.prototype.evaluate = function (a_, b_) {
+    for (let k = 0; k < 10; k++) {
+        this._q[k] = this.quadrics[10 * a_ + k] + this.quadrics[10 * b_ + k];
+    }
+
+    let _best = undefined;
+    const _try = (from_, to_, position_) => {
+        const _cost = evaluateQuadric(this._q, position_);
+        if (_best === undefined || _cost < _best.cost) {
+            _best = { cost: _cost, from: from_, to: to_, position: position_.clone(), versions: [this.versions[from_], this.versions[to_]] };
+        }
+    };
+
+    const _pa = this.getPosition(a_, new THREE.Vector3());
+    const _pb = this.getPosition(b_, new THREE.Vector3());
+
+    // a vertex of a seam does not move: the other one goes to its position
+    if (this.seam_degree[a_] > 0 || this.seam_degree[b_] > 0) {
+        if (this.canRemove(a_, b_)) {
+            _try(a_, b_, _pb);
+        }
+        if (this.canRemove(b_, a_)) {
+            _try(b_, a_, _pa);
+        }
+        return _best;
+    }
+
+    const _middle = _pa.clone().add(_pb).multiplyScalar(0.5);
+    const _optimal = getOptimalPosition(this._q, new THREE.Vector3());
+
+    // almost flat surfaces have optimal positions far away from the edge
+    if (_optimal !== undefined && _optimal.distanceTo(_middle) <= _pa.distanceTo(_pb)) {
+        _try(a_, b_, _optimal);
+    }
+    _try(a_, b_, _pa);
+    _try(a_, b_, _pb);
+    _try(a_, b_, _middle);
+
+    return _best;
+}
+
+/**
+ * @param {Object} collapse_ see evaluate
+ * @returns {Bool} true when the collapse is up to date and keeps the surface manifold without folding faces
+ */
+EdgeCollapser.prototype.isValid = function (collapse_) {
+    const _from = collapse_.from;
+    const _to = collapse_.to;
+    if (this.removed[_from] || this.removed[_to] ||
+        collapse_.versions[0] !== this.versions[_from] || collapse_.versions[1] !== this.versions[_to]) {
+        return false;
+    }
+
+    if ((this.seam_degree[_from] > 0 || this.seam_degree[_to] > 0) && !this.canRemove(_from, _to)) {
+        return false;
+    }
+
+    // link condition: the only common neighbors are the opposite vertices of the triangles of the edge
+    let _shared = 0;
+    for (let _t of this.vertex_triangles[_from]) {
+        if (this.vertex_triangles[_to].has(_t)) {
+            _shared++;
+        }
+    }
+    const _to_neighbors = this.getNeighbors(_to);
+    let _common = 0;
+    for (let _w of this.getNeighbors(_from)) {
+        if (_to_neighbors.has(_w)) {
+            _common++;
+        }
+    }
+    if (_shared === 0 || _common !== _shared) {
+        return false;
+    }
+
+    // closed parts with few vertices (ex: a tetrahedron) would end in two faces over the same 3 vertices
+    for (let _t of this.vertex_triangles[_from]) {
+        if (this.vertex_triangles[_to].has(_t)) {
+            continue;
+        }
+        const _others = Array.from(this.triangles.subarray(3 * _t, 3 * _t + 3)).filter((v_) => { return v_ !== _from; });
+        for (let _u of this.vertex_triangles[_to]) {
+            const _triangle = this.triangles.subarray(3 * _u, 3 * _u + 3);
+            if (_triangle.includes(_others[0]) && _triangle.includes(_others[1])) {
+                return false;
+            }
+        }
+    }
+
+    // the triangles left around both vertices keep their orientation
+    const _before = new THREE.Vector3();
+    const _after = new THREE.Vector3();
+    for (let [_moved, _other] of [[_from, _to], [_to, _from]]) {
+        for (let _t of this.vertex_triangles[_moved]) {
+            if (this.vertex_triangles[_other].has(_t) || this.getFaceNormal(_t, _before).lengthSq() === 0) {
+                continue;
+            }
+            this.getFaceNormal(_t, _after, _moved, collapse_.position);
+            if (_after.lengthSq() === 0 || _before.normalize().dot(_after.normalize()) < COLLAPSE_MIN_COS) {
+                return false;
+            }
+        }
+    }
+
+    return true;
+}
+
+/**
+ * Removes `from` moving `to` to the position of the collapse. The triangles of the edge are dropped
+ * @param {Object} collapse_ see evaluate
+ */
+EdgeCollapser.prototype.collapse = function (collapse_) {
+    const _from = collapse_.from;
+    const _to = collapse_.to;
+    const _neighbors = this.getNeighbors(_from);
+
+    for (let _t of Array.from(this.vertex_triangles[_from])) {
+        const _triangle = this.triangles.subarray(3 * _t, 3 * _t + 3);
+        if (_triangle.includes(_to)) {
+            this.alive[_t] = 0;
+            this.triangle_count--;
+            _triangle.forEach((v_) => { this.vertex_triangles[v_].delete(_t); });
+        }
+        else {
+            _triangle[_triangle.indexOf(_from)] = _to;
+            this.vertex_triangles[_to].add(_t);
+        }
+    }
+    this.vertex_triangles[_from].clear();
+
+    // the seams of the removed vertex continue from the kept one
+    for (let _w of _neighbors) {
+        if (this.seams.delete(getEdgeKey(_from, _w)) && _w !== _to) {
+            this.seams.add(getEdgeKey(_to, _w));
+        }
+    }
+    for (let _v of [_to].concat(Array.from(_neighbors))) {
+        this.seam_degree[_v] = 0;
+        for (let _w of this.getNeighbors(_v)) {
+            if (this.seams.has(getEdgeKey(_v, _w))) {
+                this.seam_degree[_v]++;
+            }
+        }
+    }
+
+    collapse_.position.toArray(this.positions, 3 * _to);
+    for (let k = 0; k < 10; k++) {
+        this.quadrics[10 * _to + k] += this.quadrics[10 * _from + k];
+    }
+
+    this.removed[_from] = 1;
+    this.versions[_from]++;
+    this.versions[_to]++;
+    this.error = Math.max(this.error, collapse_.cost);
+
+    // new costs for the edges of `to`. The edges around it are queued again: the collapses skipped by isValid may be valid now
+    const _around = this.getNeighbors(_to);
+    for (let _w of _around) {
+        this.push(_to, _w);
+    }
+    for (let _w of _around) {
+        for (let _x of this.getNeighbors(_w)) {
+            if (_x !== _to && (!_around.has(_x) || _w < _x)) {
+                this.push(_w, _x);
+            }
+        }
+    }
+}
+
+/**
+ * @param {Number} a_ vertex index
+ * @param {Number} b_ vertex index
+ */
+EdgeCollapser.prototype.push = function (a_, b_) {
+    const _collapse = this.evaluate(a_, b_);
+    if (_collapse !== undefined) {
+        heapPush(this.heap, _collapse);
+    }
+}
+
+/**
+ * Collapses the cheapest edges
+ * @param {Number} target_triangles_ stops at this number of triangles
+ * @param {Number} max_error_ stops before a collapse with a greater error (distance)
+ */
+EdgeCollapser.prototype.run = function (target_triangles_, max_error_) {
+    for (let v = 0; v < this.num_vertices; v++) {
+        for (let _w of this.getNeighbors(v)) {
+            if (v < _w) {
+                this.push(v, _w);
+            }
+        }
+    }
+
+    const _max_cost = max_error_ * max_error_;
+    while (this.triangle_count > target_triangles_ && this.heap.length > 0) {
+        const _collapse = heapPop(this.heap);
+        if (_collapse.cost > _max_cost) {
+            break;
+        }
+        if (this.isValid(_collapse)) {
+            this.collapse(_collapse);
+        }
+    }
+}
+
+/**
+ * @returns {Object} { vertices, indices, source, error } with the vertices still used, in their original order
+ */
+EdgeCollapser.prototype.getLayout = function () {
+    const _new_index = new Int32Array(this.num_vertices).fill(-1);
+    const _indices = [];
+    for (let t = 0; t < this.alive.length; t++) {
+        if (this.alive[t]) {
+            const _triangle = this.triangles.subarray(3 * t, 3 * t + 3);
+            _triangle.forEach((v_) => { _new_index[v_] = 0; });
+            _indices.push(..._triangle);
+        }
+    }
+
+    const _source = [];
+    for (let v = 0; v < this.num_vertices; v++) {
+        if (_new_index[v] === 0) {
+            _new_index[v] = _source.length;
+            _source.push(v);
+        }
+    }
+
+    const _vertices = new Float32Array(3 * _source.length);
+    _source.forEach((v_, i_) => { _vertices.set(this.positions.subarray(3 * v_, 3 * v_ + 3), 3 * i_); });
+
+    return {
+        vertices: _vertices,
+        indices: new Uint32Array(_indices.map((v_) => { return _new_index[v_]; })),
+        source: new Uint32Array(_source),
+        error: Math.sqrt(this.error)
+    };
+}
+
+/**
+ * @param {Number} a_ vertex index
+ * @param {Number} b_ vertex index
+ * @returns {String} "a,b" with a < b (see getEdgeTriangles)
+ */
+function getEdgeKey(a_, b_) {
+    return Math.min(a_, b_) + "," + Math.max(a_, b_);
+}
+
+/**
+ * Adds the squared distance to a plane to the quadric of a vertex
+ * (10 coefficients: xx, xy, xz, x, yy, yz, y, zz, z, 1)
+ * @param {Float64Array} quadrics_ 10 coefficients per vertex
+ * @param {Number} v_ vertex index
+ * @param {THREE.Vector3} n_ unit normal of the plane
+ * @param {Number} d_ plane offset (n . p + d = 0)
+ * @param {Number} weight_
+ */
+function addPlaneQuadric(quadrics_, v_, n_, d_, weight_) {
+    const _plane = [n_.x, n_.y, n_.z, d_];
+    let _i = 10 * v_;
+    for (let r = 0; r < 4; r++) {
+        for (let c = r; c < 4; c++) {
+            quadrics_[_i++] += weight_ * _plane[r] * _plane[c];
+        }
+    }
+}
+
+/**
+ * @param {Float64Array} q_ 10 coefficients (see addPlaneQuadric)
+ * @param {THREE.Vector3} p_ position
+ * @returns {Number} sum of the squared distances from p_ to the planes of the quadric
+ */
+function evaluateQuadric(q_, p_) {
+    const _error = q_[0] * p_.x * p_.x + 2 * q_[1] * p_.x * p_.y + 2 * q_[2] * p_.x * p_.z + 2 * q_[3] * p_.x +
+        q_[4] * p_.y * p_.y + 2 * q_[5] * p_.y * p_.z + 2 * q_[6] * p_.y +
+        q_[7] * p_.z * p_.z + 2 * q_[8] * p_.z + q_[9];
+    return Math.max(_error, 0);
+}
+
+/**
+ * @param {Float64Array} q_ 10 coefficients (see addPlaneQuadric)
+ * @param {THREE.Vector3} target_ vector where the position is written
+ * @returns {THREE.Vector3} position with the minimum error, undefined when there is no single one
+ */
+function getOptimalPosition(q_, target_) {
+    const _m = new THREE.Matrix3().set(
+        q_[0], q_[1], q_[2],
+        q_[1], q_[4], q_[5],
+        q_[2], q_[5], q_[7]);
+    if (Math.abs(_m.determinant()) < QUADRIC_MIN_DETERMINANT) {
+        return undefined;
+    }
+    return target_.set(-q_[3], -q_[6], -q_[8]).applyMatrix3(_m.invert());
+}
+
+/**
+ * @param {Array} heap_ binary min-heap by `cost`
+ * @param {Object} item_ { cost, ... }
+ */
+function heapPush(heap_, item_) {
+    let _i = heap_.length;
+    heap_.push(item_);
+    while (_i > 0) {
+        const _parent = (_i - 1) >> 1;
+        if (heap_[_parent].cost <= item_.cost) {
+            break;
+        }
+        heap_[_i] = heap_[_parent];
+        _i = _parent;
+    }
+    heap_[_i] = item_;
+}
+
+/**
+ * @param {Array} heap_ binary min-heap by `cost` (not empty)
+ * @returns {Object} item with the lowest cost, removed from the heap
+ */
+function heapPop(heap_) {
+    const _top = heap_[0];
+    const _last = heap_.pop();
+    if (heap_.length === 0) {
+        return _top;
+    }
+
+    let _i = 0;
+    for (;;) {
+        let _child = 2 * _i + 1;
+        if (_child >= heap_.length) {
+            break;
+        }
+        if (_child + 1 < heap_.length && heap_[_child + 1].cost < heap_[_child].cost) {
+            _child++;
+        }
+        if (_last.cost <= heap_[_child].cost) {
+            break;
+        }
+        heap_[_i] = heap_[_child];
+        _i = _child;
+    }
+    heap_[_i] = _last;
+
+    return _top;
+}
+
+/**
+ * GPT_Coords with the vertices and triangles given as arrays (ex: written in a scene document, or simplified coordinates)
+ * @param {Array} vertices_ x, y, z of every vertex
+ * @param {Array} indices_ 3 vertex indices per triangle
+ */
+function InlineCoords(vertices_, indices_) {
+    this.inline_vertices = new Float32Array(vertices_);
+    this.inline_indices = new Uint32Array(indices_);
+
+    // 1. Call parent object constructor
+    GPT_Coords.call(this);
+}
+
+// 2. Extend from parent object prototype (keep proto clean)
+InlineCoords.prototype = Object.create(GPT_Coords.prototype);
+
+// 3. Repair the inherited constructor
+InlineCoords.prototype.constructor = InlineCoords;
+
+InlineCoords.prototype.getArrayVertices = function () {
+    return this.inline_vertices;
+}
+
+InlineCoords.prototype.getArrayEdges = function () {
+    return this.inline_indices;
 }
 
+export { InlineCoords, NORMAL_WEIGHTINGS, UV_MODES };
 export default GPT_Coords
\ No newline at end of file
@@ -0,0 +1,718 @@
+/**
+ * @module libgptjs Graphical Programming with ThreeJS (GPT)
+ * @class GPT_CoordsImporter
+ * @summary
+ *      Parses mesh files (OBJ, ASCII / binary PLY, ASCII / binary STL) into GPT_Coords, so custom geometry
+ *      does not have to be written as array literals (like CoordsDragon). Malformed files are reported with
+ *      the line (text files) or the element (binary files) of the problem
+ */
+
+import { InlineCoords } from './GPT_Coords'
+
+/**
+ * Supported formats (file extensions)
+ */
+const IMPORT_FORMATS = Object.freeze(["obj", "ply", "stl"]);
+
+/**
+ * PLY property types and their size in bytes. Both the old (char, int...) and the new names (int8, int32...) are valid
+ */
+const PLY_TYPES = Object.freeze({
+    char: { size: 1, read: "getInt8" }, int8: { size: 1, read: "getInt8" },
+    uchar: { size: 1, read: "getUint8" }, uint8: { size: 1, read: "getUint8" },
+    short: { size: 2, read: "getInt16" }, int16: { size: 2, read: "getInt16" },
+    ushort: { size: 2, read: "getUint16" }, uint16: { size: 2, read: "getUint16" },
+    int: { size: 4, read: "getInt32" }, int32: { size: 4, read: "getInt32" },
+    uint: { size: 4, read: "getUint32" }, uint32: { size: 4, read: "getUint32" },
+    float: { size: 4, read: "getFloat32" }, float32: { size: 4, read: "getFloat32" },
+    double: { size: 8, read: "getFloat64" }, float64: { size: 8, read: "getFloat64" }
+});
+
+/**
+ * Names of the texture coordinates in PLY files (the first pair found is used)
+ */
+const PLY_UV_NAMES = [["u", "v"], ["s", "t"], ["texture_u", "texture_v"], ["texture_s", "texture_t"]];
+
+/**
+ * Binary STL: 80 bytes of header, number of triangles (uint32) and 50 bytes per triangle
+ */
+const STL_HEADER_SIZE = 84;
+const STL_TRIANGLE_SIZE = 50;
+
+/**
+ * Creates the importer. The same importer can parse several files
+ *
+ *      const importer = new GPT_CoordsImporter();
+ *      const coords = importer.parse(text, "dragon.obj");
+ *      if (coords === undefined) {
+ *          console.log(importer.errors);   // ex: [ "obj line 12: '9' references a missing vertex (8 v, 0 vt, 0 vn defined so far)" ]
+ *      }
+ */
+function GPT_CoordsImporter() {
+    // errors of the last parsed file
+    this.errors = [];
+}
+
+/**
+ * Parses a mesh file into coordinates. Polygons are triangulated (fan), winding is kept
+ * @param {String|ArrayBuffer} data_ content of the file. Binary PLY and STL files need an ArrayBuffer (or a typed array)
+ * @param {String} format_ "obj", "ply", "stl" or a file name with one of those extensions
+ * @returns {ImportedCoords} coordinates or undefined when the file is malformed (see `errors`)
+ */
+GPT_CoordsImporter.prototype.parse = function (data_, format_) {
+    this.errors = [];
+
+    const _format = (typeof (format_) === "string") ? getExtension(format_) : "";
+    if (!IMPORT_FORMATS.includes(_format)) {
+        this.addError("format", "unsupported format '" + format_ + "' (expected " + IMPORT_FORMATS.join(", ") + ")");
+    }
+    else if (typeof (data_) !== "string" && toBytes(data_) === undefined) {
+        this.addError(_format, "expected the content of the file as String or ArrayBuffer");
+    }
+    else {
+        let _mesh = undefined;
+        switch (_format) {
+            case "obj":
+                _mesh = this.parseOBJ(toText(data_));
+                break;
+            case "ply":
+                _mesh = this.parsePLY(data_);
+                break;
+            case "stl":
+                _mesh = this.parseSTL(data_);
+                break;
+        }
+
+        if (_mesh !== undefined && this.errors.length === 0) {
+            this.checkMesh(_mesh, _format);
+        }
+        if (this.errors.length === 0) {
+            return new ImportedCoords(_mesh.vertices, _mesh.indices, _mesh.normals, _mesh.uvs);
+        }
+    }
+
+    for (let _error of this.errors) {
+        console.error("GPT_CoordsImporter.parse: " + _error);
+    }
+    return undefined;
+}
+
+/**
+ * @param {String} where_ format and position of the problem, ex: "obj line 3"
+ * @param {String} message_
+ */
+GPT_CoordsImporter.prototype.addError = function (where_, message_) {
+    this.errors.push(where_ + ": " + message_);
+}
+
+/**
+ * Checks the parsed triangles: at least one, and every index referencing a vertex
+ * @param {Object} mesh_ { vertices, indices, normals, uvs }
+ * @param {String} format_
+ */
+GPT_CoordsImporter.prototype.checkMesh = function (mesh_, format_) {
+    const _num_vertices = mesh_.vertices.length / 3;
+
+    if (mesh_.indices.length === 0) {
+        this.addError(format_, "no triangles found");
+        return;
+    }
+
+    const _bad = mesh_.indices.findIndex((i_) => { return !(Number.isInteger(i_) && i_ >= 0 && i_ < _num_vertices); });
+    if (_bad >= 0) {
+        this.addError(format_, "triangle " + Math.floor(_bad / 3) + " references vertex " + mesh_.indices[_bad] + " (" + _num_vertices + " vertices)");
+    }
+}
+
+/**
+ * Wavefront OBJ: `v`, `vt`, `vn` and `f` (v, v/vt, v//vn, v/vt/vn, negative indices are relative to the end).
+ * Groups, objects, materials, smoothing groups, lines and points are ignored.
+ * A position used with different texture coordinates or normals becomes several vertices
+ * @param {String} text_
+ * @returns {Object} { vertices, indices, normals, uvs } or undefined on errors
+ */
+GPT_CoordsImporter.prototype.parseOBJ = function (text_) {
+    const _positions = [];
+    const _uvs = [];
+    const _normals = [];
+
+    const _mesh = { vertices: [], indices: [], normals: [], uvs: [] };
+    let _has_uvs = false;
+    let _has_normals = false;
+
+    // "v/vt/vn" -> index of the vertex in _mesh
+    const _corners = new Map();
+
+    const _lines = text_.split("\n");
+    for (let l = 0; l < _lines.length; l++) {
+        const _where = "obj line " + (l + 1);
+        const _tokens = _lines[l].trim().split(/\s+/);
+        const _keyword = _tokens[0];
+
+        switch (_keyword) {
+            case "v":
+            case "vn":
+            case "vt": {
+                const _size = ("vt" === _keyword) ? 2 : 3;
+                const _values = _tokens.slice(1, _size + 1).map(Number);
+                if (_values.length < _size || _values.some(isNaN)) {
+                    this.addError(_where, "'" + _keyword + "' needs " + _size + " numbers, found '" + _tokens.slice(1).join(" ") + "'");
+                    break;
+                }
+                (("v" === _keyword) ? _positions : ("vn" === _keyword) ? _normals : _uvs).push(_values);
+                break;
+            }
+            case "f": {
+                if (_tokens.length < 4) {
+                    this.addError(_where, "a face needs at least 3 vertices, found " + (_tokens.length - 1));
+                    break;
+                }
+
+                const _face = [];
+                for (let _corner of _tokens.slice(1)) {
+                    const _refs = _corner.split("/");
+                    const _v = resolveOBJIndex(_refs[0], _positions.length);
+                    const _vt = (_refs[1] !== undefined && _refs[1] !== "") ? resolveOBJIndex(_refs[1], _uvs.length) : undefined;
+                    const _vn = (_refs[2] !== undefined && _refs[2] !== "") ? resolveOBJIndex(_refs[2], _normals.length) : undefined;
+
+                    if (_v < 0 || _vt < 0 || _vn < 0) {
+                        this.addError(_where, "'" + _corner + "' references a missing vertex (" + _positions.length + " v, " + _uvs.length + " vt, " + _normals.length + " vn defined so far)");
+                        break;
+                    }
+
+                    const _key = _v + "/" + _vt + "/" + _vn;
+                    let _index = _corners.get(_key);
+                    if (_index === undefined) {
+                        _index = _corners.size;
+                        _corners.set(_key, _index);
+                        _mesh.vertices.push(..._positions[_v]);
+                        _mesh.uvs.push(...((_vt !== undefined) ? _uvs[_vt] : [0, 0]));
+                        _mesh.normals.push(...((_vn !== undefined) ? _normals[_vn] : [0, 0, 0]));
+                        _has_uvs = _has_uvs || (_vt !== undefined);
+                        _has_normals = _has_normals || (_vn !== undefined);
+                    }
+                    _face.push(_index);
+                }
+
+                if (_face.length === _tokens.length - 1) {
+                    triangulate(_face, _mesh.indices);
+                }
+                break;
+            }
+        }
+    }
+
+    if (this.errors.length > 0) {
+        return undefined;
+    }
+
+    _mesh.uvs = _has_uvs ? _mesh.uvs : undefined;
+    _mesh.normals = _has_normals ? _mesh.normals : undefined;
+    return _mesh;
+}
+
+/**
+ * Stanford PLY (ascii, binary_little_endian and binary_big_endian). Reads x, y, z, optional nx, ny, nz and
+ * texture coordinates of `vertex`, and `vertex_indices` (or `vertex_index`) of `face`. Other elements are skipped
+ * @param {String|ArrayBuffer} data_ binary files only as ArrayBuffer
+ * @returns {Object} { vertices, indices, normals, uvs } or undefined on errors
+ */
+GPT_CoordsImporter.prototype.parsePLY = function (data_) {
+    const _bytes = (typeof (data_) === "string") ? undefined : toBytes(data_);
+    const _header = this.parsePLYHeader((_bytes !== undefined) ? _bytes : data_);
+    if (_header === undefined) {
+        return undefined;
+    }
+
+    const _vertex = _header.elements.find((e_) => { return "vertex" === e_.name; });
+    const _face = _header.elements.find((e_) => { return "face" === e_.name; });
+    if (_vertex === undefined || _face === undefined) {
+        this.addError("ply header", "'vertex' and 'face' elements are required");
+        return undefined;
+    }
+    for (let _p of ["x", "y", "z"]) {
+        if (!_vertex.properties.some((p_) => { return p_.name === _p && !p_.list; })) {
+            this.addError("ply header", "element 'vertex' has no property '" + _p + "'");
+        }
+    }
+    const _indices_prop = _face.properties.find((p_) => { return p_.list && ("vertex_indices" === p_.name || "vertex_index" === p_.name); });
+    if (_indices_prop === undefined) {
+        this.addError("ply header", "element 'face' has no list property 'vertex_indices'");
+    }
+    if (this.errors.length > 0) {
+        return undefined;
+    }
+
+    let _reader = undefined;
+    if ("ascii" === _header.format) {
+        _reader = new PLYTextReader((_bytes !== undefined) ? toText(_bytes.subarray(_header.size)) : data_.substring(_header.size), _header.lines);
+    }
+    else if (_bytes === undefined) {
+        this.addError("ply", "'" + _header.format + "' files must be given as ArrayBuffer");
+        return undefined;
+    }
+    else {
+        _reader = new PLYBinaryReader(_bytes, _header.size, "binary_little_endian" === _header.format);
+    }
+
+    const _has_normals = ["nx", "ny", "nz"].every((n_) => { return _vertex.properties.some((p_) => { return p_.name === n_; }); });
+    const _uv_names = PLY_UV_NAMES.find((names_) => {
+        return names_.every((n_) => { return _vertex.properties.some((p_) => { return p_.name === n_; }); });
+    });
+
+    const _mesh = { vertices: [], indices: [], normals: _has_normals ? [] : undefined, uvs: (_uv_names !== undefined) ? [] : undefined };
+
+    for (let _element of _header.elements) {
+        for (let i = 0; i < _element.count; i++) {
+            const _values = {};
+            for (let _prop of _element.properties) {
+                _values[_prop.name] = _prop.list ? _reader.readList(_prop.count_type, _prop.type) : _reader.read(_prop.type);
+            }
+
+            if (_reader.error !== undefined) {
+                this.addError("ply " + _reader.where() + " (" + _element.name + " " + i + ")", _reader.error);
+                return undefined;
+            }
+
+            if (_element === _vertex) {
+                _mesh.vertices.push(_values.x, _values.y, _values.z);
+                if (_has_normals) {
+                    _mesh.normals.push(_values.nx, _values.ny, _values.nz);
+                }
+                if (_uv_names !== undefined) {
+                    _mesh.uvs.push(_values[_uv_names[0]], _values[_uv_names[1]]);
+                }
+            }
+            else if (_element === _face) {
+                const _polygon = _values[_indices_prop.name];
+                if (_polygon.length < 3) {
+                    this.addError("ply " + _reader.where() + " (face " + i + ")", "a face needs at least 3 vertices, found " + _polygon.length);
+                    return undefined;
+                }
+                triangulate(_polygon, _mesh.indices);
+            }
+        }
+    }
+
+    return _mesh;
+}
+
+/**
+ * @param {Uint8Array|String} data_ file content
+ * @returns {Object} { format, elements: [{ name, count, properties: [{ name, type, list, count_type }] }], size (bytes or chars), lines } or undefined on errors
+ */
+GPT_CoordsImporter.prototype.parsePLYHeader = function (data_) {
+    // the header is ascii also in binary files: read it up to "end_header"
+    let _text = "";
+    let _size = 0;
+    const _max = Math.min(data_.length, 65536);
+    while (_size < _max) {
+        const _char = (typeof (data_) === "string") ? data_[_size] : String.fromCharCode(data_[_size]);
+        _text += _char;
+        _size++;
+        if ("\n" === _char && /(^|\n)end_header\r?\n$/.test(_text)) {
+            break;
+        }
+    }
+
+    const _lines = _text.split("\n").map((l_) => { return l_.trim(); });
+    if (_lines[0] !== "ply") {
+        this.addError("ply line 1", "expected 'ply', found '" + _lines[0].substring(0, 20) + "'");
+        return undefined;
+    }
+    if (!/(^|\n)end_header\r?\n$/.test(_text)) {
+        this.addError("ply header", "'end_header' not found");
+        return undefined;
+    }
+
+    const _header = { format: undefined, elements: [], size: _size, lines: _lines.length - 1 };
+    for (let l = 1; l < _lines.length; l++) {
+        const _where = "ply line " + (l + 1);
+        const _tokens = _lines[l].split(/\s+/);
+        const _element = _header.elements[_header.elements.length - 1];
+
+        switch (_tokens[0]) {
+            case "format":
+                if (!["ascii", "binary_little_endian", "binary_big_endian"].includes(_tokens[1])) {
+                    this.addError(_where, "unknown format '" + _tokens[1] + "'");
+                }
+                _header.format = _tokens[1];
+                break;
+            case "element":
+                if (_tokens.length !== 3 || !(Number(_tokens[2]) >= 0)) {
+                    this.addError(_where, "expected 'element <name> <count>', found '" + _lines[l] + "'");
+                    break;
+                }
+                _header.elements.push({ name: _tokens[1], count: Number(_tokens[2]), properties: [] });
+                break;
+            case "property": {
+                const _list = ("list" === _tokens[1]);
+                const _types = _list ? [_tokens[2], _tokens[3]] : [_tokens[1]];
+                if (_element === undefined) {
+                    this.addError(_where, "property before any element");
+                }
+                else if (_tokens.length !== (_list ? 5 : 3) || _types.some((t_) => { return PLY_TYPES[t_] === undefined; })) {
+                    this.addError(_where, "expected 'property <type> <name>' or 'property list <count type> <type> <name>', found '" + _lines[l] + "'");
+                }
+                else {
+                    _element.properties.push({ name: _tokens[_tokens.length - 1], type: _types[_types.length - 1], list: _list, count_type: _types[0] });
+                }
+                break;
+            }
+            case "comment":
+            case "obj_info":
+            case "end_header":
+            case "":
+                break;
+            default:
+                this.addError(_where, "unknown header line '" + _lines[l] + "'");
+        }
+    }
+
+    if (_header.format === undefined) {
+        this.addError("ply header", "'format' line not found");
+    }
+
+    return (this.errors.length === 0) ? _header : undefined;
+}
+
+/**
+ * Stereolithography STL, ascii (`solid` ... `facet` / `outer loop` / 3 `vertex` ...) or binary.
+ * Identical positions are merged into one vertex. Facet normals are not kept: they are computed from the triangles
+ * @param {String|ArrayBuffer} data_ binary files only as ArrayBuffer
+ * @returns {Object} { vertices, indices } or undefined on errors
+ */
+GPT_CoordsImporter.prototype.parseSTL = function (data_) {
+    const _bytes = (typeof (data_) === "string") ? undefined : toBytes(data_);
+    const _mesh = { vertices: [], indices: [], normals: undefined, uvs: undefined };
+    const _merged = new Map();
+
+    const _addVertex = (x_, y_, z_) => {
+        const _key = x_ + "," + y_ + "," + z_;
+        let _index = _merged.get(_key);
+        if (_index === undefined) {
+            _index = _merged.size;
+            _merged.set(_key, _index);
+            _mesh.vertices.push(x_, y_, z_);
+        }
+        _mesh.indices.push(_index);
+    };
+
+    if (_bytes !== undefined && isBinarySTL(_bytes)) {
+        const _view = new DataView(_bytes.buffer, _bytes.byteOffset, _bytes.byteLength);
+        const _count = _view.getUint32(80, true);
+        if (_bytes.length < STL_HEADER_SIZE + _count * STL_TRIANGLE_SIZE) {
+            this.addError("stl", "binary file with " + _count + " triangles needs " + (STL_HEADER_SIZE + _count * STL_TRIANGLE_SIZE) + " bytes, found " + _bytes.length);
+            return undefined;
+        }
+
+        for (let t = 0; t < _count; t++) {
+            // normal (3 floats), 3 vertices (3 floats each) and 2 bytes of attributes
+            const _offset = STL_HEADER_SIZE + t * STL_TRIANGLE_SIZE + 12;
+            for (let v = 0; v < 3; v++) {
+                const _o = _offset + 12 * v;
+                _addVertex(_view.getFloat32(_o, true), _view.getFloat32(_o + 4, true), _view.getFloat32(_o + 8, true));
+            }
+        }
+        return _mesh;
+    }
+
+    const _lines = ((_bytes !== undefined) ? toText(_bytes) : data_).split("\n");
+    if (!/^\s*solid/.test(_lines[0])) {
+        this.addError("stl line 1", "expected 'solid' (ascii) or a binary file of 84 + 50 * triangles bytes");
+        return undefined;
+    }
+
+    let _facet_line = 0;
+    let _facet_vertices = 0;
+    for (let l = 0; l < _lines.length; l++) {
+        const _where = "stl line " + (l + 1);
+        const _tokens = _lines[l].trim().split(/\s+/);
+
+        switch (_tokens[0]) {
+            case "facet":
+                if (_facet_line > 0) {
+                    this.addError(_where, "'facet' inside the facet of line " + _facet_line);
+                }
+                _facet_line = l + 1;
+                _facet_vertices = 0;
+                break;
+            case "vertex": {
+                const _values = _tokens.slice(1, 4).map(Number);
+                if (_facet_line === 0) {
+                    this.addError(_where, "'vertex' outside a facet");
+                }
+                else if (_values.length < 3 || _values.some(isNaN)) {
+                    this.addError(_where, "'vertex' needs 3 numbers, found '" + _tokens.slice(1).join(" ") + "'");
+                }
+                else if (++_facet_vertices <= 3) {
+                    _addVertex(_values[0], _values[1], _values[2]);
+                }
+                break;
+            }
+            case "endfacet":
+                if (_facet_vertices !== 3) {
+                    this.addError("stl line " + _facet_line, "a facet needs 3 vertices, found " + _facet_vertices);
+                }
+                _facet_line = 0;
+                break;
+        }
+    }
+
+    if (_facet_line > 0) {
+        this.addError("stl line " + _facet_line, "facet without 'endfacet'");
+    }
+
+    return (this.errors.length === 0) ? _mesh : undefined;
+}
+
+/**
+ * GPT_Coords of an imported file. Besides the vertices and triangles, keeps the normals and texture coordinates
+ * of the file (one per vertex) when it has them
+ * @param {Array} vertices_ x, y, z of every vertex
+ * @param {Array} indices_ 3 vertex indices per triangle
+ * @param {Array} normals_ optional x, y, z of the normal of every vertex
+ * @param {Array} uvs_ optional u, v of every vertex
+ */
+function ImportedCoords(vertices_, indices_, normals_, uvs_) {
+    this.vertex_normals = (normals_ !== undefined) ? new Float32Array(normals_) : undefined;
+    this.vertex_uvs = (uvs_ !== undefined) ? new Float32Array(uvs_) : undefined;
+
+    // 1. Call parent object constructor
+    InlineCoords.call(this, vertices_, indices_);
+}
+
+// 2. Extend from parent object prototype (keep proto clean)
+ImportedCoords.prototype = Object.create(InlineCoords.prototype);
+
+// 3. Repair the inherited constructor
+ImportedCoords.prototype.constructor = ImportedCoords;
+
+/**
+ * Extending method: without `weighting`, `crease_angle` nor `flat` the normals of the file are used when it has them
+ * (also for `normals`, see calculateNormals)
+ * @param {Object} options_ optional { weighting, crease_angle, flat } (see GPT_Coords.getNormalsLayout)
+ * @returns {Object} { vertices, normals, indices, source }
+ */
+ImportedCoords.prototype.getNormalsLayout = function (options_) {
+    const _layout = InlineCoords.prototype.getNormalsLayout.call(this, options_);
+
+    const _options = options_ || {};
+    if (_layout === undefined || this.vertex_normals === undefined ||
+        _options.weighting !== undefined || _options.crease_angle !== undefined || _options.flat === true) {
+        return _layout;
+    }
+
+    // every vertex of the layout comes from a vertex of the file. Vertices without normal in the file (OBJ corners
+    // without 'vn' are zero) keep the computed one
+    const _normals = _layout.normals.slice();
+    _layout.source.forEach((v_, i_) => {
+        const _n = this.vertex_normals.subarray(3 * v_, 3 * v_ + 3);
+        if (_n[0] !== 0 || _n[1] !== 0 || _n[2] !== 0) {
+            _normals.set(_n, 3 * i_);
+        }
+    });
+
+    return Object.assign(_layout, { normals: _normals });
+}
+
+/**
+ * Extending method: without `mode` the texture coordinates of the file are used when it has them
+ * @param {Object} layout_ see GPT_Coords.getNormalsLayout
+ * @param {Object} options_ optional { mode, axis } (see GPT_Coords.getUVLayout)
+ * @returns {Object} new layout { vertices, normals, uvs, indices, source }
+ */
+ImportedCoords.prototype.getUVLayout = function (layout_, options_) {
+    if (this.vertex_uvs === undefined || (options_ !== undefined && options_.mode !== undefined)) {
+        return InlineCoords.prototype.getUVLayout.call(this, layout_, options_);
+    }
+
+    // every vertex of the layout comes from a vertex of the file
+    const _uvs = new Float32Array(2 * layout_.source.length);
+    layout_.source.forEach((v_, i_) => { _uvs.set(this.vertex_uvs.subarray(2 * v_, 2 * v_ + 2), 2 * i_); });
+
+    return Object.assign({}, layout_, { uvs: _uvs });
+}
+
+/**
+ * Extending method: the normals and texture coordinates of the file are kept for the vertices left
+ * @param {Object} options_ see GPT_Coords.getDecimatedLayout
+ * @returns {ImportedCoords} new coordinates
+ */
+ImportedCoords.prototype.decimate = function (options_) {
+    const _layout = this.getDecimatedLayout(options_);
+    if (_layout === undefined) {
+        return undefined;
+    }
+
+    const _pick = (values_, size_) => {
+        if (values_ === undefined) {
+            return undefined;
+        }
+        const _picked = new Float32Array(size_ * _layout.source.length);
+        _layout.source.forEach((v_, i_) => { _picked.set(values_.subarray(size_ * v_, size_ * v_ + size_), size_ * i_); });
+        return _picked;
+    };
+
+    return new ImportedCoords(_layout.vertices, _layout.indices, _pick(this.vertex_normals, 3), _pick(this.vertex_uvs, 2));
+}
+
+/**
+ * Reads the values of an ascii PLY body, token by token
+ * @param {String} text_ body (after the header)
+ * @param {Number} first_line_ lines of the header (for the error messages)
+ */
+function PLYTextReader(text_, first_line_) {
+    this.lines = text_.split("\n");
+    this.first_line = first_line_;
+    this.line = 0;
+    this.tokens = [];
+    this.error = undefined;
+}
+
+PLYTextReader.prototype.next = function () {
+    while (this.tokens.length === 0 && this.line < this.lines.length) {
+        this.tokens = this.lines[this.line].trim().split(/\s+/).filter((t_) => { return t_ !== ""; });
+        this.line++;
+    }
+    if (this.tokens.length === 0) {
+        this.error = this.error || "unexpected end of file";
+        return NaN;
+    }
+
+    const _value = Number(this.tokens.shift());
+    if (isNaN(_value)) {
+        this.error = this.error || "expected a number";
+    }
+    return _value;
+}
+
+PLYTextReader.prototype.read = function (type_) {
+    return this.next();
+}
+
+PLYTextReader.prototype.readList = function (count_type_, type_) {
+    const _count = this.next();
+    const _values = [];
+    for (let i = 0; i < _count && this.error === undefined; i++) {
+        _values.push(this.next());
+    }
+    return _values;
+}
+
+PLYTextReader.prototype.where = function () {
+    return "line " + (this.first_line + this.line);
+}
+
+/**
+ * Reads the values of a binary PLY body
+ * @param {Uint8Array} bytes_ whole file
+ * @param {Number} offset_ first byte of the body
+ * @param {Bool} little_endian_
+ */
+function PLYBinaryReader(bytes_, offset_, little_endian_) {
+    this.view = new DataView(bytes_.buffer, bytes_.byteOffset, bytes_.byteLength);
+    this.offset = offset_;
+    this.little_endian = little_endian_;
+    this.error = undefined;
+}
+
+PLYBinaryReader.prototype.read = function (type_) {
+    const _type = PLY_TYPES[type_];
+    if (this.offset + _type.size > this.view.byteLength) {
+        this.error = this.error || "unexpected end of file";
+        return NaN;
+    }
+
+    const _value = this.view[_type.read](this.offset, this.little_endian);
+    this.offset += _type.size;
+    return _value;
+}
+
+PLYBinaryReader.prototype.readList = function (count_type_, type_) {
+    const _count = this.read(count_type_);
+    const _values = [];
+    for (let i = 0; i < _count && this.error === undefined; i++) {
+        _values.push(this.read(type_));
+    }
+    return _values;
+}
+
+PLYBinaryReader.prototype.where = function () {
+    return "byte " + this.offset;
+}
+
+/**
+ * @param {String} ref_ OBJ index: 1-based, or negative (relative to the last defined)
+ * @param {Number} count_ items defined so far
+ * @returns {Number} 0-based index, -1 when invalid
+ */
+function resolveOBJIndex(ref_, count_) {
+    const _i = Number(ref_);
+    if (!Number.isInteger(_i) || _i === 0) {
+        return -1;
+    }
+    const _index = (_i > 0) ? _i - 1 : count_ + _i;
+    return (_index >= 0 && _index < count_) ? _index : -1;
+}
+
+/**
+ * Triangle fan of a convex polygon
+ * @param {Array} polygon_ vertex indices
+ * @param {Array} indices_ list where the triangles are added
+ */
+function triangulate(polygon_, indices_) {
+    for (let i = 1; i < polygon_.length - 1; i++) {
+        indices_.push(polygon_[0], polygon_[i], polygon_[i + 1]);
+    }
+}
+
+/**
+ * @param {Uint8Array} bytes_
+ * @returns {Bool} true when the size matches the number of triangles of the binary header
+ *      (ascii files start with "solid", but some binary files too)
+ */
+function isBinarySTL(bytes_) {
+    if (bytes_.length < STL_HEADER_SIZE) {
+        return false;
+    }
+    const _count = new DataView(bytes_.buffer, bytes_.byteOffset, bytes_.byteLength).getUint32(80, true);
+    if (bytes_.length === STL_HEADER_SIZE + _count * STL_TRIANGLE_SIZE) {
+        return true;
+    }
+    return !/^\s*solid/.test(String.fromCharCode(...bytes_.subarray(0, 6)));
+}
+
+/**
+ * @param {ArrayBuffer|ArrayBufferView} data_
+ * @returns {Uint8Array} bytes of the data, undefined for other types
+ */
+function toBytes(data_) {
+    if (data_ instanceof ArrayBuffer) {
+        return new Uint8Array(data_);
+    }
+    if (ArrayBuffer.isView(data_)) {
+        return new Uint8Array(data_.buffer, data_.byteOffset, data_.byteLength);
+    }
+    return undefined;
+}
+
+/**
+ * @param {String|ArrayBuffer|ArrayBufferView} data_
+ * @returns {String} data as UTF-8 text
+ */
+function toText(data_) {
+    return (typeof (data_) === "string") ? data_ : new TextDecoder().decode(toBytes(data_));
+}
+
+/**
+ * @param {String} format_ format or file name
+ * @returns {String} lower case extension without dot (the whole string when there is no dot)
+ */
+function getExtension(format_) {
+    const _dot = format_.lastIndexOf(".");
+    return format_.substring(_dot + 1).toLowerCase();
+}
+
+export { IMPORT_FORMATS, ImportedCoords };
+export default GPT_CoordsImporter;
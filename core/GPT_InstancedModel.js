@@ -0,0 +1,350 @@
+/**
+ * @module libgptjs Graphical Programming with ThreeJS (GPT)
+ * @class GPT_InstancedModel
+ * @summary
+ *      Instanced variant of a GPT_Model: many copies of the same geometry and material drawn with
+ *      one THREE.InstancedMesh (a single draw call). Every instance has its own transform and color
+ */
+
+/**
+ * Importing object THREE from our costumized global script
+ */
+import THREE from '../external-libs/three-global'
+import GPT_Model from './GPT_Model'
+import GPT_ModelCollider from './GPT_ModelCollider'
+
+/**
+ * Creates the instanced mesh without instances (see addInstance)
+ *
+ *      const grippers = new GPT_InstancedModel({ geometry: gripper_geom, material: gripper_mat }, 2);
+ *      const right = grippers.addInstance({ position: [10, -10, -9] });
+ *      const left = grippers.addInstance({ position: [10, 10, 9], rotation: [-Math.PI, 0, 0], color: 0xffe5e5 });
+ *
+ * Inherits from GPT_Model
+ *
+ * @param {GPT_Model} source_ model whose geometry and material are shared by all the instances (or { geometry, material })
+ * @param {Number} capacity_ maximum number of instances
+ */
+function GPT_InstancedModel(source_, capacity_) {
+    if (source_ === undefined) {
+        console.error("GPT_InstancedModel: 'source' is undefined");
+        return;
+    }
+
+    if (!(capacity_ > 0)) {
+        console.error("GPT_InstancedModel: 'capacity' must be greater than 0");
+        return;
+    }
+
+    this.source = source_;
+    this.capacity = capacity_;
+
+    // 1. Call parent object
+    GPT_Model.call(this);
+
+    // ids (indices in the instanced mesh) of removed instances, reused by addInstance
+    this.free_ids = [];
+    this.active = new Array(this.capacity).fill(false);
+
+    // colliders created for every instance (see createCollider), released when the instance is removed
+    this.colliders = new Map();
+
+    // instances are spread around the mesh, its bounding sphere (the geometry one) does not contain them
+    this.mesh.frustumCulled = false;
+
+    this._matrix = new THREE.Matrix4();
+    this._position = new THREE.Vector3();
+    this._quaternion = new THREE.Quaternion();
+    this._scale = new THREE.Vector3();
+    this._euler = new THREE.Euler();
+}
+
+// 2. Extend from parent object prototype (keep proto clean)
+GPT_InstancedModel.prototype = Object.create(GPT_Model.prototype);
+
+// 3. Repair the inherited constructor
+GPT_InstancedModel.prototype.constructor = GPT_InstancedModel;
+
+/**
+ * Overriding it
+ */
+GPT_InstancedModel.prototype.get_geometry = function () {
+    return this.source.geometry;
+}
+
+/**
+ * Overriding it
+ */
+GPT_InstancedModel.prototype.get_material = function () {
+    return this.source.material;
+}
+
+/**
+ * Overriding it
+ * @returns {THREE.InstancedMesh} mesh drawing `count` instances (0 until the first addInstance)
+ */
+GPT_InstancedModel.prototype.create_mesh = function () {
+    const _mesh = new THREE.InstancedMesh(this.geometry, this.material, this.capacity);
+    _mesh.count = 0;
+    return _mesh;
+}
+
+/**
+ * Adds an instance. Ids of removed instances are reused
+ * @param {Object} transform_ optional { position, rotation, scale, color }. Vectors as [x, y, z] or THREE objects, color as number, string or THREE.Color
+ * @returns {Number} id of the instance, -1 when the model is full
+ */
+GPT_InstancedModel.prototype.addInstance = function (transform_) {
+    let _id = -1;
+
+    if (this.free_ids.length > 0) {
+        // lowest free id, keeps `count` as small as possible
+        this.free_ids.sort((a_, b_) => { return b_ - a_; });
+        _id = this.free_ids.pop();
+    }
+    else if (this.mesh.count < this.capacity) {
+        _id = this.mesh.count;
+        this.mesh.count++;
+    }
+    else {
+        console.error("GPT_InstancedModel.addInstance: capacity (" + this.capacity + ") reached");
+        return -1;
+    }
+
+    const _transform = (transform_ !== undefined) ? transform_ : {};
+
+    this.active[_id] = true;
+    this.mesh.setMatrixAt(_id, this._matrix.identity());
+    this.setInstanceTransform(_id, _transform);
+
+    // a reused id keeps the color of the removed instance
+    if (_transform.color === undefined && this.mesh.instanceColor !== null) {
+        this.setInstanceColor(_id, 0xffffff);
+    }
+
+    return _id;
+}
+
+/**
+ * Removes an instance: it is hidden (zero scale) and its id can be reused
+ * @param {Number} id_
+ */
+GPT_InstancedModel.prototype.removeInstance = function (id_) {
+    if (!this.isActive(id_)) {
+        console.error("GPT_InstancedModel.removeInstance: unknown instance " + id_);
+        return;
+    }
+
+    this.active[id_] = false;
+    this.releaseColliders(id_);
+    this.mesh.setMatrixAt(id_, this._matrix.makeScale(0, 0, 0));
+    this.mesh.instanceMatrix.needsUpdate = true;
+    this.free_ids.push(id_);
+
+    // trailing free instances are not drawn at all
+    while (this.mesh.count > 0 && !this.active[this.mesh.count - 1]) {
+        this.mesh.count--;
+        this.free_ids.splice(this.free_ids.indexOf(this.mesh.count), 1);
+    }
+}
+
+/**
+ * @param {Number} id_
+ * @returns {Bool} true when the instance exists
+ */
+GPT_InstancedModel.prototype.isActive = function (id_) {
+    return this.active[id_] === true;
+}
+
+/**
+ * @returns {Number} number of instances
+ */
+GPT_InstancedModel.prototype.getInstanceCount = function () {
+    return this.active.filter((a_) => { return a_; }).length;
+}
+
+/**
+ * Calls `cb_` with the id of every instance, in order of id
+ * @param {Function} cb_ (id)
+ */
+GPT_InstancedModel.prototype.forEachInstance = function (cb_) {
+    for (let i = 0; i < this.mesh.count; i++) {
+        if (this.active[i]) {
+            cb_(i);
+        }
+    }
+}
+
+/**
+ * Changes the given parts of the transform of an instance (the missing ones are kept)
+ * @param {Number} id_
+ * @param {Object} transform_ any of { position, rotation, scale, color }
+ */
+GPT_InstancedModel.prototype.setInstanceTransform = function (id_, transform_) {
+    if (!this.isActive(id_)) {
+        console.error("GPT_InstancedModel.setInstanceTransform: unknown instance " + id_);
+        return;
+    }
+
+    this.mesh.getMatrixAt(id_, this._matrix);
+    this._matrix.decompose(this._position, this._quaternion, this._scale);
+
+    if (transform_.position !== undefined) {
+        setVector(this._position, transform_.position);
+    }
+    if (transform_.rotation !== undefined) {
+        if (transform_.rotation.isQuaternion) {
+            this._quaternion.copy(transform_.rotation);
+        }
+        else {
+            this._quaternion.setFromEuler(setEuler(this._euler, transform_.rotation));
+        }
+    }
+    if (transform_.scale !== undefined) {
+        setVector(this._scale, transform_.scale);
+    }
+
+    this.mesh.setMatrixAt(id_, this._matrix.compose(this._position, this._quaternion, this._scale));
+    this.mesh.instanceMatrix.needsUpdate = true;
+
+    if (transform_.color !== undefined) {
+        this.setInstanceColor(id_, transform_.color);
+    }
+}
+
+/**
+ * @param {Number} id_
+ * @param {THREE.Matrix4} matrix_ local matrix of the instance (relative to `mesh`)
+ */
+GPT_InstancedModel.prototype.setInstanceMatrix = function (id_, matrix_) {
+    if (!this.isActive(id_)) {
+        console.error("GPT_InstancedModel.setInstanceMatrix: unknown instance " + id_);
+        return;
+    }
+
+    this.mesh.setMatrixAt(id_, matrix_);
+    this.mesh.instanceMatrix.needsUpdate = true;
+}
+
+/**
+ * @param {Number} id_
+ * @param {THREE.Matrix4} target_ optional matrix to write the result into
+ * @returns {THREE.Matrix4} local matrix of the instance
+ */
+GPT_InstancedModel.prototype.getInstanceMatrix = function (id_, target_) {
+    const _m = (target_ !== undefined) ? target_ : new THREE.Matrix4();
+    this.mesh.getMatrixAt(id_, _m);
+    return _m;
+}
+
+/**
+ * Sets the color of an instance (multiplied by the material color). The first call gives white to every other instance
+ * @param {Number} id_
+ * @param {Number|String|THREE.Color} color_
+ */
+GPT_InstancedModel.prototype.setInstanceColor = function (id_, color_) {
+    if (!this.isActive(id_)) {
+        console.error("GPT_InstancedModel.setInstanceColor: unknown instance " + id_);
+        return;
+    }
+
+    const _color = new THREE.Color(color_);
+
+    // created lazily by three.js with black for every instance
+    if (this.mesh.instanceColor === null) {
+        const _white = new THREE.Color(0xffffff);
+        for (let i = 0; i < this.capacity; i++) {
+            this.mesh.setColorAt(i, _white);
+        }
+    }
+
+    this.mesh.setColorAt(id_, _color);
+    this.mesh.instanceColor.needsUpdate = true;
+}
+
+/**
+ * @param {Number} id_
+ * @returns {THREE.Color} color of the instance (white when no color was set)
+ */
+GPT_InstancedModel.prototype.getInstanceColor = function (id_) {
+    const _color = new THREE.Color(0xffffff);
+    if (this.mesh.instanceColor !== null) {
+        this.mesh.getColorAt(id_, _color);
+    }
+    return _color;
+}
+
+/**
+ * Collider of one instance (see GPT_ModelCollider). Released when the instance is removed (see releaseColliders)
+ * @param {Number} id_
+ * @param {Bool} static_ true when the instance does not move
+ * @returns {GPT_ModelCollider}
+ */
+GPT_InstancedModel.prototype.createCollider = function (id_, static_) {
+    if (!this.isActive(id_)) {
+        console.error("GPT_InstancedModel.createCollider: unknown instance " + id_);
+        return undefined;
+    }
+
+    const _collider = new GPT_ModelCollider(static_, this.mesh, id_);
+    if (!this.colliders.has(id_)) {
+        this.colliders.set(id_, []);
+    }
+    this.colliders.get(id_).push(_collider);
+
+    return _collider;
+}
+
+/**
+ * Releases the colliders of a removed instance, so they do not follow the next instance that gets the same id
+ * @param {Number} id_
+ */
+GPT_InstancedModel.prototype.releaseColliders = function (id_) {
+    const _colliders = this.colliders.get(id_);
+    if (_colliders === undefined) {
+        return;
+    }
+
+    for (let _collider of _colliders) {
+        _collider.release_instance();
+    }
+    this.colliders.delete(id_);
+}
+
+/**
+ * Extending method: also frees the per-instance buffers
+ */
+GPT_InstancedModel.prototype.dispose_buffers = function () {
+    this.mesh.dispose();
+    GPT_Model.prototype.dispose_buffers.call(this);
+}
+
+/**
+ * @param {THREE.Vector3} v_ vector to set
+ * @param {*} value_ [x, y, z], {x, y, z} or a number (same value in the 3 axes, ex: scale)
+ */
+function setVector(v_, value_) {
+    if (Array.isArray(value_)) {
+        v_.fromArray(value_);
+    }
+    else if (typeof (value_) === "number") {
+        v_.setScalar(value_);
+    }
+    else {
+        v_.set(value_.x, value_.y, value_.z);
+    }
+}
+
+/**
+ * @param {THREE.Euler} e_ euler to set
+ * @param {*} value_ [x, y, z] or THREE.Euler / {x, y, z}
+ * @returns {THREE.Euler} e_
+ */
+function setEuler(e_, value_) {
+    if (Array.isArray(value_)) {
+        return e_.set(value_[0], value_[1], value_[2]);
+    }
+    return e_.set(value_.x, value_.y, value_.z, value_.order);
+}
+
+export default GPT_InstancedModel;
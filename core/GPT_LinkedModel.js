@@ -71,4 +71,30 @@ GPT_LinkedModel.prototype.createLinksHierarchy = function () {
     return this.links.get("root");
 }
 
+/**
+ * @returns {Object} joint angles (euler rotation in radians) of every link: { name: [x, y, z] }
+ */
+GPT_LinkedModel.prototype.getJointAngles = function () {
+    const _angles = {};
+    for (let [key, value] of this.links) {
+        _angles[key] = [value.rotation.x, value.rotation.y, value.rotation.z];
+    }
+    return _angles;
+}
+
+/**
+ * Rotates the links to the given joint angles (links missing in `angles_` keep their rotation)
+ * @param {Object} angles_ { name: [x, y, z] } as returned by getJointAngles
+ */
+GPT_LinkedModel.prototype.setJointAngles = function (angles_) {
+    for (let _name of Object.keys(angles_)) {
+        const _link = this.links.get(_name);
+        if (_link === undefined) {
+            console.warn("GPT_LinkedModel.setJointAngles: unknown link '" + _name + "'");
+            continue;
+        }
+        _link.rotation.set(angles_[_name][0], angles_[_name][1], angles_[_name][2]);
+    }
+}
+
 export default GPT_LinkedModel
\ No newline at end of file
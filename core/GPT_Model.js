@@ -13,9 +13,12 @@ import THREE from '../external-libs/three-global'
 
 /**
  * Constructs a Model object. Saves the reference to individual geometry and material, and
- * creates the THREE.Mesh
+ * creates the THREE.Mesh (see create_mesh)
  */
 function GPT_Model() {
+    // order of `update` among the models of a GPT_Scene, lower first (see GPT_Scene.registerModel)
+    this.priority = 0;
+
     this.geometry = this.get_geometry();
     if (this.geometry === undefined) {
         console.error("Geometry undefined when constructing model");
@@ -28,7 +31,12 @@ function GPT_Model() {
         return;
     }
 
-    this.mesh = new THREE.Mesh(this.geometry, this.material);
+    this.mesh = this.create_mesh();
+
+    // set by setLevelsOfDetail: THREE.LOD holding `mesh` (level 0) and the lower detail meshes
+    this.lod = undefined;
+    this.lod_meshes = [this.mesh];
+    this.forced_level = undefined;
 }
 
 /**
@@ -45,6 +53,197 @@ GPT_Model.prototype.get_material = function () {
     console.error("GPT_Model.get_material: Not implemented");
 }
 
+/**
+ * Override this method for creating another kind of mesh with `geometry` and `material` (ex: GPT_InstancedModel)
+ * @returns {THREE.Mesh}
+ */
+GPT_Model.prototype.create_mesh = function () {
+    return new THREE.Mesh(this.geometry, this.material);
+}
+
+/**
+ * Override this method for work done when the model enters a GPT_Scene (ex: register helpers or interpolation)
+ * Called after `mesh` was added to THREE.Scene (see GPT_Scene.registerModel / AddModelToScene)
+ * @param {GPT_Scene} gpt_scene_
+ * @param {String} name_ name of the model in the scene
+ */
+GPT_Model.prototype.onAdded = function (gpt_scene_, name_) {
+}
+
+/**
+ * Override this method for the per-frame behavior of the model. Called by GPT_Scene every simulation step
+ * @param {Number} ms milliseconds passed since last simulation step
+ */
+GPT_Model.prototype.update = function (ms) {
+}
+
+/**
+ * Override this method for undoing `onAdded`. Called after `mesh` was removed from THREE.Scene
+ * @param {GPT_Scene} gpt_scene_
+ * @param {String} name_ name of the model in the scene
+ * @param {Bool} dispose_ true when the resources of the model are being disposed
+ */
+GPT_Model.prototype.onRemoved = function (gpt_scene_, name_, dispose_) {
+}
+
+/**
+ * @returns {THREE.Object3D} object to add to the scene and to transform: the THREE.LOD when there are levels of detail, `mesh` otherwise
+ */
+GPT_Model.prototype.getRoot = function () {
+    return (this.lod !== undefined) ? this.lod : this.mesh;
+}
+
+/**
+ * Draws the model with lower detail geometries when it is far from the camera (THREE.LOD). Call it before adding the model to the scene
+ * Level 0 is `mesh` (full detail, distance 0); the others share its material and shadow settings
+ *
+ *      model.setLevelsOfDetail([
+ *          { distance: 900, detail: 0.5, max_error: 0.02 },   // generated (see get_lod_geometry)
+ *          { distance: 1600, geometry: low_geom }              // hand-authored
+ *      ], { hysteresis: 0.1, collider_level: 0 });
+ *
+ * The transform of `mesh` is moved to the THREE.LOD (see getRoot), so the levels keep the same pose
+ *
+ * @param {Array} levels_ { distance, geometry } or { distance, detail, max_error } sorted or not, distance from the camera in world units
+ * @param {Object} options_ optional { hysteresis: fraction of the distance to go back before switching to the previous level (default 0),
+ *      collider_level: level used by `collider` when the model has one (default 0) }
+ * @returns {THREE.LOD} the LOD object, undefined when a level is wrong
+ */
+GPT_Model.prototype.setLevelsOfDetail = function (levels_, options_) {
+    if (this.lod !== undefined) {
+        console.error("GPT_Model.setLevelsOfDetail: levels of detail already set");
+        return undefined;
+    }
+
+    const _options = Object.assign({ hysteresis: 0.0, collider_level: 0 }, options_);
+
+    const _meshes = [];
+    for (let _level of levels_) {
+        const _geom = (_level.geometry !== undefined) ? _level.geometry : this.get_lod_geometry(_level.detail, _level.max_error);
+        if (_geom === undefined || !(_level.distance > 0)) {
+            console.error("GPT_Model.setLevelsOfDetail: wrong level " + JSON.stringify({ distance: _level.distance, detail: _level.detail }));
+            return undefined;
+        }
+
+        const _mesh = new THREE.Mesh(_geom, this.material);
+        _mesh.castShadow = this.mesh.castShadow;
+        _mesh.receiveShadow = this.mesh.receiveShadow;
+        _meshes.push({ mesh: _mesh, distance: _level.distance });
+    }
+
+    this.lod = new THREE.LOD();
+    this.lod.position.copy(this.mesh.position);
+    this.lod.quaternion.copy(this.mesh.quaternion);
+    this.lod.scale.copy(this.mesh.scale);
+    this.mesh.position.set(0, 0, 0);
+    this.mesh.quaternion.identity();
+    this.mesh.scale.set(1, 1, 1);
+
+    this.lod.addLevel(this.mesh, 0, _options.hysteresis);
+    for (let _l of _meshes) {
+        this.lod.addLevel(_l.mesh, _l.distance, _options.hysteresis);
+    }
+
+    // in order of distance
+    this.lod_meshes = this.lod.levels.map((l_) => { return l_.object; });
+
+    if (this.collider !== undefined) {
+        this.setColliderLevel(_options.collider_level);
+    }
+
+    return this.lod;
+}
+
+/**
+ * Override this method for generating a lower detail geometry. By default it decimates `coords` (see GPT_Coords.decimate)
+ * and builds the geometry with `get_geometry(coords)`, so models built from GPT_Coords only need to accept the coords argument.
+ * The seams of `decimation_options` ({ normals, uv } of GPT_Coords.decimate) are kept, or the ones of `normals_options` / `uv_options`
+ * when the model has no decimation_options
+ * @param {Number} detail_ fraction of triangles to keep, range (0.0, 1.0]
+ * @param {Number} max_error_ optional greatest error of a collapse: the level keeps more triangles instead of losing its shape
+ * @returns {THREE.BufferGeometry}
+ */
+GPT_Model.prototype.get_lod_geometry = function (detail_, max_error_) {
+    if (this.coords === undefined) {
+        console.error("GPT_Model.get_lod_geometry: not implemented for models without coords");
+        return undefined;
+    }
+
+    if (!(detail_ > 0.0 && detail_ <= 1.0)) {
+        console.error("GPT_Model.get_lod_geometry: 'detail' must be in range (0.0, 1.0], found " + detail_);
+        return undefined;
+    }
+
+    const _options = Object.assign({},
+        (this.decimation_options !== undefined) ? this.decimation_options : { normals: this.normals_options, uv: this.uv_options });
+    _options.target_triangles = Math.round(detail_ * this.coords.triangles_indices.length);
+    if (max_error_ !== undefined) {
+        _options.max_error = max_error_;
+    }
+
+    const _coords = this.coords.decimate(_options);
+    return (_coords !== undefined) ? this.get_geometry(_coords) : undefined;
+}
+
+/**
+ * @returns {Number} number of levels of detail (1 without THREE.LOD)
+ */
+GPT_Model.prototype.getLevelCount = function () {
+    return this.lod_meshes.length;
+}
+
+/**
+ * @returns {Number} level being drawn (the forced one, or the one chosen by distance when last rendered)
+ */
+GPT_Model.prototype.getLevelOfDetail = function () {
+    if (this.forced_level !== undefined) {
+        return this.forced_level;
+    }
+    return (this.lod !== undefined) ? this.lod.getCurrentLevel() : 0;
+}
+
+/**
+ * Debug: always draws the given level, whatever the camera distance
+ * @param {Number} level_ level index, undefined (or -1) for choosing it by distance again
+ */
+GPT_Model.prototype.forceLevelOfDetail = function (level_) {
+    if (this.lod === undefined) {
+        return;
+    }
+
+    if (level_ === undefined || level_ < 0) {
+        this.forced_level = undefined;
+        this.lod.autoUpdate = true;
+        return;
+    }
+
+    if (level_ >= this.lod_meshes.length) {
+        console.error("GPT_Model.forceLevelOfDetail: level " + level_ + " out of range [0, " + (this.lod_meshes.length - 1) + "]");
+        return;
+    }
+
+    this.forced_level = level_;
+    this.lod.autoUpdate = false;
+    for (let i = 0; i < this.lod_meshes.length; i++) {
+        this.lod_meshes[i].visible = (i === level_);
+    }
+}
+
+/**
+ * Makes `collider` compute its AABB from the mesh of a level (ex: a low detail one is cheaper for dynamic colliders)
+ * @param {Number} level_ level index
+ */
+GPT_Model.prototype.setColliderLevel = function (level_) {
+    const _mesh = this.lod_meshes[level_];
+    if (_mesh === undefined || this.collider === undefined) {
+        console.error("GPT_Model.setColliderLevel: no collider or level " + level_ + " out of range");
+        return;
+    }
+
+    this.collider_level = level_;
+    this.collider.set_object(_mesh);
+}
+
 /**
  * When called ensures to free gl buffers of geometry / material
  * 
@@ -57,7 +256,20 @@ GPT_Model.prototype.get_material = function () {
  */
 GPT_Model.prototype.dispose_buffers = function () {
     this.geometry.dispose();
-    this.material.dispose();
+
+    // lower levels of detail (level 0 is `mesh`)
+    for (let i = 1; i < this.lod_meshes.length; i++) {
+        this.lod_meshes[i].geometry.dispose();
+    }
+    this.lod_meshes = [];
+    this.lod = undefined;
+
+    // multi-material models (ex: ModelSkybox) have an array
+    const _materials = Array.isArray(this.material) ? this.material : [this.material];
+    for (let _m of _materials) {
+        _m.dispose();
+    }
+
     this.geometry = null;
     this.material = null;
     this.mesh = null;
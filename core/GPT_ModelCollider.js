@@ -15,11 +15,12 @@ import THREE from "../external-libs/three-global";
  * 
  * @param {Bool} static_ true when object doesn't move or rotate, false when is dynamic (rotates, translates, scales)
  * @param {THREE.Object3D} obj_mesh the object from what the aabb (min, max) will be computed
- * @return {THREE.BoxHelper} `aabb_helper` line_mesh of the aabb to be rendered in Scene
+ * @param {Number} instance_id_ optional instance of a THREE.InstancedMesh (see GPT_InstancedModel.createCollider). The aabb only wraps that instance
+ * @return {THREE.BoxHelper} `aabb_helper` line_mesh of the aabb to be rendered in Scene (THREE.Box3Helper for instances)
  * 
  * @attribute `this.abbb` {THREE.Box3} structure containing aabb as "Box3 { min: Vector3, max: Vector3}"
  */
-function GPT_ModelCollider(static_, obj_mesh) {
+function GPT_ModelCollider(static_, obj_mesh, instance_id_) {
 
     this.is_static = static_
     if (undefined === this.is_static) {
@@ -33,6 +34,24 @@ function GPT_ModelCollider(static_, obj_mesh) {
         return;
     }
 
+    this.instance_id = instance_id_;
+    this.released = false;
+    if (undefined !== this.instance_id) {
+        if (!this.obj_mesh.isInstancedMesh) {
+            console.error("Collider: 'instance_id' needs a THREE.InstancedMesh");
+            return;
+        }
+
+        this.instance_matrix = new THREE.Matrix4();
+        this.aabb = new THREE.Box3();
+        this.obj_mesh.updateWorldMatrix(true, false);
+        this.compute_instance_aabb();
+
+        // helper follows the box (BoxHelper would wrap the geometry of the mesh, not the instance)
+        this.aabb_helper = new THREE.Box3Helper(this.aabb, 0x00ff00);
+        return;
+    }
+
     this.aabb = new THREE.Box3().setFromObject(this.obj_mesh);
     console.debug("ModelCollider: aabb: " + JSON.stringify(this.aabb));
 
@@ -40,6 +59,21 @@ function GPT_ModelCollider(static_, obj_mesh) {
     this.aabb_helper = new THREE.BoxHelper(this.obj_mesh, 0x00ff00);
 }
 
+/**
+ * aabb of the instance: bounding box of the geometry transformed by the instance matrix and the world matrix of the mesh
+ */
+GPT_ModelCollider.prototype.compute_instance_aabb = function () {
+    const _geom = this.obj_mesh.geometry;
+    if (_geom.boundingBox === null) {
+        _geom.computeBoundingBox();
+    }
+
+    this.obj_mesh.getMatrixAt(this.instance_id, this.instance_matrix);
+    this.instance_matrix.premultiply(this.obj_mesh.matrixWorld);
+
+    this.aabb.copy(_geom.boundingBox).applyMatrix4(this.instance_matrix);
+}
+
 /**
  * In the animation (update) loop, compute the current aabb with the world matrix
  * 
@@ -49,10 +83,19 @@ function GPT_ModelCollider(static_, obj_mesh) {
  * For static objects you only call once to mesh.computeBoundingBox
  */
 GPT_ModelCollider.prototype.update_aabb = function () {
+    if (this.released) {
+        return;
+    }
+
     if (!this.is_static) {
         this.obj_mesh.geometry.computeBoundingBox();
     }
 
+    if (undefined !== this.instance_id) {
+        this.compute_instance_aabb();
+        return;
+    }
+
     // update the AABB values
     this.aabb.copy(this.obj_mesh.geometry.boundingBox)
         .applyMatrix4(this.obj_mesh.matrixWorld);
@@ -60,14 +103,46 @@ GPT_ModelCollider.prototype.update_aabb = function () {
     this.update_aabb_helper();
 }
 
+/**
+ * Computes the AABB from another object from now on (ex: a level of detail of the same model, see GPT_Model.setColliderLevel)
+ * @param {THREE.Object3D} obj_mesh
+ */
+GPT_ModelCollider.prototype.set_object = function (obj_mesh) {
+    if (this.released) {
+        console.error("Collider.set_object: its instance was removed");
+        return;
+    }
+
+    this.obj_mesh = obj_mesh;
+
+    if (undefined === this.instance_id) {
+        this.aabb_helper.setFromObject(this.obj_mesh);
+    }
+    this.update_aabb();
+}
+
 /**
  * Updates the helper's geometry to match the dimensions of the object,
  *      including any children, and also its position on the Scene.
  */
 GPT_ModelCollider.prototype.update_aabb_helper = function () {
+    // THREE.Box3Helper of an instance reads `aabb` by itself when rendered
+    if (this.released || undefined !== this.instance_id) {
+        return;
+    }
     this.aabb_helper.update();
 }
 
+/**
+ * Called when its instance is removed (see GPT_InstancedModel.removeInstance): the id can be given to another instance,
+ * so it is cleared and the aabb stays empty (never colliding) from now on
+ */
+GPT_ModelCollider.prototype.release_instance = function () {
+    this.instance_id = undefined;
+    this.released = true;
+    this.aabb.makeEmpty();
+}
+
 GPT_ModelCollider.prototype.dispose_buffers = function () {
     this.aabb_helper.geometry.dispose();
     this.aabb_helper.material.dispose();
@@ -0,0 +1,192 @@
+/**
+ * @module libgptjs Graphical Programming with ThreeJS (GPT)
+ * @class GPT_NullRenderer
+ * @summary
+ *      Headless backend for GPT_Renderer. It has the same interface used from THREE.WebGLRenderer
+ *      but instead of drawing it walks the scene graph and records the draw calls.
+ *      Intended for running scenes in Node / CI without WebGL (gameplay tests)
+ */
+
+/**
+ * Importing object THREE from our costumized global script
+ */
+import THREE from '../external-libs/three-global'
+
+/**
+ * Creates a renderer that does not need a GPU nor a DOM
+ *
+ * @attribute {Array} drawCalls records of the last rendered frame: {name, type, uuid, material, vertices, triangles}
+ * @attribute {Number} frameCount total of frames rendered
+ * @attribute {Object} info same structure as THREE.WebGLRenderer.info (render and memory counters)
+ *
+ * @param {HTMLElement} dom_element_ optional element to expose as `domElement` (ex: a canvas created by jsdom). Default null
+ */
+function GPT_NullRenderer(dom_element_) {
+    this.domElement = (dom_element_ !== undefined) ? dom_element_ : null;
+    this.isNullRenderer = true;
+
+    this.shadowMap = { enabled: false, type: THREE.PCFShadowMap };
+    this.autoClear = true;
+
+    this.info = {
+        memory: { geometries: 0, textures: 0 },
+        render: { frame: 0, calls: 0, triangles: 0, points: 0, lines: 0 },
+        programs: null,
+        autoReset: true,
+        reset: function () {
+            this.render.calls = 0;
+            this.render.triangles = 0;
+            this.render.points = 0;
+            this.render.lines = 0;
+        }
+    };
+
+    this.width = 0;
+    this.height = 0;
+    this.pixelRatio = 1;
+    this.clearColor = new THREE.Color(0x000000);
+    this.clearAlpha = 1;
+    this.viewport = new THREE.Vector4();
+    this.scissor = new THREE.Vector4();
+    this.scissorTest = false;
+
+    this.drawCalls = [];
+    this.frameCount = 0;
+}
+
+GPT_NullRenderer.prototype.setSize = function (w, h) {
+    this.width = w;
+    this.height = h;
+    this.viewport.set(0, 0, w, h);
+    this.scissor.set(0, 0, w, h);
+}
+
+GPT_NullRenderer.prototype.getSize = function (target) {
+    return target.set(this.width, this.height);
+}
+
+GPT_NullRenderer.prototype.setPixelRatio = function (ratio) {
+    this.pixelRatio = ratio;
+}
+
+GPT_NullRenderer.prototype.getPixelRatio = function () {
+    return this.pixelRatio;
+}
+
+GPT_NullRenderer.prototype.setClearColor = function (color, alpha) {
+    this.clearColor.set(color);
+    this.clearAlpha = (alpha !== undefined) ? alpha : 1;
+}
+
+GPT_NullRenderer.prototype.getClearColor = function (target) {
+    return target.copy(this.clearColor);
+}
+
+GPT_NullRenderer.prototype.getClearAlpha = function () {
+    return this.clearAlpha;
+}
+
+GPT_NullRenderer.prototype.setViewport = function (x, y, w, h) {
+    this.viewport.set(x, y, w, h);
+}
+
+GPT_NullRenderer.prototype.setScissor = function (x, y, w, h) {
+    this.scissor.set(x, y, w, h);
+}
+
+GPT_NullRenderer.prototype.setScissorTest = function (enabled) {
+    this.scissorTest = enabled;
+}
+
+GPT_NullRenderer.prototype.clear = function () {
+}
+
+/**
+ * Same steps the WebGLRenderer performs before drawing (update world matrices), then records one draw call per
+ * visible Mesh, Line, Points or Sprite whose layers are enabled in the camera
+ * @param {THREE.Scene} scene
+ * @param {THREE.Camera} camera
+ */
+GPT_NullRenderer.prototype.render = function (scene, camera) {
+    if (scene.matrixWorldAutoUpdate !== false) {
+        scene.updateMatrixWorld();
+    }
+
+    if (camera.parent === null && camera.matrixWorldAutoUpdate !== false) {
+        camera.updateMatrixWorld();
+    }
+
+    if (this.info.autoReset) {
+        this.info.reset();
+    }
+    this.drawCalls = [];
+
+    scene.traverseVisible((obj_) => {
+        if (!(obj_.isMesh || obj_.isLine || obj_.isPoints || obj_.isSprite)) {
+            return;
+        }
+
+        if (!obj_.layers.test(camera.layers)) {
+            return;
+        }
+
+        this.recordDrawCall(obj_);
+    });
+
+    this.frameCount++;
+    this.info.render.frame++;
+}
+
+/**
+ * Saves the draw call of one object and updates the `info.render` counters
+ * @param {THREE.Object3D} obj_ renderable object (Mesh, Line, Points, Sprite)
+ */
+GPT_NullRenderer.prototype.recordDrawCall = function (obj_) {
+    const _geom = obj_.geometry;
+
+    let _vertices = 0;
+    if (_geom !== undefined && _geom.index !== null && _geom.index !== undefined) {
+        _vertices = _geom.index.count;
+    }
+    else if (_geom !== undefined && _geom.attributes !== undefined && _geom.attributes.position !== undefined) {
+        _vertices = _geom.attributes.position.count;
+    }
+
+    let _triangles = 0;
+    if (obj_.isMesh) {
+        _triangles = Math.floor(_vertices / 3);
+        this.info.render.triangles += _triangles;
+    }
+    else if (obj_.isLine) {
+        this.info.render.lines += Math.max(_vertices - 1, 0);
+    }
+    else if (obj_.isPoints) {
+        this.info.render.points += _vertices;
+    }
+
+    const _materials = Array.isArray(obj_.material) ? obj_.material : [obj_.material];
+    this.info.render.calls += _materials.length;
+
+    this.drawCalls.push({
+        name: obj_.name,
+        type: obj_.type,
+        uuid: obj_.uuid,
+        material: _materials.map((m_) => { return (m_ !== undefined && m_ !== null) ? m_.type : undefined; }),
+        vertices: _vertices,
+        triangles: _triangles
+    });
+}
+
+/**
+ * @param {String} name_ object name
+ * @returns {Array} draw calls of the last frame made by objects with that name
+ */
+GPT_NullRenderer.prototype.getDrawCallsByName = function (name_) {
+    return this.drawCalls.filter((dc_) => { return dc_.name === name_; });
+}
+
+GPT_NullRenderer.prototype.dispose = function () {
+    this.drawCalls = [];
+}
+
+export default GPT_NullRenderer;
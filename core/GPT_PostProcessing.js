@@ -0,0 +1,272 @@
+/**
+ * @module libgptjs Graphical Programming with ThreeJS (GPT)
+ * @class GPT_PostProcessing
+ * @summary
+ *      Composable chain of post-processing passes (bloom, FXAA, vignette, color grading, flash)
+ *      applied after rendering the scene. Passes are named so they can be toggled at runtime
+ */
+
+/**
+ * Importing object THREE from our costumized global script
+ */
+import THREE from '../external-libs/three-global'
+import { EffectComposer } from "three/examples/jsm/postprocessing/EffectComposer"
+import { RenderPass } from "three/examples/jsm/postprocessing/RenderPass"
+import { ShaderPass } from "three/examples/jsm/postprocessing/ShaderPass"
+import { UnrealBloomPass } from "three/examples/jsm/postprocessing/UnrealBloomPass"
+import { FXAAShader } from "three/examples/jsm/shaders/FXAAShader"
+import { VignetteShader } from "three/examples/jsm/shaders/VignetteShader"
+import { ColorCorrectionShader } from "three/examples/jsm/shaders/ColorCorrectionShader"
+
+/**
+ * Full-screen tint: mixes the rendered image with `color` by `amount` (0.0 no flash, 1.0 only color)
+ */
+const FlashShader = {
+    uniforms: {
+        "tDiffuse": { value: null },
+        "color": { value: new THREE.Color(0xff0000) },
+        "amount": { value: 0.0 }
+    },
+
+    vertexShader: /* glsl */`
+        varying vec2 vUv;
+        void main() {
+            vUv = uv;
+            gl_Position = projectionMatrix * modelViewMatrix * vec4( position, 1.0 );
+        }`,
+
+    fragmentShader: /* glsl */`
+        uniform sampler2D tDiffuse;
+        uniform vec3 color;
+        uniform float amount;
+        varying vec2 vUv;
+        void main() {
+            vec4 texel = texture2D( tDiffuse, vUv );
+            gl_FragColor = vec4( mix( texel.rgb, color, amount ), texel.a );
+        }`
+};
+
+/**
+ * Creates the composer with a first RenderPass (scene + camera). Effects are appended in order with the add* methods
+ *
+ * @param {THREE.WebGLRenderer} wglrenderer_ renderer drawing the passes
+ * @param {THREE.Scene} scene_ scene to render in the first pass
+ * @param {THREE.Camera} camera_ camera to render in the first pass
+ * @param {Number} w_ canvas width
+ * @param {Number} h_ canvas height
+ */
+function GPT_PostProcessing(wglrenderer_, scene_, camera_, w_, h_) {
+    if (wglrenderer_ === undefined) {
+        console.error("GPT_PostProcessing: renderer is undefined");
+        return;
+    }
+
+    this.wglrenderer = wglrenderer_;
+    this.w = w_;
+    this.h = h_;
+
+    this.composer = new EffectComposer(this.wglrenderer);
+    this.composer.setSize(this.w, this.h);
+
+    this.renderPass = new RenderPass(scene_, camera_);
+    this.composer.addPass(this.renderPass);
+
+    // named effects (in insertion order, same order as in the composer)
+    this.passes = new Map();
+}
+
+/**
+ * Appends a pass at the end of the chain
+ * @param {String} name_ unique name used to toggle it
+ * @param {Pass} pass_ any three.js post-processing pass
+ * @param {Bool} enabled_ initial state. Default true
+ * @returns {Pass} the pass
+ */
+GPT_PostProcessing.prototype.addPass = function (name_, pass_, enabled_) {
+    if (this.passes.has(name_)) {
+        console.error("GPT_PostProcessing.addPass: pass '" + name_ + "' already exists");
+        return undefined;
+    }
+
+    pass_.enabled = (enabled_ !== false);
+    this.composer.addPass(pass_);
+    this.passes.set(name_, pass_);
+
+    console.debug("GPT_PostProcessing: added '" + name_ + "'. Total passes: " + this.passes.size);
+    return pass_;
+}
+
+/**
+ * @param {String} name_
+ * @param {Number} strength_ default 0.8
+ * @param {Number} radius_ default 0.4
+ * @param {Number} threshold_ luminance from which pixels glow. Default 0.85
+ */
+GPT_PostProcessing.prototype.addBloom = function (name_, strength_, radius_, threshold_, enabled_) {
+    const _pass = new UnrealBloomPass(
+        new THREE.Vector2(this.w, this.h),
+        (strength_ !== undefined) ? strength_ : 0.8,
+        (radius_ !== undefined) ? radius_ : 0.4,
+        (threshold_ !== undefined) ? threshold_ : 0.85
+    );
+    return this.addPass(name_, _pass, enabled_);
+}
+
+/**
+ * Anti-aliasing. Its resolution uniform is updated in `setSize`
+ * @param {String} name_
+ */
+GPT_PostProcessing.prototype.addFXAA = function (name_, enabled_) {
+    const _pass = new ShaderPass(FXAAShader);
+    _pass.isFXAA = true;
+    this.addPass(name_, _pass, enabled_);
+    this.updateFXAA(_pass);
+    return _pass;
+}
+
+/**
+ * @param {String} name_
+ * @param {Number} offset_ default 1.0
+ * @param {Number} darkness_ default 1.2
+ */
+GPT_PostProcessing.prototype.addVignette = function (name_, offset_, darkness_, enabled_) {
+    const _pass = new ShaderPass(VignetteShader);
+    _pass.uniforms["offset"].value = (offset_ !== undefined) ? offset_ : 1.0;
+    _pass.uniforms["darkness"].value = (darkness_ !== undefined) ? darkness_ : 1.2;
+    return this.addPass(name_, _pass, enabled_);
+}
+
+/**
+ * color = pow(color, pow_rgb) * mul_rgb + add_rgb
+ * @param {String} name_
+ * @param {Array} pow_rgb_ default [2, 2, 2] (gamma-like contrast)
+ * @param {Array} mul_rgb_ default [1, 1, 1]
+ * @param {Array} add_rgb_ default [0, 0, 0]
+ */
+GPT_PostProcessing.prototype.addColorGrading = function (name_, pow_rgb_, mul_rgb_, add_rgb_, enabled_) {
+    const _pass = new ShaderPass(ColorCorrectionShader);
+    _pass.uniforms["powRGB"].value.fromArray((pow_rgb_ !== undefined) ? pow_rgb_ : [2, 2, 2]);
+    _pass.uniforms["mulRGB"].value.fromArray((mul_rgb_ !== undefined) ? mul_rgb_ : [1, 1, 1]);
+    _pass.uniforms["addRGB"].value.fromArray((add_rgb_ !== undefined) ? add_rgb_ : [0, 0, 0]);
+    return this.addPass(name_, _pass, enabled_);
+}
+
+/**
+ * Full-screen color flash. Use `setFlashAmount` to animate it
+ * @param {String} name_
+ * @param {Number|String|THREE.Color} color_ default red
+ */
+GPT_PostProcessing.prototype.addFlash = function (name_, color_, enabled_) {
+    const _pass = new ShaderPass(FlashShader);
+    _pass.uniforms["color"].value.set((color_ !== undefined) ? color_ : 0xff0000);
+    _pass.uniforms["amount"].value = 0.0;
+    return this.addPass(name_, _pass, enabled_);
+}
+
+/**
+ * Sets the flash intensity. The pass is only enabled while amount > 0 (saves one full-screen pass)
+ * @param {String} name_ name of a pass created with addFlash
+ * @param {Number} amount_ range [0.0, 1.0]
+ */
+GPT_PostProcessing.prototype.setFlashAmount = function (name_, amount_) {
+    const _pass = this.passes.get(name_);
+    if (_pass === undefined) {
+        console.error("GPT_PostProcessing.setFlashAmount: pass '" + name_ + "' not found");
+        return;
+    }
+
+    const _a = Math.min(Math.max(amount_, 0.0), 1.0);
+    _pass.uniforms["amount"].value = _a;
+    _pass.enabled = (_a > 0.0);
+}
+
+/**
+ * @param {String} name_
+ * @returns {Pass} pass or undefined
+ */
+GPT_PostProcessing.prototype.getPass = function (name_) {
+    return this.passes.get(name_);
+}
+
+/**
+ * Toggles a pass at runtime
+ * @param {String} name_
+ * @param {Bool} enabled_
+ */
+GPT_PostProcessing.prototype.setPassEnabled = function (name_, enabled_) {
+    const _pass = this.passes.get(name_);
+    if (_pass === undefined) {
+        console.error("GPT_PostProcessing.setPassEnabled: pass '" + name_ + "' not found");
+        return;
+    }
+
+    _pass.enabled = enabled_;
+}
+
+/**
+ * @returns {Bool} true when at least one effect is enabled (otherwise rendering directly is cheaper)
+ */
+GPT_PostProcessing.prototype.hasEnabledPasses = function () {
+    for (let [name, pass] of this.passes) {
+        if (pass.enabled) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * @param {THREE.Camera} camera_ new camera for the first (render) pass
+ */
+GPT_PostProcessing.prototype.setCamera = function (camera_) {
+    this.renderPass.camera = camera_;
+}
+
+/**
+ * Resizes the render targets of every pass (called from GPT_Renderer.reshape)
+ * @param {Number} w_ canvas width
+ * @param {Number} h_ canvas height
+ */
+GPT_PostProcessing.prototype.setSize = function (w_, h_) {
+    this.w = w_;
+    this.h = h_;
+    this.composer.setPixelRatio(this.wglrenderer.getPixelRatio());
+    this.composer.setSize(w_, h_);
+
+    for (let [name, pass] of this.passes) {
+        if (pass.isFXAA) {
+            this.updateFXAA(pass);
+        }
+    }
+}
+
+/**
+ * FXAA works in texels: resolution = 1 / (size * pixelRatio)
+ * @param {ShaderPass} pass_
+ */
+GPT_PostProcessing.prototype.updateFXAA = function (pass_) {
+    const _pr = this.wglrenderer.getPixelRatio();
+    pass_.uniforms["resolution"].value.set(1 / (this.w * _pr), 1 / (this.h * _pr));
+}
+
+/**
+ * Renders the scene through the chain of passes
+ * @param {Number} ms milliseconds passed since last frame (some passes are animated)
+ */
+GPT_PostProcessing.prototype.render = function (ms) {
+    this.composer.render((ms !== undefined) ? ms / 1000 : undefined);
+}
+
+GPT_PostProcessing.prototype.dispose = function () {
+    for (let [name, pass] of this.passes) {
+        if (typeof (pass.dispose) === "function") {
+            pass.dispose();
+        }
+    }
+    this.passes.clear();
+
+    this.renderPass.dispose();
+    this.composer.dispose();
+}
+
+export default GPT_PostProcessing;
@@ -10,17 +10,20 @@
  */
 import THREE from '../external-libs/three-global'
 
-// using our custom import
-// import OrbitControls from './external-libs/OrbitControls'
-import { OrbitControls } from "three/examples/jsm/controls/OrbitControls"
+import GPT_CameraRig from './GPT_CameraRig'
+import GPT_Viewport from './GPT_Viewport'
+import GPT_PostProcessing from './GPT_PostProcessing'
+import GPT_Transition from './GPT_Transition'
 
 /**
  * Create a GPT Renderer object with a scene already configured. It creates a THREE.WebGLRenderer internally tha twill be used in the other metho
+ * A different backend can be plugged, for example GPT_NullRenderer to run the scene headless (Node, CI) without WebGL
  * @param {Number} w width of the canvas
  * @param {Number} h height of the canvas
- * @param {GPT_Scene} sce our GPT_Scene already configured (It contains the THREE.Scene and an array of models)
+ * @param {GPT_Scene} sce our GPT_Scene already configured (It contains the THREE.Scene and an array of models). Registered as "default" (see registerScene)
+ * @param {Object} backend_ optional renderer with the THREE.WebGLRenderer interface (ex: GPT_NullRenderer). Default THREE.WebGLRenderer
  */
-function GPT_Renderer(w, h, sce) {
+function GPT_Renderer(w, h, sce, backend_) {
     if (typeof (sce) === "undefined") {
         console.error("GPT_Renderer: scene is undefined when creating GPT_Renderer");
         return;
@@ -29,44 +32,568 @@ function GPT_Renderer(w, h, sce) {
     this.w = w;
     this.h = h;
     this.gpt_scene = sce;
-    this.wglrenderer = new THREE.WebGLRenderer();
+
+    // named scenes that can be switched at runtime (see registerScene / switchScene). `gpt_scene` is the current one
+    this.scenes = new Map([["default", sce]]);
+    this.currentSceneName = "default";
+
+    // GPT_Transition in progress (see switchScene)
+    this.transition = undefined;
+    this.wglrenderer = (backend_ !== undefined) ? backend_ : new THREE.WebGLRenderer();
+
+    // true when the canvas is not attached to any DOM element (see setup)
+    this.headless = false;
+
+    // named viewports rendered in insertion order. "main" (full canvas) is created in setCamera
+    this.viewports = new Map();
+    this._prev_clear_color = new THREE.Color();
+
+    // chain of effects applied to the "main" viewport (see setupPostProcessing)
+    this.postprocessing = undefined;
+
+    // callbacks fired after every reshape with (w, h, pixel_ratio). See addResizeListener
+    this.resizeListeners = [];
+    this.pixelRatio = 1;
+
+    // next frame has to be rendered even if nothing is animating (see needsRender)
+    this.renderRequested = true;
+}
+
+/**
+ * Shares the application clock with the scene (see GPT_App)
+ * @param {GPT_Clock} clock_
+ */
+GPT_Renderer.prototype.setClock = function (clock_) {
+    this.clock = clock_;
+    for (let [name, sce] of this.scenes) {
+        sce.clock = clock_;
+    }
+}
+
+/**
+ * Adds a scene that can be switched to at runtime. It is set up (setupScene) the first time it is entered
+ * @param {String} name_ unique name
+ * @param {GPT_Scene} sce_
+ */
+GPT_Renderer.prototype.registerScene = function (name_, sce_) {
+    if (this.scenes.has(name_)) {
+        console.error("GPT_Renderer.registerScene: scene '" + name_ + "' already exists");
+        return;
+    }
+    if (sce_ === undefined) {
+        console.error("GPT_Renderer.registerScene: scene '" + name_ + "' is undefined");
+        return;
+    }
+
+    if (this.clock !== undefined) {
+        sce_.clock = this.clock;
+    }
+    this.scenes.set(name_, sce_);
+    console.debug("GPT_Renderer: registered scene '" + name_ + "'. Total scenes: " + this.scenes.size);
+}
+
+/**
+ * Removes a scene and disposes it when it was set up (its `onDispose` is called). The current scene can not be removed
+ * @param {String} name_
+ */
+GPT_Renderer.prototype.unregisterScene = function (name_) {
+    const _sce = this.scenes.get(name_);
+    if (_sce === undefined) {
+        console.error("GPT_Renderer.unregisterScene: scene '" + name_ + "' not found");
+        return;
+    }
+    if (_sce === this.gpt_scene || (this.transition !== undefined && this.transition.to === name_)) {
+        console.error("GPT_Renderer.unregisterScene: '" + name_ + "' is the current scene");
+        return;
+    }
+
+    if (_sce.isSetUp) {
+        _sce.dispose();
+    }
+    this.scenes.delete(name_);
+    console.debug("GPT_Renderer: unregistered scene '" + name_ + "'. Total scenes: " + this.scenes.size);
+}
+
+/**
+ * @param {String} name_
+ * @returns {GPT_Scene} scene or undefined
+ */
+GPT_Renderer.prototype.getScene = function (name_) {
+    return this.scenes.get(name_);
 }
 
 /**
- * Creates a THREE.Camera with by default values (perspective camera)
+ * Switches to another registered scene keeping the canvas, the viewports and the WebGL context.
+ * The previous scene is not disposed (switching back resumes it); its `onExit` and the `onEnter` of the next one are called
+ * when the scenes are swapped. The camera and the post-processing chain are re-created from the next scene.
+ * Calling it while a transition is running finishes that transition first
+ *
+ *      gpt_r.switchScene("arena", { type: "fade", duration_ms: 1000, color: 0x000000 });
+ *      gpt_r.switchScene("menu", { type: "crossfade" });
+ *
+ * @param {String} name_ registered scene
+ * @param {Object} transition_desc_ optional transition (see GPT_Transition). Default "cut"
  */
-GPT_Renderer.prototype.setCameraForDragon = function () {
-    this.camera = new THREE.PerspectiveCamera(75, this.w / this.h, 0.1, 5000);
-    this.camera.position.set(0, 275, 700); // consider we are working in cm
-    this.camera.lookAt(new THREE.Vector3(0, 80, 0)); // looking at the origin
+GPT_Renderer.prototype.switchScene = function (name_, transition_desc_) {
+    if (!this.scenes.has(name_)) {
+        console.error("GPT_Renderer.switchScene: scene '" + name_ + "' not found");
+        return;
+    }
+
+    if (this.transition !== undefined) {
+        this.finishTransition();
+    }
+
+    if (name_ === this.currentSceneName) {
+        console.info("GPT_Renderer.switchScene: '" + name_ + "' is already the current scene");
+        return;
+    }
+
+    this.transition = new GPT_Transition(transition_desc_, this.now());
+    this.transition.from = this.currentSceneName;
+    this.transition.to = name_;
+
+    // the last frame of the current scene (main camera, without effects: the composer always draws to the canvas)
+    // is blended over the next one
+    this.transition.captureSnapshot(this.wglrenderer, () => { this.wglrenderer.render(this.gpt_scene.scene, this.camera); });
+
+    if (this.transition.isSwitchTime(this.now())) {
+        this.activateScene(name_);
+        this.transition.switched = true;
+    }
+
+    this.updateTransition();
+    this.requestRender();
+}
+
+/**
+ * Swaps the current scene (without transition). The next scene is set up the first time
+ * @param {String} name_ registered scene
+ */
+GPT_Renderer.prototype.activateScene = function (name_) {
+    const _prev_name = this.currentSceneName;
+    const _next = this.scenes.get(name_);
+
+    this.gpt_scene.onExit(name_);
+
+    if (this.postprocessing !== undefined) {
+        this.postprocessing.dispose();
+        this.postprocessing = undefined;
+        this.gpt_scene.postprocessing = undefined;
+    }
+
+    this.gpt_scene = _next;
+    this.currentSceneName = name_;
+
+    if (!_next.isSetUp) {
+        _next.setupScene();
+    }
+
+    this.setCamera();
+    this.setupPostProcessing();
+
+    _next.onResize(this.w, this.h, this.pixelRatio);
+    _next.onEnter(_prev_name);
+    _next.markDirty();
+
+    console.debug("GPT_Renderer: switched scene from '" + _prev_name + "' to '" + name_ + "'");
 }
 
 /**
- * Creates a THREE.Controls with by default values (orbit control)
+ * Swaps the scenes when the transition reaches its switch time and removes it once finished
  */
-GPT_Renderer.prototype.setCameraHandler = function () {
-    // this.cameraHandler = new THREE.OrbitControls(this.camera, this.wglrenderer.domElement);
-    this.cameraHandler = new OrbitControls(this.camera, this.wglrenderer.domElement);
-    this.cameraHandler.target.set(0, 100, 0);
-    this.cameraHandler.noKeys = true; // moving with keyboard not allowed
+GPT_Renderer.prototype.updateTransition = function () {
+    if (this.transition === undefined) {
+        return;
+    }
+
+    const _now = this.now();
+    if (!this.transition.switched && this.transition.isSwitchTime(_now)) {
+        this.activateScene(this.transition.to);
+        this.transition.switched = true;
+    }
+
+    if (this.transition.isDone(_now)) {
+        this.transition.dispose();
+        this.transition = undefined;
+        this.requestRender();
+    }
+}
+
+/**
+ * Jumps to the end of the running transition (the scenes are swapped if they were not yet)
+ */
+GPT_Renderer.prototype.finishTransition = function () {
+    if (this.transition === undefined) {
+        return;
+    }
+
+    if (!this.transition.switched) {
+        this.activateScene(this.transition.to);
+    }
+
+    this.transition.dispose();
+    this.transition = undefined;
+    this.requestRender();
+}
+
+/**
+ * @returns {Number} current time of the shared clock (performance.now when no clock was set)
+ */
+GPT_Renderer.prototype.now = function () {
+    return (this.clock !== undefined) ? this.clock.now() : performance.now();
+}
+
+/**
+ * Creates the camera (and its controller) from a camera description. The previous camera rig is disposed
+ * See GPT_CameraRig for the description format. Example:
+ *
+ *      gpt_r.setCamera({ type: "orthographic", height: 1200, position: [0, 1000, 0], target: [0, 0, 0], controller: { type: "fixed" } });
+ *
+ * @param {Object} camera_desc_ camera description. Default the one provided by the scene (GPT_Scene.getCameraDescription)
+ */
+GPT_Renderer.prototype.setCamera = function (camera_desc_) {
+    const _desc = (camera_desc_ !== undefined) ? camera_desc_ : this.gpt_scene.getCameraDescription();
+
+    if (this.cameraRig !== undefined) {
+        this.cameraRig.dispose();
+    }
+
+    this.cameraRig = new GPT_CameraRig(_desc, this.w / this.h, this.wglrenderer.domElement);
+    this.camera = this.cameraRig.camera;
+    this.cameraHandler = this.cameraRig.controller;
+
+    if (this.postprocessing !== undefined) {
+        this.postprocessing.setCamera(this.camera);
+    }
+
+    // main viewport keeps its rectangle and clear color when the camera is replaced
+    const _main = this.viewports.get("main");
+    if (_main !== undefined) {
+        _main.cameraRig = this.cameraRig;
+        _main.layout(this.w, this.h);
+    }
+    else {
+        this.viewports.set("main", new GPT_Viewport("main", { x: 0.0, y: 0.0, w: 1.0, h: 1.0 }, this.cameraRig));
+    }
+}
+
+/**
+ * Replaces the camera controller keeping the current camera (orbit, fly, fixed, follow or custom)
+ * See GPT_CameraRig.setController for the description format. Example:
+ *
+ *      gpt_r.setCameraController({ type: "follow", object: bullet_mesh, offset: [0, 50, 150] });
+ *
+ * @param {Object|Function} controller_desc_ controller description or factory of a custom controller
+ */
+GPT_Renderer.prototype.setCameraController = function (controller_desc_) {
+    this.cameraRig.setController(controller_desc_);
+    this.cameraHandler = this.cameraRig.controller;
+}
+
+/**
+ * Adds a named viewport rendered after the existing ones (ex: picture-in-picture on top of "main")
+ * Examples:
+ *
+ *      // bullet cam at bottom-right following the bullet (resolved every frame, it is re-created on every shoot)
+ *      gpt_r.addViewport("bullet_cam", { x: 0.7, y: 0.0, w: 0.3, h: 0.3 },
+ *          { position: [0, 300, 300], controller: { type: "follow", object: () => sce.gpt_models.get("bullet"), offset: [0, 60, 150] } },
+ *          0x000000);
+ *
+ *      // top-down tactical view of the trajectory
+ *      gpt_r.addViewport("tactical", { x: 0.0, y: 0.7, w: 0.3, h: 0.3 },
+ *          { type: "orthographic", height: 1500, position: [0, 2000, 0], target: [0, 0, 0], controller: { type: "fixed" } });
+ *
+ * @param {String} name_ unique name
+ * @param {Object} rect_ normalized rectangle {x, y, w, h} in range [0.0, 1.0], origin at bottom-left
+ * @param {Object} camera_desc_ camera description (see GPT_CameraRig). Without `controller` the camera is fixed: only "main"
+ *      gets the default orbit controls, so dragging on the canvas does not move every camera at once
+ * @param {Number|String|THREE.Color} clear_color_ optional clear color of the region
+ * @param {Number} clear_alpha_ optional alpha of the clear color
+ * @returns {GPT_Viewport} the new viewport or undefined when the name already exists
+ */
+GPT_Renderer.prototype.addViewport = function (name_, rect_, camera_desc_, clear_color_, clear_alpha_) {
+    if (this.viewports.has(name_)) {
+        console.error("GPT_Renderer.addViewport: viewport '" + name_ + "' already exists");
+        return undefined;
+    }
+
+    const _desc = Object.assign({ controller: { type: "fixed" } }, camera_desc_);
+    const _rig = new GPT_CameraRig(_desc, 1.0, this.wglrenderer.domElement);
+    const _vp = new GPT_Viewport(name_, rect_, _rig, clear_color_, clear_alpha_);
+    _vp.layout(this.w, this.h);
+
+    this.viewports.set(name_, _vp);
+    this.requestRender();
+    console.debug("GPT_Renderer: added viewport '" + name_ + "'. Total viewports: " + this.viewports.size);
+
+    return _vp;
+}
+
+/**
+ * Removes a viewport and disposes its camera rig. "main" can not be removed (disable it instead)
+ * @param {String} name_
+ */
+GPT_Renderer.prototype.removeViewport = function (name_) {
+    if ("main" === name_) {
+        console.error("GPT_Renderer.removeViewport: 'main' can not be removed");
+        return;
+    }
+
+    const _vp = this.viewports.get(name_);
+    if (_vp === undefined) {
+        console.error("GPT_Renderer.removeViewport: viewport '" + name_ + "' not found");
+        return;
+    }
+
+    _vp.dispose();
+    this.viewports.delete(name_);
+    this.requestRender();
+    console.debug("GPT_Renderer: removed viewport '" + name_ + "'. Total viewports: " + this.viewports.size);
+}
+
+/**
+ * @param {String} name_
+ * @returns {GPT_Viewport} viewport or undefined
+ */
+GPT_Renderer.prototype.getViewport = function (name_) {
+    return this.viewports.get(name_);
+}
+
+/**
+ * Moves / resizes a viewport and updates its camera projection
+ * @param {String} name_
+ * @param {Object} rect_ normalized rectangle {x, y, w, h}
+ */
+GPT_Renderer.prototype.setViewportRect = function (name_, rect_) {
+    const _vp = this.viewports.get(name_);
+    if (_vp === undefined) {
+        console.error("GPT_Renderer.setViewportRect: viewport '" + name_ + "' not found");
+        return;
+    }
+
+    _vp.setRect(rect_);
+    _vp.layout(this.w, this.h);
+    this.requestRender();
 }
 
 /**
  * Initilize the Scene and WebGL here. This is called only once at the beginning
- * @param {string} div_container_name name of the div element for using as canvas. Commonly "container"
+ * @param {string|HTMLElement} div_container_name name of the div element for using as canvas (commonly "container"), or the element itself.
+ *      When undefined or null the canvas is not attached to the DOM (headless)
  */
 GPT_Renderer.prototype.setup = function (div_container_name) {
     this.wglrenderer.setSize(this.w, this.h);
     this.wglrenderer.setClearColor(new THREE.Color(0x002233), 1.0); // BLUE
     this.wglrenderer.shadowMap.enabled = true; // enabling shadows in the engine
-
-    document.getElementById(div_container_name).appendChild(this.wglrenderer.domElement);
     console.info("GPT_Renderer.wglrenderer configured: clearColor and shadowMapEnabled");
 
-    this.setCameraForDragon();
-    this.setCameraHandler();
+    this.container = this.getContainer(div_container_name);
+    if (this.container !== null && this.wglrenderer.domElement) {
+        this.container.appendChild(this.wglrenderer.domElement);
+    }
+    else {
+        this.headless = true;
+        console.info("GPT_Renderer: running headless (canvas not attached to the DOM)");
+    }
+
+    this.setCamera();
 
     this.gpt_scene.setupScene();
+
+    this.setupPostProcessing();
+
+    this.gpt_scene.onEnter(undefined);
+
+    // the scene is the first subscriber of resize events
+    this.addResizeListener((w_, h_, pixel_ratio_) => { this.gpt_scene.onResize(w_, h_, pixel_ratio_); });
+
+    if (!this.headless) {
+        this.trackContainerSize();
+    }
+
+    this.trackLoadedAssets();
+}
+
+/**
+ * Textures and models finish loading after the first frames, so a new frame is requested every time
+ * the default THREE.LoadingManager completes an item (the previous onProgress callback is kept)
+ */
+GPT_Renderer.prototype.trackLoadedAssets = function () {
+    const _manager = THREE.DefaultLoadingManager;
+    const _prev_on_progress = _manager.onProgress;
+
+    this._on_asset_loaded = (url_, loaded_, total_) => {
+        this.requestRender();
+        if (typeof (_prev_on_progress) === "function") {
+            _prev_on_progress(url_, loaded_, total_);
+        }
+    };
+    this._prev_on_asset_loaded = _prev_on_progress;
+    _manager.onProgress = this._on_asset_loaded;
+}
+
+/**
+ * Restores the onProgress callback of the default THREE.LoadingManager (only when nobody replaced ours)
+ */
+GPT_Renderer.prototype.untrackLoadedAssets = function () {
+    if (this._on_asset_loaded !== undefined && THREE.DefaultLoadingManager.onProgress === this._on_asset_loaded) {
+        THREE.DefaultLoadingManager.onProgress = this._prev_on_asset_loaded;
+    }
+    this._on_asset_loaded = undefined;
+    this._prev_on_asset_loaded = undefined;
+}
+
+/**
+ * Forces the next frame to be rendered in the render-on-demand mode (see GPT_App.useRenderOnDemand)
+ */
+GPT_Renderer.prototype.requestRender = function () {
+    this.renderRequested = true;
+}
+
+/**
+ * A frame is needed when it was requested, the scene is dirty or animating, or any camera moved
+ * @returns {Bool} true when the current frame must be rendered
+ */
+GPT_Renderer.prototype.needsRender = function () {
+    let _needs = this.renderRequested || this.gpt_scene.needsRender() || this.transition !== undefined;
+
+    // every rig is consumed (not only until the first change), so old changes do not trigger extra frames later
+    for (let [name, vp] of this.viewports) {
+        if (vp.cameraRig.consumeChanged() && vp.enabled) {
+            _needs = true;
+        }
+    }
+
+    return _needs;
+}
+
+/**
+ * Keeps the canvas with the size of its container (not the window):
+ *      ResizeObserver on the container (falls back to window "resize" when not available)
+ *      matchMedia on the current devicePixelRatio (ex: browser zoom, moving the window to another monitor)
+ */
+GPT_Renderer.prototype.trackContainerSize = function () {
+    if (typeof (ResizeObserver) !== "undefined") {
+        this.resizeObserver = new ResizeObserver((entries_) => {
+            const _rect = entries_[0].contentRect;
+            this.reshape(_rect.width, _rect.height);
+        });
+        this.resizeObserver.observe(this.container);
+    }
+    else {
+        this._on_window_resize = () => { this.reshape(); };
+        window.addEventListener("resize", this._on_window_resize);
+    }
+
+    this.trackPixelRatio();
+}
+
+/**
+ * Stops listening to container, window and devicePixelRatio changes
+ */
+GPT_Renderer.prototype.untrackContainerSize = function () {
+    if (this.resizeObserver !== undefined) {
+        this.resizeObserver.disconnect();
+        this.resizeObserver = undefined;
+    }
+
+    if (this._on_window_resize !== undefined) {
+        window.removeEventListener("resize", this._on_window_resize);
+        this._on_window_resize = undefined;
+    }
+
+    this.untrackPixelRatio();
+}
+
+/**
+ * A media query only matches one pixel ratio, so it is re-created after every change
+ */
+GPT_Renderer.prototype.trackPixelRatio = function () {
+    this.untrackPixelRatio();
+
+    if (typeof (window.matchMedia) !== "function") {
+        return;
+    }
+
+    this._dpr_media = window.matchMedia("(resolution: " + window.devicePixelRatio + "dppx)");
+    this._on_dpr_change = () => {
+        this.reshape();
+        this.trackPixelRatio();
+    };
+    this._dpr_media.addEventListener("change", this._on_dpr_change);
+}
+
+GPT_Renderer.prototype.untrackPixelRatio = function () {
+    if (this._dpr_media !== undefined) {
+        this._dpr_media.removeEventListener("change", this._on_dpr_change);
+        this._dpr_media = undefined;
+        this._on_dpr_change = undefined;
+    }
+}
+
+/**
+ * Subscribes to resize events (container size or devicePixelRatio changed)
+ *      gpt_r.addResizeListener((w, h, pixel_ratio) => { ... });
+ * @param {Function} cb_ called with (w, h, pixel_ratio) after the renderer, viewports and passes were resized
+ */
+GPT_Renderer.prototype.addResizeListener = function (cb_) {
+    if (typeof (cb_) !== "function") {
+        console.error("GPT_Renderer.addResizeListener: callback is not a function");
+        return;
+    }
+    this.resizeListeners.push(cb_);
+}
+
+/**
+ * @param {Function} cb_ callback previously passed to addResizeListener
+ */
+GPT_Renderer.prototype.removeResizeListener = function (cb_) {
+    const _i = this.resizeListeners.indexOf(cb_);
+    if (_i >= 0) {
+        this.resizeListeners.splice(_i, 1);
+    }
+}
+
+/**
+ * Creates the post-processing chain and lets the scene add its passes (GPT_Scene.createPostProcessing)
+ * The scene keeps the reference in `gpt_scene.postprocessing` to toggle / animate the passes at runtime
+ * Skipped with the headless backend (passes need WebGL render targets)
+ */
+GPT_Renderer.prototype.setupPostProcessing = function () {
+    if (this.wglrenderer.isNullRenderer) {
+        console.info("GPT_Renderer.setupPostProcessing: not available with GPT_NullRenderer");
+        return;
+    }
+
+    this.postprocessing = new GPT_PostProcessing(this.wglrenderer, this.gpt_scene.scene, this.camera, this.w, this.h);
+    this.gpt_scene.postprocessing = this.postprocessing;
+    this.gpt_scene.createPostProcessing(this.postprocessing);
+}
+
+/**
+ * Resolves the container where the canvas is attached
+ * @param {string|HTMLElement} container_ element id or the element itself
+ * @returns {HTMLElement} the container or null when there is no DOM or it was not found
+ */
+GPT_Renderer.prototype.getContainer = function (container_) {
+    if (container_ === undefined || container_ === null) {
+        return null;
+    }
+
+    if (typeof (container_) !== "string") {
+        return container_;
+    }
+
+    if (typeof (document) === "undefined") {
+        return null;
+    }
+
+    const _c = document.getElementById(container_);
+    if (_c === null) {
+        console.error("GPT_Renderer.getContainer: element '" + container_ + "' not found");
+    }
+    return _c;
 }
 
 /**
@@ -76,28 +603,250 @@ GPT_Renderer.prototype.setup = function (div_container_name) {
 GPT_Renderer.prototype.update = function (ms) {
     // console.debug("GPT_Renderer.update:  " + ms.toString())
     this.gpt_scene.updateScene(ms);
-    this.cameraHandler.update();
+
+    for (let [name, vp] of this.viewports) {
+        vp.cameraRig.update(ms);
+    }
 }
 
 /**
  * Render the content of the scene in the current state
+ * @param {Number} alpha interpolation factor [0.0, 1.0] between the previous and the current simulation step. Default 1.0 (current step)
  */
-GPT_Renderer.prototype.renderFrame = function () {
-    this.wglrenderer.render(this.gpt_scene.scene, this.camera);
+GPT_Renderer.prototype.renderFrame = function (alpha) {
+    this.renderRequested = false;
+
+    // may swap the current scene
+    this.updateTransition();
+
+    this.gpt_scene.dirty = false;
+
+    this.gpt_scene.beforeRender(alpha === undefined ? 1.0 : alpha);
+
+    // hidden layers of the scene (see GPT_Scene.setLayerVisible) are skipped by every camera
+    const _mask = this.gpt_scene.getLayersMask();
+    for (let [name, vp] of this.viewports) {
+        vp.getCamera().layers.mask = _mask;
+    }
+
+    this.renderScene();
+
+    if (this.transition !== undefined) {
+        this.transition.render(this.wglrenderer, this.now(), this.w, this.h);
+    }
+}
+
+/**
+ * Draws the current scene in every enabled viewport (effects on "main")
+ */
+GPT_Renderer.prototype.renderScene = function () {
+    const _post = (this.postprocessing !== undefined && this.postprocessing.hasEnabledPasses());
+
+    // single full-canvas view: no scissor needed
+    if (this.viewports.size === 1) {
+        if (_post) {
+            this.postprocessing.render();
+        }
+        else {
+            this.wglrenderer.render(this.gpt_scene.scene, this.camera);
+        }
+        return;
+    }
+
+    for (let [name, vp] of this.viewports) {
+        if (!vp.enabled) {
+            continue;
+        }
+
+        // effects are applied only to "main" (full canvas), the rest of viewports are drawn on top
+        if ("main" === name && _post) {
+            this.wglrenderer.setScissorTest(false);
+            this.wglrenderer.setViewport(0, 0, this.w, this.h);
+            this.postprocessing.render();
+        }
+        else {
+            this.renderViewport(vp);
+        }
+    }
+
+    // restore full canvas
+    this.wglrenderer.setScissorTest(false);
+    this.wglrenderer.setViewport(0, 0, this.w, this.h);
+}
+
+/**
+ * Renders the scene only inside the viewport rectangle (scissor) with the viewport camera and clear color
+ * @param {GPT_Viewport} vp_
+ */
+GPT_Renderer.prototype.renderViewport = function (vp_) {
+    const _r = vp_.getPixelRect(this.w, this.h);
+
+    this.wglrenderer.setViewport(_r.x, _r.y, _r.w, _r.h);
+    this.wglrenderer.setScissor(_r.x, _r.y, _r.w, _r.h);
+    this.wglrenderer.setScissorTest(true);
+
+    if (vp_.clearColor === undefined) {
+        this.wglrenderer.render(this.gpt_scene.scene, vp_.getCamera());
+        return;
+    }
+
+    // autoClear uses the current clear color, so swap it only for this viewport
+    this.wglrenderer.getClearColor(this._prev_clear_color);
+    const _prev_alpha = this.wglrenderer.getClearAlpha();
+
+    this.wglrenderer.setClearColor(vp_.clearColor, vp_.clearAlpha);
+    this.wglrenderer.render(this.gpt_scene.scene, vp_.getCamera());
+    this.wglrenderer.setClearColor(this._prev_clear_color, _prev_alpha);
 }
 
 /**
- * Will be called each time the window changes the size
+ * Will be called each time the container changes its size (or the devicePixelRatio changes)
+ * When `w_` and `h_` are not given, the size is read from the container (window size when there is no container)
+ * @param {Number} w_ optional new width in css pixels
+ * @param {Number} h_ optional new height in css pixels
  */
-GPT_Renderer.prototype.reshape = function () {
-    this.w = window.innerWidth;
-    this.h = window.innerHeight;
+GPT_Renderer.prototype.reshape = function (w_, h_) {
+    let _w = w_;
+    let _h = h_;
+
+    if (_w === undefined || _h === undefined) {
+        if (this.container) {
+            _w = this.container.clientWidth;
+            _h = this.container.clientHeight;
+        }
+        else if (typeof (window) !== "undefined") {
+            _w = window.innerWidth;
+            _h = window.innerHeight;
+        }
+        else {
+            _w = this.w;
+            _h = this.h;
+        }
+    }
+
+    // hidden container (display: none), keep the last size
+    if (!(_w > 0 && _h > 0)) {
+        return;
+    }
+
+    // drawing buffer size before resizing, only its changes are logged
+    const _prev_buffer = [this.w * this.pixelRatio, this.h * this.pixelRatio];
+
+    this.w = _w;
+    this.h = _h;
+
+    this.pixelRatio = (typeof (window) !== "undefined" && window.devicePixelRatio) ? window.devicePixelRatio : 1;
+    this.wglrenderer.setPixelRatio(this.pixelRatio);
     this.wglrenderer.setSize(this.w, this.h);
 
-    this.camera.aspect = this.w / this.h;
-    this.camera.updateProjectionMatrix();
+    // re-layout every viewport (rectangles are normalized, only the projections change)
+    for (let [name, vp] of this.viewports) {
+        vp.layout(this.w, this.h);
+    }
+
+    if (this.postprocessing !== undefined) {
+        this.postprocessing.setSize(this.w, this.h);
+    }
+
+    for (let _cb of this.resizeListeners) {
+        _cb(this.w, this.h, this.pixelRatio);
+    }
+
+    // the canvas is cleared when its size changes
+    this.requestRender();
+
+    if (_prev_buffer[0] !== this.w * this.pixelRatio || _prev_buffer[1] !== this.h * this.pixelRatio) {
+        console.log("Canvas Resized: " + this.w + " x " + this.h + " @" + this.pixelRatio + "x")
+    }
+}
+
+/**
+ * Destroys the renderer and everything it owns. Call it after stopping the loop (see GPT_App.dispose):
+ *      unhooks container, window, devicePixelRatio and loading manager events
+ *      disposes viewports (camera controllers), post-processing passes and the scene (GPT_Scene.dispose)
+ *      builds the leak report, then disposes the WebGL renderer and removes the canvas from its container
+ *
+ * The leak report reads `renderer.info.memory` once the scene was disposed: any geometry or texture still
+ * counted there was created outside of the scene graph and never disposed
+ * @returns {Object} leak report {geometries, textures, programs, leaked, disposed}
+ */
+GPT_Renderer.prototype.dispose = function () {
+    this.untrackContainerSize();
+    this.untrackLoadedAssets();
+    this.resizeListeners = [];
+
+    if (this.transition !== undefined) {
+        this.transition.dispose();
+        this.transition = undefined;
+    }
+
+    for (let [name, vp] of this.viewports) {
+        vp.dispose();
+    }
+    this.viewports.clear();
+    this.cameraRig = undefined;
+    this.cameraHandler = undefined;
+    this.camera = undefined;
+
+    if (this.postprocessing !== undefined) {
+        this.postprocessing.dispose();
+        this.postprocessing = undefined;
+    }
+
+    const _disposed = this.gpt_scene.dispose();
+
+    // scenes entered before (not current) still own their resources
+    for (let [name, sce] of this.scenes) {
+        if (sce !== this.gpt_scene && sce.isSetUp) {
+            const _d = sce.dispose();
+            for (let _key of Object.keys(_disposed)) {
+                _disposed[_key] += _d[_key];
+            }
+        }
+    }
+    this.scenes.clear();
+
+    const _report = this.getLeakReport();
+    _report.disposed = _disposed;
+
+    if (this.wglrenderer.domElement && this.wglrenderer.domElement.parentNode) {
+        this.wglrenderer.domElement.parentNode.removeChild(this.wglrenderer.domElement);
+    }
+
+    this.wglrenderer.dispose();
+
+    // browsers limit the number of live WebGL contexts, release it now instead of waiting for the garbage collector
+    if (typeof (this.wglrenderer.forceContextLoss) === "function") {
+        this.wglrenderer.forceContextLoss();
+    }
+
+    this.container = undefined;
+
+    if (_report.leaked) {
+        console.warn("GPT_Renderer.dispose: resources still in GPU memory. Geometries: " + _report.geometries + ", textures: " + _report.textures);
+    }
+    else {
+        console.info("GPT_Renderer.dispose: no leaks detected");
+    }
+
+    return _report;
+}
+
+/**
+ * @returns {Object} resources currently in GPU memory according to `renderer.info` {geometries, textures, programs, leaked}
+ */
+GPT_Renderer.prototype.getLeakReport = function () {
+    const _info = this.wglrenderer.info;
+    const _geometries = _info.memory.geometries;
+    const _textures = _info.memory.textures;
+    const _programs = (_info.programs !== null && _info.programs !== undefined) ? _info.programs.length : 0;
 
-    console.log("Window Resized: " + this.w + " x " + this.h)
+    return {
+        geometries: _geometries,
+        textures: _textures,
+        programs: _programs,
+        leaked: (_geometries > 0 || _textures > 0)
+    };
 }
 
 export default GPT_Renderer;
\ No newline at end of file
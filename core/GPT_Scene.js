@@ -9,6 +9,8 @@
  * Importing object THREE from our costumized global script
  */
 import THREE from '../external-libs/three-global'
+import GPT_Clock from './GPT_Clock'
+import GPT_SceneLoader from './GPT_SceneLoader'
 
 /**
  * Creates our GPT_Scene object containing initially an empty map of GPT_Model, an empty map of GPT_Lights and a THREE.Scene.
@@ -22,79 +24,1252 @@ function GPT_Scene() {
     this.gpt_models = new Map();
     this.gpt_lights = new Map();
     this.scene = new THREE.Scene();
+
+    // Object3D to be interpolated between the previous and the current simulation step when rendering
+    this.interpolated = new Map();
+
+    // time source for models and state machines. Replaced by the GPT_App clock (see GPT_Renderer.setClock)
+    this.clock = new GPT_Clock();
+
+    // true when something changed since the last rendered frame (used by the render-on-demand mode of GPT_App)
+    this.dirty = true;
+
+    // colliders of the models created from a scene description (see loadDescription)
+    this.colliders = new Map();
+
+    // number of users of every geometry, material and texture added with setupScene / AddModelToScene (see retainResources)
+    this.resource_refs = new Map();
+
+    // tags of models and lights: name -> Set of tags (see addTag / findByTag)
+    this.tags = new Map();
+
+    // THREE.Layers by name: layer name -> index [0, 31]. Models and lights without layer are in "default" (0)
+    this.layers = new Map([["default", 0]]);
+    this.object_layers = new Map();
+    this.hidden_layers = new Set();
+
+    // models with lifecycle hooks (onAdded, update, onRemoved): name -> { name, model, priority, order }. See registerModel
+    this.registered_models = new Map();
+    this.update_order = [];
+    this.registration_count = 0;
+
+    // true once setupScene was called (GPT_Renderer sets up registered scenes the first time they are entered)
+    this.isSetUp = false;
+}
+
+/**
+ * Loads a declarative JSON scene document, so the scene can be used without writing a child object:
+ * the default createObjects, createLights, updateObjects and getCameraDescription work from the document.
+ * A child object can still call `this.sceneLoader.createModels(this)` from its own createObjects.
+ * Must be called before GPT_Renderer.setup. See GPT_SceneLoader for the format
+ *
+ *      const sce = new GPT_Scene();
+ *      const errors = sce.loadDescription(json, { coords: { CoordsDragon }, textures: { skybox_cube: Common.ASSETS.get("skybox_cube") } });
+ *
+ * @param {Object} doc_ scene document (already parsed JSON)
+ * @param {Object} registry_ optional objects referenced by name from the document {coords, textures}
+ * @returns {Array} validation errors with the path of each wrong value. Empty when the document was loaded
+ */
+GPT_Scene.prototype.loadDescription = function (doc_, registry_) {
+    const _loader = new GPT_SceneLoader(registry_);
+
+    const _errors = _loader.load(doc_);
+    if (_errors.length > 0) {
+        for (let _e of _errors) {
+            console.error("GPT_Scene.loadDescription: " + _e);
+        }
+        return _errors;
+    }
+
+    this.sceneLoader = _loader;
+    console.debug("GPT_Scene: loaded description with " + (doc_.models || []).length + " models and " + (doc_.lights || []).length + " lights");
+    return _errors;
 }
 
 /**
  * Override this method for creating models with their corresponding meshes, and their initial positions in the scene.
  * Then add each model in the models array
+ * By default the models are built from the scene description (see loadDescription)
  */
 GPT_Scene.prototype.createObjects = function () {
+    if (this.sceneLoader !== undefined) {
+        this.sceneLoader.createModels(this);
+        return;
+    }
     console.error("GPT_Scene.createObjects: Not implemented");
 }
 
 /**
  * Override this method for transforming (translate, rotate) the objects in the scene
+ * By default (scene description) only the dynamic colliders are updated
  * @param {Number} ms time in milliseconds passed since last frame
  */
 GPT_Scene.prototype.updateObjects = function (ms) {
+    if (this.sceneLoader !== undefined) {
+        for (let [name, collider] of this.colliders) {
+            if (!collider.is_static) {
+                collider.update_aabb();
+            }
+        }
+        return;
+    }
     console.error("GPT_Scene.updateObjects: Not implemented");
 }
 
 /**
  * Override this method for creating lights with their corresponding source type (point, directional, etc) and their correspoding initial positions
+ * By default the lights are built from the scene description (see loadDescription)
  */
 GPT_Scene.prototype.createLights = function () {
+    if (this.sceneLoader !== undefined) {
+        this.sceneLoader.createLights(this);
+        return;
+    }
     console.error("GPT_Scene.createLights: Not implemented");
 }
 
 /**
  * Override this method for transforming (translate, rotate) the lights in the scene
+ * Nothing to do by default with a scene description (static lights)
  * @param {Number} ms time in milliseconds passed since last frame
  */
 GPT_Scene.prototype.updateLights = function (ms) {
+    if (this.sceneLoader !== undefined) {
+        return;
+    }
     console.error("GPT_Scene.updateLights: Not implemented");
 }
 
+/**
+ * Override this method for adding post-processing passes (bloom, FXAA, etc.). By default there are no effects
+ * Called once by GPT_Renderer after setupScene. The chain is also saved in `this.postprocessing` (undefined when headless)
+ * @param {GPT_PostProcessing} post_ chain of passes
+ */
+GPT_Scene.prototype.createPostProcessing = function (post_) {
+}
+
+/**
+ * Override this method for reacting to canvas size changes (ex: re-positioning UI widgets)
+ * @param {Number} w canvas width in css pixels
+ * @param {Number} h canvas height in css pixels
+ * @param {Number} pixel_ratio device pixel ratio used by the renderer
+ */
+GPT_Scene.prototype.onResize = function (w, h, pixel_ratio) {
+}
+
+/**
+ * Override this method for reporting running animations (ex: objects moving every simulation step)
+ * While it returns true every frame is rendered in the render-on-demand mode (see GPT_App.useRenderOnDemand)
+ * @returns {Bool} default false (static scene)
+ */
+GPT_Scene.prototype.isAnimating = function () {
+    return false;
+}
+
+/**
+ * Requests a new frame in the render-on-demand mode. Call it after any change done outside of an animation
+ * (ex: a material changed from the UI)
+ */
+GPT_Scene.prototype.markDirty = function () {
+    this.dirty = true;
+}
+
+/**
+ * @returns {Bool} true when the scene has to be rendered again (dirty or animating)
+ */
+GPT_Scene.prototype.needsRender = function () {
+    return this.dirty || this.isAnimating();
+}
+
+/**
+ * Override this method for preloading the assets of the scene. GPT_App.init waits for `load()` to finish
+ * before creating the objects, so the first frame already has its textures
+ * @returns {GPT_AssetManager} default undefined (nothing to preload)
+ */
+GPT_Scene.prototype.getAssetManager = function () {
+    return undefined;
+}
+
+/**
+ * Override this method for describing the camera used to render this scene (see GPT_CameraRig)
+ * @returns {Object} camera description. Default: the `camera` of the scene description, or a perspective camera with an orbit controller
+ */
+GPT_Scene.prototype.getCameraDescription = function () {
+    if (this.sceneLoader !== undefined && this.sceneLoader.doc.camera !== undefined) {
+        return this.sceneLoader.doc.camera;
+    }
+
+    return {
+        type: "perspective",
+        fov: 75,
+        near: 0.1,
+        far: 5000,
+        position: [0, 0, 10],
+        target: [0, 0, 0],
+        controller: { type: "orbit" }
+    };
+}
+
 /**
  * Invokes the methods for creating the scene, adds a THREE.Scene and all the Object3D/Mesh from the models array (same with the lights array)
  * THREE.Scene can add objects of type THREE.Mesh or THREE.Object3D (grouping object. Ex: robot = base + arm)
  * The same objects will be updated (animated) in renderer.update() method
  */
 GPT_Scene.prototype.setupScene = function () {
+    this.isSetUp = true;
+
     this.createObjects();
 
     for (let [key, value] of this.gpt_models) {
         // IMPORTANT: give a name so later it can be removed from THREE.Scene
         value.name = key;
         this.scene.add(value);
+        this.retainResources(value);
 
         console.debug("GPT_Scene: added " + key);
     }
     console.debug("GPT_Scene: total models: " + this.gpt_models.size);
 
+    for (let _entry of this.update_order.slice()) {
+        callHook(_entry.model, "onAdded", this, _entry.name);
+    }
+
     this.createLights();
 
     for (let [key, value] of this.gpt_lights) {
         // IMPORTANT: give a name so later it can be removed from THREE.Scene
         value.name = key;
         this.scene.add(value);
+        this.retainResources(value);
 
         console.debug("GPT_Scene: added " + key);
     }
     console.debug("GTP_Scene: total lights: " + this.gpt_lights.size);
 }
 
+/**
+ * Performs one simulation step: `update` of the registered models (see registerModel), then updateObjects and updateLights.
+ * Interpolated objects are restored to their last simulated pose before updating (rendering may have moved them),
+ * and their new pose is captured afterwards
+ * @param {Number} ms time in milliseconds passed since last simulation step
+ */
 GPT_Scene.prototype.updateScene = function (ms) {
+    this.restoreInterpolated();
+
+    this.updateModels(ms);
     this.updateObjects(ms);
     this.updateLights(ms);
+
+    this.captureInterpolated();
+}
+
+/**
+ * Called once per rendered frame, before drawing.
+ * Places every interpolated object between its previous and its current simulated pose
+ * Override it (calling the parent) for per-frame work that must not depend on the number of simulation steps
+ * @param {Number} alpha interpolation factor in range [0.0, 1.0]. 1.0 means current pose
+ */
+GPT_Scene.prototype.beforeRender = function (alpha) {
+    for (let [obj, st] of this.interpolated) {
+        if (alpha >= 1.0) {
+            obj.position.copy(st.curr_position);
+            obj.rotation.copy(st.curr_rotation);
+            continue;
+        }
+
+        obj.position.lerpVectors(st.prev_position, st.curr_position, alpha);
+
+        // blending rotations as quaternions (avoids spinning backwards when an angle wraps from 2*PI to 0)
+        st.prev_quaternion.setFromEuler(st.prev_rotation);
+        st.curr_quaternion.setFromEuler(st.curr_rotation);
+        obj.quaternion.slerpQuaternions(st.prev_quaternion, st.curr_quaternion, alpha);
+    }
+}
+
+/**
+ * Registers an Object3D whose transform (position, rotation) will be interpolated when rendering
+ * Its current transform is used as previous and current pose
+ * @param {THREE.Object3D} obj_
+ */
+GPT_Scene.prototype.addInterpolatedObject = function (obj_) {
+    if (obj_ === undefined) {
+        console.error("GPT_Scene.addInterpolatedObject: object is undefined");
+        return;
+    }
+
+    this.interpolated.set(obj_, {
+        prev_position: obj_.position.clone(),
+        prev_rotation: obj_.rotation.clone(),
+        curr_position: obj_.position.clone(),
+        curr_rotation: obj_.rotation.clone(),
+        prev_quaternion: new THREE.Quaternion(),
+        curr_quaternion: new THREE.Quaternion()
+    });
+}
+
+/**
+ * Stops interpolating the Object3D and leaves it in its current simulated pose
+ * @param {THREE.Object3D} obj_
+ */
+GPT_Scene.prototype.removeInterpolatedObject = function (obj_) {
+    const _st = this.interpolated.get(obj_);
+    if (_st === undefined) {
+        return;
+    }
+
+    obj_.position.copy(_st.curr_position);
+    obj_.rotation.copy(_st.curr_rotation);
+    this.interpolated.delete(obj_);
+}
+
+/**
+ * Puts back the last simulated pose (the exact euler angles, not the blended ones) and keeps it as previous pose
+ */
+GPT_Scene.prototype.restoreInterpolated = function () {
+    for (let [obj, st] of this.interpolated) {
+        obj.position.copy(st.curr_position);
+        obj.rotation.copy(st.curr_rotation);
+
+        st.prev_position.copy(st.curr_position);
+        st.prev_rotation.copy(st.curr_rotation);
+    }
+}
+
+/**
+ * Pose of the last simulation step, without moving the object: the captured one for interpolated objects
+ * (they may be rendered between two steps), its own transform for the rest
+ * @param {THREE.Object3D} obj_
+ * @returns {Object} { position: THREE.Vector3, rotation: THREE.Euler } (do not modify them)
+ */
+GPT_Scene.prototype.getSimulatedPose = function (obj_) {
+    const _st = this.interpolated.get(obj_);
+    if (_st === undefined) {
+        return { position: obj_.position, rotation: obj_.rotation };
+    }
+    return { position: _st.curr_position, rotation: _st.curr_rotation };
+}
+
+/**
+ * Saves the pose reached after the simulation step as current pose
+ */
+GPT_Scene.prototype.captureInterpolated = function () {
+    for (let [obj, st] of this.interpolated) {
+        st.curr_position.copy(obj.position);
+        st.curr_rotation.copy(obj.rotation);
+    }
+}
+
+/**
+ * Registers a model whose lifecycle hooks are called by the scene (see GPT_Model.onAdded, update, onRemoved)
+ * and adds its `mesh` to gpt_models. Call it from createObjects; at runtime use AddModelToScene
+ *
+ * Models are updated every simulation step (before updateObjects) sorted by priority, lower first,
+ * and by registration order when the priority is the same
+ *
+ * @param {String} name_ unique model name
+ * @param {GPT_Model} model_ object with a `mesh` (or `getRoot()`) and optional hooks `onAdded(gpt_scene, name)`, `update(ms)`, `onRemoved(gpt_scene, name, dispose)`
+ * @param {Number} priority_ optional. Default `model_.priority` or 0
+ */
+GPT_Scene.prototype.registerModel = function (name_, model_, priority_) {
+    if (model_ === undefined || model_.mesh === undefined) {
+        console.error("GPT_Scene.registerModel: '" + name_ + "' has no mesh");
+        return;
+    }
+
+    this.unregisterModel(name_);
+
+    let _priority = priority_;
+    if (_priority === undefined) {
+        _priority = (model_.priority !== undefined) ? model_.priority : 0;
+    }
+
+    this.registered_models.set(name_, { name: name_, model: model_, priority: _priority, order: this.registration_count++ });
+    this.sortModels();
+
+    // THREE.LOD of models with levels of detail
+    this.gpt_models.set(name_, (typeof (model_.getRoot) === "function") ? model_.getRoot() : model_.mesh);
+}
+
+/**
+ * Stops calling the hooks of a model (its mesh stays in the scene, see removeModelFromScene)
+ * @param {String} name_
+ * @returns {GPT_Model} the model, undefined when it was not registered
+ */
+GPT_Scene.prototype.unregisterModel = function (name_) {
+    const _entry = this.registered_models.get(name_);
+    if (_entry === undefined) {
+        return undefined;
+    }
+
+    this.registered_models.delete(name_);
+    this.sortModels();
+    return _entry.model;
+}
+
+/**
+ * @param {String} name_
+ * @returns {GPT_Model} registered model, undefined when there is none
+ */
+GPT_Scene.prototype.getModel = function (name_) {
+    const _entry = this.registered_models.get(name_);
+    return (_entry !== undefined) ? _entry.model : undefined;
+}
+
+/**
+ * Changes the update priority of a registered model
+ * @param {String} name_
+ * @param {Number} priority_ lower is updated first
+ */
+GPT_Scene.prototype.setModelPriority = function (name_, priority_) {
+    const _entry = this.registered_models.get(name_);
+    if (_entry === undefined) {
+        console.error("GPT_Scene.setModelPriority: '" + name_ + "' is not registered");
+        return;
+    }
+
+    _entry.priority = priority_;
+    this.sortModels();
+}
+
+/**
+ * Rebuilds the update order: by priority, then by registration order
+ */
+GPT_Scene.prototype.sortModels = function () {
+    this.update_order = Array.from(this.registered_models.values());
+    this.update_order.sort((a_, b_) => { return (a_.priority - b_.priority) || (a_.order - b_.order); });
+}
+
+/**
+ * Calls `update(ms)` of every registered model in update order
+ * Models added during the step are updated from the next one, models removed during the step are not updated anymore
+ * @param {Number} ms milliseconds passed since last simulation step
+ */
+GPT_Scene.prototype.updateModels = function (ms) {
+    for (let _entry of this.update_order.slice()) {
+        if (this.registered_models.get(_entry.name) !== _entry) {
+            continue;
+        }
+        callHook(_entry.model, "update", ms);
+    }
+}
+
+/**
+ * Calls a lifecycle hook only when the model implements it (hooks are optional)
+ * @param {Object} model_
+ * @param {String} hook_ "onAdded", "update" or "onRemoved"
+ */
+function callHook(model_, hook_, ...args_) {
+    if (typeof (model_[hook_]) === "function") {
+        model_[hook_](...args_);
+    }
+}
+
+/**
+ * @param {String} name_
+ * @returns {THREE.Object3D} model or light with that name, undefined when there is none
+ */
+GPT_Scene.prototype.getObject = function (name_) {
+    const _obj = this.gpt_models.get(name_);
+    return (_obj !== undefined) ? _obj : this.gpt_lights.get(name_);
+}
+
+/**
+ * Tags a model or a light. Tags are free strings used for queries (ex: "collidable", "enemy")
+ *
+ *      sce.addTag("dragon", "collidable");
+ *      sce.findByTag("collidable");
+ *
+ * @param {String} name_ model or light name (it does not need to be added to the scene yet)
+ * @param {String|Array} tags_ one tag or an array of tags
+ */
+GPT_Scene.prototype.addTag = function (name_, tags_) {
+    let _tags = this.tags.get(name_);
+    if (_tags === undefined) {
+        _tags = new Set();
+        this.tags.set(name_, _tags);
+    }
+
+    for (let _tag of (Array.isArray(tags_) ? tags_ : [tags_])) {
+        _tags.add(_tag);
+    }
+}
+
+/**
+ * @param {String} name_ model or light name
+ * @param {String} tag_
+ */
+GPT_Scene.prototype.removeTag = function (name_, tag_) {
+    const _tags = this.tags.get(name_);
+    if (_tags === undefined) {
+        return;
+    }
+
+    _tags.delete(tag_);
+    if (_tags.size === 0) {
+        this.tags.delete(name_);
+    }
+}
+
+/**
+ * @param {String} name_ model or light name
+ * @param {String} tag_
+ * @returns {Bool}
+ */
+GPT_Scene.prototype.hasTag = function (name_, tag_) {
+    const _tags = this.tags.get(name_);
+    return _tags !== undefined && _tags.has(tag_);
+}
+
+/**
+ * @param {String} name_ model or light name
+ * @returns {Array} tags of the object (empty when it has none)
+ */
+GPT_Scene.prototype.getTags = function (name_) {
+    const _tags = this.tags.get(name_);
+    return (_tags !== undefined) ? Array.from(_tags) : [];
+}
+
+/**
+ * @param {String} tag_
+ * @returns {Array} models and lights (THREE.Object3D) having the tag, in insertion order
+ */
+GPT_Scene.prototype.findByTag = function (tag_) {
+    const _found = [];
+    for (let _map of [this.gpt_models, this.gpt_lights]) {
+        for (let [key, value] of _map) {
+            if (this.hasTag(key, tag_)) {
+                _found.push(value);
+            }
+        }
+    }
+    return _found;
+}
+
+/**
+ * Models touching a sphere: the distance from `point_` to the world bounding box of the model is at most `radius_`
+ * (the world position is used for models without geometry)
+ * @param {THREE.Vector3} point_ center of the sphere (world coordinates)
+ * @param {Number} radius_
+ * @param {String} tag_ optional, only models with this tag
+ * @returns {Array} models (THREE.Object3D) sorted from the nearest
+ */
+GPT_Scene.prototype.findInRadius = function (point_, radius_, tag_) {
+    const _box = new THREE.Box3();
+    const _pos = new THREE.Vector3();
+    const _found = [];
+
+    for (let [key, value] of this.gpt_models) {
+        if (tag_ !== undefined && !this.hasTag(key, tag_)) {
+            continue;
+        }
+
+        _box.setFromObject(value);
+        const _dist = _box.isEmpty() ? value.getWorldPosition(_pos).distanceTo(point_) : _box.distanceToPoint(point_);
+        if (_dist <= radius_) {
+            _found.push({ obj: value, dist: _dist });
+        }
+    }
+
+    _found.sort((a_, b_) => { return a_.dist - b_.dist; });
+    return _found.map((f_) => { return f_.obj; });
+}
+
+/**
+ * Index of a named layer. New names get the next free index (THREE.Layers has 32, "default" is 0)
+ * @param {String} layer_name_
+ * @returns {Number} index or undefined when there are no free layers
+ */
+GPT_Scene.prototype.getLayer = function (layer_name_) {
+    let _index = this.layers.get(layer_name_);
+    if (_index !== undefined) {
+        return _index;
+    }
+
+    if (this.layers.size >= 32) {
+        console.error("GPT_Scene.getLayer: no free layers for '" + layer_name_ + "' (maximum 32)");
+        return undefined;
+    }
+
+    _index = this.layers.size;
+    this.layers.set(layer_name_, _index);
+    return _index;
+}
+
+/**
+ * Moves a model or a light (and all its descendants) to a layer. Only the layers that are visible are rendered
+ *
+ *      sce.setLayer("dragon_collider", "helpers");
+ *      sce.setLayerVisible("helpers", false);
+ *
+ * @param {String} name_ model or light name
+ * @param {String} layer_name_ layer name (created when it does not exist)
+ */
+GPT_Scene.prototype.setLayer = function (name_, layer_name_) {
+    const _obj = this.getObject(name_);
+    if (_obj === undefined) {
+        console.error("GPT_Scene.setLayer: '" + name_ + "' is not a model nor a light");
+        return;
+    }
+
+    const _index = this.getLayer(layer_name_);
+    if (_index === undefined) {
+        return;
+    }
+
+    _obj.traverse((o_) => { o_.layers.set(_index); });
+    this.object_layers.set(name_, layer_name_);
+    this.markDirty();
+}
+
+/**
+ * @param {String} name_ model or light name
+ * @returns {String} layer name ("default" when it was not changed)
+ */
+GPT_Scene.prototype.getObjectLayer = function (name_) {
+    const _layer = this.object_layers.get(name_);
+    return (_layer !== undefined) ? _layer : "default";
+}
+
+/**
+ * Calls `cb_` for every model and light in the layer
+ * @param {String} layer_name_
+ * @param {Function} cb_ (obj, name)
+ */
+GPT_Scene.prototype.forEachInLayer = function (layer_name_, cb_) {
+    for (let _map of [this.gpt_models, this.gpt_lights]) {
+        for (let [key, value] of _map) {
+            if (this.getObjectLayer(key) === layer_name_) {
+                cb_(value, key);
+            }
+        }
+    }
+}
+
+/**
+ * Shows or hides every object of a layer at once (the cameras of the renderer skip hidden layers, see getLayersMask)
+ * @param {String} layer_name_
+ * @param {Bool} visible_
+ */
+GPT_Scene.prototype.setLayerVisible = function (layer_name_, visible_) {
+    if (this.getLayer(layer_name_) === undefined) {
+        return;
+    }
+
+    if (visible_) {
+        this.hidden_layers.delete(layer_name_);
+    }
+    else {
+        this.hidden_layers.add(layer_name_);
+    }
+    this.markDirty();
+}
+
+/**
+ * @param {String} layer_name_
+ * @returns {Bool}
+ */
+GPT_Scene.prototype.isLayerVisible = function (layer_name_) {
+    return !this.hidden_layers.has(layer_name_);
+}
+
+/**
+ * @returns {Number} THREE.Layers mask with the visible layers, applied to the cameras by GPT_Renderer before rendering
+ */
+GPT_Scene.prototype.getLayersMask = function () {
+    let _mask = 0;
+    for (let [key, value] of this.layers) {
+        if (!this.hidden_layers.has(key)) {
+            _mask |= (1 << value);
+        }
+    }
+    return _mask;
+}
+
+/**
+ * Identifier and version of the documents written by serializeState
+ */
+const STATE_FORMAT = "libgptjs-scene-state";
+const STATE_VERSION = 1;
+
+/**
+ * Material parameters saved in a state document. Colors are saved as hex numbers
+ */
+const STATE_MATERIAL_COLORS = ["color", "emissive", "specular"];
+const STATE_MATERIAL_VALUES = ["opacity", "transparent", "visible", "wireframe", "flatShading", "side",
+    "shininess", "roughness", "metalness", "emissiveIntensity"];
+
+/**
+ * Light parameters saved in a state document (besides the transform)
+ */
+const STATE_LIGHT_VALUES = ["intensity", "distance", "angle", "penumbra", "decay"];
+
+/**
+ * @param {THREE.Object3D} obj_
+ * @param {Object} pose_ optional { position, rotation } saved instead of the ones of obj_ (see getSimulatedPose)
+ * @returns {Object} { position, rotation: [x, y, z, order], scale, visible }
+ */
+function serializeTransform(obj_, pose_) {
+    const _pose = (pose_ !== undefined) ? pose_ : obj_;
+    return {
+        position: _pose.position.toArray(),
+        rotation: _pose.rotation.toArray(),
+        scale: obj_.scale.toArray(),
+        visible: obj_.visible
+    };
+}
+
+/**
+ * @param {THREE.Object3D} obj_
+ * @param {Object} data_ as returned by serializeTransform
+ */
+function restoreTransform(obj_, data_) {
+    obj_.position.fromArray(data_.position);
+    obj_.rotation.fromArray(data_.rotation);
+    obj_.scale.fromArray(data_.scale);
+    obj_.visible = data_.visible;
+}
+
+/**
+ * @param {THREE.Material} mat_
+ * @returns {Object} parameters of STATE_MATERIAL_COLORS / STATE_MATERIAL_VALUES present in the material
+ */
+function serializeMaterial(mat_) {
+    const _data = { type: mat_.type };
+
+    for (let _key of STATE_MATERIAL_COLORS) {
+        if (mat_[_key] !== undefined && mat_[_key].isColor) {
+            _data[_key] = mat_[_key].getHex();
+        }
+    }
+    for (let _key of STATE_MATERIAL_VALUES) {
+        if (mat_[_key] !== undefined) {
+            _data[_key] = mat_[_key];
+        }
+    }
+
+    return _data;
+}
+
+/**
+ * @param {THREE.Material} mat_
+ * @param {Object} data_ as returned by serializeMaterial
+ */
+function restoreMaterial(mat_, data_) {
+    for (let _key of STATE_MATERIAL_COLORS) {
+        if (data_[_key] !== undefined && mat_[_key] !== undefined && mat_[_key].isColor) {
+            mat_[_key].setHex(data_[_key]);
+        }
+    }
+    for (let _key of STATE_MATERIAL_VALUES) {
+        if (data_[_key] !== undefined && mat_[_key] !== undefined && mat_[_key] !== data_[_key]) {
+            mat_[_key] = data_[_key];
+            mat_.needsUpdate = true;
+        }
+    }
+}
+
+/**
+ * @param {THREE.Object3D} root_
+ * @returns {Array} materials of every mesh below root_ (traverse order). One entry per mesh, an array for multi-material meshes
+ */
+function serializeMeshMaterials(root_) {
+    const _meshes = [];
+    root_.traverse((obj_) => {
+        if (obj_.material === undefined) {
+            return;
+        }
+        _meshes.push(Array.isArray(obj_.material) ? obj_.material.map(serializeMaterial) : serializeMaterial(obj_.material));
+    });
+    return _meshes;
+}
+
+/**
+ * @param {THREE.Object3D} root_
+ * @param {Array} meshes_ as returned by serializeMeshMaterials. Meshes are matched by traverse order
+ */
+function restoreMeshMaterials(root_, meshes_) {
+    let _i = 0;
+    root_.traverse((obj_) => {
+        if (obj_.material === undefined || _i >= meshes_.length) {
+            return;
+        }
+
+        const _mats = getMaterials(obj_);
+        const _data = Array.isArray(meshes_[_i]) ? meshes_[_i] : [meshes_[_i]];
+        for (let _m = 0; _m < _mats.length && _m < _data.length; _m++) {
+            restoreMaterial(_mats[_m], _data[_m]);
+        }
+        _i++;
+    });
+}
+
+/**
+ * Snapshot of the live scene as a plain object (JSON.stringify it to save it):
+ *
+ *      {
+ *          format: "libgptjs-scene-state", version: 1,
+ *          models: { name: { position, rotation, scale, visible, meshes: [material parameters] } },
+ *          lights: { name: { position, rotation, scale, visible, color, intensity, target, ... } },
+ *          hidden_layers: ["helpers"],
+ *          custom: { ... }     // see serializeCustomState
+ *      }
+ *
+ * Only the state is saved, not the geometries nor the textures: it is restored into a scene built by the same code
+ * @returns {Object} versioned state document
+ */
+GPT_Scene.prototype.serializeState = function () {
+    const _models = {};
+    for (let [key, value] of this.gpt_models) {
+        // simulated pose, not the interpolated one being rendered (which is left as it is)
+        _models[key] = serializeTransform(value, this.getSimulatedPose(value));
+        _models[key].meshes = serializeMeshMaterials(value);
+    }
+
+    const _lights = {};
+    for (let [key, value] of this.gpt_lights) {
+        const _data = serializeTransform(value);
+
+        if (value.color !== undefined) {
+            _data.color = value.color.getHex();
+        }
+        if (value.groundColor !== undefined) {
+            _data.groundColor = value.groundColor.getHex();
+        }
+        for (let _key of STATE_LIGHT_VALUES) {
+            if (value[_key] !== undefined) {
+                _data[_key] = value[_key];
+            }
+        }
+        if (value.target !== undefined) {
+            _data.target = value.target.position.toArray();
+        }
+
+        _lights[key] = _data;
+    }
+
+    return {
+        format: STATE_FORMAT,
+        version: STATE_VERSION,
+        models: _models,
+        lights: _lights,
+        hidden_layers: Array.from(this.hidden_layers),
+        custom: this.serializeCustomState()
+    };
+}
+
+/**
+ * Restores a snapshot taken with serializeState. Models and lights are matched by name; the ones missing
+ * in the scene are reported and skipped. `restoreCustomState` is called first, so models created there
+ * (ex: objects added at runtime) also get their transforms and materials restored
+ * @param {Object|String} state_ state document or its JSON string
+ * @returns {Bool} false when the document is not a valid state
+ */
+GPT_Scene.prototype.restoreState = function (state_) {
+    let _state = state_;
+    if (typeof (state_) === "string") {
+        try {
+            _state = JSON.parse(state_);
+        }
+        catch (e_) {
+            console.error("GPT_Scene.restoreState: invalid JSON. " + e_.message);
+            return false;
+        }
+    }
+
+    if (_state === null || typeof (_state) !== "object" || _state.format !== STATE_FORMAT) {
+        console.error("GPT_Scene.restoreState: not a '" + STATE_FORMAT + "' document");
+        return false;
+    }
+
+    if (_state.version !== STATE_VERSION) {
+        console.error("GPT_Scene.restoreState: unsupported version " + _state.version + ". Expected: " + STATE_VERSION);
+        return false;
+    }
+
+    this.restoreCustomState((_state.custom !== undefined) ? _state.custom : {});
+
+    for (let _name of Object.keys(_state.models || {})) {
+        const _model = this.gpt_models.get(_name);
+        if (_model === undefined) {
+            console.warn("GPT_Scene.restoreState: model '" + _name + "' not found in the scene");
+            continue;
+        }
+
+        restoreTransform(_model, _state.models[_name]);
+        restoreMeshMaterials(_model, _state.models[_name].meshes || []);
+    }
+
+    for (let _name of Object.keys(_state.lights || {})) {
+        const _light = this.gpt_lights.get(_name);
+        if (_light === undefined) {
+            console.warn("GPT_Scene.restoreState: light '" + _name + "' not found in the scene");
+            continue;
+        }
+
+        const _data = _state.lights[_name];
+        restoreTransform(_light, _data);
+
+        if (_data.color !== undefined && _light.color !== undefined) {
+            _light.color.setHex(_data.color);
+        }
+        if (_data.groundColor !== undefined && _light.groundColor !== undefined) {
+            _light.groundColor.setHex(_data.groundColor);
+        }
+        for (let _key of STATE_LIGHT_VALUES) {
+            if (_data[_key] !== undefined && _light[_key] !== undefined) {
+                _light[_key] = _data[_key];
+            }
+        }
+        if (_data.target !== undefined && _light.target !== undefined) {
+            _light.target.position.fromArray(_data.target);
+            _light.target.updateMatrixWorld();
+        }
+    }
+
+    if (_state.hidden_layers !== undefined) {
+        this.hidden_layers.clear();
+        for (let _layer of _state.hidden_layers) {
+            this.setLayerVisible(_layer, false);
+        }
+    }
+
+    // restored poses become both previous and current pose (no blending with the pose before restoring)
+    for (let [obj] of this.interpolated) {
+        this.addInterpolatedObject(obj);
+    }
+
+    this.markDirty();
+    return true;
+}
+
+/**
+ * Override this method for saving state that is not in the models and lights (state machines, timers, UI values...)
+ * The returned object must be JSON serializable
+ * @returns {Object} default empty object
+ */
+GPT_Scene.prototype.serializeCustomState = function () {
+    return {};
+}
+
+/**
+ * Override this method for restoring the state saved by serializeCustomState
+ * @param {Object} custom_ object returned by serializeCustomState
+ */
+GPT_Scene.prototype.restoreCustomState = function (custom_) {
+}
+
+/**
+ * Override this method for starting what only runs while the scene is shown (UI panels, sounds, etc.)
+ * Called by GPT_Renderer when the scene becomes the current one (after setupScene the first time)
+ * @param {String} prev_name_ name of the previous scene, undefined for the first scene of the renderer
+ */
+GPT_Scene.prototype.onEnter = function (prev_name_) {
+}
+
+/**
+ * Override this method for stopping what only runs while the scene is shown. The scene is kept (not disposed),
+ * so it can be entered again later
+ * @param {String} next_name_ name of the scene replacing this one
+ */
+GPT_Scene.prototype.onExit = function (next_name_) {
+}
+
+/**
+ * Override this method for releasing resources that are not in the scene graph (UI, particle systems, timers, etc.)
+ * Called at the beginning of `dispose`, while the models are still in the scene
+ */
+GPT_Scene.prototype.onDispose = function () {
+}
+
+/**
+ * Destroys the scene: calls `onDispose`, `onRemoved` of the registered models and then disposes every geometry, material, texture and render target
+ * reachable from the THREE.Scene (including background / environment and light shadow maps).
+ * Models, lights and interpolated objects are removed. The scene can not be rendered again
+ * @returns {Object} number of disposed resources {geometries, materials, textures, render_targets}
+ */
+GPT_Scene.prototype.dispose = function () {
+    this.onDispose();
+
+    for (let _entry of this.update_order.slice()) {
+        this.registered_models.delete(_entry.name);
+        callHook(_entry.model, "onRemoved", this, _entry.name, true);
+    }
+
+    const _disposed = this.disposeObject3D(this.scene);
+
+    disposeTexture(this.scene.background, _disposed);
+    disposeTexture(this.scene.environment, _disposed);
+    this.scene.background = null;
+    this.scene.environment = null;
+
+    this.scene.clear();
+    this.gpt_models.clear();
+    this.gpt_lights.clear();
+    this.interpolated.clear();
+    this.colliders.clear();
+    this.tags.clear();
+    this.object_layers.clear();
+    this.registered_models.clear();
+    this.update_order = [];
+    this.resource_refs.clear();
+    this.postprocessing = undefined;
+
+    console.debug("GPT_Scene: disposed " + _disposed.geometries.size + " geometries, " + _disposed.materials.size + " materials, " +
+        _disposed.textures.size + " textures, " + _disposed.render_targets.size + " render targets");
+
+    return {
+        geometries: _disposed.geometries.size,
+        materials: _disposed.materials.size,
+        textures: _disposed.textures.size,
+        render_targets: _disposed.render_targets.size
+    };
+}
+
+/**
+ * Disposes the GPU resources of an Object3D and all its descendants. Shared resources are disposed only once
+ * The objects are not removed from their parents
+ * @param {THREE.Object3D} root_
+ * @param {Object} disposed_ optional sets of already disposed resources {geometries, materials, textures, render_targets}
+ * @returns {Object} sets of disposed resources (same object as `disposed_` when given)
+ */
+GPT_Scene.prototype.disposeObject3D = function (root_, disposed_) {
+    const _disposed = (disposed_ !== undefined) ? disposed_ : {
+        geometries: new Set(),
+        materials: new Set(),
+        textures: new Set(),
+        render_targets: new Set()
+    };
+
+    root_.traverse((obj_) => {
+        if (obj_.geometry !== undefined && obj_.geometry !== null && !_disposed.geometries.has(obj_.geometry)) {
+            obj_.geometry.dispose();
+            _disposed.geometries.add(obj_.geometry);
+        }
+
+        for (let _m of getMaterials(obj_)) {
+            disposeMaterial(_m, _disposed);
+        }
+
+        // shadow map of lights
+        if (obj_.isLight && obj_.shadow !== undefined && obj_.shadow.map !== null && obj_.shadow.map !== undefined) {
+            _disposed.render_targets.add(obj_.shadow.map);
+            obj_.shadow.dispose();
+        }
+
+        // per-instance matrices and colors
+        if (obj_.isInstancedMesh) {
+            obj_.dispose();
+        }
+
+        // ex: THREE.CubeCamera
+        if (obj_.renderTarget !== undefined && obj_.renderTarget !== null && typeof (obj_.renderTarget.dispose) === "function") {
+            disposeRenderTarget(obj_.renderTarget, _disposed);
+        }
+    });
+
+    return _disposed;
+}
+
+/**
+ * Disposes the material and every texture it references (maps and texture uniforms of shader materials)
+ * @param {THREE.Material} mat_
+ * @param {Object} disposed_ sets of already disposed resources
+ */
+function disposeMaterial(mat_, disposed_) {
+    if (mat_ === undefined || mat_ === null || disposed_.materials.has(mat_)) {
+        return;
+    }
+
+    for (let _t of getMaterialTextures(mat_)) {
+        disposeTexture(_t, disposed_);
+    }
+
+    mat_.dispose();
+    disposed_.materials.add(mat_);
+}
+
+/**
+ * Disposes a texture once. Textures of render targets are skipped (they are not reachable from their texture,
+ * the owner of the render target disposes it)
+ * @param {THREE.Texture} tex_ any value, ignored when it is not a texture
+ * @param {Object} disposed_ sets of already disposed resources
+ */
+function disposeTexture(tex_, disposed_) {
+    if (tex_ === undefined || tex_ === null || !tex_.isTexture || disposed_.textures.has(tex_)) {
+        return;
+    }
+
+    if (tex_.isRenderTargetTexture) {
+        return;
+    }
+
+    tex_.dispose();
+    disposed_.textures.add(tex_);
+}
+
+/**
+ * @param {THREE.WebGLRenderTarget} rt_
+ * @param {Object} disposed_ sets of already disposed resources
+ */
+function disposeRenderTarget(rt_, disposed_) {
+    if (disposed_.render_targets.has(rt_)) {
+        return;
+    }
+
+    rt_.dispose();
+    disposed_.render_targets.add(rt_);
+}
+
+/**
+ * @param {THREE.Object3D} obj_
+ * @returns {Array} materials of the object (multi-material meshes, ex: skybox, have an array). Empty when it has none
+ */
+function getMaterials(obj_) {
+    if (obj_.material === undefined || obj_.material === null) {
+        return [];
+    }
+    return Array.isArray(obj_.material) ? obj_.material : [obj_.material];
+}
+
+/**
+ * @param {THREE.Material} mat_
+ * @returns {Array} textures referenced by the material (maps and texture uniforms of shader materials)
+ */
+function getMaterialTextures(mat_) {
+    const _textures = [];
+
+    for (let _k of Object.keys(mat_)) {
+        if (mat_[_k] !== null && mat_[_k] !== undefined && mat_[_k].isTexture) {
+            _textures.push(mat_[_k]);
+        }
+    }
+
+    if (mat_.uniforms !== undefined) {
+        for (let _k of Object.keys(mat_.uniforms)) {
+            const _v = mat_.uniforms[_k].value;
+            if (_v !== null && _v !== undefined && _v.isTexture) {
+                _textures.push(_v);
+            }
+        }
+    }
+
+    return _textures;
+}
+
+/**
+ * Counts one more user of every resource of the Object3D and its descendants:
+ *      geometries and materials: one reference per object using them
+ *      textures: one reference per material using them (counted when the material gets its first user)
+ * So a texture shared by several models (ex: the skybox cube texture as envMap) is only freed with the last of them
+ * NOTE: textures assigned to a material after adding the model are not counted
+ * @param {THREE.Object3D} root_
+ */
+GPT_Scene.prototype.retainResources = function (root_) {
+    root_.traverse((obj_) => {
+        if (obj_.geometry !== undefined && obj_.geometry !== null) {
+            this.addResourceRef(obj_.geometry);
+        }
+
+        for (let _m of getMaterials(obj_)) {
+            if (this.addResourceRef(_m) === 1) {
+                for (let _t of getMaterialTextures(_m)) {
+                    this.addResourceRef(_t);
+                }
+            }
+        }
+    });
+}
+
+/**
+ * Counts one user less of every resource of the Object3D and its descendants (inverse of retainResources)
+ * Resources without users left are disposed when `dispose_` is true
+ * @param {THREE.Object3D} root_
+ * @param {Bool} dispose_ true to free the GPU resources no longer used
+ * @returns {Number} number of disposed resources
+ */
+GPT_Scene.prototype.releaseResources = function (root_, dispose_) {
+    let _disposed = 0;
+
+    root_.traverse((obj_) => {
+        if (obj_.geometry !== undefined && obj_.geometry !== null) {
+            if (this.releaseResourceRef(obj_.geometry) === 0 && dispose_) {
+                obj_.geometry.dispose();
+                _disposed++;
+            }
+        }
+
+        for (let _m of getMaterials(obj_)) {
+            const _counted = this.resource_refs.has(_m);
+            if (this.releaseResourceRef(_m) > 0) {
+                continue;
+            }
+
+            for (let _t of getMaterialTextures(_m)) {
+                // textures of a material never retained were not counted either
+                const _users = _counted ? this.releaseResourceRef(_t) : (this.resource_refs.get(_t) || 0);
+                if (_users === 0 && dispose_ && !_t.isRenderTargetTexture) {
+                    _t.dispose();
+                    _disposed++;
+                }
+            }
+
+            if (dispose_) {
+                _m.dispose();
+                _disposed++;
+            }
+        }
+
+        if (dispose_ && obj_.isLight && obj_.shadow !== undefined && obj_.shadow.map !== null && obj_.shadow.map !== undefined) {
+            obj_.shadow.dispose();
+            _disposed++;
+        }
+
+        if (dispose_ && obj_.isInstancedMesh) {
+            obj_.dispose();
+        }
+    });
+
+    return _disposed;
+}
+
+/**
+ * @param {Object} res_ geometry, material or texture
+ * @returns {Number} users of the resource after adding one
+ */
+GPT_Scene.prototype.addResourceRef = function (res_) {
+    const _n = (this.resource_refs.get(res_) || 0) + 1;
+    this.resource_refs.set(res_, _n);
+    return _n;
+}
+
+/**
+ * Resources never retained (ex: objects attached to a model after adding it) have no other users, so they return 0
+ * @param {Object} res_ geometry, material or texture
+ * @returns {Number} users of the resource after removing one
+ */
+GPT_Scene.prototype.releaseResourceRef = function (res_) {
+    const _n = (this.resource_refs.get(res_) || 1) - 1;
+    if (_n > 0) {
+        this.resource_refs.set(res_, _n);
+    }
+    else {
+        this.resource_refs.delete(res_);
+    }
+    return _n;
 }
 
 /**
  * Removes object Model from THREE.Scene at runtime
  * Also removes object from 'gpt_models'
+ * With `dispose_` the GPU resources of the object and its descendants (geometries, materials, textures) are freed,
+ * except the ones still used by other models of the scene (see retainResources)
+ *
+ *      sce.removeModelFromScene("bullet", true);
+ *
  * @param {String} object_name_ 
+ * @param {Bool} dispose_ optional, true to dispose the resources no longer used. Default false (the caller owns them)
  */
-GPT_Scene.prototype.removeModelFromScene = function (object_name_) {
+GPT_Scene.prototype.removeModelFromScene = function (object_name_, dispose_) {
 
     // remove from THREE.Scene
     const selectedObject = this.scene.getObjectByName(object_name_);
@@ -104,6 +1279,13 @@ GPT_Scene.prototype.removeModelFromScene = function (object_name_) {
     }
 
     this.scene.remove(selectedObject);
+    this.removeInterpolatedObject(selectedObject);
+    this.markDirty();
+
+    const _disposed = this.releaseResources(selectedObject, dispose_ === true);
+    if (_disposed > 0) {
+        console.debug("GPT_Scene: disposed " + _disposed + " resources of '" + object_name_ + "'");
+    }
 
     if (this.scene.getObjectByName(object_name_) !== undefined) {
         console.error("GPT_Scene.removeModelFromScene: could not remove '" + object_name_ + "'. Object still in THREE.Scene");
@@ -112,6 +1294,13 @@ GPT_Scene.prototype.removeModelFromScene = function (object_name_) {
 
     // remove from gpt_models
     this.gpt_models.delete(object_name_);
+    this.tags.delete(object_name_);
+    this.object_layers.delete(object_name_);
+
+    const _model = this.unregisterModel(object_name_);
+    if (_model !== undefined) {
+        callHook(_model, "onRemoved", this, object_name_, dispose_ === true);
+    }
 
     if (this.gpt_models.get(object_name_) !== undefined) {
         console.error("GPT_Scene.removeModelFromScene: could not remove '" + object_name_ + "'. Object stil in gpt_models");
@@ -123,12 +1312,20 @@ GPT_Scene.prototype.removeModelFromScene = function (object_name_) {
 
 /**
  * Adds objec Model to THREE.Scene at runtime
- * Also adds object to 'gpt_models'
+ * Also adds object to 'gpt_models'. A GPT_Model (object with `mesh`) is registered (see registerModel) and its `onAdded` is called
  * @param {String} obj_name_ model name
- * @param {THREE.Mesh} obj_mesh_ mesh
+ * @param {THREE.Mesh|GPT_Model} obj_mesh_ mesh or model
+ * @param {Number} priority_ optional update priority of a GPT_Model
  */
-GPT_Scene.prototype.AddModelToScene = function (obj_name_, obj_mesh_) {
-    this.gpt_models.set(obj_name_, obj_mesh_);
+GPT_Scene.prototype.AddModelToScene = function (obj_name_, obj_mesh_, priority_) {
+    const _model = (obj_mesh_ !== undefined && obj_mesh_.isObject3D !== true && obj_mesh_.mesh !== undefined) ? obj_mesh_ : undefined;
+
+    if (_model !== undefined) {
+        this.registerModel(obj_name_, _model, priority_);
+    }
+    else {
+        this.gpt_models.set(obj_name_, obj_mesh_);
+    }
 
     // set name and id to be able to delete from scene later
     let _o = this.gpt_models.get(obj_name_);
@@ -136,6 +1333,8 @@ GPT_Scene.prototype.AddModelToScene = function (obj_name_, obj_mesh_) {
 
     // add to THREE.Scene
     this.scene.add(_o);
+    this.retainResources(_o);
+    this.markDirty();
 
     if (this.gpt_models.get(obj_name_) === undefined) {
         console.error("GPT_Scene.AddModelToScene: could not add '" + obj_name_ + "'");
@@ -143,6 +1342,10 @@ GPT_Scene.prototype.AddModelToScene = function (obj_name_, obj_mesh_) {
     }
 
     console.debug("GPT_Scene: added '" + obj_name_ + "'. Total models: " + this.gpt_models.size);
+
+    if (_model !== undefined) {
+        callHook(_model, "onAdded", this, obj_name_);
+    }
 }
 
 export default GPT_Scene;
\ No newline at end of file
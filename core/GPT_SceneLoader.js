@@ -0,0 +1,913 @@
+/**
+ * @module libgptjs Graphical Programming with ThreeJS (GPT)
+ * @class GPT_SceneLoader
+ * @summary
+ *      Validates a declarative JSON scene document (models, materials, textures, lights, transforms, colliders)
+ *      and builds the gpt_models and gpt_lights of a GPT_Scene from it (see GPT_Scene.loadDescription)
+ */
+
+/**
+ * Importing object THREE from our costumized global script
+ */
+import THREE from '../external-libs/three-global'
+import { GLTFLoader } from "three/examples/jsm/loaders/GLTFLoader"
+import { OBJLoader } from "three/examples/jsm/loaders/OBJLoader"
+import { PLYLoader } from "three/examples/jsm/loaders/PLYLoader"
+import { STLLoader } from "three/examples/jsm/loaders/STLLoader"
+import { InlineCoords, UV_MODES } from './GPT_Coords'
+import GPT_ModelCollider from './GPT_ModelCollider'
+
+/**
+ * Primitive geometries: constructor and names of its parameters (in the order of the constructor)
+ */
+const PRIMITIVES = Object.freeze({
+    box: { geometry: THREE.BoxGeometry, params: ["width", "height", "depth", "widthSegments", "heightSegments", "depthSegments"] },
+    sphere: { geometry: THREE.SphereGeometry, params: ["radius", "widthSegments", "heightSegments"] },
+    plane: { geometry: THREE.PlaneGeometry, params: ["width", "height", "widthSegments", "heightSegments"] },
+    cylinder: { geometry: THREE.CylinderGeometry, params: ["radiusTop", "radiusBottom", "height", "radialSegments", "heightSegments"] },
+    cone: { geometry: THREE.ConeGeometry, params: ["radius", "height", "radialSegments", "heightSegments"] },
+    torus: { geometry: THREE.TorusGeometry, params: ["radius", "tube", "radialSegments", "tubularSegments"] },
+    circle: { geometry: THREE.CircleGeometry, params: ["radius", "segments"] }
+});
+
+const MATERIALS = Object.freeze({
+    basic: THREE.MeshBasicMaterial,
+    lambert: THREE.MeshLambertMaterial,
+    phong: THREE.MeshPhongMaterial,
+    standard: THREE.MeshStandardMaterial,
+    physical: THREE.MeshPhysicalMaterial,
+    normal: THREE.MeshNormalMaterial
+});
+
+const SIDES = Object.freeze({
+    front: THREE.FrontSide,
+    back: THREE.BackSide,
+    double: THREE.DoubleSide
+});
+
+const WRAPS = Object.freeze({
+    repeat: THREE.RepeatWrapping,
+    clamp: THREE.ClampToEdgeWrapping,
+    mirror: THREE.MirroredRepeatWrapping
+});
+
+// file extension: "mesh" loaders return an Object3D, "geometry" loaders a BufferGeometry
+const FILE_LOADERS = Object.freeze({
+    gltf: { loader: GLTFLoader, returns: "mesh" },
+    glb: { loader: GLTFLoader, returns: "mesh" },
+    obj: { loader: OBJLoader, returns: "mesh" },
+    ply: { loader: PLYLoader, returns: "geometry" },
+    stl: { loader: STLLoader, returns: "geometry" }
+});
+
+const MATERIAL_TEXTURE_KEYS = ["map", "envMap", "normalMap", "bumpMap", "emissiveMap", "alphaMap", "roughnessMap", "metalnessMap", "specularMap"];
+
+/**
+ * Schema of the scene document. Types: object (fixed properties), dict (any key), array, string, number, boolean,
+ * vec2, vec3, color (0xRRGGBB number or css string). `anyOf` picks the alternative matching the type of the value
+ */
+const TEXTURE_SCHEMA = {
+    type: "object",
+    properties: {
+        path: { type: "string" },
+        cube: { type: "array", items: { type: "string" }, length: 6 },
+        wrap: { type: "string", enum: Object.keys(WRAPS) },
+        repeat: { type: "vec2" }
+    }
+};
+
+const MATERIAL_SCHEMA = {
+    type: "object",
+    required: ["type"],
+    properties: {
+        type: { type: "string", enum: Object.keys(MATERIALS) },
+        color: { type: "color" },
+        emissive: { type: "color" },
+        specular: { type: "color" },
+        shininess: { type: "number", min: 0 },
+        roughness: { type: "number", min: 0 },
+        metalness: { type: "number", min: 0 },
+        opacity: { type: "number", min: 0 },
+        transparent: { type: "boolean" },
+        flatShading: { type: "boolean" },
+        wireframe: { type: "boolean" },
+        side: { type: "string", enum: Object.keys(SIDES) }
+    }
+};
+for (let _k of MATERIAL_TEXTURE_KEYS) {
+    MATERIAL_SCHEMA.properties[_k] = { type: "string" };
+}
+
+const MATERIAL_REF_SCHEMA = { anyOf: [{ type: "string" }, MATERIAL_SCHEMA] };
+
+const GEOMETRY_SCHEMA = {
+    type: "object",
+    required: ["type"],
+    properties: {
+        type: { type: "string", enum: Object.keys(PRIMITIVES).concat(["coords", "file"]) },
+        // primitives
+        params: { type: "dict", values: { type: "number" } },
+        // coords: a GPT_Coords child registered by name, or inline arrays
+        class: { type: "string" },
+        vertices: { type: "array", items: { type: "number" } },
+        indices: { type: "array", items: { type: "number", min: 0 } },
+        // texture coordinates of coords (see GPT_Coords.getUVLayout)
+        uv: {
+            type: "object",
+            properties: {
+                mode: { type: "string", enum: Object.keys(UV_MODES) },
+                axis: { type: "string", enum: ["x", "y", "z"] }
+            }
+        },
+        // file
+        path: { type: "string" }
+    }
+};
+
+const MODEL_SCHEMA = {
+    type: "object",
+    required: ["name", "geometry"],
+    properties: {
+        name: { type: "string" },
+        geometry: GEOMETRY_SCHEMA,
+        material: { anyOf: [{ type: "string" }, MATERIAL_SCHEMA, { type: "array", items: MATERIAL_REF_SCHEMA, minItems: 1 }] },
+        position: { type: "vec3" },
+        rotation: { type: "vec3" },
+        scale: { anyOf: [{ type: "number" }, { type: "vec3" }] },
+        visible: { type: "boolean" },
+        castShadow: { type: "boolean" },
+        receiveShadow: { type: "boolean" },
+        interpolated: { type: "boolean" },
+        tags: { type: "array", items: { type: "string" } },
+        layer: { type: "string" },
+        collider: {
+            type: "object",
+            properties: {
+                static: { type: "boolean" },
+                helper: { type: "boolean" }
+            }
+        }
+    }
+};
+
+const LIGHT_SCHEMA = {
+    type: "object",
+    required: ["name", "type"],
+    properties: {
+        name: { type: "string" },
+        type: { type: "string", enum: ["ambient", "hemisphere", "point", "directional", "spot"] },
+        color: { type: "color" },
+        groundColor: { type: "color" },
+        intensity: { type: "number", min: 0 },
+        position: { type: "vec3" },
+        target: { type: "vec3" },
+        distance: { type: "number", min: 0 },
+        decay: { type: "number", min: 0 },
+        angle: { type: "number", min: 0 },
+        penumbra: { type: "number", min: 0 },
+        castShadow: { type: "boolean" },
+        shadow: {
+            type: "object",
+            properties: {
+                near: { type: "number", min: 0 },
+                far: { type: "number", min: 0 },
+                fov: { type: "number", min: 0 },
+                mapSize: { type: "number", min: 1 }
+            }
+        },
+        helper: { type: "boolean" },
+        helper_size: { type: "number", min: 0 },
+        tags: { type: "array", items: { type: "string" } },
+        layer: { type: "string" }
+    }
+};
+
+const SCENE_SCHEMA = {
+    type: "object",
+    properties: {
+        version: { type: "number" },
+        name: { type: "string" },
+        camera: { type: "dict", values: {} },
+        background: { type: "string" },
+        textures: { type: "dict", values: TEXTURE_SCHEMA },
+        materials: { type: "dict", values: MATERIAL_SCHEMA },
+        models: { type: "array", items: MODEL_SCHEMA },
+        lights: { type: "array", items: LIGHT_SCHEMA }
+    }
+};
+
+/**
+ * Creates a loader. Objects that can not be written in JSON are given by name in the registry:
+ *
+ *      {
+ *          coords: { CoordsDragon: CoordsDragon },                // GPT_Coords children used by "coords" geometries
+ *          textures: { skybox_cube: Common.ASSETS.get("skybox_cube") }  // already created textures, referenced like the document ones
+ *      }
+ *
+ * @param {Object} registry_ optional {coords, textures}
+ */
+function GPT_SceneLoader(registry_) {
+    this.registry = Object.assign({ coords: {}, textures: {} }, registry_);
+
+    this.doc = undefined;
+
+    // textures and named materials are created once, when a model uses them for the first time
+    this.textures = new Map();
+    this.materials = new Map();
+}
+
+/**
+ * Validates the document and keeps it for building the scene (createModels, createLights)
+ * @param {Object} doc_ scene document (already parsed JSON)
+ * @returns {Array} list of errors (see validate). The document is only kept when it is empty
+ */
+GPT_SceneLoader.prototype.load = function (doc_) {
+    const _errors = this.validate(doc_);
+    if (_errors.length === 0) {
+        this.doc = doc_;
+    }
+    return _errors;
+}
+
+/**
+ * Checks the document against the schema, then the references among its parts (materials, textures, coords classes)
+ * and the uniqueness of names. Every error has the path of the wrong value, ex:
+ *
+ *      models[2].geometry.type: expected one of box, sphere, ..., found "cube"
+ *      models[0].material: unknown material 'wood'
+ *
+ * @param {Object} doc_ scene document (already parsed JSON)
+ * @returns {Array} list of errors (strings). Empty when the document is valid
+ */
+GPT_SceneLoader.prototype.validate = function (doc_) {
+    const _errors = [];
+
+    validateValue(doc_, SCENE_SCHEMA, "scene", _errors);
+    if (_errors.length > 0) {
+        return _errors;
+    }
+
+    const _textures = doc_.textures || {};
+    const _materials = doc_.materials || {};
+
+    const _texture_exists = (name_) => {
+        return (_textures[name_] !== undefined || this.registry.textures[name_] !== undefined);
+    };
+
+    for (let _name of Object.keys(_textures)) {
+        const _t = _textures[_name];
+        if ((_t.path === undefined) === (_t.cube === undefined)) {
+            _errors.push("scene.textures." + _name + ": needs either 'path' or 'cube'");
+        }
+    }
+
+    const _check_material = (mat_, path_) => {
+        if (typeof (mat_) === "string") {
+            if (_materials[mat_] === undefined) {
+                _errors.push(path_ + ": unknown material '" + mat_ + "'");
+            }
+            return;
+        }
+        for (let _k of MATERIAL_TEXTURE_KEYS) {
+            if (mat_[_k] !== undefined && !_texture_exists(mat_[_k])) {
+                _errors.push(path_ + "." + _k + ": unknown texture '" + mat_[_k] + "'");
+            }
+        }
+    };
+
+    for (let _name of Object.keys(_materials)) {
+        _check_material(_materials[_name], "scene.materials." + _name);
+    }
+
+    if (doc_.background !== undefined && !_texture_exists(doc_.background)) {
+        _errors.push("scene.background: unknown texture '" + doc_.background + "'");
+    }
+
+    // every object is found by name in THREE.Scene, so names are unique among models, lights and their helpers
+    const _names = new Set();
+    const _check_name = (name_, path_) => {
+        if (_names.has(name_)) {
+            _errors.push(path_ + ": duplicated name '" + name_ + "'");
+        }
+        _names.add(name_);
+    };
+
+    (doc_.models || []).forEach((m_, i_) => {
+        const _path = "scene.models[" + i_ + "]";
+        _check_name(m_.name, _path + ".name");
+
+        if (m_.collider !== undefined && m_.collider.helper !== false) {
+            _check_name(m_.name + "_collider", _path + ".collider");
+        }
+
+        // dynamic colliders recompute the bounding box of the mesh geometry, file models are groups
+        if (m_.collider !== undefined && m_.collider.static === false && m_.geometry.type === "file") {
+            _errors.push(_path + ".collider.static: 'file' models only support static colliders");
+        }
+
+        this.validateGeometry(m_.geometry, _path + ".geometry", _errors);
+
+        if (m_.material === undefined) {
+            if (m_.geometry.type !== "file") {
+                _errors.push(_path + ".material: required (only 'file' models can keep their own materials)");
+            }
+        }
+        else if (Array.isArray(m_.material)) {
+            m_.material.forEach((mat_, j_) => { _check_material(mat_, _path + ".material[" + j_ + "]"); });
+        }
+        else {
+            _check_material(m_.material, _path + ".material");
+        }
+    });
+
+    (doc_.lights || []).forEach((l_, i_) => {
+        const _path = "scene.lights[" + i_ + "]";
+        _check_name(l_.name, _path + ".name");
+
+        if (l_.helper === true) {
+            _check_name(l_.name + "Helper", _path + ".helper");
+        }
+    });
+
+    return _errors;
+}
+
+/**
+ * Fields required by each geometry type
+ * @param {Object} geom_ geometry description (already checked against the schema)
+ * @param {String} path_ path for the error messages
+ * @param {Array} errors_ list where the errors are added
+ */
+GPT_SceneLoader.prototype.validateGeometry = function (geom_, path_, errors_) {
+    if (PRIMITIVES[geom_.type] !== undefined) {
+        const _allowed = PRIMITIVES[geom_.type].params;
+        for (let _p of Object.keys(geom_.params || {})) {
+            if (_allowed.indexOf(_p) < 0) {
+                errors_.push(path_ + ".params." + _p + ": unknown parameter of '" + geom_.type + "' (expected " + _allowed.join(", ") + ")");
+            }
+        }
+        return;
+    }
+
+    if ("coords" === geom_.type) {
+        if (geom_.class !== undefined) {
+            if (typeof (this.registry.coords[geom_.class]) !== "function") {
+                errors_.push(path_ + ".class: '" + geom_.class + "' is not registered in registry.coords");
+            }
+            return;
+        }
+
+        if (geom_.vertices === undefined || geom_.indices === undefined) {
+            errors_.push(path_ + ": 'coords' needs either 'class' or 'vertices' and 'indices'");
+            return;
+        }
+        if (geom_.vertices.length % 3 !== 0) {
+            errors_.push(path_ + ".vertices: length must be a multiple of 3 (x, y, z). Found " + geom_.vertices.length);
+        }
+        if (geom_.indices.length % 3 !== 0) {
+            errors_.push(path_ + ".indices: length must be a multiple of 3 (triangles). Found " + geom_.indices.length);
+        }
+
+        const _num_vertices = Math.floor(geom_.vertices.length / 3);
+        const _bad = geom_.indices.findIndex((i_) => { return i_ >= _num_vertices || !Number.isInteger(i_); });
+        if (_bad >= 0) {
+            errors_.push(path_ + ".indices[" + _bad + "]: not a vertex index (" + _num_vertices + " vertices). Found " + geom_.indices[_bad]);
+        }
+        return;
+    }
+
+    // file
+    if (geom_.path === undefined) {
+        errors_.push(path_ + ".path: required for 'file' geometries");
+        return;
+    }
+    if (FILE_LOADERS[getExtension(geom_.path)] === undefined) {
+        errors_.push(path_ + ".path: unsupported file '" + geom_.path + "' (expected " + Object.keys(FILE_LOADERS).join(", ") + ")");
+    }
+}
+
+/**
+ * Builds every model of the document and adds it (and its collider helper) to `gpt_scene_.gpt_models`
+ * Called from GPT_Scene.createObjects, the models are added to THREE.Scene afterwards by setupScene
+ * @param {GPT_Scene} gpt_scene_
+ */
+GPT_SceneLoader.prototype.createModels = function (gpt_scene_) {
+    for (let _desc of (this.doc.models || [])) {
+        const _obj = this.createModel(_desc, gpt_scene_);
+
+        gpt_scene_.gpt_models.set(_desc.name, _obj);
+        this.applyTagsAndLayer(_desc, gpt_scene_);
+
+        if (_desc.interpolated === true) {
+            gpt_scene_.addInterpolatedObject(_obj);
+        }
+
+        // file models get their collider when loaded
+        if (_desc.collider !== undefined && _desc.geometry.type !== "file") {
+            this.createCollider(_desc, _obj, gpt_scene_, false);
+        }
+    }
+
+    if (this.doc.background !== undefined) {
+        gpt_scene_.scene.background = this.getTexture(this.doc.background);
+    }
+}
+
+/**
+ * @param {Object} desc_ model description
+ * @param {GPT_Scene} gpt_scene_
+ * @returns {THREE.Object3D} mesh, or an empty group filled when the file is loaded
+ */
+GPT_SceneLoader.prototype.createModel = function (desc_, gpt_scene_) {
+    let _obj = undefined;
+
+    if ("file" === desc_.geometry.type) {
+        _obj = new THREE.Group();
+        this.loadFile(desc_, _obj, gpt_scene_);
+    }
+    else {
+        _obj = new THREE.Mesh(this.createGeometry(desc_.geometry), this.createMaterials(desc_.material));
+    }
+
+    applyTransform(_obj, desc_);
+    _obj.visible = (desc_.visible !== false);
+    _obj.castShadow = (desc_.castShadow === true);
+    _obj.receiveShadow = (desc_.receiveShadow === true);
+
+    return _obj;
+}
+
+/**
+ * @param {Object} geom_desc_ geometry description (primitive or coords)
+ * @returns {THREE.BufferGeometry}
+ */
+GPT_SceneLoader.prototype.createGeometry = function (geom_desc_) {
+    const _primitive = PRIMITIVES[geom_desc_.type];
+    if (_primitive !== undefined) {
+        const _params = geom_desc_.params || {};
+        return new _primitive.geometry(..._primitive.params.map((p_) => { return _params[p_]; }));
+    }
+
+    const _coords = (geom_desc_.class !== undefined) ?
+        new this.registry.coords[geom_desc_.class]() : new InlineCoords(geom_desc_.vertices, geom_desc_.indices);
+
+    return createCoordsGeometry(_coords, geom_desc_.uv);
+}
+
+/**
+ * @param {String|Object|Array} mat_desc_ material name, inline description or array of both (multi-material)
+ * @returns {THREE.Material|Array} material(s). Named materials are shared by all the models using them
+ */
+GPT_SceneLoader.prototype.createMaterials = function (mat_desc_) {
+    if (Array.isArray(mat_desc_)) {
+        return mat_desc_.map((m_) => { return this.createMaterials(m_); });
+    }
+
+    if (typeof (mat_desc_) !== "string") {
+        return this.createMaterial(mat_desc_);
+    }
+
+    let _mat = this.materials.get(mat_desc_);
+    if (_mat === undefined) {
+        _mat = this.createMaterial(this.doc.materials[mat_desc_]);
+        _mat.name = mat_desc_;
+        this.materials.set(mat_desc_, _mat);
+    }
+    return _mat;
+}
+
+/**
+ * @param {Object} desc_ material description
+ * @returns {THREE.Material}
+ */
+GPT_SceneLoader.prototype.createMaterial = function (desc_) {
+    const _params = {};
+
+    for (let _k of Object.keys(desc_)) {
+        if ("type" === _k) {
+            continue;
+        }
+
+        if ("side" === _k) {
+            _params.side = SIDES[desc_.side];
+        }
+        else if (MATERIAL_TEXTURE_KEYS.indexOf(_k) >= 0) {
+            _params[_k] = this.getTexture(desc_[_k]);
+        }
+        else {
+            _params[_k] = desc_[_k];
+        }
+    }
+
+    return new MATERIALS[desc_.type](_params);
+}
+
+/**
+ * @param {String} name_ texture of the document or of the registry
+ * @returns {THREE.Texture} texture created on first use (empty when there is no DOM to load the images)
+ */
+GPT_SceneLoader.prototype.getTexture = function (name_) {
+    if (this.registry.textures[name_] !== undefined) {
+        return this.registry.textures[name_];
+    }
+
+    let _tex = this.textures.get(name_);
+    if (_tex !== undefined) {
+        return _tex;
+    }
+
+    const _desc = this.doc.textures[name_];
+    const _has_dom = (typeof (document) !== "undefined");
+
+    if (_desc.cube !== undefined) {
+        _tex = _has_dom ? new THREE.CubeTextureLoader().load(_desc.cube) : new THREE.CubeTexture();
+    }
+    else {
+        _tex = _has_dom ? new THREE.TextureLoader().load(_desc.path) : new THREE.Texture();
+    }
+
+    if (_desc.wrap !== undefined) {
+        _tex.wrapS = WRAPS[_desc.wrap];
+        _tex.wrapT = WRAPS[_desc.wrap];
+    }
+    if (_desc.repeat !== undefined) {
+        _tex.repeat.set(_desc.repeat[0], _desc.repeat[1]);
+    }
+
+    _tex.name = name_;
+    this.textures.set(name_, _tex);
+    return _tex;
+}
+
+/**
+ * Loads the file asynchronously into `group_`. Its materials are replaced when the description has `material`
+ * Without DOM (headless) nothing is loaded and the group stays empty
+ * @param {Object} desc_ model description
+ * @param {THREE.Group} group_ placeholder already in gpt_models
+ * @param {GPT_Scene} gpt_scene_
+ */
+GPT_SceneLoader.prototype.loadFile = function (desc_, group_, gpt_scene_) {
+    if (typeof (document) === "undefined") {
+        console.info("GPT_SceneLoader: no DOM, '" + desc_.geometry.path + "' not loaded");
+        return;
+    }
+
+    const _entry = FILE_LOADERS[getExtension(desc_.geometry.path)];
+
+    new _entry.loader().load(
+        desc_.geometry.path,
+        (loaded_) => {
+            let _obj = undefined;
+            if ("geometry" === _entry.returns) {
+                _obj = new THREE.Mesh(loaded_, this.createMaterials(desc_.material || { type: "standard" }));
+            }
+            else {
+                _obj = (loaded_.scene !== undefined) ? loaded_.scene : loaded_;
+                if (desc_.material !== undefined) {
+                    const _mat = this.createMaterials(desc_.material);
+                    _obj.traverse((o_) => { if (o_.isMesh) { o_.material = _mat; } });
+                }
+            }
+
+            _obj.traverse((o_) => {
+                o_.castShadow = (desc_.castShadow === true);
+                o_.receiveShadow = (desc_.receiveShadow === true);
+            });
+
+            // removed from the scene while loading
+            if (gpt_scene_.gpt_models.get(desc_.name) !== group_) {
+                gpt_scene_.disposeObject3D(_obj);
+                return;
+            }
+
+            group_.add(_obj);
+            gpt_scene_.retainResources(_obj);
+
+            // loaded children take the layer of the placeholder
+            if (desc_.layer !== undefined) {
+                gpt_scene_.setLayer(desc_.name, desc_.layer);
+            }
+
+            if (desc_.collider !== undefined) {
+                this.createCollider(desc_, group_, gpt_scene_, true);
+            }
+
+            gpt_scene_.markDirty();
+            console.debug("GPT_SceneLoader: loaded '" + desc_.geometry.path + "' into '" + desc_.name + "'");
+        },
+        undefined,
+        (error_) => {
+            console.error("GPT_SceneLoader: could not load '" + desc_.geometry.path + "' of model '" + desc_.name + "'. " + error_);
+        }
+    );
+}
+
+/**
+ * Creates the GPT_ModelCollider of a model, saved in `gpt_scene_.colliders`. Its box helper is added as model "<name>_collider"
+ * @param {Object} desc_ model description
+ * @param {THREE.Object3D} obj_ model
+ * @param {GPT_Scene} gpt_scene_
+ * @param {Bool} at_runtime_ true when the scene is already set up (file models), so the helper is added with AddModelToScene
+ */
+GPT_SceneLoader.prototype.createCollider = function (desc_, obj_, gpt_scene_, at_runtime_) {
+    const _collider = new GPT_ModelCollider(desc_.collider.static !== false, obj_);
+    gpt_scene_.colliders.set(desc_.name, _collider);
+
+    if (desc_.collider.helper === false) {
+        return;
+    }
+
+    if (at_runtime_) {
+        gpt_scene_.AddModelToScene(desc_.name + "_collider", _collider.aabb_helper);
+    }
+    else {
+        gpt_scene_.gpt_models.set(desc_.name + "_collider", _collider.aabb_helper);
+    }
+    gpt_scene_.setLayer(desc_.name + "_collider", "helpers");
+}
+
+/**
+ * Builds every light of the document (and the requested helpers) into `gpt_scene_.gpt_lights`
+ * Called from GPT_Scene.createLights
+ * @param {GPT_Scene} gpt_scene_
+ */
+GPT_SceneLoader.prototype.createLights = function (gpt_scene_) {
+    for (let _desc of (this.doc.lights || [])) {
+        const _light = this.createLight(_desc);
+        gpt_scene_.gpt_lights.set(_desc.name, _light);
+        this.applyTagsAndLayer(_desc, gpt_scene_);
+
+        if (_desc.helper === true) {
+            const _helper = createLightHelper(_light, _desc.helper_size);
+            if (_helper !== undefined) {
+                gpt_scene_.gpt_lights.set(_desc.name + "Helper", _helper);
+                gpt_scene_.setLayer(_desc.name + "Helper", "helpers");
+            }
+        }
+    }
+}
+
+/**
+ * Tags of a model / light description and its layer (the object must be in gpt_models or gpt_lights already)
+ * @param {Object} desc_ model or light description
+ * @param {GPT_Scene} gpt_scene_
+ */
+GPT_SceneLoader.prototype.applyTagsAndLayer = function (desc_, gpt_scene_) {
+    if (desc_.tags !== undefined) {
+        gpt_scene_.addTag(desc_.name, desc_.tags);
+    }
+    if (desc_.layer !== undefined) {
+        gpt_scene_.setLayer(desc_.name, desc_.layer);
+    }
+}
+
+/**
+ * @param {Object} desc_ light description
+ * @returns {THREE.Light}
+ */
+GPT_SceneLoader.prototype.createLight = function (desc_) {
+    const _color = new THREE.Color((desc_.color !== undefined) ? desc_.color : 0xffffff);
+    const _intensity = (desc_.intensity !== undefined) ? desc_.intensity : 1.0;
+
+    let _light = undefined;
+    switch (desc_.type) {
+        case "ambient":
+            _light = new THREE.AmbientLight(_color, _intensity);
+            break;
+
+        case "hemisphere":
+            _light = new THREE.HemisphereLight(_color, new THREE.Color((desc_.groundColor !== undefined) ? desc_.groundColor : 0x000000), _intensity);
+            break;
+
+        case "point":
+            _light = new THREE.PointLight(_color, _intensity, desc_.distance, desc_.decay);
+            break;
+
+        case "directional":
+            _light = new THREE.DirectionalLight(_color, _intensity);
+            break;
+
+        case "spot":
+            _light = new THREE.SpotLight(_color, _intensity, desc_.distance, desc_.angle, desc_.penumbra, desc_.decay);
+            break;
+    }
+
+    if (desc_.position !== undefined) {
+        _light.position.fromArray(desc_.position);
+    }
+
+    // the target is not added to the scene: its world matrix (the one the renderer aims at) is updated here
+    if (desc_.target !== undefined && _light.target !== undefined) {
+        _light.target.position.fromArray(desc_.target);
+        _light.target.updateMatrixWorld();
+    }
+
+    if (desc_.castShadow === true && _light.shadow !== undefined) {
+        _light.castShadow = true;
+
+        const _s = desc_.shadow || {};
+        if (_s.near !== undefined) {
+            _light.shadow.camera.near = _s.near;
+        }
+        if (_s.far !== undefined) {
+            _light.shadow.camera.far = _s.far;
+        }
+        if (_s.fov !== undefined && _light.shadow.camera.isPerspectiveCamera) {
+            _light.shadow.camera.fov = _s.fov;
+        }
+        if (_s.mapSize !== undefined) {
+            _light.shadow.mapSize.set(_s.mapSize, _s.mapSize);
+        }
+    }
+
+    return _light;
+}
+
+/**
+ * Geometry of a GPT_Coords: positions, per-face normals, UVs (see GPT_Coords.getUVLayout) and tangents for normal maps.
+ * Triangles are un-indexed so every face keeps its own normal
+ * @param {GPT_Coords} coords_
+ * @param {Object} uv_ optional UV projection { mode, axis }. Default planar along Z
+ * @returns {THREE.BufferGeometry}
+ */
+function createCoordsGeometry(coords_, uv_) {
+    const _layout = coords_.getTangentLayout(coords_.getUVLayout(coords_.getNormalsLayout({ flat: true }), uv_));
+
+    const _geom = new THREE.BufferGeometry();
+    _geom.setAttribute("position", new THREE.BufferAttribute(_layout.vertices, 3));
+    _geom.setAttribute("normal", new THREE.BufferAttribute(_layout.normals, 3));
+    _geom.setAttribute("uv", new THREE.BufferAttribute(_layout.uvs, 2));
+    _geom.setAttribute("tangent", new THREE.BufferAttribute(_layout.tangents, 4));
+
+    return _geom;
+}
+
+/**
+ * @param {THREE.Light} light_
+ * @param {Number} size_ optional size of the helper. Default 10
+ * @returns {THREE.Object3D} helper or undefined for lights without helper (ambient)
+ */
+function createLightHelper(light_, size_) {
+    const _size = (size_ !== undefined) ? size_ : 10;
+
+    if (light_.isPointLight) {
+        return new THREE.PointLightHelper(light_, _size);
+    }
+    if (light_.isDirectionalLight) {
+        return new THREE.DirectionalLightHelper(light_, _size);
+    }
+    if (light_.isSpotLight) {
+        return new THREE.SpotLightHelper(light_);
+    }
+    if (light_.isHemisphereLight) {
+        return new THREE.HemisphereLightHelper(light_, _size);
+    }
+    return undefined;
+}
+
+/**
+ * @param {THREE.Object3D} obj_
+ * @param {Object} desc_ description with optional position, rotation (radians) and scale (number or vec3)
+ */
+function applyTransform(obj_, desc_) {
+    if (desc_.position !== undefined) {
+        obj_.position.fromArray(desc_.position);
+    }
+    if (desc_.rotation !== undefined) {
+        obj_.rotation.set(desc_.rotation[0], desc_.rotation[1], desc_.rotation[2]);
+    }
+    if (typeof (desc_.scale) === "number") {
+        obj_.scale.setScalar(desc_.scale);
+    }
+    else if (desc_.scale !== undefined) {
+        obj_.scale.fromArray(desc_.scale);
+    }
+}
+
+/**
+ * @param {String} path_
+ * @returns {String} lower case extension without dot
+ */
+function getExtension(path_) {
+    const _dot = path_.lastIndexOf(".");
+    return (_dot < 0) ? "" : path_.substring(_dot + 1).toLowerCase();
+}
+
+/**
+ * @param {*} value_
+ * @param {String} type_ schema type
+ * @returns {Bool} true when the value has the type
+ */
+function matchesType(value_, type_) {
+    switch (type_) {
+        case undefined:
+            return true;
+        case "object":
+        case "dict":
+            return (value_ !== null && typeof (value_) === "object" && !Array.isArray(value_));
+        case "array":
+            return Array.isArray(value_);
+        case "string":
+            return (typeof (value_) === "string");
+        case "number":
+            return (typeof (value_) === "number" && Number.isFinite(value_));
+        case "boolean":
+            return (typeof (value_) === "boolean");
+        case "vec2":
+            return (Array.isArray(value_) && value_.length === 2 && value_.every((v_) => { return matchesType(v_, "number"); }));
+        case "vec3":
+            return (Array.isArray(value_) && value_.length === 3 && value_.every((v_) => { return matchesType(v_, "number"); }));
+        case "color":
+            return (matchesType(value_, "number") || typeof (value_) === "string");
+    }
+    return false;
+}
+
+/**
+ * @param {*} value_
+ * @returns {String} short description of a value for the error messages
+ */
+function describe(value_) {
+    if (Array.isArray(value_)) {
+        return "array(" + value_.length + ")";
+    }
+    if (value_ === null) {
+        return "null";
+    }
+    if (typeof (value_) === "object") {
+        return "object";
+    }
+    return JSON.stringify(value_);
+}
+
+/**
+ * Recursive check of a value against a schema. Errors are added with the path of the value (ex: "scene.models[1].position")
+ * @param {*} value_
+ * @param {Object} schema_
+ * @param {String} path_
+ * @param {Array} errors_
+ */
+function validateValue(value_, schema_, path_, errors_) {
+    if (schema_.anyOf !== undefined) {
+        const _match = schema_.anyOf.find((s_) => { return matchesType(value_, s_.type); });
+        if (_match === undefined) {
+            errors_.push(path_ + ": expected " + schema_.anyOf.map((s_) => { return s_.type; }).join(" | ") + ", found " + describe(value_));
+            return;
+        }
+        validateValue(value_, _match, path_, errors_);
+        return;
+    }
+
+    if (!matchesType(value_, schema_.type)) {
+        errors_.push(path_ + ": expected " + schema_.type + ", found " + describe(value_));
+        return;
+    }
+
+    switch (schema_.type) {
+        case "object":
+            for (let _k of (schema_.required || [])) {
+                if (value_[_k] === undefined) {
+                    errors_.push(path_ + "." + _k + ": required");
+                }
+            }
+            for (let _k of Object.keys(value_)) {
+                if (schema_.properties[_k] === undefined) {
+                    errors_.push(path_ + "." + _k + ": unknown property (expected " + Object.keys(schema_.properties).join(", ") + ")");
+                    continue;
+                }
+                validateValue(value_[_k], schema_.properties[_k], path_ + "." + _k, errors_);
+            }
+            break;
+
+        case "dict":
+            for (let _k of Object.keys(value_)) {
+                validateValue(value_[_k], schema_.values, path_ + "." + _k, errors_);
+            }
+            break;
+
+        case "array":
+            if (schema_.length !== undefined && value_.length !== schema_.length) {
+                errors_.push(path_ + ": expected " + schema_.length + " items, found " + value_.length);
+            }
+            if (schema_.minItems !== undefined && value_.length < schema_.minItems) {
+                errors_.push(path_ + ": expected at least " + schema_.minItems + " items, found " + value_.length);
+            }
+            value_.forEach((v_, i_) => { validateValue(v_, schema_.items, path_ + "[" + i_ + "]", errors_); });
+            break;
+
+        case "string":
+            if (schema_.enum !== undefined && schema_.enum.indexOf(value_) < 0) {
+                errors_.push(path_ + ": expected one of " + schema_.enum.join(", ") + ", found " + describe(value_));
+            }
+            break;
+
+        case "number":
+            if (schema_.min !== undefined && value_ < schema_.min) {
+                errors_.push(path_ + ": expected a number >= " + schema_.min + ", found " + value_);
+            }
+            break;
+    }
+}
+
+export { SCENE_SCHEMA };
+export default GPT_SceneLoader;
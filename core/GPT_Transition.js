@@ -0,0 +1,176 @@
+/**
+ * @module libgptjs Graphical Programming with ThreeJS (GPT)
+ * @class GPT_Transition
+ * @summary
+ *      Transition between two scenes of GPT_Renderer (see GPT_Renderer.switchScene).
+ *      A full-canvas quad is drawn on top of the rendered frame: a solid color for "fade",
+ *      or a snapshot of the last frame of the previous scene for "crossfade"
+ */
+
+/**
+ * Importing object THREE from our costumized global script
+ */
+import THREE from '../external-libs/three-global'
+
+/**
+ * Supported types and their default duration (ms)
+ *      cut: switches immediately
+ *      fade: fades out the previous scene to `color`, switches at the middle and fades in the next one
+ *      crossfade: switches immediately and blends the last frame of the previous scene over the next one
+ */
+const TRANSITION_DURATIONS_MS = Object.freeze({
+    cut: 0,
+    fade: 1000,
+    crossfade: 800
+});
+
+/**
+ * Transition description (missing fields take defaults):
+ *
+ *      { type: "fade", duration_ms: 1000, color: 0x000000 }
+ *      { type: "crossfade", duration_ms: 800 }
+ *
+ * @param {Object} desc_ transition description. Default { type: "cut" }
+ * @param {Number} start_ms_ clock time when the transition starts
+ */
+function GPT_Transition(desc_, start_ms_) {
+    const _desc = (desc_ !== undefined) ? desc_ : { type: "cut" };
+
+    this.type = _desc.type;
+    if (TRANSITION_DURATIONS_MS[this.type] === undefined) {
+        console.error("GPT_Transition: unknown type '" + this.type + "'. Expected one of: " + Object.keys(TRANSITION_DURATIONS_MS).join(", "));
+        this.type = "cut";
+    }
+
+    this.duration = (_desc.duration_ms !== undefined) ? Math.max(_desc.duration_ms, 0) : TRANSITION_DURATIONS_MS[this.type];
+    this.start = start_ms_;
+
+    // set by GPT_Renderer once the scenes were swapped
+    this.switched = false;
+
+    // full-canvas quad in normalized device coordinates
+    this.camera = new THREE.OrthographicCamera(-1, 1, 1, -1, 0, 1);
+    this.material = new THREE.MeshBasicMaterial({
+        color: (_desc.color !== undefined) ? _desc.color : 0x000000,
+        transparent: true,
+        opacity: 0.0,
+        depthTest: false,
+        depthWrite: false
+    });
+    this.quad = new THREE.Mesh(new THREE.PlaneGeometry(2, 2), this.material);
+    this.quad.frustumCulled = false;
+    this.quad.name = "transition_overlay";
+
+    this.scene = new THREE.Scene();
+    this.scene.add(this.quad);
+
+    // last frame of the previous scene (crossfade)
+    this.snapshot = undefined;
+}
+
+/**
+ * @param {Number} now_ms_ current clock time
+ * @returns {Number} progress in range [0.0, 1.0]
+ */
+GPT_Transition.prototype.getProgress = function (now_ms_) {
+    if (this.duration <= 0) {
+        return 1.0;
+    }
+    return Math.min(Math.max((now_ms_ - this.start) / this.duration, 0.0), 1.0);
+}
+
+/**
+ * @param {Number} now_ms_ current clock time
+ * @returns {Bool} true when the scenes must be swapped (at the middle of a fade, at the beginning otherwise)
+ */
+GPT_Transition.prototype.isSwitchTime = function (now_ms_) {
+    return (this.type !== "fade") || this.getProgress(now_ms_) >= 0.5;
+}
+
+/**
+ * @param {Number} now_ms_ current clock time
+ * @returns {Bool} true when the transition finished
+ */
+GPT_Transition.prototype.isDone = function (now_ms_) {
+    return this.switched && this.getProgress(now_ms_) >= 1.0;
+}
+
+/**
+ * @param {Number} now_ms_ current clock time
+ * @returns {Number} opacity of the overlay: fade goes 0 -> 1 -> 0, crossfade 1 -> 0
+ */
+GPT_Transition.prototype.getOpacity = function (now_ms_) {
+    const _t = this.getProgress(now_ms_);
+
+    switch (this.type) {
+        case "fade":
+            return (_t < 0.5) ? 2.0 * _t : 2.0 * (1.0 - _t);
+        case "crossfade":
+            return 1.0 - _t;
+    }
+    return 0.0;
+}
+
+/**
+ * Renders the previous scene once into a texture used as overlay (crossfade only).
+ * Skipped by backends without render targets (GPT_NullRenderer)
+ * @param {THREE.WebGLRenderer} wglrenderer_
+ * @param {Function} draw_fn_ draws the current frame of the previous scene
+ */
+GPT_Transition.prototype.captureSnapshot = function (wglrenderer_, draw_fn_) {
+    if (this.type !== "crossfade" || wglrenderer_.isNullRenderer) {
+        return;
+    }
+
+    const _size = wglrenderer_.getDrawingBufferSize(new THREE.Vector2());
+    this.snapshot = new THREE.WebGLRenderTarget(_size.x, _size.y);
+
+    const _prev_target = wglrenderer_.getRenderTarget();
+    wglrenderer_.setRenderTarget(this.snapshot);
+    draw_fn_();
+    wglrenderer_.setRenderTarget(_prev_target);
+
+    this.material.map = this.snapshot.texture;
+    this.material.color.set(0xffffff);
+    this.material.needsUpdate = true;
+}
+
+/**
+ * Draws the overlay on top of the current frame (full canvas, without clearing it)
+ * @param {THREE.WebGLRenderer} wglrenderer_
+ * @param {Number} now_ms_ current clock time
+ * @param {Number} w_ canvas width
+ * @param {Number} h_ canvas height
+ */
+GPT_Transition.prototype.render = function (wglrenderer_, now_ms_, w_, h_) {
+    const _opacity = this.getOpacity(now_ms_);
+    if (_opacity <= 0.0) {
+        return;
+    }
+    // crossfade without snapshot (headless) has nothing to blend
+    if (this.type === "crossfade" && this.snapshot === undefined) {
+        return;
+    }
+
+    this.material.opacity = _opacity;
+
+    const _auto_clear = wglrenderer_.autoClear;
+    wglrenderer_.autoClear = false;
+    wglrenderer_.setScissorTest(false);
+    wglrenderer_.setViewport(0, 0, w_, h_);
+    wglrenderer_.render(this.scene, this.camera);
+    wglrenderer_.autoClear = _auto_clear;
+}
+
+GPT_Transition.prototype.dispose = function () {
+    this.quad.geometry.dispose();
+    this.material.dispose();
+
+    if (this.snapshot !== undefined) {
+        this.snapshot.dispose();
+        this.snapshot = undefined;
+    }
+}
+
+export { TRANSITION_DURATIONS_MS };
+export default GPT_Transition;
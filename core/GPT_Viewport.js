@@ -0,0 +1,88 @@
+/**
+ * @module libgptjs Graphical Programming with ThreeJS (GPT)
+ * @class GPT_Viewport
+ * @summary
+ *      Named region of the canvas rendered with its own camera (GPT_CameraRig),
+ *      scissor rectangle and optional clear color. Used by GPT_Renderer for split-screen
+ *      and picture-in-picture layouts
+ */
+
+/**
+ * Importing object THREE from our costumized global script
+ */
+import THREE from '../external-libs/three-global'
+
+/**
+ * The rectangle is normalized to the canvas size (values in range [0.0, 1.0], origin at bottom-left),
+ * so the layout is kept when the canvas is resized
+ *
+ *      full canvas:            { x: 0.0, y: 0.0, w: 1.0, h: 1.0 }
+ *      top-right quarter:      { x: 0.5, y: 0.5, w: 0.5, h: 0.5 }
+ *
+ * @param {String} name_ unique name of the viewport
+ * @param {Object} rect_ normalized rectangle {x, y, w, h}
+ * @param {GPT_CameraRig} camera_rig_ camera (and controller) used to render this viewport
+ * @param {Number|String|THREE.Color} clear_color_ optional color to clear the region. When undefined the renderer clear color is used
+ * @param {Number} clear_alpha_ optional alpha of the clear color. Default 1.0
+ */
+function GPT_Viewport(name_, rect_, camera_rig_, clear_color_, clear_alpha_) {
+    this.name = name_;
+
+    this.rect = Object.assign({ x: 0.0, y: 0.0, w: 1.0, h: 1.0 }, rect_);
+
+    this.cameraRig = camera_rig_;
+    if (this.cameraRig === undefined) {
+        console.error("GPT_Viewport: '" + name_ + "' camera rig is undefined");
+        return;
+    }
+
+    this.clearColor = (clear_color_ !== undefined) ? new THREE.Color(clear_color_) : undefined;
+    this.clearAlpha = (clear_alpha_ !== undefined) ? clear_alpha_ : 1.0;
+
+    this.enabled = true;
+}
+
+/**
+ * @param {Number} canvas_w_ canvas width in pixels
+ * @param {Number} canvas_h_ canvas height in pixels
+ * @returns {Object} rectangle in pixels {x, y, w, h} (origin at bottom-left, as expected by setViewport / setScissor)
+ */
+GPT_Viewport.prototype.getPixelRect = function (canvas_w_, canvas_h_) {
+    return {
+        x: Math.floor(this.rect.x * canvas_w_),
+        y: Math.floor(this.rect.y * canvas_h_),
+        w: Math.max(1, Math.floor(this.rect.w * canvas_w_)),
+        h: Math.max(1, Math.floor(this.rect.h * canvas_h_))
+    };
+}
+
+/**
+ * Recomputes the camera projection for the current canvas size
+ * @param {Number} canvas_w_ canvas width in pixels
+ * @param {Number} canvas_h_ canvas height in pixels
+ */
+GPT_Viewport.prototype.layout = function (canvas_w_, canvas_h_) {
+    const _r = this.getPixelRect(canvas_w_, canvas_h_);
+    this.cameraRig.setAspect(_r.w / _r.h);
+}
+
+/**
+ * @param {Object} rect_ new normalized rectangle {x, y, w, h} (missing fields keep their value)
+ */
+GPT_Viewport.prototype.setRect = function (rect_) {
+    Object.assign(this.rect, rect_);
+}
+
+/**
+ * @returns {THREE.Camera} camera of this viewport
+ */
+GPT_Viewport.prototype.getCamera = function () {
+    return this.cameraRig.camera;
+}
+
+GPT_Viewport.prototype.dispose = function () {
+    this.cameraRig.dispose();
+    this.cameraRig = undefined;
+}
+
+export default GPT_Viewport;
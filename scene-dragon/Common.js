@@ -3,12 +3,17 @@
  * @constant Common
  */
 
-import THREE from "../external-libs/three-global";
+import GPT_AssetManager from "../core/GPT_AssetManager";
 
 /**
  * Values to be reused in several objects
  */
 
+/**
+ * false when running headless in Node (no `document`): textures and container size are not read from the DOM
+ */
+const HAS_DOM = (typeof document !== "undefined");
+
 /**
  * Floor width in cm
  */
@@ -37,10 +42,38 @@ const DISC_TEXTURE_PATH = "./assets/images/bump1.jpg";
 const NERVE_TEXTURE_PATH = "./assets/images/bump2.jpg";
 const WRIST_TEXTURE_PATH = "./assets/images/bump1.jpg";
 
-const _texLoader = new THREE.CubeTextureLoader();
-_texLoader.setPath(SKYBOX_TEXTURE_PATH);
-const SKYBOX_CUBE_TEXTURE = _texLoader.load(SKYBOX_TEXTURE_IMAGES_NAMES);
-SKYBOX_CUBE_TEXTURE.isCubeTexture = true;
+/**
+ * Every texture of the scene, preloaded by GPT_App.init before creating the models (see GPT_Scene.getAssetManager)
+ */
+const ASSET_MANIFEST = Object.freeze({
+    textures: {
+        floor: FLOOR_TEXTURE_PATH,
+        base: BASE_TEXTURE_PATH,
+        axis: AXIS_TEXTURE_PATH,
+        humerus: HUMERUS_TEXTURE_PATH,
+        disc: DISC_TEXTURE_PATH,
+        nerve: NERVE_TEXTURE_PATH,
+        wrist: WRIST_TEXTURE_PATH
+    },
+    cube_textures: {
+        skybox_cube: { path: SKYBOX_TEXTURE_PATH, images: SKYBOX_TEXTURE_IMAGES_NAMES }
+    }
+});
+
+/**
+ * Shared asset manager. Without DOM (headless) it creates empty textures
+ */
+const ASSETS = new GPT_AssetManager(ASSET_MANIFEST, !HAS_DOM);
+
+/**
+ * New texture showing the image of `path_`. The image is downloaded only once (preloaded when it is in ASSET_MANIFEST),
+ * and each call returns its own texture so wrapping / repeat can be changed. Without DOM (headless) the texture is empty
+ * @param {String} path_ image path
+ * @returns {THREE.Texture}
+ */
+function loadTexture(path_) {
+    return ASSETS.createTexture(path_);
+}
 
 const TRAJECTORY_ANGLE_DECAY = 0.5;
 const TRAJECTORY_SPLINE_NUM_SEGMENTS = 30;
@@ -48,20 +81,76 @@ const TRAJECTORY_DIST_MAX = 1000;
 const TRAJECTORY_DIST_MIN = 200;
 const TRAJECTORY_DIST_STEP = 200;
 
+// levels of detail of the dragon (level 0 is the full one): camera distance, fraction of triangles kept
+// and greatest error of a collapse (see GPT_Model.get_lod_geometry). The far level stops at the error before its detail
+const DRAGON_LOD_LEVELS = Object.freeze([
+    { distance: 900, detail: 0.5, max_error: 0.02 },
+    { distance: 1600, detail: 0.4, max_error: 0.05 }
+]);
+
+// fraction of the distance to come back before switching to a more detailed level (avoids flickering at the limit)
+const DRAGON_LOD_HYSTERESIS = 0.1;
+
+// smooth normals of the dragon: faces meeting at more than 90 degrees keep a sharp edge
+const DRAGON_NORMALS = Object.freeze({ weighting: "angle", crease_angle: Math.PI / 2 });
+
+// texture coordinates of the dragon: every face projected along the axis closest to its normal
+const DRAGON_UVS = Object.freeze({ mode: "box" });
+
+// seams kept when decimating the dragon (levels of detail and mobile): only its sharpest edges (more than about 143 degrees).
+// Its normals and UVs are computed again on the decimated triangles; keeping every seam of DRAGON_NORMALS and DRAGON_UVS
+// would stop the decimation at about 1900 triangles
+const DRAGON_DECIMATION_SEAMS = Object.freeze({ normals: Object.freeze({ weighting: "angle", crease_angle: 2.5 }) });
+
+// lighter dragon on mobile devices (see GPT_Coords.decimate): down to 1400 triangles, without collapses moving the surface more than 0.02.
+// The first limit reached stops it: with DRAGON_DECIMATION_SEAMS the 1400 triangles come first (greatest error about 0.014),
+// max_error only keeps the shape if the seams change
+const DRAGON_MOBILE_DECIMATION = Object.freeze({ target_triangles: 1400, max_error: 0.02 });
+
 // used to interpolate bullet-position between two points3D
 const BULLET_STEP_DURATION_MS = 75;
 
+// rotations are given per frame of a 60 Hz display and scaled by the milliseconds of every simulation step,
+// so they run at the same speed on any refresh rate (dragon rotation of the UI, robot forearm and bullet spin)
+const REFERENCE_FRAME_MS = 1000 / 60;
+const ROBOT_FOREARM_SPIN_RADS = 0.174533; // 10 degrees
+const BULLET_SPIN_RADS = 0.174533;
+
 // robot state machine timeouts
 const FSM_DURATION_LOADING_BULLET_MS = 1000;
 const FSM_DURATION_BULLET_TRAVELLING_MS = 30 * BULLET_STEP_DURATION_MS;
 const FSM_DURATION_RESET_MS = 1000;
 
+// post-processing effects that can be toggled from the UI and their initial state
+const POST_EFFECTS_DEFAULTS = Object.freeze({
+    bloom: true,
+    color_grading: false,
+    vignette: true,
+    hit_flash: true,
+    fxaa: true
+});
+
+// duration of the red flash when the bullet hits the dragon
+const HIT_FLASH_DURATION_MS = 400;
+
 const CANVAS_CONTAINER_NAME_FOR_THREEJS = "container-for-threejs"
-const posInfo = document.getElementById(CANVAS_CONTAINER_NAME_FOR_THREEJS).getBoundingClientRect();
+
+// default canvas size when the container is not available (headless)
+const CANVAS_DEFAULT_WIDTH = 800;
+const CANVAS_DEFAULT_HEIGHT = 600;
+
+const _container = HAS_DOM ? document.getElementById(CANVAS_CONTAINER_NAME_FOR_THREEJS) : null;
+const posInfo = (_container !== null) ?
+    _container.getBoundingClientRect() : { width: CANVAS_DEFAULT_WIDTH, height: CANVAS_DEFAULT_HEIGHT };
 const CANVAS_CONTAINER_WIDTH = posInfo.width;
 const CANVAS_CONTAINER_HEIGHT = posInfo.height;
 
 export default {
+    HAS_DOM,
+    ASSET_MANIFEST,
+    ASSETS,
+    loadTexture,
+
     FLOOR_WIDTH,
     SKYBOX_WIDTH,
     FLOOR_TEXTURE_PATH,
@@ -73,19 +162,32 @@ export default {
     WRIST_TEXTURE_PATH,
     SKYBOX_TEXTURE_PATH,
     SKYBOX_TEXTURE_IMAGES_NAMES,
-    SKYBOX_CUBE_TEXTURE,
 
     TRAJECTORY_ANGLE_DECAY,
     TRAJECTORY_SPLINE_NUM_SEGMENTS,
     TRAJECTORY_DIST_MAX,
     TRAJECTORY_DIST_MIN,
     TRAJECTORY_DIST_STEP,
+    DRAGON_LOD_LEVELS,
+    DRAGON_LOD_HYSTERESIS,
+    DRAGON_NORMALS,
+    DRAGON_UVS,
+    DRAGON_DECIMATION_SEAMS,
+    DRAGON_MOBILE_DECIMATION,
 
     BULLET_STEP_DURATION_MS,
 
+    REFERENCE_FRAME_MS,
+    ROBOT_FOREARM_SPIN_RADS,
+    BULLET_SPIN_RADS,
+
     FSM_DURATION_LOADING_BULLET_MS,
     FSM_DURATION_BULLET_TRAVELLING_MS,
     FSM_DURATION_RESET_MS,
+
+    POST_EFFECTS_DEFAULTS,
+    HIT_FLASH_DURATION_MS,
+
     CANVAS_CONTAINER_NAME_FOR_THREEJS,
     CANVAS_CONTAINER_WIDTH,
     CANVAS_CONTAINER_HEIGHT
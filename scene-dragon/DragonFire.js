@@ -6,6 +6,7 @@
 import Nebula, { SpriteRenderer } from "three-nebula"
 import dfp from "./DragonFireParticles.json"
 import THREE from "../external-libs/three-global";
+import Common from "./Common";
 
 /**
  * Creates a fire particles system using Nebula-threejs
@@ -13,6 +14,7 @@ import THREE from "../external-libs/three-global";
  * NOTE: `Nebula.SpriteRenderer` needs the main `THREE.Scene`
  * NOTE: Once json content is loaded you need to add the nebula renderer
  * NOTE: You need to call `this.nebula.update()` in main loop and update emitter position
+ * NOTE: Particles are not loaded when running headless (sprites textures need DOM)
  * 
  * @param {THREE.Scene} scene_ reference to the main threejs scene to be used into the particles system
  */
@@ -25,8 +27,20 @@ function DragonFire(scene_) {
 
     this.nebula_renderer = undefined;
     this.nebula = undefined;
+    this.disposed = false;
+
+    if (!Common.HAS_DOM) {
+        console.info("DragonFire: no DOM, particles disabled");
+        return;
+    }
+
     Nebula.fromJSONAsync(dfp.particleSystemState, THREE).then(
         (loaded_) => {
+            // disposed while loading
+            if (this.disposed) {
+                return;
+            }
+
             this.nebula_renderer = new SpriteRenderer(scene_, THREE);
             this.nebula = loaded_.addRenderer(this.nebula_renderer);
         }
@@ -98,4 +112,17 @@ DragonFire.prototype.update_to_dragon_mouth = function (dragon_pos_, dragon_rot_
     }
 }
 
+/**
+ * Destroys the particle system (emitters and sprites). Particles still in the scene are disposed with it (GPT_Scene.dispose)
+ */
+DragonFire.prototype.dispose = function () {
+    this.disposed = true;
+
+    if (undefined !== this.nebula) {
+        this.nebula.destroy();
+        this.nebula = undefined;
+        this.nebula_renderer = undefined;
+    }
+}
+
 export default DragonFire
\ No newline at end of file
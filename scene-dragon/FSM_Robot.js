@@ -53,6 +53,8 @@ const R_Events = Object.freeze(
 /**
  * Finite State Machine for Robot
  * Using symbol as key of the dictionary
+ * Timers run on simulation time: it only advances with the `ms` given to `update_state`, so pause,
+ * time scale and catch-up steps of the fixed timestep affect them like the rest of the simulation
  * @param {Dictionary} cbs_ dictionary containing callbacks to be called to retrieve if event is true or false
  */
 function FSM_Robot(cbs_) {
@@ -63,6 +65,9 @@ function FSM_Robot(cbs_) {
         return;
     }
 
+    // simulation time (ms) of the timers, see update_state
+    this.elapsed_ms = 0;
+
     this.transitions = {
         // symbol as key needs []
         [R_States.IDLE]: {
@@ -137,18 +142,18 @@ FSM_Robot.prototype.transit = function (event_) {
                 break;
 
             case R_States.LOADING_BULLET:
-                this.loading_bullet_start = performance.now();
+                this.loading_bullet_start = this.elapsed_ms;
                 break;
 
             case R_States.BULLET_TRAVELING:
                 this.loading_bullet_start = undefined;
-                this.bullet_traveling_start = performance.now();
+                this.bullet_traveling_start = this.elapsed_ms;
                 break;
 
             case R_States.HIT:
             case R_States.NO_HIT:
                 this.bullet_traveling_start = undefined;
-                this.reset_fsm_start = performance.now();
+                this.reset_fsm_start = this.elapsed_ms;
                 break;
         };
 
@@ -184,11 +189,16 @@ FSM_Robot.prototype.state_has_changed = function () {
 }
 
 /**
- * Transits betweens states when timers get expired
+ * Advances the timers and transits betweens states when they get expired
+ * @param {Number} ms milliseconds passed since last simulation step
  */
-FSM_Robot.prototype.update_state = function () {
+FSM_Robot.prototype.update_state = function (ms) {
     this.prev_state = this.state;
 
+    if (ms > 0) {
+        this.elapsed_ms += ms;
+    }
+
     switch (this.state) {
         case R_States.IDLE:
             // doing nothing until "loading bullet event"
@@ -233,8 +243,7 @@ FSM_Robot.prototype.has_expired = function (rstate_, start_ts_, duration_ms_) {
             return false;
         }
         else {
-            const _now = performance.now();
-            const _elapsed = _now - start_ts_;
+            const _elapsed = this.elapsed_ms - start_ts_;
             return (_elapsed >= duration_ms_);
         }
     }
@@ -256,13 +265,97 @@ FSM_Robot.prototype.have_expired = function (rstate_, start_ts_, duration_ms_) {
             return false;
         }
         else {
-            const _now = performance.now();
-            const _elapsed = _now - start_ts_;
+            const _elapsed = this.elapsed_ms - start_ts_;
             return (_elapsed >= duration_ms_);
         }
     }
 }
 
+/**
+ * @returns {Number} duration (ms) of the timer of the current state or undefined when it has no timer
+ */
+FSM_Robot.prototype.get_state_duration = function () {
+    switch (this.state) {
+        case R_States.LOADING_BULLET:
+            return Common.FSM_DURATION_LOADING_BULLET_MS;
+        case R_States.BULLET_TRAVELING:
+            return Common.FSM_DURATION_BULLET_TRAVELLING_MS;
+        case R_States.HIT:
+        case R_States.NO_HIT:
+            return Common.FSM_DURATION_RESET_MS;
+    }
+    return undefined;
+}
+
+/**
+ * @returns {Number} start time-stamp (ms) of the timer of the current state or undefined
+ */
+FSM_Robot.prototype.get_state_start = function () {
+    switch (this.state) {
+        case R_States.LOADING_BULLET:
+            return this.loading_bullet_start;
+        case R_States.BULLET_TRAVELING:
+            return this.bullet_traveling_start;
+        case R_States.HIT:
+        case R_States.NO_HIT:
+            return this.reset_fsm_start;
+    }
+    return undefined;
+}
+
+/**
+ * Snapshot of the machine. Timers are saved as remaining time, so they do not depend on the time origin
+ * @returns {Object} { state: "loading_bullet", remaining_ms: 350 } (remaining_ms is undefined without timer)
+ */
+FSM_Robot.prototype.serialize = function () {
+    const _start = this.get_state_start();
+    const _duration = this.get_state_duration();
+
+    return {
+        state: this.state.description,
+        remaining_ms: (_start !== undefined) ? Math.max(_duration - (this.elapsed_ms - _start), 0) : undefined
+    };
+}
+
+/**
+ * Restores a snapshot taken with `serialize`. No transition is performed, so `state_has_changed` is false afterwards
+ * @param {Object} data_ { state, remaining_ms }
+ * @returns {Bool} false when the state is unknown
+ */
+FSM_Robot.prototype.restore = function (data_) {
+    const _state = Object.values(R_States).find((s_) => { return s_.description === data_.state; });
+    if (_state === undefined) {
+        console.error("FSM_Robot.restore: unknown state '" + data_.state + "'");
+        return false;
+    }
+
+    this.state = _state;
+    this.prev_state = _state;
+
+    this.loading_bullet_start = undefined;
+    this.bullet_traveling_start = undefined;
+    this.reset_fsm_start = undefined;
+
+    if (data_.remaining_ms !== undefined && this.get_state_duration() !== undefined) {
+        const _start = this.elapsed_ms - (this.get_state_duration() - data_.remaining_ms);
+
+        switch (this.state) {
+            case R_States.LOADING_BULLET:
+                this.loading_bullet_start = _start;
+                break;
+            case R_States.BULLET_TRAVELING:
+                this.bullet_traveling_start = _start;
+                break;
+            case R_States.HIT:
+            case R_States.NO_HIT:
+                this.reset_fsm_start = _start;
+                break;
+        }
+    }
+
+    return true;
+}
+
 export default {
     FSM_Robot,
     R_Events,
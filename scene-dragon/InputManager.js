@@ -3,17 +3,20 @@
  * @class InputManager
  */
 
-import { GUI } from 'dat.gui'
 import Common from './Common';
 import Stats from "three/examples/jsm/libs/stats.module"
 
+// dat.gui uses `window` as soon as it is imported: it is only loaded with DOM (headless controllers do not need it)
+const { GUI } = Common.HAS_DOM ? await import('dat.gui') : {};
+
 /**
  * Manages input from UI or Keyboard and sends actions to update models
  * Creates `gui` controller independently if it is mobile or desktop device
  * Create `keyboard` controller when desktop device
  * @param {Dictionary} on_change_callbacks_ callback functions to fire when GUI elements change
+ * @param {Bool} headless_ true to create value-only controllers (no dat.gui panels nor DOM elements). Used when running without DOM
  */
-function InputManager(on_change_callbacks_) {
+function InputManager(on_change_callbacks_, headless_) {
 
     this.cbs = on_change_callbacks_;
     if (this.cbs === undefined) {
@@ -21,17 +24,70 @@ function InputManager(on_change_callbacks_) {
         return;
     }
 
+    this.headless = (headless_ === true);
+
+    // fills controllers with references to the GUI panels
+    this.gui = null;
+    this.controllers = null;
+
+    if (this.headless) {
+        this.is_mobile = false;
+        this.create_headless_controller();
+        return;
+    }
+
     this.is_mobile = this.check_is_mobile_device();
     if (!this.is_mobile) {
         this.keyboard = this.create_kb_controller();
     }
 
-    // fills controllers with references to the GUI panels
-    this.gui = null;
-    this.controllers = null;
     this.create_ui_controller();
 }
 
+/**
+ * Minimal replacement of a dat.gui controller holding only a value (used when headless)
+ * Numeric values are clamped to [min_, max_] like dat.gui sliders
+ * @param {*} value_ initial value
+ * @param {Number} min_ optional minimum
+ * @param {Number} max_ optional maximum
+ */
+function ValueController(value_, min_, max_) {
+    this.value = value_;
+    this.min = min_;
+    this.max = max_;
+    this.on_change = undefined;
+}
+
+ValueController.prototype.onChange = function (cb_) {
+    this.on_change = cb_;
+    return this;
+}
+
+ValueController.prototype.name = function () {
+    return this;
+}
+
+ValueController.prototype.getValue = function () {
+    return this.value;
+}
+
+ValueController.prototype.setValue = function (value_) {
+    let _v = value_;
+    if (this.min !== undefined && _v < this.min) {
+        _v = this.min;
+    }
+    if (this.max !== undefined && _v > this.max) {
+        _v = this.max;
+    }
+
+    this.value = _v;
+
+    if (this.on_change !== undefined) {
+        this.on_change(_v);
+    }
+    return this;
+}
+
 /**
  * @returns {Bool} true is mobile (android, etc), false when is desktop
  */
@@ -69,6 +125,7 @@ InputManager.prototype.create_ui_controller = function () {
         status: "rotating",
         rot_angle: 0.0,
         smoothing: false,
+        lod: "auto"
     }
 
     // controller writes to effect variable
@@ -96,6 +153,14 @@ InputManager.prototype.create_ui_controller = function () {
 
     this.controllers.set("dragon_smoothing", _c);
 
+    // debug: force a level of detail
+    _c = _f.add(_e, "lod", this.get_lod_options()).name("LOD")
+        .onChange(
+            this.cbs.on_change_dragon_lod
+        );
+
+    this.controllers.set("dragon_lod", _c);
+
     // robot
     _e = {
         status: "idle",
@@ -130,6 +195,19 @@ InputManager.prototype.create_ui_controller = function () {
     _c = this.create_shoot_button_html();
     this.controllers.set("robot_shoot", _c);
 
+    // post-processing effects
+    _e = Object.assign({}, Common.POST_EFFECTS_DEFAULTS);
+
+    _f = this.gui.addFolder("effects");
+
+    for (let _name of Object.keys(_e)) {
+        _c = _f.add(_e, _name).name(_name)
+            .onChange(
+                (new_val_) => { this.cbs.on_change_post_effect(_name, new_val_); }
+            );
+        this.controllers.set("effect_" + _name, _c);
+    }
+
     _c = this.create_stats_widget(Common.CANVAS_CONTAINER_NAME_FOR_THREEJS);
     this.controllers.set("stats", _c);
 
@@ -146,6 +224,55 @@ InputManager.prototype.create_ui_controller = function () {
     );
 }
 
+/**
+ * Same controllers (keys, ranges and initial values) as `create_ui_controller` but without dat.gui nor DOM
+ *      "robot_shoot" exposes `click()` to trigger the shoot callback
+ *      "stats" exposes an empty `update()`
+ */
+InputManager.prototype.create_headless_controller = function () {
+    this.controllers = new Map();
+
+    this.controllers.set("dragon_status", new ValueController("rotating"));
+
+    this.controllers.set("dragon_rot_angle",
+        new ValueController(0.0, -3.0, 3.0).onChange(this.cbs.on_change_dragon_rot_angle).setValue(1.0));
+
+    this.controllers.set("dragon_smoothing",
+        new ValueController(false).onChange(this.cbs.on_change_dragon_smoothing).setValue(false));
+
+    this.controllers.set("dragon_lod",
+        new ValueController("auto").onChange(this.cbs.on_change_dragon_lod));
+
+    this.controllers.set("robot_status", new ValueController("idle"));
+
+    this.controllers.set("robot_power",
+        new ValueController(500, Common.TRAJECTORY_DIST_MIN, Common.TRAJECTORY_DIST_MAX).setValue(Common.TRAJECTORY_DIST_MIN));
+
+    this.controllers.set("robot_aim_angle",
+        new ValueController(0.0, 35.0, 80.0).onChange(this.cbs.on_change_robot_aim_rotation).setValue(45.0));
+
+    this.controllers.set("robot_shoot", { click: this.cbs.on_change_robot_shoot });
+
+    for (let _name of Object.keys(Common.POST_EFFECTS_DEFAULTS)) {
+        this.controllers.set("effect_" + _name,
+            new ValueController(Common.POST_EFFECTS_DEFAULTS[_name])
+                .onChange((new_val_) => { this.cbs.on_change_post_effect(_name, new_val_); }));
+    }
+
+    this.controllers.set("stats", { update: function () { } });
+}
+
+/**
+ * @returns {Array} options of the "LOD" dropdown: "auto" (by camera distance) and one per level of the dragon
+ */
+InputManager.prototype.get_lod_options = function () {
+    const _options = ["auto", "0"];
+    for (let i = 1; i <= Common.DRAGON_LOD_LEVELS.length; i++) {
+        _options.push(i.toString());
+    }
+    return _options;
+}
+
 /**
  * Creates "Shoot" button by html5 code and attaches it to dat.gui panels
  */
@@ -191,7 +318,7 @@ InputManager.prototype.create_shoot_button_html = function () {
 InputManager.prototype.create_stats_widget = function (_container_name) {
     const _stats = new Stats();
 
-    // positioning at bottom-left
+    // positioning at bottom-left (updated on every resize of the canvas, see on_resize)
     _stats.dom.style.position = "absolute";
     _stats.dom.style.left = "0px";
     const _t = (window.innerHeight - 50).toString() + "px";
@@ -209,6 +336,79 @@ InputManager.prototype.create_stats_widget = function (_container_name) {
     return _stats;
 }
 
+/**
+ * Keeps the Stats widget at the bottom-left corner when the canvas changes its size
+ * @param {Number} w_ canvas width
+ * @param {Number} h_ canvas height
+ */
+InputManager.prototype.on_resize = function (w_, h_) {
+    if (this.headless) {
+        return;
+    }
+
+    const _stats = this.controllers.get("stats");
+    _stats.dom.style.top = (h_ - 50).toString() + "px";
+}
+
+/**
+ * @returns {Object} current value of every controller holding a value: { name: value } (buttons and widgets are skipped)
+ */
+InputManager.prototype.get_values = function () {
+    const _values = {};
+    for (let [key, value] of this.controllers) {
+        if (typeof (value.getValue) === "function") {
+            _values[key] = value.getValue();
+        }
+    }
+    return _values;
+}
+
+/**
+ * Sets the controllers values (firing their "on_change" callbacks like the user would). Unknown names are ignored
+ * @param {Object} values_ { name: value } as returned by get_values
+ */
+InputManager.prototype.set_values = function (values_) {
+    for (let _name of Object.keys(values_)) {
+        const _c = this.controllers.get(_name);
+        if (_c === undefined || typeof (_c.setValue) !== "function") {
+            console.warn("InputManager.set_values: unknown controller '" + _name + "'");
+            continue;
+        }
+        _c.setValue(values_[_name]);
+    }
+}
+
+/**
+ * Shows or hides the dat.gui panels (the shoot button and the Stats widget are inside its root element)
+ * @param {Bool} visible_
+ */
+InputManager.prototype.set_visible = function (visible_) {
+    if (this.gui === null) {
+        return;
+    }
+
+    if (visible_) {
+        this.gui.show();
+    }
+    else {
+        this.gui.hide();
+    }
+}
+
+/**
+ * Removes the dat.gui panels (the shoot button and the Stats widget are inside its root element)
+ */
+InputManager.prototype.dispose = function () {
+    if (this.gui !== null) {
+        this.gui.destroy();
+        this.gui = null;
+    }
+
+    if (this.controllers !== null) {
+        this.controllers.clear();
+    }
+}
+
 InputManager.prototype.create_kb_controller = function () {
 
 }
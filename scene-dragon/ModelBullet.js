@@ -48,7 +48,13 @@ function ModelBullet(trajectory_points3D_, start_pos_) {
 
     // initialization
     this.current_point_index = 0;
-    this.prev_ts = performance.now();
+
+    // simulation time (ms) since the bullet left `current_point_index` (see update)
+    this.step_elapsed_ms = 0;
+
+    // set by the scene: moving along the trajectory / spinning around X every simulation step
+    this.moving = false;
+    this.spinning = false;
 }
 
 // 2. Extend from parent object prototype (keep proto clean)
@@ -117,47 +123,85 @@ ModelBullet.prototype.move_to_next_point = function () {
 }
 
 /**
- * Based on time passed since last call and Common.BULLET_STEP_DURATION_MS (duration
+ * Based on simulation time passed since leaving the current point and Common.BULLET_STEP_DURATION_MS (duration
  *      between 2 succesive points3D)
  * 
- * While elapsed < BULLET_SEPT_DURATION_MS it calculates interpolated point and moves the object
- * Otherwise it only increases the current_point_index
+ * Every BULLET_STEP_DURATION_MS passed moves on to the next point (the time left over is kept, so the bullet
+ * travels at the same speed whatever the length of the simulation steps), then it calculates the interpolated
+ * point between the current one and the next one and moves the object
  * 
- * @returns {Bool} true object moved, false otherwise
+ * @param {Float} ms milliseconds passed since last simulation step
+ * @returns {Bool} true object moved, false otherwise (end of trajectory)
  */
-ModelBullet.prototype.move_to_next_point_interpolated = function () {
+ModelBullet.prototype.move_to_next_point_interpolated = function (ms) {
 
     const _last_index = this.trajectory_points3D.length - 1;
     if (this.current_point_index >= _last_index) {
         return false;
     }
 
-    const _now_ts = performance.now();
-    const _elapsed = _now_ts - this.prev_ts;
+    if (ms > 0) {
+        this.step_elapsed_ms += ms;
+    }
 
-    if (_elapsed < Common.BULLET_STEP_DURATION_MS) {
-        const _i = _elapsed / Common.BULLET_STEP_DURATION_MS;
+    while (this.step_elapsed_ms >= Common.BULLET_STEP_DURATION_MS && this.current_point_index < _last_index) {
+        this.step_elapsed_ms -= Common.BULLET_STEP_DURATION_MS;
+        this.current_point_index++;
+    }
 
-        const _p = this.trajectory_points3D[this.current_point_index];
+    const _p = this.trajectory_points3D[this.current_point_index];
+
+    if (this.current_point_index >= _last_index) {
+        this.step_elapsed_ms = 0;
+        this.mesh.position.set(_p.x, _p.y, _p.z);
+    }
+    else {
+        const _i = this.step_elapsed_ms / Common.BULLET_STEP_DURATION_MS;
         const _p_next = this.trajectory_points3D[this.current_point_index + 1];
 
         // interpolate coordinates between current and next
-        const _ip_x = lerp(_p.x, _p_next.x, _i);
-        const _ip_y = lerp(_p.y, _p_next.y, _i);
-        const _ip_z = lerp(_p.z, _p_next.z, _i);
+        this.mesh.position.set(lerp(_p.x, _p_next.x, _i), lerp(_p.y, _p_next.y, _i), lerp(_p.z, _p_next.z, _i));
+    }
+
+    // update collider
+    this.collider.update_aabb();
+
+    return true;
+}
 
-        // apply
-        this.mesh.position.set(_ip_x, _ip_y, _ip_z);
+/**
+ * Overriding it
+ * Adds the collider helper as `<name>_collider` (in the "helpers" layer) and interpolates the bullet when rendering
+ */
+ModelBullet.prototype.onAdded = function (gpt_scene_, name_) {
+    gpt_scene_.AddModelToScene(name_ + "_collider", this.collider.aabb_helper);
+    gpt_scene_.setLayer(name_ + "_collider", "helpers");
 
-        // update collider
-        this.collider.update_aabb();
+    // moving and spinning along the trajectory
+    gpt_scene_.addInterpolatedObject(this.mesh);
+}
 
-        return true;
+/**
+ * Overriding it
+ * @param {Float} ms milliseconds passed since last simulation step
+ */
+ModelBullet.prototype.update = function (ms) {
+    if (this.moving) {
+        this.move_to_next_point_interpolated(ms);
     }
-    else {
-        this.current_point_index++;
-        this.prev_ts = performance.now();
-        return false;
+
+    if (this.spinning) {
+        this.mesh.rotation.x -= Common.BULLET_SPIN_RADS * ms / Common.REFERENCE_FRAME_MS;
+    }
+}
+
+/**
+ * Overriding it
+ * Removes the collider helper added in `onAdded`
+ */
+ModelBullet.prototype.onRemoved = function (gpt_scene_, name_, dispose_) {
+    if (gpt_scene_.gpt_models.has(name_ + "_collider")) {
+        gpt_scene_.removeModelFromScene(name_ + "_collider", dispose_);
     }
 }
 
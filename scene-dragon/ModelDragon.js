@@ -16,8 +16,9 @@ import DragonFire from "./DragonFire"
  * Inherits from GPT_model so we keep references to geometry and material
  * @param {THREE.Vector3} start_pos_ initial position to spawn
  * @param {THREE.Scene} scene_ reference to the main threejs scene to be used into the particles system
+ * @param {Object} decimation_ optional { target_triangles, max_error } for a lighter dragon (see GPT_Coords.decimate and Common.DRAGON_DECIMATION_SEAMS)
  */
-function ModelDragon(start_pos_, scene_) {
+function ModelDragon(start_pos_, scene_, decimation_) {
 
     if (undefined === start_pos_) {
         console.error("ModelDragon: 'start_pos' is undefined");
@@ -27,6 +28,20 @@ function ModelDragon(start_pos_, scene_) {
     // instance coordinates only once
     this.coords = new CoordsDragon();
 
+    // smooth normals keeping the sharp edges of the dragon (see GPT_Coords.getNormalsLayout)
+    this.normals_options = Common.DRAGON_NORMALS;
+
+    // texture coordinates without stretching along any axis (see GPT_Coords.getUVLayout)
+    this.uv_options = Common.DRAGON_UVS;
+
+    // seams kept by the decimation and the levels of detail (see GPT_Model.get_lod_geometry)
+    this.decimation_options = Common.DRAGON_DECIMATION_SEAMS;
+
+    // fewer triangles keeping the seams of decimation_options (normals and UVs are computed on the decimated coords)
+    if (decimation_ !== undefined) {
+        this.coords = this.coords.decimate(Object.assign({}, this.decimation_options, decimation_));
+    }
+
     // 1. Call parent object constructor
     GPT_Model.call(this);
     this.mesh.position.set(start_pos_.x, start_pos_.y, start_pos_.z);
@@ -36,6 +51,12 @@ function ModelDragon(start_pos_, scene_) {
 
     // add fire particles
     this.fire = new DragonFire(scene_);
+
+    // rotation (radians) around Y per frame of a 60 Hz display, scaled by the ms of every simulation step
+    this.rot_angle_rads = 0.0;
+
+    // true for stopping the rotation (ex: while the robot is on 'hit')
+    this.frozen = false;
 }
 
 // 2. Extend from parent object prototype (keep proto clean)
@@ -46,32 +67,41 @@ ModelDragon.prototype.constructor = ModelDragon;
 
 /**
  * Overriding in child object
+ * @param {GPT_Coords} coords_ optional coordinates (ex: simplified ones for a level of detail). Default `this.coords`
  */
-ModelDragon.prototype.get_geometry = function () {
+ModelDragon.prototype.get_geometry = function (coords_) {
+    const _coords = (coords_ !== undefined) ? coords_ : this.coords;
     const _geom = new THREE.BufferGeometry();
 
+    // vertices on sharp edges are split, one per side. Also on the borders between UV projections
+    const _layout = _coords.getTangentLayout(
+        _coords.getUVLayout(_coords.getNormalsLayout(this.normals_options), this.uv_options));
+
     // itemSize = 3 because there are 3 components per vertex
     _geom.setAttribute(
         "position",
-        new THREE.BufferAttribute(this.coords.vertices_coordinates, 3)
+        new THREE.BufferAttribute(_layout.vertices, 3)
     );
 
     // itemSize = 3 because there are 3 components per normal
     _geom.setAttribute(
         "normal",
-        new THREE.BufferAttribute(this.coords.normals, 3)
+        new THREE.BufferAttribute(_layout.normals, 3)
     );
 
     // intemSize = 1 because there are 1 component per vertex-index
-    _geom.setIndex(new THREE.BufferAttribute(this.coords.edges_indices, 1));
-
-    // setting up the UV coordinates
-    const uvs = this.coords.getUVs(_geom);
+    _geom.setIndex(new THREE.BufferAttribute(_layout.indices, 1));
 
-    // itemSize = 2 because each UV has 2 coordinates. uvs.lenght must be equalt to this.coords.edges_indices
+    // itemSize = 2 because each UV has 2 coordinates (one UV per vertex)
     _geom.setAttribute(
         "uv",
-        new THREE.BufferAttribute(uvs, 2)
+        new THREE.BufferAttribute(_layout.uvs, 2)
+    );
+
+    // itemSize = 4 because each tangent has 3 components and the handedness (for normalMap / bumpMap)
+    _geom.setAttribute(
+        "tangent",
+        new THREE.BufferAttribute(_layout.tangents, 4)
     );
 
     _geom.needsUpdate = true;
@@ -90,13 +120,13 @@ ModelDragon.prototype.get_material = function () {
         {
             color: 0xe5ffe5,
             emissive: 0xb4ef3e,
-            flatShading: true, // initially per-triangle normals
+            flatShading: true, // initially per-triangle normals (smooth ones when flatShading is false)
             specular: 0x003300,
             shininess: 70,
             side: THREE.FrontSide,
             transparent: true,
             opacity: 0.75,
-            envMap: Common.SKYBOX_CUBE_TEXTURE
+            envMap: Common.ASSETS.get("skybox_cube")
         }
     );
 
@@ -109,7 +139,33 @@ ModelDragon.prototype.update_collider = function () {
 }
 
 ModelDragon.prototype.update_fire = function () {
-    this.fire.update_to_dragon_mouth(this.mesh.position, this.mesh.rotation);
+    const _root = this.getRoot();
+    this.fire.update_to_dragon_mouth(_root.position, _root.rotation);
+}
+
+/**
+ * Overriding it
+ * Rotating every simulation step, so it is blended when rendering
+ */
+ModelDragon.prototype.onAdded = function (gpt_scene_, name_) {
+    gpt_scene_.addInterpolatedObject(this.getRoot());
+}
+
+/**
+ * Overriding it
+ * Rotates `rot_angle_rads` per frame of a 60 Hz display (unless frozen) and keeps the fire at the mouth
+ * @param {Float} ms milliseconds passed since last simulation step
+ */
+ModelDragon.prototype.update = function (ms) {
+    if (!this.frozen) {
+        const _root = this.getRoot();
+        _root.rotation.y += this.rot_angle_rads * ms / Common.REFERENCE_FRAME_MS;
+        _root.rotation.y = (_root.rotation.y >= 2 * Math.PI) ? 0.0 : _root.rotation.y;
+
+        this.update_collider();
+    }
+
+    this.update_fire();
 }
 
 export default ModelDragon;
\ No newline at end of file
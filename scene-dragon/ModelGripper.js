@@ -30,41 +30,63 @@ ModelGripper.prototype.constructor = ModelGripper;
  * Overriding it
  */
 ModelGripper.prototype.get_geometry = function () {
+    // at this points geom will be assigned into this.geometry
+    return createGripperGeometry(this.coords);
+}
+
+/**
+ * Overriding it
+ */
+ModelGripper.prototype.get_material = function () {
+    return createGripperMaterial();
+}
+
+/**
+ * Gripper geometry without creating a model (ex: shared by the instanced fingers of ModelRobot)
+ * @param {CoordsGripper} coords_
+ * @returns {THREE.BufferGeometry} positions, normals, indices, uvs and tangents
+ */
+function createGripperGeometry(coords_) {
     const _geom = new THREE.BufferGeometry();
 
+    // planar UVs (x, y plane). Vertices with different UVs in different faces are split
+    const _layout = coords_.getTangentLayout(coords_.getUVLayout(coords_.getNormalsLayout()));
+
     // itemSize 3 because there are 3 components per vertex
     _geom.setAttribute(
         "position",
-        new THREE.BufferAttribute(this.coords.vertices_coordinates, 3)
+        new THREE.BufferAttribute(_layout.vertices, 3)
     );
 
     // itemSize 3 ebcause there are 3 components per normal vector
     _geom.setAttribute(
         "normal",
-        new THREE.BufferAttribute(this.coords.normals, 3)
+        new THREE.BufferAttribute(_layout.normals, 3)
     );
 
     // itemSize 1 because there are 1 component per vertex-index
-    _geom.setIndex(new THREE.BufferAttribute(this.coords.edges_indices, 1));
-
-    // setting up the UV coordinates
-    const uvs = this.coords.getUVs(_geom);
+    _geom.setIndex(new THREE.BufferAttribute(_layout.indices, 1));
 
-    // itemSize 2 because each UV has 2 coordinates. uvs.lenght must be equalt to this.coords.edges_indices
+    // itemSize 2 because each UV has 2 coordinates (one UV per vertex)
     _geom.setAttribute(
         "uv",
-        new THREE.BufferAttribute(uvs, 2)
+        new THREE.BufferAttribute(_layout.uvs, 2)
+    );
+
+    // itemSize 4 because each tangent has 3 components and the handedness (for normalMap / bumpMap)
+    _geom.setAttribute(
+        "tangent",
+        new THREE.BufferAttribute(_layout.tangents, 4)
     );
 
     _geom.needsUpdate = true;
     return _geom;
-    // at this points geom will be assigned into this.geometry
 }
 
 /**
- * Overriding it
+ * @returns {THREE.MeshPhongMaterial} gripper material (see createGripperGeometry)
  */
-ModelGripper.prototype.get_material = function () {
+function createGripperMaterial() {
 
     // loading TextureCube as skybox
     // creating material with all config
@@ -75,11 +97,12 @@ ModelGripper.prototype.get_material = function () {
         specular: 0xb3ffb3,
         shininess: 70,
         side: THREE.FrontSide,
-        envMap: Common.SKYBOX_CUBE_TEXTURE
+        envMap: Common.ASSETS.get("skybox_cube")
     });
 
     _mat.needsUpdate = true;
     return _mat;
 }
 
+export { createGripperGeometry, createGripperMaterial };
 export default ModelGripper
\ No newline at end of file
@@ -5,7 +5,9 @@
 
 import THREE from "../external-libs/three-global";
 import GPT_LinkedModel from "../core/GPT_LinkedModel";
-import ModelGripper from "./ModelGripper";
+import CoordsGripper from "./CoordsGripper";
+import { createGripperGeometry, createGripperMaterial } from "./ModelGripper";
+import GPT_InstancedModel from "../core/GPT_InstancedModel";
 import Common from "./Common";
 
 /**
@@ -31,17 +33,13 @@ ModelRobot.prototype.constructor = ModelRobot;
  */
 ModelRobot.prototype.getRobot = function () {
 
-    // gripper
+    // gripper: right and left fingers are instances of the same mesh
     const _gripper_o = new THREE.Object3D();
 
-    const _gripper_R = this.getGripperMesh();
-    _gripper_R.position.set(10, -10, -9);
-    _gripper_o.add(_gripper_R)
-
-    const _gripper_L = this.getGripperMesh();
-    _gripper_L.position.set(10, 10, 9);
-    _gripper_L.rotation.set(-Math.PI, 0.0, 0.0);
-    _gripper_o.add(_gripper_L);
+    this.grippers = this.getGrippersModel();
+    this.grippers.addInstance({ position: [10, -10, -9] });
+    this.grippers.addInstance({ position: [10, 10, 9], rotation: [-Math.PI, 0.0, 0.0] });
+    _gripper_o.add(this.grippers.mesh);
 
     _gripper_o.rotation.set(0, 0, Math.PI / 2);
 
@@ -58,21 +56,14 @@ ModelRobot.prototype.getRobot = function () {
     // forearm
     const _forearm_o = new THREE.Object3D();
 
-    const _nerve1 = this.getNerveMesh();
-    _nerve1.position.set(8, 40, 8);
-    _forearm_o.add(_nerve1);
-
-    const _nerve2 = this.getNerveMesh();
-    _nerve2.position.set(8, 40, -8);
-    _forearm_o.add(_nerve2);
-
-    const _nerve3 = this.getNerveMesh();
-    _nerve3.position.set(-8, 40, 8);
-    _forearm_o.add(_nerve3);
-
-    const _nerve4 = this.getNerveMesh();
-    _nerve4.position.set(-8, 40, -8);
-    _forearm_o.add(_nerve4);
+    // 4 nerves drawn with one instanced mesh
+    this.nerves = new GPT_InstancedModel(this.getNerveMesh(), 4);
+    this.nerves.mesh.castShadow = true;
+    this.nerves.mesh.receiveShadow = true;
+    for (let _p of [[8, 40, 8], [8, 40, -8], [-8, 40, 8], [-8, 40, -8]]) {
+        this.nerves.addInstance({ position: _p });
+    }
+    _forearm_o.add(this.nerves.mesh);
 
     const _disc = this.getDiscMesh();
     _forearm_o.add(_disc);
@@ -122,7 +113,7 @@ ModelRobot.prototype.getBaseMesh = function () {
 
     const _geom = new THREE.CylinderGeometry(50, 50, 15, 18, 1);
 
-    const _tex = new THREE.TextureLoader().load(Common.BASE_TEXTURE_PATH);
+    const _tex = Common.ASSETS.get("base");
     _tex.wrapS = _tex.wrapT = THREE.RepeatWrapping;
     _tex.magFilter = _tex.minFilter = THREE.LinearFilter;
     _tex.repeat.set(5, 1);
@@ -148,7 +139,7 @@ ModelRobot.prototype.getAxisMesh = function () {
 
     const _geom = new THREE.CylinderGeometry(20, 20, 18, 18, 1);
 
-    const _tex = new THREE.TextureLoader().load(Common.AXIS_TEXTURE_PATH);
+    const _tex = Common.ASSETS.get("axis");
     _tex.wrapS = _tex.wrapT = THREE.RepeatWrapping;
     _tex.magFilter = _tex.minFilter = THREE.LinearFilter;
     _tex.repeat.set(2, 0.5);
@@ -174,7 +165,7 @@ ModelRobot.prototype.getHumerusMesh = function () {
 
     const _geom = new THREE.BoxGeometry(18, 120, 12);
 
-    const _tex = new THREE.TextureLoader().load(Common.HUMERUS_TEXTURE_PATH);
+    const _tex = Common.ASSETS.get("humerus");
     _tex.wrapS = _tex.wrapT = THREE.RepeatWrapping;
     _tex.magFilter = _tex.minFilter = THREE.LinearFilter;
     _tex.repeat.set(0.1, 1);
@@ -207,7 +198,7 @@ ModelRobot.prototype.getBallJointMesh = function () {
         color: 0xffe5e5,
         emissive: 0xff9999,
         flatShading: false, // per vertex normals instead per face
-        envMap: Common.SKYBOX_CUBE_TEXTURE,
+        envMap: Common.ASSETS.get("skybox_cube"),
         side: THREE.FrontSide
     });
 
@@ -225,7 +216,7 @@ ModelRobot.prototype.getDiscMesh = function () {
     // smooth in the curvature
     _geom.computeVertexNormals();
 
-    const _tex = new THREE.TextureLoader().load(Common.DISC_TEXTURE_PATH);
+    const _tex = Common.ASSETS.get("disc");
     _tex.wrapS = _tex.wrapT = THREE.RepeatWrapping;
     _tex.magFilter = _tex.minFilter = THREE.LinearFilter;
     _tex.repeat.set(5, 0.25);
@@ -252,7 +243,7 @@ ModelRobot.prototype.getNerveMesh = function () {
 
     const _geom = new THREE.BoxGeometry(4, 80, 4);
 
-    const _tex = new THREE.TextureLoader().load(Common.NERVE_TEXTURE_PATH);
+    const _tex = Common.ASSETS.get("nerve");
     _tex.wrapS = _tex.wrapT = THREE.RepeatWrapping;
     _tex.magFilter = _tex.minFilter = THREE.LinearFilter;
     _tex.repeat.set(0.1, 5);
@@ -281,7 +272,7 @@ ModelRobot.prototype.getWristMesh = function () {
     // smooth transition in curvature
     _geom.computeVertexNormals()
 
-    const _tex = new THREE.TextureLoader().load(Common.WRIST_TEXTURE_PATH);
+    const _tex = Common.ASSETS.get("wrist");
     _tex.wrapS = _tex.wrapT = THREE.RepeatWrapping;
     _tex.magFilter = _tex.minFilter = THREE.LinearFilter;
     _tex.repeat.set(5, 1);
@@ -304,14 +295,21 @@ ModelRobot.prototype.getWristMesh = function () {
     return _mesh;
 }
 
-ModelRobot.prototype.getGripperMesh = function () {
+/**
+ * @returns {GPT_InstancedModel} gripper geometry and material shared by both fingers (2 instances at most)
+ */
+ModelRobot.prototype.getGrippersModel = function () {
 
-    const _gripper = new ModelGripper();
+    // geometry and material of ModelGripper, without creating a model (and a mesh) only to read them
+    const _grippers = new GPT_InstancedModel({
+        geometry: createGripperGeometry(new CoordsGripper()),
+        material: createGripperMaterial()
+    }, 2);
 
-    _gripper.mesh.castShadow = true;
-    _gripper.mesh.receiveShadow = true;
+    _grippers.mesh.castShadow = true;
+    _grippers.mesh.receiveShadow = true;
 
-    return _gripper.mesh;
+    return _grippers;
 }
 
 export default ModelRobot
\ No newline at end of file
@@ -11,16 +11,19 @@ import ModelSkybox from './ModelSkybox'
 import ModelRobot from './ModelRobot'
 import ModelTrajectory from './ModelTrajectory'
 import InputManager from './InputManager'
-import FSM_Robot, { R_Events } from './FSM_Robot'
+import FSM_Robot from './FSM_Robot'
 import ModelBullet from './ModelBullet'
 
 /**
  * Creating a child object (kind of child class) by Inheriting from GPT_Scene (Follow steps 1 to 3)
  * This child object adds functions for specfically configuring and updating the "dragon scene"
+ * @param {Bool} headless_ true when running without DOM (ex: gameplay tests with GPT_NullRenderer): the InputManager creates value-only controllers
  */
-function SceneDragon() {
+function SceneDragon(headless_) {
     // 1. Call parent object
     GPT_Scene.call(this);
+
+    this.headless = (headless_ === true);
 }
 
 // 2. Extend from parent object prototype (keeps the proto clean)
@@ -29,6 +32,26 @@ SceneDragon.prototype = Object.create(GPT_Scene.prototype);
 // 3. Repair the inherited constructor
 SceneDragon.prototype.constructor = SceneDragon;
 
+/**
+ * Overrides getCameraDescription function in child object
+ * Perspective camera working in cm, looking at the dragon and the robot. Orbit controller without keyboard
+ */
+SceneDragon.prototype.getCameraDescription = function () {
+    return {
+        type: "perspective",
+        fov: 75,
+        near: 0.1,
+        far: 5000,
+        position: [0, 275, 700],
+        target: [0, 80, 0],
+        controller: {
+            type: "orbit",
+            target: [0, 100, 0],
+            options: { noKeys: true } // moving with keyboard not allowed
+        }
+    };
+}
+
 /**
  * Overrides createObjects funtion in child object
  */
@@ -55,7 +78,7 @@ SceneDragon.prototype.createFloor = function () {
     const floor_geom = new THREE.PlaneGeometry(Common.FLOOR_WIDTH, Common.FLOOR_WIDTH, 2, 2);
 
     // material
-    const floor_tex = new THREE.TextureLoader().load(Common.FLOOR_TEXTURE_PATH);
+    const floor_tex = Common.ASSETS.get("floor");
     floor_tex.wrapS = THREE.RepeatWrapping;
     floor_tex.wrapT = THREE.RepeatWrapping;
     floor_tex.repeat.set(2, 2);
@@ -83,20 +106,24 @@ SceneDragon.prototype.createFloor = function () {
 
 SceneDragon.prototype.createDragon = function () {
     const _start_pos = new THREE.Vector3(200, -75, -250);
-    this.dragon_model = new ModelDragon(_start_pos, this.scene);
+
+    // the input manager is not created yet, but the device check does not depend on it
+    const _is_mobile = Common.HAS_DOM && InputManager.prototype.check_is_mobile_device();
+    this.dragon_model = new ModelDragon(_start_pos, this.scene, _is_mobile ? Common.DRAGON_MOBILE_DECIMATION : undefined);
 
     this.dragon_model.mesh.scale.set(1500, 1500, 1500);
     this.dragon_model.mesh.castShadow = true;
     this.dragon_model.mesh.receiveShadow = true;
 
-    this.gpt_models.set("dragon", this.dragon_model.mesh);
-    this.gpt_models.set("dragon_collider", this.dragon_model.collider.aabb_helper);
-
-    // initialization state of variables used periodically
-    this.dragon_rot_angle_rads = 0.0;
+    // simplified dragon far from the camera. The collider keeps the full detail one
+    this.dragon_model.setLevelsOfDetail(Common.DRAGON_LOD_LEVELS,
+        { hysteresis: Common.DRAGON_LOD_HYSTERESIS, collider_level: 0 });
 
-    // pre-calculated for surface smoothing
-    this.dragon_model.geometry.computeVertexNormals();
+    // rotation and fire are updated by the model itself (see ModelDragon.update)
+    this.registerModel("dragon", this.dragon_model);
+    this.gpt_models.set("dragon_collider", this.dragon_model.collider.aabb_helper);
+    this.addTag("dragon", "collidable");
+    this.setLayer("dragon_collider", "helpers");
 }
 
 SceneDragon.prototype.createSkybox = function () {
@@ -123,6 +150,9 @@ SceneDragon.prototype.createRobot = function () {
     // TRHEE.Object3D
     const _root = this.robotLinked.links.get("root");
     this.gpt_models.set("robot", _root);
+
+    // forearm spins while loading bullet
+    this.addInterpolatedObject(this.robotLinked.links.get("forearm"));
 }
 
 /**
@@ -133,21 +163,27 @@ SceneDragon.prototype.createInputManager = function () {
 
     _cbs.on_change_dragon_rot_angle = (new_val_) => {
         // new_val_ is degrees
-        this.dragon_rot_angle_rads = new_val_ * Math.PI / 180.0;
+        this.dragon_model.rot_angle_rads = new_val_ * Math.PI / 180.0;
     };
 
     _cbs.on_change_dragon_smoothing = (new_val_) => {
-        const _dragon = this.gpt_models.get("dragon");
+        // shared by every level of detail
+        const _mat = this.dragon_model.material;
 
         // boolean
         if (new_val_) {
-            // for surface smoothing: flatShading false and computeVertexNormals
-            _dragon.material.flatShading = false;
+            // for surface smoothing: flatShading false uses the vertex normals of the geometry
+            _mat.flatShading = false;
         }
         else {
-            _dragon.material.flatShading = true;
+            _mat.flatShading = true;
         }
-        _dragon.material.needsUpdate = true;
+        _mat.needsUpdate = true;
+    };
+
+    _cbs.on_change_dragon_lod = (new_val_) => {
+        // "auto" or level index (debug)
+        this.dragon_model.forceLevelOfDetail(("auto" === new_val_) ? undefined : Number(new_val_));
     };
 
     _cbs.on_change_robot_aim_rotation = (new_val_) => {
@@ -184,42 +220,250 @@ SceneDragon.prototype.createInputManager = function () {
         }
     }
 
-    this.im = new InputManager(_cbs);
+    _cbs.on_change_post_effect = (name_, new_val_) => {
+        // boolean. Passes are created later (createPostProcessing) reading the controllers values
+        if (this.postprocessing === undefined) {
+            return;
+        }
+
+        if ("hit_flash" === name_) {
+            // only allowed / stopped here, it is enabled while flashing (updateHitFlash)
+            if (!new_val_) {
+                this.postprocessing.setFlashAmount("hit_flash", 0.0);
+            }
+        }
+        else {
+            this.postprocessing.setPassEnabled(name_, new_val_);
+        }
+    }
+
+    // every UI change has to be visible in the render-on-demand mode
+    for (let _k of Object.keys(_cbs)) {
+        const _cb = _cbs[_k];
+        _cbs[_k] = (...args_) => {
+            _cb(...args_);
+            this.markDirty();
+        };
+    }
+
+    this.im = new InputManager(_cbs, this.headless);
+}
+
+/**
+ * Overrides updateModels function in child object
+ * Robot and its state machine go first, so the dragon and bullet models (see applyRobotState)
+ * follow a state change in the same simulation step
+ * @param {float} ms milliseconds passed since last frame
+ */
+SceneDragon.prototype.updateModels = function (ms) {
+    this.updateRobot(ms);
+
+    this.on_fsmr_changed(ms);
+
+    GPT_Scene.prototype.updateModels.call(this, ms);
 }
 
 /**
  * Per-frame update
  * Overrides updateObjects function in child object
+ * Robot, dragon and bullet were already updated (see updateModels)
  * @param {float} ms milliseconds passed since last frame
  */
 SceneDragon.prototype.updateObjects = function (ms) {
-    this.updateDragon(ms);
-    this.updateRobot(ms);
-    this.updateBullet();
+    this.updateHitFlash();
+}
 
-    this.on_fsmr_changed();
+/**
+ * Overrides createPostProcessing function in child object
+ * Bloom makes the dragon fire and the emissive wrist glow. Hit-flash is animated while the robot is on 'hit'
+ * Initial state of every pass is taken from the UI controllers
+ * @param {GPT_PostProcessing} post_
+ */
+SceneDragon.prototype.createPostProcessing = function (post_) {
+    const _enabled = (name_) => { return this.im.controllers.get("effect_" + name_).getValue(); };
 
-    this.im.controllers.get("stats").update();
+    post_.addBloom("bloom", 0.8, 0.4, 0.85, _enabled("bloom"));
+    post_.addColorGrading("color_grading", [1.4, 1.4, 1.4], [1.05, 1.0, 0.95], [0.0, 0.0, 0.02], _enabled("color_grading"));
+    post_.addVignette("vignette", 1.0, 1.2, _enabled("vignette"));
+
+    // disabled until the bullet hits
+    post_.addFlash("hit_flash", 0xff0000, false);
+
+    // anti-aliasing as last pass
+    post_.addFXAA("fxaa", _enabled("fxaa"));
 }
 
 /**
- * Per-frame update of dragon
- * @param {Float} ms milliseconds passed since last frame
+ * Overrides getAssetManager function in child object
+ * Textures of Common.ASSET_MANIFEST (floor, robot parts and skybox)
+ * @returns {GPT_AssetManager}
+ */
+SceneDragon.prototype.getAssetManager = function () {
+    return Common.ASSETS;
+}
+
+/**
+ * Overrides isAnimating function in child object
+ * The scene is static when the dragon does not rotate, the robot is idle and there is no flash.
+ * Fire particles are not taken into account (in render-on-demand mode they freeze while the scene is static)
+ * @returns {Bool}
+ */
+SceneDragon.prototype.isAnimating = function () {
+    return this.dragon_model.rot_angle_rads !== 0.0 || !this.fsm_r.current_is_idle() || this.hit_flash_start !== undefined;
+}
+
+/**
+ * Overrides onEnter function in child object
+ * Shows the UI panels (hidden while another scene is shown)
+ * @param {String} prev_name_ previous scene
+ */
+SceneDragon.prototype.onEnter = function (prev_name_) {
+    this.im.set_visible(true);
+}
+
+/**
+ * Overrides onExit function in child object
+ * @param {String} next_name_ next scene
+ */
+SceneDragon.prototype.onExit = function (next_name_) {
+    this.im.set_visible(false);
+}
+
+/**
+ * Overrides onDispose function in child object
+ * Trajectory and bullet are released by their own models. UI and particles live out of the scene graph
+ */
+SceneDragon.prototype.onDispose = function () {
+    this.removeTrajectory();
+    this.removeBullet();
+
+    this.dragon_model.fire.dispose();
+    this.im.dispose();
+}
+
+/**
+ * Overrides serializeCustomState function in child object
+ * Saves what is not in the transforms and materials of the models: UI values, robot joints, state machine,
+ * hit flash and the trajectory / bullet created while shooting
+ * @returns {Object}
+ */
+SceneDragon.prototype.serializeCustomState = function () {
+    const _now = this.clock.now();
+
+    // links in their simulated pose (the forearm is interpolated while rendering)
+    const _joints = {};
+    for (let [_name, _link] of this.robotLinked.links) {
+        _joints[_name] = this.getSimulatedPose(_link).rotation.toArray().slice(0, 3);
+    }
+
+    const _custom = {
+        controls: this.im.get_values(),
+        robot_joints: _joints,
+        fsm: this.fsm_r.serialize(),
+        hit_flash_elapsed_ms: (this.hit_flash_start !== undefined) ? _now - this.hit_flash_start : undefined
+    };
+
+    if (this.tra_model !== undefined) {
+        _custom.trajectory = {
+            p1: this.tra_model.p1.toArray(),
+            p2: this.tra_model.p2.toArray(),
+            power: this.tra_model.dist_end
+        };
+    }
+
+    if (this.bullet_model !== undefined) {
+        _custom.bullet = {
+            current_point_index: this.bullet_model.current_point_index,
+            elapsed_ms: this.bullet_model.step_elapsed_ms
+        };
+    }
+
+    return _custom;
+}
+
+/**
+ * Overrides restoreCustomState function in child object
+ * Trajectory and bullet are created again (their transforms and materials are restored afterwards by GPT_Scene.restoreState)
+ * @param {Object} custom_ object returned by serializeCustomState
+ */
+SceneDragon.prototype.restoreCustomState = function (custom_) {
+    // controls first: their callbacks move the robot joints and set the dragon rotation
+    if (custom_.controls !== undefined) {
+        this.im.set_values(custom_.controls);
+    }
+    if (custom_.robot_joints !== undefined) {
+        this.robotLinked.setJointAngles(custom_.robot_joints);
+    }
+
+    this.removeTrajectory();
+    this.removeBullet();
+
+    if (custom_.fsm !== undefined) {
+        this.fsm_r.restore(custom_.fsm);
+    }
+    this.applyRobotState();
+
+    const _now = this.clock.now();
+
+    if (custom_.trajectory !== undefined) {
+        this.createTrajectory(
+            new THREE.Vector3().fromArray(custom_.trajectory.p1),
+            new THREE.Vector3().fromArray(custom_.trajectory.p2),
+            custom_.trajectory.power);
+
+        if (custom_.bullet !== undefined) {
+            this.createBullet();
+            this.bullet_model.current_point_index = custom_.bullet.current_point_index;
+            this.bullet_model.step_elapsed_ms = custom_.bullet.elapsed_ms;
+            this.applyRobotState();
+        }
+    }
+
+    this.hit_flash_start = (custom_.hit_flash_elapsed_ms !== undefined) ? _now - custom_.hit_flash_elapsed_ms : undefined;
+    if (this.hit_flash_start === undefined && this.postprocessing !== undefined) {
+        this.postprocessing.setFlashAmount("hit_flash", 0.0);
+    }
+}
+
+/**
+ * Overrides onResize function in child object
+ * @param {Number} w canvas width
+ * @param {Number} h canvas height
  */
-SceneDragon.prototype.updateDragon = function (ms) {
+SceneDragon.prototype.onResize = function (w, h) {
+    this.im.on_resize(w, h);
+}
 
-    // stop robot animation while it is on 'hit'
-    if (!this.fsm_r.current_is_hit()) {
+/**
+ * Fades out the red flash during Common.HIT_FLASH_DURATION_MS after entering 'hit'
+ */
+SceneDragon.prototype.updateHitFlash = function () {
+    if (this.postprocessing === undefined || this.hit_flash_start === undefined) {
+        return;
+    }
 
-        // 0.5 degrees per frame
-        this.dragon_model.mesh.rotation.y += this.dragon_rot_angle_rads;
-        this.dragon_model.mesh.rotation.y =
-            (this.dragon_model.mesh.rotation.y >= 2 * Math.PI) ? 0.0 : this.dragon_model.mesh.rotation.y;
+    const _elapsed = this.clock.now() - this.hit_flash_start;
+    const _amount = 1.0 - _elapsed / Common.HIT_FLASH_DURATION_MS;
 
-        this.dragon_model.update_collider();
+    if (_amount <= 0.0 || !this.fsm_r.current_is_hit() || !this.im.controllers.get("effect_hit_flash").getValue()) {
+        this.hit_flash_start = undefined;
+        this.postprocessing.setFlashAmount("hit_flash", 0.0);
+        return;
     }
 
-    this.dragon_model.update_fire();
+    // 50% at most, so the scene stays visible
+    this.postprocessing.setFlashAmount("hit_flash", 0.5 * _amount);
+}
+
+/**
+ * Per-rendered-frame update (independent of the number of simulation steps)
+ * Overrides beforeRender function in child object
+ * @param {Float} alpha interpolation factor between previous and current simulation step
+ */
+SceneDragon.prototype.beforeRender = function (alpha) {
+    GPT_Scene.prototype.beforeRender.call(this, alpha);
+
+    this.im.controllers.get("stats").update();
 }
 
 /**
@@ -231,20 +475,21 @@ SceneDragon.prototype.updateRobot = function (ms) {
     if (this.fsm_r.current_is_loading_bullet()) {
         const _forearm = this.robotLinked.links.get("forearm");
 
-        // 10 degrees per frame
-        _forearm.rotation.x += 0.174533;
+        _forearm.rotation.x += Common.ROBOT_FOREARM_SPIN_RADS * ms / Common.REFERENCE_FRAME_MS;
         _forearm.rotation.x = (_forearm.rotation.x >= 2 * Math.PI) ? 0.0 : _forearm.rotation.x;
     }
 }
 
 /**
  * Perform operations only once when there is a state-transition of the robot-state-machine
+ * @param {Float} ms milliseconds passed since last simulation step (advances the timers of the state machine)
  */
-SceneDragon.prototype.on_fsmr_changed = function () {
+SceneDragon.prototype.on_fsmr_changed = function (ms) {
 
-    this.fsm_r.update_state();
+    this.fsm_r.update_state(ms);
 
     if (this.fsm_r.state_has_changed()) {
+        this.markDirty();
 
         const _c = this.im.controllers.get("robot_status");
         _c.setValue(this.fsm_r.state.description);
@@ -256,6 +501,9 @@ SceneDragon.prototype.on_fsmr_changed = function () {
         }
         // 'bullet_traveling' to 'hit'
         else if (this.fsm_r.current_is_hit()) {
+            // full-screen red flash (fading out)
+            this.hit_flash_start = this.clock.now();
+
             // blink dragon to red
             this.dragon_model.mesh.material.color.set(0xff0000);
             this.dragon_model.mesh.material.emissive.set(0xff0000);
@@ -278,28 +526,54 @@ SceneDragon.prototype.on_fsmr_changed = function () {
             const _wrist = this.robotLinked.links.get("hand").getObjectByName("wrist");
             _wrist.material.emissive.set(0x000000);
         }
+
+        this.applyRobotState();
+    }
+}
+
+/**
+ * Tells the dragon and bullet models what to do in the current robot state:
+ * the dragon stops while on 'hit', the bullet moves while traveling and keeps spinning on 'hit'
+ */
+SceneDragon.prototype.applyRobotState = function () {
+    this.dragon_model.frozen = this.fsm_r.current_is_hit();
+
+    if (this.bullet_model !== undefined) {
+        this.bullet_model.moving = this.fsm_r.current_is_bullet_traveling();
+        this.bullet_model.spinning = this.fsm_r.current_is_bullet_traveling() || this.fsm_r.current_is_hit();
     }
 }
 
 /**
  * We only create a trajectory while robot is shooting and remove it after shoot end
  * This method is cpu expensive
- * @param {Float} ms milliseconds passed since last frame
+ * Without arguments the trajectory starts at the robot forearm and hand with the current power (restoring a state passes the saved ones)
+ * @param {THREE.Vector3} p1_ optional start point
+ * @param {THREE.Vector3} p2_ optional second point (gives the direction)
+ * @param {Number} power_ optional trajectory distance
  */
-SceneDragon.prototype.createTrajectory = function (ms) {
+SceneDragon.prototype.createTrajectory = function (p1_, p2_, power_) {
 
     this.removeTrajectory();
 
     // create new
-    const _forearm = this.robotLinked.links.get("forearm");
     const _p1 = new THREE.Vector3();
-    _forearm.getWorldPosition(_p1);
+    if (p1_ !== undefined) {
+        _p1.copy(p1_);
+    }
+    else {
+        this.robotLinked.links.get("forearm").getWorldPosition(_p1);
+    }
 
-    const _hand = this.robotLinked.links.get("hand");
     const _p2 = new THREE.Vector3();
-    _hand.getWorldPosition(_p2)
+    if (p2_ !== undefined) {
+        _p2.copy(p2_);
+    }
+    else {
+        this.robotLinked.links.get("hand").getWorldPosition(_p2);
+    }
 
-    const _r_power = this.im.controllers.get("robot_power").getValue();
+    const _r_power = (power_ !== undefined) ? power_ : this.im.controllers.get("robot_power").getValue();
 
     this.tra_model = new ModelTrajectory(_p1, _p2, _r_power);
     this.tra_model.mesh.castShadow = false;
@@ -310,16 +584,13 @@ SceneDragon.prototype.createTrajectory = function (ms) {
 }
 
 /**
- * if trajectory previously created then disposes gl buffers and removes object
+ * if trajectory previously created then removes object and disposes its gl buffers
  */
 SceneDragon.prototype.removeTrajectory = function () {
     if (undefined !== this.tra_model) {
-        // destroy geom and mat buffers
-        this.tra_model.dispose_buffers();
+        // remove it at runtime from THREE.Scene (also from gpt_models) and destroy geom and mat buffers
+        this.removeModelFromScene("trajectory", true);
         this.tra_model = undefined;
-
-        // remove it at runtime from THREE.Scene (also from gpt_models)
-        this.removeModelFromScene("trajectory");
     }
 }
 
@@ -335,35 +606,17 @@ SceneDragon.prototype.createBullet = function () {
     this.bullet_model.mesh.castShadow = true;
     this.bullet_model.mesh.receiveShadow = false;
 
-    this.AddModelToScene("bullet", this.bullet_model.mesh);
-    this.AddModelToScene("bullet_collider", this.bullet_model.collider.aabb_helper)
+    // the model adds its collider and updates itself (see ModelBullet.onAdded / update)
+    this.AddModelToScene("bullet", this.bullet_model);
+    this.addTag("bullet", "collidable");
 }
 
 SceneDragon.prototype.removeBullet = function () {
     if (undefined !== this.bullet_model) {
-        // destroy geo and mat buffers
-        this.bullet_model.dispose_buffers();
+        // remove it at runtime from THREE.Scene (also from gpt_models) and destroy geo and mat buffers
+        // its collider is removed by ModelBullet.onRemoved
+        this.removeModelFromScene("bullet", true);
         this.bullet_model = undefined;
-
-        // remove it at runtime from THREE.Scene (also from gpt_models)
-        this.removeModelFromScene("bullet");
-        this.removeModelFromScene("bullet_collider");
-    }
-}
-
-/**
- * Per-frame update of bullet
- */
-SceneDragon.prototype.updateBullet = function () {
-    if (this.fsm_r.current_is_bullet_traveling()) {
-        this.bullet_model.move_to_next_point_interpolated();
-
-        // 10 degrees per frame
-        this.bullet_model.mesh.rotation.x -= 0.174533;
-    }
-    else if (this.fsm_r.current_is_hit()) {
-        // 10 degrees per frame
-        this.bullet_model.mesh.rotation.x -= 0.174533;
     }
 }
 
@@ -421,6 +674,11 @@ SceneDragon.prototype.createLights = function () {
 
     const lFocalHelper = new THREE.SpotLightHelper(lFocal);
     this.gpt_lights.set("lFocalHelper", lFocalHelper);
+
+    // wireframes can be hidden at once with setLayerVisible("helpers", false)
+    for (let _name of ["lPointHelper", "lDirectionalHelper", "lFocalHelper"]) {
+        this.setLayer(_name, "helpers");
+    }
 }
 
 /**
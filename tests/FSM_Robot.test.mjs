@@ -0,0 +1,165 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import THREE from "../external-libs/three-global.js";
+import GPT_App from "../core/GPT_App.js";
+import GPT_Clock from "../core/GPT_Clock.js";
+import GPT_Renderer from "../core/GPT_Renderer.js";
+import GPT_NullRenderer from "../core/GPT_NullRenderer.js";
+import Common from "../scene-dragon/Common.js";
+import FSM from "../scene-dragon/FSM_Robot.js";
+import ModelBullet from "../scene-dragon/ModelBullet.js";
+import SceneDragon from "../scene-dragon/SceneDragon.js";
+
+beforeEach(() => {
+    for (let _level of ["debug", "log", "info", "warn"]) {
+        mock.method(console, _level, () => {});
+    }
+});
+
+/**
+ * @param {Object} collided_ { value: true once the bullet hits something }
+ * @returns {FSM_Robot} machine in 'loading_bullet'
+ */
+function createShootingFSM(collided_) {
+    const _fsm = new FSM.FSM_Robot({ bullet_collided: () => { return collided_ !== undefined && collided_.value; } });
+    _fsm.transit(FSM.R_Events.SHOOT_STARTED);
+    return _fsm;
+}
+
+/**
+ * Bullet on a straight trajectory along X: one point every 100 units
+ */
+function createBullet(num_points_) {
+    const _points = [];
+    for (let i = 0; i < num_points_; i++) {
+        _points.push(new THREE.Vector3(100 * i, 0, 0));
+    }
+    return new ModelBullet(_points, _points[0]);
+}
+
+describe("FSM_Robot timers", () => {
+    it("expire with the ms given to update_state", () => {
+        const _fsm = createShootingFSM();
+
+        _fsm.update_state(Common.FSM_DURATION_LOADING_BULLET_MS - 1);
+        assert.equal(_fsm.state, FSM.R_States.LOADING_BULLET);
+        // no time passed
+        _fsm.update_state(0);
+        _fsm.update_state(-10);
+        assert.equal(_fsm.state, FSM.R_States.LOADING_BULLET);
+
+        _fsm.update_state(1);
+        assert.equal(_fsm.state, FSM.R_States.BULLET_TRAVELING);
+        assert.equal(_fsm.state_has_changed(), true);
+
+        _fsm.update_state(Common.FSM_DURATION_BULLET_TRAVELLING_MS);
+        assert.equal(_fsm.state, FSM.R_States.NO_HIT);
+
+        _fsm.update_state(Common.FSM_DURATION_RESET_MS);
+        assert.equal(_fsm.state, FSM.R_States.IDLE);
+    });
+
+    it("go to 'hit' when the bullet collides before the end of the trajectory", () => {
+        const _collided = { value: false };
+        const _fsm = createShootingFSM(_collided);
+        _fsm.update_state(Common.FSM_DURATION_LOADING_BULLET_MS);
+
+        _fsm.update_state(Common.FSM_DURATION_BULLET_TRAVELLING_MS / 2);
+        assert.equal(_fsm.state, FSM.R_States.BULLET_TRAVELING);
+
+        _collided.value = true;
+        _fsm.update_state(16);
+        assert.equal(_fsm.state, FSM.R_States.HIT);
+        assert.equal(_fsm.serialize().remaining_ms, Common.FSM_DURATION_RESET_MS);
+    });
+
+    it("are saved as remaining time and restored in another machine", () => {
+        const _fsm = createShootingFSM();
+        _fsm.update_state(400);
+        assert.deepEqual(_fsm.serialize(), { state: "loading_bullet", remaining_ms: Common.FSM_DURATION_LOADING_BULLET_MS - 400 });
+        assert.deepEqual(new FSM.FSM_Robot({}).serialize(), { state: "idle", remaining_ms: undefined });
+
+        // another time origin
+        const _restored = new FSM.FSM_Robot({});
+        _restored.update_state(123456);
+        assert.equal(_restored.restore(JSON.parse(JSON.stringify(_fsm.serialize()))), true);
+        assert.equal(_restored.state_has_changed(), false);
+
+        _restored.update_state(Common.FSM_DURATION_LOADING_BULLET_MS - 401);
+        assert.equal(_restored.state, FSM.R_States.LOADING_BULLET);
+        _restored.update_state(1);
+        assert.equal(_restored.state, FSM.R_States.BULLET_TRAVELING);
+
+        assert.equal(_restored.restore({ state: "flying" }), false);
+    });
+});
+
+describe("ModelBullet", () => {
+    it("moves with the ms of every step whatever their length", () => {
+        const _positions = [];
+        for (let _step_ms of [1000 / 60, 1000 / 144, 100]) {
+            const _bullet = createBullet(31);
+            _bullet.moving = true;
+
+            // 2.5 steps of the trajectory
+            const _steps = Math.round(2.5 * Common.BULLET_STEP_DURATION_MS / _step_ms);
+            for (let i = 0; i < _steps; i++) {
+                _bullet.update(2.5 * Common.BULLET_STEP_DURATION_MS / _steps);
+            }
+            _positions.push(_bullet.mesh.position.x);
+        }
+
+        for (let _x of _positions) {
+            assert.ok(Math.abs(_x - 250) < 1e-6, "x: " + _x);
+        }
+    });
+
+    it("stops at the last point and only moves while 'moving'", () => {
+        const _bullet = createBullet(3);
+        _bullet.update(10 * Common.BULLET_STEP_DURATION_MS);
+        assert.equal(_bullet.mesh.position.x, 0);
+
+        _bullet.moving = true;
+        _bullet.update(10 * Common.BULLET_STEP_DURATION_MS);
+        assert.equal(_bullet.mesh.position.x, 200);
+        assert.equal(_bullet.move_to_next_point_interpolated(16), false);
+    });
+});
+
+describe("Timers of SceneDragon", () => {
+    it("are frozen while the app is paused", async () => {
+        const _sce = new SceneDragon(true);
+        const _clock = new GPT_Clock(true);
+        const _app = new GPT_App(new GPT_Renderer(800, 600, _sce, new GPT_NullRenderer()), _clock);
+        await _app.init();
+        _app.run();
+
+        const _frames = (count_, ms_) => {
+            for (let i = 0; i < count_; i++) {
+                _clock.advance(ms_);
+                _app.drawFrame(_clock.now());
+            }
+        };
+
+        _frames(1, 16);
+        _sce.im.controllers.get("robot_shoot").click();
+        _frames(25, 20);
+        assert.equal(_sce.fsm_r.serialize().remaining_ms, Common.FSM_DURATION_LOADING_BULLET_MS - 500);
+
+        _app.paused = true;
+        _frames(100, 20);
+        assert.ok(_sce.fsm_r.current_is_loading_bullet());
+        assert.equal(_sce.fsm_r.serialize().remaining_ms, Common.FSM_DURATION_LOADING_BULLET_MS - 500);
+
+        // the clock runs again from the next frame on
+        _app.paused = false;
+        _frames(1, 0);
+        _frames(24, 20);
+        assert.ok(_sce.fsm_r.current_is_loading_bullet());
+        _frames(1, 20);
+        assert.ok(_sce.fsm_r.current_is_bullet_traveling());
+
+        _app.dispose();
+    });
+});
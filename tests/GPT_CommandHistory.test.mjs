@@ -0,0 +1,175 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import THREE from "../external-libs/three-global.js";
+import GPT_Scene from "../core/GPT_Scene.js";
+import GPT_CommandHistory from "../core/GPT_CommandHistory.js";
+
+beforeEach(() => {
+    mock.method(console, "debug", () => {});
+    mock.method(console, "error", () => {});
+});
+
+function createMesh() {
+    return new THREE.Mesh(new THREE.BoxGeometry(1, 1, 1), new THREE.MeshPhongMaterial({ color: 0xffffff }));
+}
+
+/**
+ * @returns {Object} { sce, history } scene with a "box" model
+ */
+function createHistory(max_size_) {
+    const _sce = new GPT_Scene();
+    _sce.AddModelToScene("box", createMesh());
+    return { sce: _sce, history: new GPT_CommandHistory(_sce, max_size_) };
+}
+
+/**
+ * @returns {Object} { disposed: true once the geometry of the mesh is disposed }
+ */
+function watchDispose(mesh_) {
+    const _state = { disposed: false };
+    mesh_.geometry.addEventListener("dispose", () => { _state.disposed = true; });
+    return _state;
+}
+
+describe("GPT_CommandHistory", () => {
+    it("undoes and redoes transforms", () => {
+        const { sce, history } = createHistory();
+        const _box = sce.gpt_models.get("box");
+
+        assert.equal(history.setTransform("box", { position: [1, 2, 3], rotation: [0, Math.PI / 2, 0] }), true);
+        assert.deepEqual(_box.position.toArray(), [1, 2, 3]);
+
+        assert.equal(history.undo(), true);
+        assert.deepEqual(_box.position.toArray(), [0, 0, 0]);
+        assert.equal(_box.rotation.y, 0);
+        assert.equal(history.canUndo(), false);
+
+        assert.equal(history.redo(), true);
+        assert.deepEqual(_box.position.toArray(), [1, 2, 3]);
+        assert.equal(_box.rotation.y, Math.PI / 2);
+        assert.equal(history.canRedo(), false);
+    });
+
+    it("undoes a group at once", () => {
+        const { sce, history } = createHistory();
+        const _box = sce.gpt_models.get("box");
+
+        history.group("paint", () => {
+            history.setMaterial("box", { color: 0xff0000, opacity: 0.5 });
+            history.setTransform("box", { scale: [2, 2, 2] });
+        });
+        assert.equal(_box.material.color.getHex(), 0xff0000);
+        assert.equal(_box.scale.x, 2);
+
+        history.undo();
+        assert.equal(_box.material.color.getHex(), 0xffffff);
+        assert.equal(_box.material.opacity, 1);
+        assert.equal(_box.scale.x, 1);
+        assert.equal(history.canUndo(), false);
+    });
+
+    it("does not record the commands that fail", () => {
+        const { history } = createHistory();
+
+        assert.equal(history.setTransform("box", { size: 2 }), false);
+        assert.equal(history.setMaterial("missing", { color: 0 }), false);
+        assert.equal(history.setMaterial("box", { unknown: 1 }), false);
+        assert.equal(history.removeModel("missing"), false);
+        assert.equal(history.canUndo(), false);
+        assert.deepEqual(history.getLog(), []);
+    });
+
+    it("adds and removes models keeping their tags to add them back", () => {
+        const { sce, history } = createHistory();
+        const _sphere = createMesh();
+        const _sphere_dispose = watchDispose(_sphere);
+
+        history.addModel("sphere", _sphere);
+        assert.equal(sce.gpt_models.get("sphere"), _sphere);
+        history.undo();
+        assert.equal(sce.gpt_models.has("sphere"), false);
+        history.redo();
+        assert.equal(_sphere.parent, sce.scene);
+
+        sce.addTag("box", "collidable");
+        history.removeModel("box");
+        assert.equal(sce.gpt_models.has("box"), false);
+        history.undo();
+        assert.equal(sce.gpt_models.has("box"), true);
+        assert.deepEqual(sce.getTags("box"), ["collidable"]);
+
+        assert.equal(_sphere_dispose.disposed, false);
+    });
+
+    it("keeps a command that fails to redo in the redo stack", () => {
+        const { sce, history } = createHistory();
+
+        history.group("add and move", () => {
+            history.setTransform("box", { position: [1, 0, 0] });
+            history.addModel("sphere", createMesh());
+        });
+        history.undo();
+
+        // the name is taken while the group is undone
+        sce.AddModelToScene("sphere", createMesh());
+        assert.equal(history.redo(), false);
+        assert.equal(history.canRedo(), true);
+        assert.equal(history.canUndo(), false);
+        // a group is redone all or nothing
+        assert.equal(sce.gpt_models.get("box").position.x, 0);
+
+        sce.removeModelFromScene("sphere");
+        assert.equal(history.redo(), true);
+        assert.equal(sce.gpt_models.get("box").position.x, 1);
+        assert.deepEqual(history.getLog().map((r_) => { return r_.type; }), ["group", "undo", "redo"]);
+    });
+
+    it("disposes the models that can not come back once their commands are discarded", () => {
+        const { sce, history } = createHistory();
+
+        // GPT_Model-like object without getRoot
+        const _model = { mesh: createMesh() };
+        const _model_dispose = watchDispose(_model.mesh);
+        history.addModel("model", _model);
+        history.undo();
+        assert.equal(_model_dispose.disposed, false);
+
+        // a new edit discards the redo stack
+        history.setTransform("box", { position: [0, 1, 0] });
+        assert.equal(_model_dispose.disposed, true);
+        assert.equal(sce.gpt_models.has("model"), false);
+
+        const _box_dispose = watchDispose(sce.gpt_models.get("box"));
+        history.removeModel("box");
+        history.clear();
+        assert.equal(_box_dispose.disposed, true);
+        assert.equal(history.canUndo(), false);
+    });
+
+    it("keeps max_size entries", () => {
+        const { sce, history } = createHistory(2);
+
+        for (let x = 1; x <= 3; x++) {
+            history.setTransform("box", { position: [x, 0, 0] });
+        }
+
+        assert.equal(history.undo(), true);
+        assert.equal(history.undo(), true);
+        assert.equal(history.undo(), false);
+        assert.equal(sce.gpt_models.get("box").position.x, 1);
+    });
+
+    it("replays a log from JSON in another scene", () => {
+        const { history } = createHistory();
+        history.setTransform("box", { position: [1, 0, 0] });
+        history.setTransform("box", { position: [2, 0, 0] });
+        history.undo();
+        history.addModel("sphere", createMesh());
+
+        const { sce, history: replayed } = createHistory();
+        assert.equal(replayed.replay(JSON.stringify(history.getLog()), () => { return createMesh(); }), true);
+        assert.equal(sce.gpt_models.get("box").position.x, 1);
+        assert.equal(sce.gpt_models.has("sphere"), true);
+    });
+});
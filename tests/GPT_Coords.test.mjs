@@ -0,0 +1,176 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import THREE from "../external-libs/three-global.js";
+import { mergeVertices } from "three/examples/jsm/utils/BufferGeometryUtils.js";
+import { InlineCoords } from "../core/GPT_Coords.js";
+import CoordsDragon from "../scene-dragon/CoordsDragon.js";
+import Common from "../scene-dragon/Common.js";
+
+beforeEach(() => {
+    mock.method(console, "debug", () => {});
+    mock.method(console, "error", () => {});
+});
+
+/**
+ * Coordinates of a three.js geometry (positions only, vertices merged)
+ */
+function fromGeometry(geometry_) {
+    const _geom = mergeVertices(geometry_.deleteAttribute("normal").deleteAttribute("uv"));
+    return new InlineCoords(_geom.attributes.position.array, _geom.index.array);
+}
+
+/**
+ * Unit cube: 8 shared vertices (vertex i at x = bit 0, y = bit 1, z = bit 2) and 12 triangles facing outwards
+ */
+function createCube() {
+    const _vertices = [];
+    for (let i = 0; i < 8; i++) {
+        _vertices.push(i & 1, (i >> 1) & 1, (i >> 2) & 1);
+    }
+
+    const _indices = [];
+    for (let _q of [[0, 4, 6, 2], [1, 3, 7, 5], [0, 1, 5, 4], [2, 6, 7, 3], [0, 2, 3, 1], [4, 5, 7, 6]]) {
+        _indices.push(_q[0], _q[1], _q[2], _q[0], _q[2], _q[3]);
+    }
+    return new InlineCoords(_vertices, _indices);
+}
+
+/**
+ * 2 triangles sharing the edge 0-1, folded by 30 degrees
+ */
+function createFold() {
+    const _a = Math.PI / 6;
+    return new InlineCoords([0, 0, 0, 1, 0, 0, 0.5, -1, 0, 0.5, Math.cos(_a), Math.sin(_a)], [0, 2, 1, 0, 1, 3]);
+}
+
+/**
+ * @returns {Number} greatest difference between the normal of every corner and the normal of its face
+ */
+function distanceToFaceNormals(coords_, layout_) {
+    let _max = 0;
+    for (let c = 0; c < layout_.indices.length; c++) {
+        const _v = layout_.indices[c];
+        const _f = Math.floor(c / 3);
+        for (let k = 0; k < 3; k++) {
+            _max = Math.max(_max, Math.abs(layout_.normals[3 * _v + k] - coords_.face_normals[3 * _f + k]));
+        }
+    }
+    return _max;
+}
+
+describe("GPT_Coords.getNormalsLayout", () => {
+    it("keeps shared vertices with smooth normals by default", () => {
+        const _cube = createCube();
+        const _layout = _cube.getNormalsLayout();
+
+        assert.equal(_layout.vertices.length / 3, 8);
+        assert.equal(_layout.indices.length, 36);
+
+        // corners of a cube: the 3 faces around them weigh the same
+        const _n = Array.from(_layout.normals.subarray(0, 3));
+        for (let _x of _n) {
+            assert.ok(Math.abs(Math.abs(_x) - 1 / Math.sqrt(3)) < 1e-6);
+        }
+    });
+
+    it("splits every vertex of the cube once per face when the crease angle is below 90 degrees", () => {
+        const _cube = createCube();
+        const _layout = _cube.getNormalsLayout({ crease_angle: Math.PI / 3 });
+
+        assert.equal(_layout.vertices.length / 3, 24);
+        assert.equal(_layout.normals.length / 3, 24);
+        assert.ok(distanceToFaceNormals(_cube, _layout) < 1e-6);
+
+        // every copy keeps the position of the vertex it comes from
+        _layout.source.forEach((v_, i_) => {
+            assert.deepEqual(Array.from(_layout.vertices.subarray(3 * i_, 3 * i_ + 3)), _cube.points3d[v_].toArray());
+        });
+    });
+
+    it("splits the vertices of an edge only when its faces meet above the crease angle", () => {
+        const _fold = createFold();
+
+        assert.equal(_fold.getNormalsLayout({ crease_angle: Math.PI / 4 }).vertices.length / 3, 4);
+
+        const _split = _fold.getNormalsLayout({ crease_angle: Math.PI / 12 });
+        assert.equal(_split.vertices.length / 3, 6);
+        assert.deepEqual(Array.from(_split.source).sort(), [0, 0, 1, 1, 2, 3]);
+    });
+
+    it("gives every corner its own vertex when flat", () => {
+        const _cube = createCube();
+        const _layout = _cube.getNormalsLayout({ flat: true });
+
+        assert.equal(_layout.vertices.length / 3, 36);
+        assert.ok(distanceToFaceNormals(_cube, _layout) < 1e-6);
+    });
+
+    it("rejects unknown weightings", () => {
+        assert.equal(createCube().getNormalsLayout({ weighting: "volume" }), undefined);
+    });
+});
+
+describe("GPT_Coords.decimate", () => {
+    it("reaches target_triangles on a closed surface and keeps it valid", () => {
+        const _sphere = fromGeometry(new THREE.SphereGeometry(1, 32, 16));
+
+        // every collapse inside a closed surface removes 2 triangles
+        for (let _target of [100, 101, 33]) {
+            const _decimated = _sphere.decimate({ target_triangles: _target });
+            const _report = _decimated.validate();
+
+            assert.ok(_report.triangles <= _target && _report.triangles >= _target - 1, _target + " -> " + _report.triangles);
+            assert.equal(_report.clean, true);
+            // still a closed surface without handles (Euler characteristic V - E + F = 2, E = 3F / 2)
+            assert.equal(_report.vertices - _report.triangles / 2, 2);
+        }
+    });
+
+    it("keeps the borders", () => {
+        const _plane = fromGeometry(new THREE.PlaneGeometry(2, 2, 10, 10));
+        const _decimated = _plane.decimate({ max_error: 1e-6 });
+
+        assert.equal(_decimated.triangles_indices.length, 2);
+        const _box = new THREE.Box3().setFromArray(_decimated.vertices_coordinates);
+        assert.deepEqual(_box.min.toArray(), [-1, -1, 0]);
+        assert.deepEqual(_box.max.toArray(), [1, 1, 0]);
+    });
+
+    it("keeps the vertices where sharp edges meet", () => {
+        const _cube = createCube();
+        const _decimated = _cube.decimate({ target_triangles: 0, normals: { crease_angle: Math.PI / 3 } });
+
+        assert.equal(_decimated.points3d.length, 8);
+        assert.equal(_decimated.triangles_indices.length, 12);
+    });
+
+    it("stops at the first limit reached: target_triangles or max_error", () => {
+        const _dragon = new CoordsDragon();
+        const _triangles = _dragon.triangles_indices.length;
+
+        const _by_error = _dragon.getDecimatedLayout({ target_triangles: 1400, max_error: 0.001 });
+        assert.ok(_by_error.indices.length / 3 > 1400 && _by_error.indices.length / 3 < _triangles);
+        assert.ok(_by_error.error <= 0.001);
+
+        const _mobile = _dragon.decimate(Object.assign({}, Common.DRAGON_DECIMATION_SEAMS, Common.DRAGON_MOBILE_DECIMATION));
+        assert.equal(_mobile.triangles_indices.length, Common.DRAGON_MOBILE_DECIMATION.target_triangles);
+        assert.equal(_mobile.validate().valid, true);
+    });
+
+    it("returns InlineCoords with the positions and indices only", () => {
+        const _decimated = createFold().decimate({ target_triangles: 2 });
+
+        assert.ok(_decimated instanceof InlineCoords);
+        assert.deepEqual(Array.from(_decimated.vertices_coordinates), Array.from(createFold().vertices_coordinates));
+        assert.deepEqual(Array.from(_decimated.edges_indices), [0, 2, 1, 0, 1, 3]);
+    });
+
+    it("rejects missing or negative limits", () => {
+        const _cube = createCube();
+
+        assert.equal(_cube.decimate({}), undefined);
+        assert.equal(_cube.decimate({ target_triangles: -1 }), undefined);
+        assert.equal(_cube.decimate({ max_error: -1 }), undefined);
+    });
+});
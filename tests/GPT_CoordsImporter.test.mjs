@@ -0,0 +1,244 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import GPT_CoordsImporter from "../core/GPT_CoordsImporter.js";
+
+// parse reports every error with console.error as well
+beforeEach(() => {
+    mock.method(console, "error", () => {});
+});
+
+const OBJ_QUAD = [
+    "# quad and triangle",
+    "o test",
+    "v 0 0 0",
+    "v 1 0 0",
+    "v 1 1 0",
+    "v 0 1 0",
+    "vt 0 0",
+    "vt 1 0",
+    "vt 1 1",
+    "vt 0 1",
+    "vn 0 0 1",
+    "f 1/1/1 2/2/1 3/3/1 4/4/1",
+    "f -4 -2 -1"
+].join("\n");
+
+const PLY_HEADER = [
+    "ply",
+    "format ascii 1.0",
+    "comment two triangles",
+    "element vertex 4",
+    "property float x",
+    "property float y",
+    "property float z",
+    "property float s",
+    "property float t",
+    "element face 2",
+    "property list uchar int vertex_indices",
+    "end_header"
+];
+
+const PLY_QUAD = PLY_HEADER.concat([
+    "0 0 0 0 0",
+    "1 0 0 1 0",
+    "1 1 0 1 1",
+    "0 1 0 0 1",
+    "3 0 1 2",
+    "3 0 2 3"
+]).join("\n");
+
+const STL_TRIANGLE = [
+    "solid t",
+    "facet normal 0 0 1",
+    " outer loop",
+    "  vertex 0 0 0",
+    "  vertex 1 0 0",
+    "  vertex 0 1 0",
+    " endloop",
+    "endfacet",
+    "endsolid t"
+].join("\n");
+
+/**
+ * Binary PLY with one triangle, positions and normals
+ */
+function binaryPLY(little_endian_) {
+    const _header = new TextEncoder().encode([
+        "ply",
+        "format binary_" + (little_endian_ ? "little" : "big") + "_endian 1.0",
+        "element vertex 3",
+        "property float x", "property float y", "property float z",
+        "property float nx", "property float ny", "property float nz",
+        "element face 1",
+        "property list uchar uint vertex_indices",
+        "end_header", ""
+    ].join("\n"));
+
+    const _buffer = new ArrayBuffer(_header.length + 3 * 24 + 1 + 12);
+    new Uint8Array(_buffer).set(_header);
+
+    const _view = new DataView(_buffer);
+    let _o = _header.length;
+    for (let _v of [[0, 0, 0], [2, 0, 0], [0, 2, 0]]) {
+        for (let _x of _v.concat([0, 0, 1])) {
+            _view.setFloat32(_o, _x, little_endian_);
+            _o += 4;
+        }
+    }
+    _view.setUint8(_o++, 3);
+    for (let _i of [0, 1, 2]) {
+        _view.setUint32(_o, _i, little_endian_);
+        _o += 4;
+    }
+    return _buffer;
+}
+
+/**
+ * Binary STL with the triangles given as [[x, y, z] x 3]
+ */
+function binarySTL(triangles_) {
+    const _buffer = new ArrayBuffer(84 + 50 * triangles_.length);
+    const _view = new DataView(_buffer);
+    _view.setUint32(80, triangles_.length, true);
+    triangles_.forEach((t_, i_) => {
+        t_.flat().forEach((x_, k_) => { _view.setFloat32(84 + 50 * i_ + 12 + 4 * k_, x_, true); });
+    });
+    return _buffer;
+}
+
+describe("GPT_CoordsImporter OBJ", () => {
+    it("triangulates polygons and splits positions used with different UVs or normals", () => {
+        const _importer = new GPT_CoordsImporter();
+        const _coords = _importer.parse(OBJ_QUAD, "models/Quad.OBJ");
+
+        assert.deepEqual(_importer.errors, []);
+        // 4 corners v/vt/vn of the quad and 3 corners v of the triangle
+        assert.equal(_coords.points3d.length, 7);
+        assert.deepEqual(Array.from(_coords.edges_indices), [0, 1, 2, 0, 2, 3, 4, 5, 6]);
+        assert.deepEqual(Array.from(_coords.vertex_uvs.subarray(0, 8)), [0, 0, 1, 0, 1, 1, 0, 1]);
+        assert.deepEqual(Array.from(_coords.vertex_normals.subarray(0, 3)), [0, 0, 1]);
+    });
+
+    it("reports the line of wrong values, faces and references", () => {
+        const _importer = new GPT_CoordsImporter();
+
+        assert.equal(_importer.parse("v 0 0\nv 1 0 0\nf 1 1\nf 1 1 9\n", "obj"), undefined);
+        assert.deepEqual(_importer.errors, [
+            "obj line 1: 'v' needs 3 numbers, found '0 0'",
+            "obj line 3: a face needs at least 3 vertices, found 2",
+            "obj line 4: '9' references a missing vertex (1 v, 0 vt, 0 vn defined so far)"
+        ]);
+    });
+
+    it("rejects unknown formats and files without triangles", () => {
+        const _importer = new GPT_CoordsImporter();
+
+        assert.equal(_importer.parse(OBJ_QUAD, "quad.fbx"), undefined);
+        assert.deepEqual(_importer.errors, ["format: unsupported format 'quad.fbx' (expected obj, ply, stl)"]);
+
+        assert.equal(_importer.parse("v 0 0 0\n", "obj"), undefined);
+        assert.deepEqual(_importer.errors, ["obj: no triangles found"]);
+    });
+});
+
+describe("ImportedCoords normals", () => {
+    // counter-clockwise from +z: the faces point to +z, the file says -z
+    const OBJ_FLIPPED = ["v 0 0 0", "v 1 0 0", "v 0 1 0", "vn 0 0 -1", "f 1//1 2//1 3//1"].join("\n");
+
+    it("uses the normals of the file for the layouts and the normals", () => {
+        const _coords = new GPT_CoordsImporter().parse(OBJ_FLIPPED, "obj");
+
+        assert.deepEqual(Array.from(_coords.getNormalsLayout().normals), [0, 0, -1, 0, 0, -1, 0, 0, -1]);
+        assert.deepEqual(Array.from(_coords.getNormalsLayout({}).normals), [0, 0, -1, 0, 0, -1, 0, 0, -1]);
+        assert.deepEqual(Array.from(_coords.normals), [0, 0, -1, 0, 0, -1, 0, 0, -1]);
+    });
+
+    it("computes them from the faces when asked for creases, flat shading or a weighting", () => {
+        const _coords = new GPT_CoordsImporter().parse(OBJ_FLIPPED, "obj");
+
+        for (let _options of [{ crease_angle: Math.PI / 3 }, { flat: true }, { weighting: "angle" }]) {
+            // x and y are -0 when computed
+            assert.deepEqual(Array.from(_coords.getNormalsLayout(_options).normals, (x_) => { return x_ + 0; }), [0, 0, 1, 0, 0, 1, 0, 0, 1]);
+        }
+    });
+
+    it("computes them for the vertices without normal in the file", () => {
+        const _coords = new GPT_CoordsImporter().parse(OBJ_QUAD.replace("vn 0 0 1", "vn 0 1 0"), "obj");
+        const _normals = _coords.getNormalsLayout().normals;
+
+        // quad: 'vn' of the file, triangle: faces
+        assert.deepEqual(Array.from(_normals.subarray(0, 3)), [0, 1, 0]);
+        assert.deepEqual(Array.from(_normals.subarray(12, 15)), [0, 0, 1]);
+    });
+});
+
+describe("GPT_CoordsImporter PLY", () => {
+    it("reads ascii vertices, faces and texture coordinates", () => {
+        const _coords = new GPT_CoordsImporter().parse(PLY_QUAD, "quad.ply");
+
+        assert.equal(_coords.points3d.length, 4);
+        assert.deepEqual(Array.from(_coords.edges_indices), [0, 1, 2, 0, 2, 3]);
+        assert.deepEqual(Array.from(_coords.vertex_uvs), [0, 0, 1, 0, 1, 1, 0, 1]);
+    });
+
+    it("reads little and big endian binary files", () => {
+        for (let _little of [true, false]) {
+            const _coords = new GPT_CoordsImporter().parse(binaryPLY(_little), "tri.ply");
+
+            assert.deepEqual(Array.from(_coords.vertices_coordinates), [0, 0, 0, 2, 0, 0, 0, 2, 0]);
+            assert.deepEqual(Array.from(_coords.edges_indices), [0, 1, 2]);
+            assert.deepEqual(Array.from(_coords.vertex_normals.subarray(0, 3)), [0, 0, 1]);
+        }
+    });
+
+    it("reports wrong headers, indices and truncated files", () => {
+        const _importer = new GPT_CoordsImporter();
+
+        assert.equal(_importer.parse(PLY_QUAD.replace("ply\n", "plx\n"), "ply"), undefined);
+        assert.deepEqual(_importer.errors, ["ply line 1: expected 'ply', found 'plx'"]);
+
+        assert.equal(_importer.parse(PLY_QUAD.replace("3 0 2 3", "3 0 2 7"), "ply"), undefined);
+        assert.deepEqual(_importer.errors, ["ply: triangle 1 references vertex 7 (4 vertices)"]);
+
+        assert.equal(_importer.parse(new TextDecoder().decode(binaryPLY(true)), "ply"), undefined);
+        assert.deepEqual(_importer.errors, ["ply: 'binary_little_endian' files must be given as ArrayBuffer"]);
+
+        const _binary = binaryPLY(true);
+        assert.equal(_importer.parse(_binary.slice(0, _binary.byteLength - 8), "ply"), undefined);
+        assert.deepEqual(_importer.errors, ["ply byte " + (_binary.byteLength - 8) + " (face 0): unexpected end of file"]);
+    });
+});
+
+describe("GPT_CoordsImporter STL", () => {
+    it("reads ascii and binary files merging identical positions", () => {
+        const _ascii = new GPT_CoordsImporter().parse(STL_TRIANGLE, "tri.stl");
+        assert.deepEqual(Array.from(_ascii.vertices_coordinates), [0, 0, 0, 1, 0, 0, 0, 1, 0]);
+        assert.deepEqual(Array.from(_ascii.edges_indices), [0, 1, 2]);
+
+        const _binary = new GPT_CoordsImporter().parse(binarySTL([
+            [[0, 0, 0], [1, 0, 0], [0, 1, 0]],
+            [[1, 0, 0], [1, 1, 0], [0, 1, 0]]
+        ]), "quad.stl");
+        assert.equal(_binary.points3d.length, 4);
+        assert.deepEqual(Array.from(_binary.edges_indices), [0, 1, 2, 1, 3, 2]);
+    });
+
+    it("reports wrong facets and truncated binary files", () => {
+        const _importer = new GPT_CoordsImporter();
+
+        assert.equal(_importer.parse(STL_TRIANGLE.replace("  vertex 0 1 0\n", ""), "stl"), undefined);
+        assert.deepEqual(_importer.errors, ["stl line 2: a facet needs 3 vertices, found 2"]);
+
+        assert.equal(_importer.parse(STL_TRIANGLE.replace("endfacet", ""), "stl"), undefined);
+        assert.deepEqual(_importer.errors, ["stl line 2: facet without 'endfacet'"]);
+
+        assert.equal(_importer.parse("mesh\n", "stl"), undefined);
+        assert.deepEqual(_importer.errors, ["stl line 1: expected 'solid' (ascii) or a binary file of 84 + 50 * triangles bytes"]);
+
+        const _truncated = binarySTL([[[0, 0, 0], [1, 0, 0], [0, 1, 0]]]);
+        new DataView(_truncated).setUint32(80, 3, true);
+        assert.equal(_importer.parse(_truncated, "stl"), undefined);
+        assert.deepEqual(_importer.errors, ["stl: binary file with 3 triangles needs 234 bytes, found 134"]);
+    });
+});
@@ -0,0 +1,48 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import THREE from "../external-libs/three-global.js";
+import GPT_Scene from "../core/GPT_Scene.js";
+
+beforeEach(() => {
+    mock.method(console, "debug", () => {});
+    mock.method(console, "error", () => {});
+});
+
+/**
+ * @returns {THREE.Vector3} direction the renderer gives to a directional or spot light (from the light to its target)
+ */
+function getLightDirection(light_) {
+    light_.updateMatrixWorld();
+    const _target = new THREE.Vector3().setFromMatrixPosition(light_.target.matrixWorld);
+    return _target.sub(new THREE.Vector3().setFromMatrixPosition(light_.matrixWorld)).normalize();
+}
+
+describe("GPT_SceneLoader.createLights", () => {
+    it("aims directional and spot lights at their target", () => {
+        const _sce = new GPT_Scene();
+        assert.deepEqual(_sce.loadDescription({
+            lights: [
+                { name: "sun", type: "directional", position: [0, 10, 0], target: [10, 0, 0] },
+                { name: "spot", type: "spot", position: [0, 0, 5], target: [0, 0, -5], helper: true }
+            ]
+        }), []);
+        _sce.createLights();
+
+        // the targets are not children of the scene: scene.updateMatrixWorld does not reach them
+        const _sun = _sce.gpt_lights.get("sun");
+        assert.equal(_sun.target.parent, null);
+        assert.ok(getLightDirection(_sun).distanceTo(new THREE.Vector3(1, -1, 0).normalize()) < 1e-6);
+
+        const _spot = _sce.gpt_lights.get("spot");
+        assert.ok(getLightDirection(_spot).distanceTo(new THREE.Vector3(0, 0, -1)) < 1e-6);
+    });
+
+    it("keeps the default target (origin) when there is none", () => {
+        const _sce = new GPT_Scene();
+        _sce.loadDescription({ lights: [{ name: "sun", type: "directional", position: [0, 0, 3] }] });
+        _sce.createLights();
+
+        assert.ok(getLightDirection(_sce.gpt_lights.get("sun")).distanceTo(new THREE.Vector3(0, 0, -1)) < 1e-6);
+    });
+});
@@ -0,0 +1,137 @@
+import { describe, it, beforeEach, mock } from "node:test";
+import assert from "node:assert/strict";
+
+import GPT_App from "../core/GPT_App.js";
+import GPT_Clock from "../core/GPT_Clock.js";
+import GPT_Renderer from "../core/GPT_Renderer.js";
+import GPT_NullRenderer from "../core/GPT_NullRenderer.js";
+import SceneDragon from "../scene-dragon/SceneDragon.js";
+
+beforeEach(() => {
+    for (let _level of ["debug", "log", "info", "warn"]) {
+        mock.method(console, _level, () => {});
+    }
+});
+
+/**
+ * Headless app of the dragon scene with a manual clock
+ * @returns {Object} { app, sce, clock, backend, frame(ms): advances the clock and draws a frame }
+ */
+async function createApp() {
+    const _sce = new SceneDragon(true);
+    const _clock = new GPT_Clock(true);
+    const _backend = new GPT_NullRenderer();
+    const _app = new GPT_App(new GPT_Renderer(800, 600, _sce, _backend), _clock);
+
+    await _app.init();
+    _app.run();
+
+    const _frame = (ms_) => {
+        _clock.advance(ms_);
+        _app.drawFrame(_clock.now());
+    };
+    return { app: _app, sce: _sce, clock: _clock, backend: _backend, frame: _frame };
+}
+
+/**
+ * @returns {Set} geometries, materials and textures of the scene graph
+ */
+function getResources(scene_) {
+    const _resources = new Set();
+    scene_.traverse((obj_) => {
+        if (obj_.geometry !== undefined) {
+            _resources.add(obj_.geometry);
+        }
+        for (let _mat of [].concat(obj_.material || [])) {
+            _resources.add(_mat);
+            for (let _value of Object.values(_mat)) {
+                if (_value !== null && _value !== undefined && _value.isTexture) {
+                    _resources.add(_value);
+                }
+            }
+        }
+    });
+    return _resources;
+}
+
+/**
+ * @returns {Set} resources not disposed yet (filled as they are disposed)
+ */
+function watchDispose(resources_) {
+    const _pending = new Set(resources_);
+    for (let _res of resources_) {
+        _res.addEventListener("dispose", () => { _pending.delete(_res); });
+    }
+    return _pending;
+}
+
+describe("SceneDragon headless", () => {
+    it("shoots, misses and goes back to idle, then disposes everything", async () => {
+        const { app, sce, backend, frame } = await createApp();
+        frame(16);
+        assert.ok(backend.getDrawCallsByName("floor").length > 0);
+        assert.equal(backend.getDrawCallsByName("bullet").length, 0);
+
+        const _states = [sce.fsm_r.state.description];
+        const _record = () => {
+            if (sce.fsm_r.state.description !== _states[_states.length - 1]) {
+                _states.push(sce.fsm_r.state.description);
+            }
+        };
+
+        sce.im.controllers.get("robot_shoot").click();
+        _record();
+
+        let _bullet = undefined;
+        for (let i = 0; i < 400 && !(sce.fsm_r.current_is_idle() && _states.length > 1); i++) {
+            frame(16);
+            _record();
+
+            if (sce.fsm_r.current_is_bullet_traveling() && _bullet === undefined) {
+                _bullet = watchDispose(getResources(sce.bullet_model.mesh));
+                assert.equal(backend.getDrawCallsByName("bullet").length, 1);
+                assert.equal(backend.getDrawCallsByName("trajectory").length, 1);
+            }
+        }
+
+        assert.deepEqual(_states, ["idle", "loading_bullet", "bullet_traveling", "no_hit", "idle"]);
+        assert.equal(sce.im.controllers.get("robot_status").getValue(), "idle");
+
+        // the bullet and its trajectory are gone (and disposed) back in 'idle'
+        assert.equal(backend.getDrawCallsByName("bullet").length, 0);
+        assert.equal(backend.getDrawCallsByName("trajectory").length, 0);
+        assert.equal(_bullet.size, 0);
+
+        const _pending = watchDispose(getResources(sce.scene));
+        const _report = app.dispose();
+        assert.equal(_report.leaked, false);
+        assert.equal(_pending.size, 0);
+    });
+
+    it("moves the same on 60 Hz and 144 Hz displays", async () => {
+        const _poses = [];
+        for (let _hz of [60, 144]) {
+            const { app, sce, frame } = await createApp();
+
+            // 1 second rotating the dragon, then 0.5 seconds loading the bullet (spinning the forearm)
+            for (let i = 0; i < _hz; i++) {
+                frame(1000 / _hz);
+            }
+            sce.im.controllers.get("robot_shoot").click();
+            for (let i = 0; i < _hz / 2; i++) {
+                frame(1000 / _hz);
+            }
+
+            _poses.push({
+                dragon: sce.dragon_model.getRoot().rotation.y,
+                forearm: sce.robotLinked.links.get("forearm").rotation.x
+            });
+            app.dispose();
+        }
+
+        // 1 degree per frame of 60 Hz during 1.5 seconds
+        assert.ok(Math.abs(_poses[0].dragon - Math.PI / 2) < 1e-3, "dragon: " + _poses[0].dragon);
+        assert.ok(Math.abs(_poses[1].dragon - _poses[0].dragon) < 1e-3);
+        assert.ok(Math.abs(_poses[1].forearm - _poses[0].forearm) < 1e-3);
+    });
+});
@@ -0,0 +1,42 @@
+/**
+ * Module hooks for the tests. The library is written for a bundler:
+ * relative imports without extension, ES modules in .js files without "type": "module"
+ * and JSON files imported without import attributes
+ */
+
+import { readFile } from "node:fs/promises";
+
+const ROOT = new URL("../", import.meta.url).href;
+
+/**
+ * Imports without extension (ex: './GPT_Coords', 'three/examples/jsm/loaders/PLYLoader') are tried again with '.js'
+ */
+export async function resolve(specifier_, context_, next_) {
+    try {
+        return await next_(specifier_, context_);
+    }
+    catch (error_) {
+        if (error_.code !== "ERR_MODULE_NOT_FOUND" || /\.[cm]?js$/.test(specifier_)) {
+            throw error_;
+        }
+        return next_(specifier_ + ".js", context_);
+    }
+}
+
+/**
+ * Sources of the library are ES modules. Its JSON files are modules exporting their content (ex: DragonFireParticles.json)
+ */
+export async function load(url_, context_, next_) {
+    if (!url_.startsWith(ROOT) || url_.includes("/node_modules/")) {
+        return next_(url_, context_);
+    }
+
+    if (url_.endsWith(".js")) {
+        return next_(url_, Object.assign({}, context_, { format: "module" }));
+    }
+    if (url_.endsWith(".json")) {
+        const _text = await readFile(new URL(url_), "utf8");
+        return { format: "module", source: "export default " + _text + ";", shortCircuit: true };
+    }
+    return next_(url_, context_);
+}
@@ -0,0 +1,7 @@
+/**
+ * Runs the sources of the library in Node (see hooks.mjs): node --import ./tests/register.mjs --test
+ */
+
+import { register } from "node:module";
+
+register("./hooks.mjs", import.meta.url);